@@ -7,6 +7,8 @@
  * This is the main orchestrator that delegates to specialized modules
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const inquirer = require('inquirer').default;
 const chalk = require('chalk');
 const figlet = require('figlet');
@@ -17,7 +19,46 @@ const WindsurfManager = require('./lib/windsurf_manager');
 const GeminiManager = require('./lib/gemini_manager');
 const { TechStackCollector } = require('./lib/tech_stack_collector');
 const { ProjectConfigurator } = require('./lib/project_configurator');
-const { generateAgentFile } = require('./lib/generator_lib');
+const {
+  generateTargets,
+  getTargets,
+  writeOutputFiles,
+  formatSummaryTable,
+  lintTemplateSource
+} = require('./lib/generator_lib');
+const {
+  loadConfigFile,
+  loadProjectConfig,
+  normalizeConfig,
+  saveProjectConfig,
+  validateConfig,
+  PROJECT_CONFIG_FILE
+} = require('./lib/project_config');
+const { importRulesFile } = require('./lib/rules_importer');
+const { convertRulesFile } = require('./lib/rules_converter');
+const { findTemplatesForTarget, resolveTemplateOption } = require('./lib/template_locator');
+const { scanProject, formatScanReport } = require('./lib/project_scanner');
+const { detectCodingStandards, formatStandardsReport } = require('./lib/standards_detector');
+const { buildProjectTree } = require('./lib/project_tree');
+const { detectProjectCommands, formatCommandsReport } = require('./lib/project_commands');
+const { detectWorkflowGuidelines, formatWorkflowReport } = require('./lib/workflow_detector');
+const { detectPipelines, summarizePipelines, formatPipelinesReport } = require('./lib/ci_detector');
+const { detectProjectTypes, formatProjectTypesReport } = require('./lib/project_type_detector');
+const { detectWorkspaces, selectWorkspacePackages, buildPackageConfig, formatWorkspaceReport } = require('./lib/workspace_detector');
+const { fileFormatHandler } = require('./lib/file_format_handler');
+const { listTargets, loadTargetPlugins } = require('./lib/output_targets');
+const { mergeWithExistingFiles, formatConflictReport } = require('./lib/managed_regions');
+const { createUnifiedDiff, colorizeDiff, getDiffStats } = require('./lib/diff_utils');
+const { applyRegionBudget, formatSize, formatBudgetWarning } = require('./lib/size_budget');
+const {
+  BACKUP_DIR,
+  createBackupId,
+  backupFile,
+  listBackups,
+  restoreBackup
+} = require('./lib/backup_manager');
+const { parseArgs } = require('./lib/cli_args');
+const { getRecipeRules, RECIPE_RULES_MODES } = require('./lib/recipe_rules');
 const CacheManager = require('./lib/cache_manager');
 const RepositoryManager = require('./lib/repository_manager');
 const { RecipeCreator } = require('./lib/recipe_creator');
@@ -33,6 +74,8 @@ class AgentRulesGenerator {
       projectManagement: {},
       fileType: 'agent'
     };
+    // Project being scanned and written to; backups go under BACKUP_DIR inside it
+    this.projectRoot = process.cwd();
 
     // Initialize managers with proper instantiation
     this.recipeManager = new RecipeManager(this.config);
@@ -91,6 +134,8 @@ class AgentRulesGenerator {
           message: 'What would you like to do?',
           choices: [
             { name: 'Generate agent rules file', value: 'generate' },
+            { name: `Regenerate from saved answers (${PROJECT_CONFIG_FILE})`, value: 'regenerate' },
+            { name: 'Restore a previous version from backup', value: 'restore' },
             { name: 'Manage recipes', value: 'recipes' },
             { name: 'Create new recipe', value: 'create-recipe' },
             { name: 'Configure Gemini CLI', value: 'gemini' },
@@ -104,6 +149,12 @@ class AgentRulesGenerator {
         case 'generate':
           await this.generateAgentRules();
           break;
+        case 'regenerate':
+          await this.runCliCommand(() => this.regenerate({}));
+          break;
+        case 'restore':
+          await this.runCliCommand(() => this.restoreCommand({}, []));
+          break;
         case 'recipes':
           await this.manageRecipes();
           break;
@@ -125,23 +176,44 @@ class AgentRulesGenerator {
   }
 
   async generateAgentRules() {
-    const { fileType } = await inquirer.prompt([
+    const selected = getTargets(this.config);
+    const { targets } = await inquirer.prompt([
       {
-        type: 'list',
-        name: 'fileType',
-        message: 'What type of file would you like to generate?',
-        choices: [
-          { name: '.agent.md (Cursor AI)', value: 'agent' },
-          { name: '.windsurfrules (Windsurf)', value: 'windsurf' }
-        ]
+        type: 'checkbox',
+        name: 'targets',
+        message: 'Which files would you like to generate?',
+        validate: input => input.length > 0 || 'Select at least one target',
+        choices: listTargets().map(target => ({
+          name: target.label,
+          value: target.name,
+          checked: selected.includes(target.name)
+        }))
       }
     ]);
 
-    this.config.fileType = fileType;
+    this.config.targets = targets;
+    this.config.fileType = targets[0];
+
+    if (targets.includes('copilot')) {
+      const { copilotPathInstructions } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'copilotPathInstructions',
+          message: 'Also generate path-scoped .github/instructions/*.instructions.md files?',
+          default: false
+        }
+      ]);
+      this.config.copilotPathInstructions = copilotPathInstructions;
+    }
     await this.collectProjectInfo();
   }
 
   async collectProjectInfo() {
+    // Step 0: Detect the stack, standards and workflow so the questions start from the project's own files
+    await this.detectTechnologyStack();
+    await this.detectCodingStandards();
+    await this.detectWorkflowGuidelines();
+
     // Step 1: Collect project overview
     await this.projectConfigurator.collectProjectInfo();
 
@@ -154,12 +226,214 @@ class AgentRulesGenerator {
     await this.projectConfigurator.collectWorkflowGuidelines();
     await this.projectConfigurator.collectProjectManagement();
 
-    // Step 4: Generate files
+    // Step 4: In a monorepo, pick the packages that get their own rules file
+    await this.collectWorkspacePackages();
+
+    // Step 5: Generate files
     await this.generateAndSave();
 
+    // Step 6: Persist answers for later regeneration
+    await this.offerToSaveConfig();
+
     console.log(chalk.green('\n🎉 Configuration complete! Your AI assistant rules have been generated.'));
   }
 
+  /**
+   * Scans the project and keeps the detected stack as defaults for the technology questions
+   */
+  async detectTechnologyStack() {
+    let scan;
+    try {
+      scan = await scanProject(this.projectRoot);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not scan the project: ${error.message}`));
+      return;
+    }
+
+    this.techStackCollector.detectedStack = scan.technologyStack;
+    this.recipeManager.detectedStack = scan.technologyStack;
+    if (scan.files.length > 0) {
+      console.log(chalk.blue(`\n🔎 Detected from ${scan.files.join(', ')}:`));
+      console.log(chalk.gray(formatScanReport(scan).replace(/^/gm, '   ')));
+    }
+    try {
+      this.projectConfigurator.detectedProjectTypes = await detectProjectTypes(this.projectRoot, scan.detections);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not infer the project type: ${error.message}`));
+    }
+  }
+
+  /**
+   * Reads formatter and linter configs and keeps them as defaults for the coding standards questions
+   */
+  async detectCodingStandards() {
+    try {
+      this.projectConfigurator.detectedStandards = await detectCodingStandards(this.projectRoot);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the coding standards configs: ${error.message}`));
+    }
+  }
+
+  /**
+   * Reads the git history, commitlint config and CI pipelines and keeps them as defaults for the workflow questions
+   */
+  async detectWorkflowGuidelines() {
+    const detected = { values: {}, sources: {} };
+    const merge = ({ values, sources }) => {
+      Object.assign(detected.values, values);
+      Object.assign(detected.sources, sources);
+    };
+    try {
+      merge(await detectWorkflowGuidelines(this.projectRoot));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the git workflow: ${error.message}`));
+    }
+    try {
+      merge(summarizePipelines(await detectPipelines(this.projectRoot)));
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the CI pipelines: ${error.message}`));
+    }
+    this.projectConfigurator.detectedWorkflow = detected;
+  }
+
+  /**
+   * Prints the technology stack detected in the current project
+   * @param {Object} options - Parsed CLI options
+   * @param {boolean} [options.json] - Print the full scan as JSON, including every detection
+   */
+  async scanCommand(options) {
+    const scan = await scanProject(this.projectRoot);
+    const standards = await detectCodingStandards(this.projectRoot);
+    const commands = await detectProjectCommands(this.projectRoot);
+    const workflow = await detectWorkflowGuidelines(this.projectRoot);
+    const pipelines = await detectPipelines(this.projectRoot);
+    const projectTypes = await detectProjectTypes(this.projectRoot, scan.detections);
+    const workspace = await detectWorkspaces(this.projectRoot);
+    if (options.json) {
+      console.log(JSON.stringify({ ...scan, projectTypes, codingStandards: standards, commands, workflowGuidelines: workflow, ci: pipelines, workspace }, null, 2));
+      return;
+    }
+    if (scan.files.length === 0) {
+      console.log(chalk.yellow('No manifests found. Supported: package.json, pyproject.toml, requirements.txt, go.mod, Cargo.toml, pom.xml, build.gradle, Gemfile, composer.json, Dockerfile, docker-compose.yml, vercel.json, netlify.toml, fly.toml, render.yaml, Procfile'));
+    } else {
+      console.log(chalk.blue(`\n🔎 Detected from ${scan.files.join(', ')}:\n`));
+      console.log(formatScanReport(scan));
+    }
+    if (projectTypes.length > 0) {
+      console.log(chalk.blue('\n🧭 Project type:\n'));
+      console.log(formatProjectTypesReport(projectTypes));
+    }
+    if (workspace.packages.length > 0) {
+      console.log(chalk.blue(`\n📦 Workspace packages${workspace.tools.length > 0 ? ` (${workspace.tools.join(', ')})` : ''}:\n`));
+      console.log(formatWorkspaceReport(workspace));
+    }
+    if (Object.keys(standards.values).length > 0) {
+      console.log(chalk.blue('\n📏 Coding standards:\n'));
+      console.log(formatStandardsReport(standards));
+    }
+    if (Object.keys(commands.commands).length > 0) {
+      console.log(chalk.blue('\n🛠️  Commands:\n'));
+      console.log(formatCommandsReport(commands));
+    }
+    if (Object.keys(workflow.values).length > 0) {
+      console.log(chalk.blue('\n🔄 Git workflow:\n'));
+      console.log(formatWorkflowReport(workflow));
+    }
+    if (pipelines.checks.length > 0 || pipelines.deployments.length > 0) {
+      console.log(chalk.blue(`\n🚦 CI/CD${pipelines.providers.length > 0 ? ` (${pipelines.providers.join(', ')})` : ''}:\n`));
+      console.log(formatPipelinesReport(pipelines));
+    }
+  }
+
+  async offerToSaveConfig() {
+    const { saveConfig } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'saveConfig',
+        message: `Save your answers to ${PROJECT_CONFIG_FILE} so you can regenerate later?`,
+        default: true
+      }
+    ]);
+
+    if (saveConfig) {
+      try {
+        const filePath = await saveProjectConfig(this.config);
+        console.log(chalk.green(`✅ Answers saved to ${filePath}`));
+        console.log(chalk.gray('   Run "agent-rules-generator regenerate" to update your rules later'));
+      } catch (error) {
+        console.error(chalk.red(`❌ Error saving answers: ${error.message}`));
+      }
+    }
+  }
+
+  /**
+   * Reloads the saved project config, re-asks selected sections and rebuilds the rules file
+   * @param {Object} options - Parsed CLI options
+   * @param {string} [options.config] - Config path (defaults to .agentrules.yaml)
+   * @param {string} [options.sections] - Comma separated sections to re-ask, skipping the picker
+   */
+  async regenerate(options) {
+    const configPath = typeof options.config === 'string' ? options.config : PROJECT_CONFIG_FILE;
+    const loaded = await loadProjectConfig(configPath);
+
+    if (!loaded) {
+      throw new Error(`No saved configuration found at ${configPath}. Run "agent-rules-generator generate" first.`);
+    }
+
+    loaded.warnings.forEach(warning => console.log(chalk.yellow(`⚠️ ${warning}`)));
+    this.loadPlugins(loaded.config, configPath);
+    // Update in place: the managers share this config object
+    Object.assign(this.config, loaded.config);
+    console.log(chalk.blue(`\n♻️  Loaded ${this.config.overview.projectName} configuration from ${configPath}`));
+
+    const sectionCollectors = {
+      overview: () => this.projectConfigurator.collectProjectInfo(),
+      technologyStack: () => this.techStackCollector.customizeTechStack(),
+      codingStandards: () => this.projectConfigurator.collectCodingStandards(),
+      projectStructure: () => this.projectConfigurator.collectProjectStructure(),
+      workflowGuidelines: () => this.projectConfigurator.collectWorkflowGuidelines(),
+      projectManagement: () => this.projectConfigurator.collectProjectManagement(),
+      workspaces: () => this.collectWorkspacePackages()
+    };
+
+    let sections;
+    if (typeof options.sections === 'string') {
+      sections = options.sections.split(',').map(section => section.trim()).filter(Boolean);
+      const unknown = sections.filter(section => !sectionCollectors[section]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown section(s): ${unknown.join(', ')}. Valid sections: ${Object.keys(sectionCollectors).join(', ')}`);
+      }
+    } else {
+      ({ sections } = await inquirer.prompt([
+        {
+          type: 'checkbox',
+          name: 'sections',
+          message: 'Which sections would you like to update? (leave empty to regenerate as-is)',
+          choices: [
+            { name: 'Project overview', value: 'overview' },
+            { name: 'Technology stack', value: 'technologyStack' },
+            { name: 'Coding standards', value: 'codingStandards' },
+            { name: 'Project structure', value: 'projectStructure' },
+            { name: 'Development workflow', value: 'workflowGuidelines' },
+            { name: 'Project management', value: 'projectManagement' },
+            { name: 'Monorepo packages', value: 'workspaces' }
+          ]
+        }
+      ]));
+    }
+
+    for (const section of sections) {
+      await sectionCollectors[section]();
+    }
+
+    await this.generateAndSave();
+
+    if (sections.length > 0) {
+      await saveProjectConfig(this.config, configPath);
+      console.log(chalk.green(`✅ Updated answers saved to ${configPath}`));
+    }
+  }
+
   async manageRecipes() {
     const { action } = await inquirer.prompt([
       {
@@ -198,9 +472,34 @@ class AgentRulesGenerator {
   }
 
   async handleCliCommands(args) {
-    const command = args[0];
+    const { command, positionals, options } = parseArgs(args);
     
     switch (command) {
+      case 'generate':
+        if (options.answers) {
+          await this.runCliCommand(() => this.generateFromAnswers(options));
+        } else {
+          await this.generateAgentRules();
+        }
+        break;
+      case 'regenerate':
+        await this.runCliCommand(() => this.regenerate(options));
+        break;
+      case 'restore':
+        await this.runCliCommand(() => this.restoreCommand(options, positionals));
+        break;
+      case 'import':
+        await this.runCliCommand(() => this.importCommand(options, positionals));
+        break;
+      case 'convert':
+        await this.runCliCommand(() => this.convertCommand(options, positionals));
+        break;
+      case 'template':
+        await this.runCliCommand(() => this.templateCommand(options, positionals));
+        break;
+      case 'scan':
+        await this.runCliCommand(() => this.scanCommand(options));
+        break;
       case 'refresh':
         await this.recipeManager.refreshRecipesCommand();
         break;
@@ -225,6 +524,617 @@ class AgentRulesGenerator {
     }
   }
 
+  /**
+   * Runs a non-interactive command, reporting failures through the exit code
+   * @param {Function} command - Async command to run
+   */
+  async runCliCommand(command) {
+    try {
+      await command();
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Generates a rules file from an answers file without any prompts
+   * @param {Object} options - Parsed CLI options
+   * @param {string} options.answers - Path to a JSON/YAML answers file
+   * @param {string} [options.target] - File type to generate (e.g. 'agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude')
+   * @param {string} [options.targets] - Comma separated file types to generate in one run
+   * @param {string} [options.out] - Output path, or directory for cursor (single target only, defaults to the target's filename)
+   * @param {string|boolean} [options.template] - Template name or path to render with, or false to skip templates
+   * @param {string} [options.recipeRules] - How recipe rules are merged: append, replace or merge
+   * @param {boolean} [options.force] - Overwrite managed regions that were edited by hand
+   * @param {boolean} [options.dryRun] - Show what would change without writing files
+   * @param {string|boolean} [options.tree] - Render the real directory tree, optionally with a depth; false turns it off
+   * @param {string} [options.treeExclude] - Comma separated patterns to leave out of the tree
+   * @param {string|boolean} [options.packages] - Comma separated monorepo packages to write rules files for; false writes only the root files
+   */
+  async generateFromAnswers(options) {
+    if (typeof options.answers !== 'string') {
+      throw new Error('Missing --answers <file>. Usage: agent-rules-generator generate --answers rules.yaml');
+    }
+
+    const { config, warnings } = await loadConfigFile(options.answers);
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️ ${warning}`)));
+    this.loadPlugins(config, options.answers);
+
+    if (typeof options.targets === 'string') {
+      config.targets = options.targets.split(',').map(target => target.trim()).filter(Boolean);
+    } else if (typeof options.target === 'string') {
+      config.targets = [options.target];
+    }
+    if (typeof options.recipeRules === 'string') {
+      if (!RECIPE_RULES_MODES.includes(options.recipeRules)) {
+        throw new Error(`Unsupported --recipe-rules mode: ${options.recipeRules}. Use one of: ${RECIPE_RULES_MODES.join(', ')}`);
+      }
+      config.recipeRulesMode = options.recipeRules;
+    }
+    if (options.tree !== undefined || options.treeExclude !== undefined) {
+      config.projectTree = this.parseTreeOptions(options, config.projectTree);
+    }
+    if (options.packages === false) {
+      config.workspaces = false;
+    } else if (typeof options.packages === 'string') {
+      config.workspaces = { packages: options.packages.split(',').map(item => item.trim()).filter(Boolean) };
+    }
+
+    const results = await this.generateWorkspaceTargets(config, {
+      useTemplate: options.template !== false,
+      template: typeof options.template === 'string' ? options.template : undefined,
+      out: typeof options.out === 'string' ? options.out : undefined
+    });
+    const rows = await this.writeTargetResults(results, {
+      force: options.force === true,
+      dryRun: options.dryRun === true
+    });
+
+    console.log(chalk.green(options.dryRun === true
+      ? `✅ Dry run: ${rows.length} file(s) checked against ${options.answers}, nothing was written`
+      : `✅ Generated ${rows.length} file(s) from ${options.answers}`));
+    console.log(formatSummaryTable(rows));
+  }
+
+  /**
+   * Applies --tree [depth] and --tree-exclude <patterns> to the projectTree setting
+   * @param {Object} options - Parsed CLI options
+   * @param {boolean|Object} [current] - projectTree from the answers file
+   * @returns {boolean|Object} New projectTree setting (false for --no-tree)
+   * @throws {Error} If the depth is not a positive number
+   */
+  parseTreeOptions(options, current) {
+    if (options.tree === false) {
+      return false;
+    }
+
+    const projectTree = typeof current === 'object' && current !== null ? { ...current } : {};
+    if (typeof options.tree === 'string') {
+      const depth = Number(options.tree);
+      if (!(Number.isInteger(depth) && depth > 0)) {
+        throw new Error(`--tree expects a positive depth, got "${options.tree}"`);
+      }
+      projectTree.depth = depth;
+    }
+    if (typeof options.treeExclude === 'string') {
+      projectTree.exclude = options.treeExclude.split(',').map(pattern => pattern.trim()).filter(Boolean);
+    }
+    return projectTree;
+  }
+
+  /**
+   * Renders the project's directory tree into a copy of the config when projectTree is on
+   *
+   * Configured directories that do not exist are reported as warnings.
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} [root] - Directory to render (defaults to the project root)
+   * @returns {Promise<Object>} Config with projectStructure.tree set, or the config itself
+   */
+  async withProjectTree(config, root = this.projectRoot) {
+    const { tree, warnings } = await buildProjectTree(root, config);
+    warnings.forEach(warning => console.log(chalk.yellow(`⚠️ ${warning}`)));
+    return tree ? { ...config, projectStructure: { ...config.projectStructure, tree } } : config;
+  }
+
+  /**
+   * Adds what is read from the project at generation time: the directory tree, the commands and the CI checks
+   * @param {Object} config - Configuration object
+   * @param {string} [root] - Directory to read them from, e.g. a monorepo package (defaults to the project root)
+   * @param {Object} [options] - Options for detectProjectCommands, such as the monorepo's packageManager
+   * @returns {Promise<Object>} Copy of the config for the generators
+   */
+  async prepareForGeneration(config, root = this.projectRoot, options = {}) {
+    const withTree = await this.withProjectTree(config, root);
+    return this.withDetectedPipelines(await this.withDetectedCommands(withTree, root, options), root);
+  }
+
+  /**
+   * Generates the selected targets for the root and, in a monorepo, for every selected package
+   *
+   * Package files are written inside the package directories (Copilot's go to
+   * the root .github/instructions/, scoped to the package) and use the
+   * built-in layouts unless a template is forced. The root and package files
+   * link to each other through a Workspace section.
+   *
+   * @param {Object} config - Configuration object; config.workspaces selects the packages
+   * @param {Object} [options] - Generation options (see generateTargets)
+   * @returns {Promise<Array<Object>>} Results as { target, files }, package targets labelled with the package path
+   */
+  async generateWorkspaceTargets(config, options = {}) {
+    let detection = { tools: [], packages: [], packageManager: null };
+    if (config.workspaces !== false) {
+      try {
+        detection = await detectWorkspaces(this.projectRoot);
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Could not read the monorepo packages: ${error.message}`));
+      }
+    }
+    // A package that cannot be read is skipped, and left out of the root file's links
+    const prepared = [];
+    for (const pkg of selectWorkspacePackages(detection, config.workspaces)) {
+      try {
+        const packageConfig = await buildPackageConfig(this.projectRoot, config, detection, pkg);
+        prepared.push({
+          pkg,
+          config: await this.prepareForGeneration(packageConfig, path.join(this.projectRoot, pkg.path), {
+            packageManager: detection.packageManager
+          })
+        });
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Skipping the ${pkg.path} package: ${error.message}`));
+      }
+    }
+    const rootConfig = prepared.length > 0
+      ? { ...config, workspace: { tools: detection.tools, packages: prepared.map(({ pkg }) => ({ name: pkg.name, path: pkg.path })) } }
+      : config;
+
+    const results = await generateTargets(await this.prepareForGeneration(rootConfig), inquirer, options);
+    for (const { pkg, config: packageConfig } of prepared) {
+      const packageResults = await generateTargets(packageConfig, inquirer, {
+        ...options,
+        out: undefined,
+        baseDir: pkg.path,
+        useTemplate: options.useTemplate === true || typeof options.template === 'string'
+      });
+      results.push(...packageResults.map(result => ({ ...result, target: `${result.target} (${pkg.path})` })));
+    }
+    return results;
+  }
+
+  /**
+   * Asks which monorepo packages get their own rules file and keeps the answer in config.workspaces
+   */
+  async collectWorkspacePackages() {
+    let detection;
+    try {
+      detection = await detectWorkspaces(this.projectRoot);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the monorepo packages: ${error.message}`));
+      return;
+    }
+    if (detection.packages.length === 0) {
+      return;
+    }
+
+    const selected = selectWorkspacePackages(detection, this.config.workspaces).map(item => item.path);
+    console.log(chalk.blue(`\n📦 Monorepo packages${detection.tools.length > 0 ? ` (${detection.tools.join(', ')})` : ''}`));
+    const { packages } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'packages',
+        message: 'Which packages should get their own rules file? (they link back to the root file)',
+        choices: detection.packages.map(item => ({
+          name: `${item.name} (${item.path})`,
+          value: item.path,
+          checked: selected.includes(item.path)
+        }))
+      }
+    ]);
+    this.config.workspaces = packages.length > 0 ? { packages } : false;
+  }
+
+  /**
+   * Sets config.ci to the project's CI checks and deployment targets unless the config sets it
+   * @param {Object} config - Configuration object; ci: false leaves the CI/CD section out
+   * @param {string} [root] - Directory to read the pipelines from (defaults to the project root)
+   * @returns {Promise<Object>} Config with ci set, or the config itself
+   */
+  async withDetectedPipelines(config, root = this.projectRoot) {
+    if (config.ci !== undefined) {
+      return config;
+    }
+    let detected;
+    try {
+      detected = await detectPipelines(root);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the CI pipelines: ${error.message}`));
+      return config;
+    }
+    if (detected.checks.length === 0 && detected.deployments.length === 0) {
+      return config;
+    }
+    return { ...config, ci: { checks: detected.checks, deployments: detected.deployments } };
+  }
+
+  /**
+   * Fills the purposes config.commands leaves out with the commands the project defines
+   * @param {Object} config - Configuration object
+   * @param {string} [root] - Directory to read the commands from (defaults to the project root)
+   * @param {Object} [options] - Options for detectProjectCommands
+   * @returns {Promise<Object>} Config with the merged commands, or the config itself when none are found
+   */
+  async withDetectedCommands(config, root = this.projectRoot, options = {}) {
+    let detected;
+    try {
+      detected = await detectProjectCommands(root, options);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not read the project commands: ${error.message}`));
+      return config;
+    }
+    if (Object.keys(detected.commands).length === 0) {
+      return config;
+    }
+    return { ...config, commands: { ...detected.commands, ...(config.commands || {}) } };
+  }
+
+  /**
+   * Loads the output target plugins listed in a config file
+   * @param {Object} config - Loaded config
+   * @param {string} configPath - Path of the config file; plugin paths are relative to it
+   */
+  loadPlugins(config, configPath) {
+    const registered = loadTargetPlugins(config.plugins, path.dirname(path.resolve(configPath)));
+    if (registered.length > 0) {
+      console.log(chalk.gray(`🔌 Loaded output targets: ${registered.join(', ')}`));
+    }
+  }
+
+  /**
+   * Writes the files generated for each target, keeping content outside managed regions
+   *
+   * Existing files are only replaced after a diff preview (interactive) and are
+   * backed up to .agent-rules/backups first. Files are fitted into their size
+   * budget again once hand-written content has been merged back in, and the
+   * sections removed to fit are reported before anything is written.
+   *
+   * @param {Array<Object>} results - Results as { target, files } from generateTargets
+   * @param {Object} [options] - Write options
+   * @param {boolean} [options.force] - Overwrite hand-edited managed regions without asking
+   * @param {boolean} [options.interactive] - Ask before overwriting existing files and edited regions
+   * @param {boolean} [options.dryRun] - Print diffs without writing anything
+   * @returns {Promise<Array<Object>>} Summary rows as { target, path, size, file }
+   */
+  async writeTargetResults(results, options = {}) {
+    const generated = results.flatMap(({ target, files }) => files.map(file => ({ target, file })));
+    const merged = (await this.preserveManualEdits(generated.map(({ file }) => file), options))
+      .map(file => this.refitMergedFile(file));
+    for (const file of merged) {
+      const warning = file.budget && formatBudgetWarning(file.filename, file.budget);
+      if (warning) {
+        console.log(chalk.yellow(`⚠️ ${warning}`));
+      }
+    }
+    const backupId = createBackupId();
+    const state = { overwriteAll: false };
+    const rows = [];
+    let backups = 0;
+
+    for (const [index, file] of merged.entries()) {
+      const { action, existing } = await this.confirmOverwrite(file, options, state);
+      const filePath = path.resolve(file.filename);
+      const row = {
+        target: generated[index].target,
+        path: filePath,
+        size: formatSize(file.content, file.budget && file.budget.limit),
+        file
+      };
+
+      if (action === 'write') {
+        if (existing !== null && await backupFile(filePath, backupId, this.projectRoot)) {
+          backups++;
+        }
+        await writeOutputFiles([file]);
+      } else if (action === 'side') {
+        const sideFile = { ...file, filename: `${file.filename}.new` };
+        [row.path] = await writeOutputFiles([sideFile]);
+        row.file = sideFile;
+      } else {
+        row.path = `${filePath} (${{ unchanged: 'unchanged', cancel: 'kept existing', dryRun: 'dry run' }[action]})`;
+      }
+      rows.push(row);
+    }
+
+    if (backups > 0) {
+      console.log(chalk.gray(`💾 Backed up ${backups} file(s) to ${path.join(BACKUP_DIR, backupId)}. Run "agent-rules-generator restore" to roll back.`));
+    }
+    return rows;
+  }
+
+  /**
+   * Fits a generated file into its size budget again after hand-written content was merged in
+   * @param {Object} file - Merged file as { filename, content, budget }
+   * @returns {Object} The file with content and budget for the merged result; sections removed before the merge stay listed
+   */
+  refitMergedFile(file) {
+    if (!file.budget || file.content.length <= file.budget.limit) {
+      return file;
+    }
+    const { content, ...budget } = applyRegionBudget(file.content, file.budget);
+    return { ...file, content, budget: { ...budget, removed: [...file.budget.removed, ...budget.removed] } };
+  }
+
+  /**
+   * Shows what will change in an existing file and decides whether to write it
+   * @param {Object} file - File to write as { filename, content }
+   * @param {Object} options - Write options (see writeTargetResults)
+   * @param {Object} state - Shared state for the run ({ overwriteAll })
+   * @returns {Promise<Object>} Object with action ('write', 'side', 'cancel', 'unchanged' or 'dryRun') and existing content
+   */
+  async confirmOverwrite(file, options, state) {
+    let existing = null;
+    try {
+      existing = await fs.readFile(file.filename, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (existing === null) {
+      return { action: options.dryRun ? 'dryRun' : 'write', existing };
+    }
+    if (existing === file.content) {
+      return { action: 'unchanged', existing };
+    }
+
+    const diff = createUnifiedDiff(existing, file.content, {
+      oldLabel: `${file.filename} (current)`,
+      newLabel: `${file.filename} (generated)`
+    });
+    const { added, removed } = getDiffStats(diff);
+
+    if (!options.interactive || state.overwriteAll) {
+      if (options.dryRun) {
+        console.log(`\n${colorizeDiff(diff)}\n`);
+      } else {
+        console.log(chalk.gray(`✏️  ${file.filename}: +${added} -${removed} lines`));
+      }
+      return { action: options.dryRun ? 'dryRun' : 'write', existing };
+    }
+
+    console.log(chalk.yellow(`\n${file.filename} already exists (+${added} -${removed} lines):\n`));
+    console.log(colorizeDiff(diff));
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: `What would you like to do with ${file.filename}?`,
+        choices: [
+          { name: 'Overwrite (a backup is kept)', value: 'write' },
+          { name: 'Overwrite this and all remaining files', value: 'all' },
+          { name: `Write to ${file.filename}.new instead`, value: 'side' },
+          { name: 'Cancel (keep the existing file)', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    if (action === 'all') {
+      state.overwriteAll = true;
+      return { action: 'write', existing };
+    }
+    return { action, existing };
+  }
+
+  /**
+   * Imports an existing rules file into a saved config and optionally a recipe
+   * @param {Object} options - Parsed CLI options
+   * @param {string} [options.out] - Config file to write (defaults to .agentrules.yaml)
+   * @param {string} [options.recipe] - Also write the import as a recipe (JSON or YAML)
+   * @param {boolean} [options.force] - Overwrite an existing config file
+   * @param {Array<string>} positionals - Rules file to import
+   */
+  async importCommand(options, positionals) {
+    const [filePath] = positionals;
+    if (!filePath) {
+      throw new Error('Missing rules file. Usage: agent-rules-generator import <file> [--out .agentrules.yaml] [--recipe recipe.yaml]');
+    }
+
+    const outPath = typeof options.out === 'string' ? options.out : PROJECT_CONFIG_FILE;
+    if (!options.force && await fs.access(outPath).then(() => true, () => false)) {
+      throw new Error(`${outPath} already exists. Use --force to overwrite it.`);
+    }
+
+    const { config, recipe, customRules, mappedSections } = await importRulesFile(filePath);
+    await saveProjectConfig(config, outPath);
+
+    console.log(chalk.green(`✅ Imported ${filePath} into ${outPath}`));
+    console.log(chalk.gray(`   Mapped sections: ${mappedSections.join(', ') || 'none'}`));
+    if (customRules) {
+      const rulesKey = config.windsurfRules ? 'windsurfRules' : 'agentRules';
+      console.log(chalk.gray(`   Unmapped content kept as custom rules (${rulesKey}, ${customRules.split('\n').length} lines)`));
+    }
+
+    if (typeof options.recipe === 'string') {
+      await fileFormatHandler.writeFile(options.recipe, recipe);
+      console.log(chalk.green(`✅ Recipe "${recipe.name}" saved to ${options.recipe}`));
+    }
+
+    const { errors } = validateConfig(config);
+    errors.forEach(error => console.log(chalk.yellow(`⚠️ ${error} - fill it in before running "generate --answers ${outPath}"`)));
+  }
+
+  /**
+   * Converts a rules file from one assistant's format to another
+   * @param {Object} options - Parsed CLI options
+   * @param {string} [options.from] - Source format (detected from the file name when omitted)
+   * @param {string} options.to - Target format, e.g. cursor-mdc, windsurf or claude
+   * @param {string} [options.out] - Output path (defaults to the target's filename)
+   * @param {boolean} [options.force] - Overwrite managed regions that were edited by hand
+   * @param {boolean} [options.dryRun] - Show what would change without writing files
+   * @param {Array<string>} positionals - Rules file, or Cursor rules directory, to convert
+   */
+  async convertCommand(options, positionals) {
+    const [filePath] = positionals;
+    if (!filePath || typeof options.to !== 'string') {
+      throw new Error('Missing rules file or --to. Usage: agent-rules-generator convert --from windsurf --to cursor-mdc <file>');
+    }
+
+    const { results, from, mappedSections, defaultedSections, customRules } = await convertRulesFile(filePath, {
+      from: typeof options.from === 'string' ? options.from : undefined,
+      to: options.to,
+      out: typeof options.out === 'string' ? options.out : undefined
+    });
+    const rows = await this.writeTargetResults(results, {
+      force: options.force === true,
+      dryRun: options.dryRun === true
+    });
+
+    console.log(chalk.green(`✅ Converted ${filePath} (${from}) to ${results[0].target}`));
+    console.log(chalk.gray(`   Mapped sections: ${mappedSections.join(', ') || 'none'}`));
+    if (customRules) {
+      console.log(chalk.gray(`   Unmapped content carried over (${customRules.split('\n').length} lines)`));
+    }
+    if (defaultedSections.length > 0) {
+      console.log(chalk.yellow(`⚠️ Not found in ${filePath}, filled with defaults: ${defaultedSections.join(', ')} - review them before committing`));
+    }
+    console.log(formatSummaryTable(rows));
+  }
+
+  /**
+   * Runs a template subcommand; `template lint` checks templates for unknown
+   * placeholders, malformed blocks and config fields they never use
+   * @param {Object} options - Parsed CLI options
+   * @param {string} [options.answers] - Answers file to lint against
+   * @param {string} [options.config] - Saved answers file to lint against (default: .agentrules.yaml when it exists)
+   * @param {Array<string>} positionals - Subcommand, then an optional template name or path
+   */
+  async templateCommand(options, positionals) {
+    const [subcommand, nameOrPath] = positionals;
+    if (subcommand !== 'lint') {
+      throw new Error(`Unknown template command: ${subcommand || '(none)'}. Usage: agent-rules-generator template lint [name|path] [--answers file]`);
+    }
+
+    let templates;
+    if (nameOrPath) {
+      templates = [await resolveTemplateOption(nameOrPath, { projectRoot: this.projectRoot })];
+    } else {
+      const found = new Map();
+      for (const target of listTargets().filter(item => !item.multiFile)) {
+        const matches = await findTemplatesForTarget(target, { projectRoot: this.projectRoot });
+        matches.forEach(template => found.set(template.path, template));
+      }
+      templates = [...found.values()];
+    }
+    if (templates.length === 0) {
+      throw new Error('No templates found to lint');
+    }
+
+    let config;
+    let configSource;
+    if (typeof options.answers === 'string') {
+      ({ config } = await loadConfigFile(options.answers));
+      configSource = options.answers;
+    } else {
+      const configPath = typeof options.config === 'string' ? options.config : PROJECT_CONFIG_FILE;
+      const saved = await loadProjectConfig(configPath);
+      config = saved ? saved.config : normalizeConfig({ overview: { projectName: '', description: '' } });
+      configSource = saved ? configPath : 'default answers';
+    }
+
+    console.log(chalk.blue(`\n🔍 Linting ${templates.length} template(s) against ${configSource}\n`));
+    let failed = false;
+    for (const template of templates) {
+      const { errors, unknown, unused } = await lintTemplateSource(template.body, config, { projectRoot: this.projectRoot });
+      console.log(chalk.bold(`${template.name} (${template.source === 'path' ? template.path : template.source})`));
+      errors.forEach(error => console.log(chalk.red(`  ❌ ${error}`)));
+      unknown.forEach(valuePath => console.log(chalk.red(`  ❌ Unknown placeholder {{${valuePath}}}`)));
+      unused.forEach(field => console.log(chalk.yellow(`  ⚠️ Never uses ${field}`)));
+      if (errors.length === 0 && unknown.length === 0 && unused.length === 0) {
+        console.log(chalk.green('  ✅ No problems found'));
+      }
+      failed = failed || errors.length > 0 || unknown.length > 0;
+    }
+
+    if (failed) {
+      process.exitCode = 1;
+    }
+  }
+
+  /**
+   * Restores rules files from a backup made before they were overwritten
+   * @param {Object} options - Parsed CLI options
+   * @param {boolean} [options.list] - Only list the available backups
+   * @param {Array<string>} positionals - Optional backup id to restore
+   */
+  async restoreCommand(options, positionals) {
+    const backups = await listBackups(this.projectRoot);
+    if (backups.length === 0) {
+      throw new Error(`No backups found in ${BACKUP_DIR}`);
+    }
+
+    const describe = backup => `${backup.id} (${backup.files.map(file => file.original).join(', ')})`;
+
+    if (options.list) {
+      console.log(chalk.blue('\n💾 Available backups (newest first):\n'));
+      backups.forEach(backup => console.log(`  ${describe(backup)}`));
+      return;
+    }
+
+    let [backupId] = positionals;
+    if (!backupId) {
+      ({ backupId } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'backupId',
+          message: 'Which backup would you like to restore?',
+          choices: backups.map(backup => ({ name: describe(backup), value: backup.id }))
+        }
+      ]));
+    }
+
+    const { restored, backupId: safetyId } = await restoreBackup(backupId, this.projectRoot);
+    restored.forEach(filePath => console.log(chalk.green(`✅ Restored ${filePath}`)));
+    console.log(chalk.gray(`💾 The replaced versions were saved to ${path.join(BACKUP_DIR, safetyId)}`));
+  }
+
+  /**
+   * Merges generated files into existing ones and resolves hand-edited managed regions
+   * @param {Array<Object>} files - Generated files as { filename, content }
+   * @param {Object} options - Write options (see writeTargetResults)
+   * @returns {Promise<Array<Object>>} Files to write
+   */
+  async preserveManualEdits(files, options) {
+    const merged = await mergeWithExistingFiles(files);
+    if (merged.conflicts.length === 0) {
+      return merged.files;
+    }
+
+    console.log(chalk.yellow(`\n⚠️ ${formatConflictReport(merged.conflicts)}\n`));
+
+    let overwrite = options.force === true;
+    if (!overwrite && options.interactive) {
+      ({ overwrite } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'overwrite',
+          message: 'Overwrite the edited regions with the newly generated content?',
+          default: false
+        }
+      ]));
+    }
+
+    if (overwrite) {
+      return merged.files;
+    }
+    if (!options.interactive) {
+      console.log(chalk.yellow('Keeping edited regions. Use --force to overwrite them.'));
+    }
+    return (await mergeWithExistingFiles(files, { keepEdited: true })).files;
+  }
+
   async listRecipesCommand() {
     console.log(chalk.blue('📋 Loading available recipes...'));
     try {
@@ -284,12 +1194,46 @@ class AgentRulesGenerator {
     console.log('Usage: agent-rules-generator [command]\n');
     console.log('Commands:');
     console.log('  generate         Generate agent rules file (default)');
+    console.log(`  regenerate       Rebuild rules from saved answers (${PROJECT_CONFIG_FILE})`);
+    console.log('  restore [id]     Restore rules files from a backup (--list to show backups)');
+    console.log('  import <file>    Import an existing .cursorrules/.windsurfrules/.agent.md file');
+    console.log('  convert <file>   Convert a rules file to another assistant\'s format (--to cursor-mdc)');
+    console.log('  template lint [name|path] Check templates for unknown placeholders and unused fields');
+    console.log('  scan [--json]    Show the technology stack, project type, coding standards, commands, git workflow, CI/CD and monorepo packages detected in the project');
     console.log('  refresh          Refresh recipes from remote repository');
     console.log('  clear-cache      Clear local recipe cache');
     console.log('  cache-info       Show cache information');
     console.log('  list-recipes     List all available recipes');
     console.log('  configure-gemini Configure Gemini CLI to use .agent.md');
     console.log('  help             Show this help message\n');
+    console.log('Generate options:');
+    console.log('  --answers <file> JSON/YAML answers file to generate from without prompts');
+    console.log('  --target <type>  Output type: agent, windsurf, cursor, copilot, agents or claude (default: agent)');
+    console.log('  --targets <list> Comma separated output types to generate in one run, e.g. agent,claude');
+    console.log('  --out <path>     Output path, or rules directory for cursor (single target only)');
+    console.log('  --template <name|path> Template to render with (searched in .agent-rules/templates, ~/.agent-rules/templates, then bundled)');
+    console.log('  --no-template    Use the built-in layout instead of a template');
+    console.log('  --recipe-rules <mode> How recipe rules are added: append, merge or replace');
+    console.log('  --tree [depth]   Show the real directory tree (respects .gitignore, default depth 2); --no-tree turns it off');
+    console.log('  --tree-exclude <list> Comma separated .gitignore-style patterns to leave out of the tree');
+    console.log('  --packages <list> Monorepo packages that get their own rules file (default: all); --no-packages writes only the root files');
+    console.log('  --force          Overwrite managed regions that were edited by hand');
+    console.log('  --dry-run        Show a diff of what would change without writing files\n');
+    console.log('Import options:');
+    console.log(`  --out <file>     Config file to write (default: ${PROJECT_CONFIG_FILE})`);
+    console.log('  --recipe <file>  Also save the import as a recipe (JSON or YAML)');
+    console.log('  --force          Overwrite an existing config file\n');
+    console.log('Convert options:');
+    console.log('  --from <format>  Source format (default: detected from the file name)');
+    console.log('  --to <format>    Target format: cursor-mdc, windsurf, agent, copilot, agents or claude');
+    console.log('  --out <path>     Output path (default: the target\'s filename)');
+    console.log('  --dry-run        Show a diff of what would change without writing files\n');
+    console.log('Template lint options:');
+    console.log('  --answers <file> Answers file to check the templates against');
+    console.log(`  --config <file>  Saved answers file (default: ${PROJECT_CONFIG_FILE} when it exists)\n`);
+    console.log('Regenerate options:');
+    console.log(`  --config <file>  Saved answers file (default: ${PROJECT_CONFIG_FILE})`);
+    console.log('  --sections <list> Comma separated sections to re-ask, e.g. codingStandards,technologyStack\n');
   }
 
   async configureRemoteRepository() {
@@ -413,31 +1357,55 @@ class AgentRulesGenerator {
     }
   }
 
+  async selectRecipeRulesMode() {
+    // Cursor rules keep recipe rules in their own .mdc file
+    const targets = getTargets(this.config);
+    if (!getRecipeRules(this.config) || this.config.recipeRulesMode || targets.every(target => target === 'cursor')) {
+      return;
+    }
+
+    const source = this.config.recipeName ? `The "${this.config.recipeName}" recipe` : 'The applied recipe';
+    const { recipeRulesMode } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'recipeRulesMode',
+        message: `${source} includes curated rules. How should they be added?`,
+        choices: [
+          { name: 'Append after the generated rules', value: 'append' },
+          { name: 'Merge into matching sections', value: 'merge' },
+          { name: 'Replace the generated rules', value: 'replace' }
+        ],
+        default: 'append'
+      }
+    ]);
+
+    this.config.recipeRulesMode = recipeRulesMode;
+  }
+
   async generateAndSave() {
     try {
-      const content = await generateAgentFile(this.config, inquirer);
-      const filename = this.config.fileType === 'agent' ? '.agent.md' : '.windsurfrules';
-      
-      const fs = require('fs').promises;
-      const path = require('path');
-      await fs.writeFile(filename, content);
-      
-      console.log(chalk.green(`\n✅ ${filename} has been generated successfully!`));
-      console.log(chalk.cyan(`📄 File saved as: ${path.resolve(filename)}`));
-      
+      await this.selectRecipeRulesMode();
+      const results = await this.generateWorkspaceTargets(this.config);
+      const rows = await this.writeTargetResults(results, { interactive: true });
+
+      console.log(chalk.green(`\n✅ ${rows.length} file(s) generated successfully!\n`));
+      console.log(chalk.cyan(formatSummaryTable(rows)));
+
       const { openFile } = await inquirer.prompt([
         {
           type: 'confirm',
           name: 'openFile',
-          message: 'Would you like to preview the generated file?',
+          message: rows.length > 1 ? 'Would you like to preview the generated files?' : 'Would you like to preview the generated file?',
           default: true
         }
       ]);
 
       if (openFile) {
-        console.log(chalk.gray('\n--- Generated File Preview ---'));
-        console.log(content);
-        console.log(chalk.gray('--- End of File ---\n'));
+        rows.forEach(({ target, file }) => {
+          console.log(chalk.gray(`\n--- Generated File Preview (${target}): ${file.filename} ---`));
+          console.log(file.content);
+          console.log(chalk.gray('--- End of File ---\n'));
+        });
       }
     } catch (error) {
       console.error(chalk.red(`❌ Error generating file: ${error.message}`));
@@ -466,6 +1434,7 @@ class AgentRulesGenerator {
 
       if (useForProject) {
         this.config.technologyStack = { ...recipe.techStack };
+        this.config.recipeName = recipe.name;
         if (recipe.windsurfRules) {
           this.config.windsurfRules = recipe.windsurfRules;
         }
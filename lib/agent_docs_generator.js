@@ -0,0 +1,193 @@
+/**
+ * AGENTS.md and CLAUDE.md Generator
+ * Builds the cross-tool AGENTS.md file and Claude's CLAUDE.md memory file
+ *
+ * Both files are organized around what a coding agent needs first: the
+ * commands to build and test the project, the conventions to follow and the
+ * boundaries it must not cross. Boundaries depend on the selected project types.
+ */
+
+const { capitalize, generateTechSpecificGuidelines } = require('./generator_lib');
+const { getProjectTypeFlags } = require('./project_types');
+const { applyRecipeRules } = require('./recipe_rules');
+const { getProjectCommands, formatCommandBlock } = require('./project_commands');
+const { formatCommitExamples } = require('./workflow_detector');
+const { formatCiSection } = require('./ci_detector');
+const { formatWorkspaceSection } = require('./workspace_detector');
+
+/**
+ * Formats the commands block, with a reminder when no commands are known
+ * @param {Object} config - Configuration object
+ * @returns {string} Markdown code block or reminder
+ */
+function formatCommands(config) {
+  return formatCommandBlock(getProjectCommands(config)) ||
+    '_No build or test commands configured. Add them here so agents can verify their changes._';
+}
+
+/**
+ * Builds the list of things an agent must not do
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Boundary rules
+ */
+function getBoundaries(config) {
+  const { overview, projectStructure, technologyStack } = config;
+  const flags = getProjectTypeFlags(overview.projectType);
+
+  const boundaries = [
+    `Never edit generated files in \`${projectStructure.buildDir}/\``,
+    'Never commit secrets, credentials or `.env` files',
+    'Do not add new dependencies without discussion'
+  ];
+
+  if (flags.isLibrary) {
+    boundaries.push('Do not change the public API without a matching version bump and changelog entry');
+  }
+  if (flags.isCliTool) {
+    boundaries.push('Keep existing commands, flags and output formats backwards compatible');
+  }
+  if ((flags.isWebApp || flags.isApiBackend) && technologyStack.database) {
+    boundaries.push('Never change the database schema without a migration');
+  }
+  if (flags.isApiBackend) {
+    boundaries.push('Do not introduce breaking API changes without versioning the endpoint');
+  }
+  if (flags.isMobileApp) {
+    boundaries.push('Do not modify native project settings, signing or store metadata unless asked');
+  }
+  if (flags.isDesktopApp) {
+    boundaries.push('Do not change packaging, signing or auto-update configuration unless asked');
+  }
+
+  return boundaries;
+}
+
+/**
+ * Builds the shared conventions bullet list
+ * @param {Object} config - Configuration object
+ * @returns {string} Markdown bullet list
+ */
+function formatConventions(config) {
+  const { codingStandards, projectStructure } = config;
+
+  return `- Use ${codingStandards.indentation} for indentation and ${codingStandards.quotes} quotes${codingStandards.lineLength ? `
+- Keep lines within ${codingStandards.lineLength} characters` : ''}
+- Naming: ${codingStandards.naming}
+- Code must pass: ${codingStandards.linting.join(', ') || 'the project linters'}
+- Comments: ${codingStandards.comments}
+- Organization: ${projectStructure.organization} (source in \`${projectStructure.sourceDir}/\`, tests in \`${projectStructure.testDir}/\`)`;
+}
+
+/**
+ * Generates AGENTS.md content
+ * @param {Object} config - Configuration object
+ * @returns {string} Generated AGENTS.md content, including any recipe-provided rules
+ */
+function generateAgentsMd(config) {
+  const { overview, technologyStack, workflowGuidelines } = config;
+  const guidelines = generateTechSpecificGuidelines(technologyStack);
+
+  const content = `# AGENTS.md
+
+## Project Overview
+
+${overview.projectName} is a ${overview.projectType.join(', ')} project. ${overview.description}
+
+${Object.entries(technologyStack)
+  .filter(([key, value]) => value && value.trim())
+  .map(([key, value]) => `- **${capitalize(key)}:** ${value}`)
+  .join('\n')}
+
+${formatWorkspaceSection(config)}## Build and Test Commands
+
+${formatCommands(config)}
+
+${formatCiSection(config)}## Code Style
+
+${formatConventions(config)}
+${guidelines ? `
+## Technology Guidelines
+
+${guidelines}
+` : ''}
+## Testing Instructions
+
+- Use ${technologyStack.testing || 'the project test framework'}
+- Run the test command before finishing a task and fix any failures
+- Add or update tests for the code you change
+
+## Pull Request Instructions
+
+- Git workflow: ${workflowGuidelines.gitWorkflow}
+- Branch naming: ${workflowGuidelines.branchNaming}
+- Commit style: ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
+- Make sure linting and tests pass before opening a pull request
+
+## Boundaries
+
+${getBoundaries(config).map(rule => `- ${rule}`).join('\n')}
+
+---
+
+*Generated by agent-rules-generator v1.0.0*`;
+
+  return applyRecipeRules(content, config);
+}
+
+/**
+ * Generates CLAUDE.md content
+ * @param {Object} config - Configuration object
+ * @returns {string} Generated CLAUDE.md content, including any recipe-provided rules
+ */
+function generateClaudeMd(config) {
+  const { overview, technologyStack, projectStructure, workflowGuidelines } = config;
+  const guidelines = generateTechSpecificGuidelines(technologyStack);
+
+  const content = `# CLAUDE.md
+
+This file provides guidance to Claude when working with code in this repository.
+
+## Project
+
+${overview.projectName} (${overview.projectType.join(', ')}): ${overview.description}
+
+${formatWorkspaceSection(config)}## Commands
+
+${formatCommands(config)}
+
+${formatCiSection(config)}## Architecture
+
+- Source code: \`${projectStructure.sourceDir}/\`
+- Tests: \`${projectStructure.testDir}/\`
+- Configuration: \`${projectStructure.configDir}/\`
+- Organization: ${projectStructure.organization}
+- Stack: ${Object.values(technologyStack).filter(value => value && value.trim()).join(', ')}
+
+## Conventions
+
+${formatConventions(config)}
+${guidelines ? `
+${guidelines}
+` : ''}
+## Workflow
+
+- Run the tests and linters after making changes
+- Commit style: ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
+- Branch naming: ${workflowGuidelines.branchNaming}
+
+## Boundaries
+
+${getBoundaries(config).map(rule => `- IMPORTANT: ${rule}`).join('\n')}
+
+---
+
+*Generated by agent-rules-generator v1.0.0*`;
+
+  return applyRecipeRules(content, config);
+}
+
+module.exports = {
+  generateAgentsMd,
+  generateClaudeMd,
+  getBoundaries
+};
@@ -0,0 +1,150 @@
+/**
+ * Backup Manager
+ * Keeps timestamped copies of rules files before they are overwritten
+ *
+ * Each run that overwrites files gets its own backup set:
+ *
+ *   .agent-rules/backups/<id>/manifest.json
+ *   .agent-rules/backups/<id>/files/<n>-<basename>
+ *
+ * The manifest records where every file came from so `restore` can put it back.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const BACKUP_DIR = path.join('.agent-rules', 'backups');
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Creates a sortable backup id from a date
+ * @param {Date} [date] - Backup time
+ * @returns {string} Id such as 2024-12-19T10-30-00-000Z
+ */
+function createBackupId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Gets the directory of a backup set
+ * @param {string} backupId - Backup id
+ * @param {string} [rootDir] - Project root
+ * @returns {string} Absolute backup directory
+ */
+function getBackupPath(backupId, rootDir = process.cwd()) {
+  return path.resolve(rootDir, BACKUP_DIR, backupId);
+}
+
+/**
+ * Reads the manifest of a backup set
+ * @param {string} backupPath - Backup directory
+ * @returns {Promise<Object|null>} Manifest or null if the set does not exist
+ */
+async function readManifest(backupPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(backupPath, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Copies a file into a backup set
+ * @param {string} filePath - File to back up
+ * @param {string} backupId - Backup set to add the file to
+ * @param {string} [rootDir] - Project root; paths inside it are stored relative to it
+ * @returns {Promise<string|null>} Path of the backup copy, or null if the file does not exist
+ */
+async function backupFile(filePath, backupId, rootDir = process.cwd()) {
+  const source = path.resolve(rootDir, filePath);
+  let content;
+  try {
+    content = await fs.readFile(source);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  const backupPath = getBackupPath(backupId, rootDir);
+  const manifest = await readManifest(backupPath) || { id: backupId, createdAt: new Date().toISOString(), files: [] };
+  const relative = path.relative(path.resolve(rootDir), source);
+  const original = relative.startsWith('..') || path.isAbsolute(relative) ? source : relative;
+
+  const copyName = path.join('files', `${manifest.files.length + 1}-${path.basename(source)}`);
+  await fs.mkdir(path.join(backupPath, 'files'), { recursive: true });
+  await fs.writeFile(path.join(backupPath, copyName), content);
+
+  manifest.files.push({ original, backup: copyName });
+  await fs.writeFile(path.join(backupPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  return path.join(backupPath, copyName);
+}
+
+/**
+ * Lists backup sets, newest first
+ * @param {string} [rootDir] - Project root
+ * @returns {Promise<Array<Object>>} Manifests as { id, createdAt, files }
+ */
+async function listBackups(rootDir = process.cwd()) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.resolve(rootDir, BACKUP_DIR));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const backups = [];
+  for (const entry of entries) {
+    const manifest = await readManifest(getBackupPath(entry, rootDir));
+    if (manifest) {
+      backups.push(manifest);
+    }
+  }
+  return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Restores every file in a backup set
+ *
+ * The current versions are backed up first, so a restore can itself be undone.
+ *
+ * @param {string} backupId - Backup set to restore
+ * @param {string} [rootDir] - Project root
+ * @returns {Promise<Object>} Object with restored (absolute paths) and backupId of the pre-restore backup
+ * @throws {Error} If the backup set does not exist
+ */
+async function restoreBackup(backupId, rootDir = process.cwd()) {
+  const backupPath = getBackupPath(backupId, rootDir);
+  const manifest = await readManifest(backupPath);
+  if (!manifest) {
+    throw new Error(`Backup not found: ${backupId}`);
+  }
+
+  const safetyId = createBackupId();
+  const restored = [];
+  for (const file of manifest.files) {
+    const target = path.resolve(rootDir, file.original);
+    await backupFile(target, safetyId, rootDir);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(path.join(backupPath, file.backup), target);
+    restored.push(target);
+  }
+
+  return { restored, backupId: safetyId };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  createBackupId,
+  backupFile,
+  listBackups,
+  restoreBackup
+};
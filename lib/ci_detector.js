@@ -0,0 +1,412 @@
+/**
+ * CI/CD Detector
+ * Summarizes a project's CI pipelines and deployment targets for the CI/CD section
+ *
+ * Reads GitHub Actions workflows, .gitlab-ci.yml, CircleCI and Jenkinsfile
+ * pipelines, hosting configs (vercel.json, netlify.toml, fly.toml, ...),
+ * Dockerfiles and Compose files. Jobs that run on pull requests become the
+ * checks a change must pass; deploy and release jobs and hosting configs
+ * become deployment targets.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { DEPLOYMENT_FILES, readProjectFile } = require('./project_scanner');
+const { parseToml, parseDockerfile } = require('./manifest_parsers');
+
+const GITHUB_WORKFLOWS_DIR = '.github/workflows';
+const PULL_REQUEST_EVENTS = ['pull_request', 'pull_request_target', 'merge_group'];
+
+/**
+ * Top-level .gitlab-ci.yml keys that are not jobs
+ */
+const GITLAB_KEYWORDS = ['stages', 'variables', 'default', 'include', 'workflow', 'image', 'services', 'before_script', 'after_script', 'cache'];
+
+/**
+ * Commands that set up a job rather than check anything
+ */
+const SETUP_COMMAND = /^(?:npm (?:ci|install)|yarn(?: install)?(?:\s+--\S+)*$|pnpm install|bun install|pip3? install|python -m pip install|poetry install|uv sync|pipenv install|go mod download|bundle install|composer install|apt-get|sudo |echo |cd |export |mkdir |cp |git config)/;
+
+const MAX_COMMANDS = 3;
+
+/**
+ * What a job does, matched against its id, name, steps and commands
+ */
+const JOB_KINDS = {
+  deploy: /\b(?:deploy(?:ment)?|release|publish)\b|(?:npm|cargo|twine|gem) (?:publish|upload|push)|docker push|kubectl apply|helm upgrade|gh-pages|vercel|netlify|flyctl|fly deploy|firebase deploy|wrangler (?:deploy|publish)|serverless deploy|actions\/deploy-pages|webapps-deploy/i,
+  test: /\b(?:tests?|spec|pytest|jest|vitest|mocha|e2e|playwright|cypress|coverage|go test|cargo test|rspec|phpunit|tox|nox)\b/i,
+  lint: /\b(?:lint(?:ing)?|eslint|ruff|flake8|pylint|clippy|golangci(?:-lint)?|rubocop|stylelint|format(?:ting)?|fmt|prettier|black)\b/i,
+  typecheck: /\b(?:tsc|type-?check|mypy|pyright)\b/i,
+  security: /\b(?:codeql|snyk|trivy|audit|semgrep|gitleaks|security|dependency-review|secret-scan(?:ning)?)\b/i,
+  performance: /\b(?:lighthouse|k6|benchmarks?|bench|perf(?:ormance)?|load-test)\b/i,
+  build: /\b(?:build|compile)\b/i
+};
+
+/**
+ * CI/CD checklist answers for each kind of job
+ */
+const KIND_PROCESSES = {
+  test: 'Automated Testing',
+  lint: 'Code Quality Checks',
+  typecheck: 'Code Quality Checks',
+  security: 'Security Scanning',
+  performance: 'Performance Testing',
+  deploy: 'Deployment'
+};
+
+/**
+ * Classifies a job
+ * @param {Array<string>} texts - Job id, name, step names, commands and actions
+ * @returns {Array<string>} Kinds from JOB_KINDS
+ */
+function classifyJob(texts) {
+  const text = texts.filter(item => typeof item === 'string').join('\n');
+  return Object.keys(JOB_KINDS).filter(kind => JOB_KINDS[kind].test(text));
+}
+
+/**
+ * Picks the commands worth repeating locally from a job's scripts
+ * @param {Array<string>} scripts - Script blocks
+ * @returns {Array<string>} Up to three single-line commands
+ */
+function pickCommands(scripts) {
+  return scripts
+    .filter(script => typeof script === 'string')
+    .flatMap(script => script.replace(/\s*\\\n\s*/g, ' ').split('\n'))
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.includes('${{') && !SETUP_COMMAND.test(line))
+    .slice(0, MAX_COMMANDS);
+}
+
+/**
+ * Creates a job summary
+ * @param {Object} fields - Job as { name, source, texts, scripts, checked }
+ * @returns {Object} Job as { name, source, commands, kinds, checked }
+ */
+function createJob({ name, source, texts, scripts, checked }) {
+  const commands = pickCommands(scripts);
+  return { name, source, commands, kinds: classifyJob([name, ...texts, ...commands]), checked };
+}
+
+/**
+ * Loads a YAML pipeline file
+ */
+function loadYaml(fileName, content) {
+  try {
+    return yaml.load(content) || {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads GitHub Actions workflows
+ */
+async function readGithubActions(projectRoot) {
+  let fileNames;
+  try {
+    fileNames = (await fs.readdir(path.join(projectRoot, GITHUB_WORKFLOWS_DIR))).filter(name => /\.ya?ml$/.test(name)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+
+  const jobs = [];
+  for (const fileName of fileNames) {
+    const source = `${GITHUB_WORKFLOWS_DIR}/${fileName}`;
+    const workflow = loadYaml(source, await readProjectFile(projectRoot, source));
+    const on = workflow.on !== undefined ? workflow.on : workflow[true];
+    const events = typeof on === 'string' ? [on] : Array.isArray(on) ? on : Object.keys(on || {});
+    const workflowName = typeof workflow.name === 'string' ? workflow.name : fileName.replace(/\.ya?ml$/, '');
+
+    Object.entries(workflow.jobs || {}).forEach(([id, definition]) => {
+      const job = definition || {};
+      const steps = Array.isArray(job.steps) ? job.steps.filter(Boolean) : [];
+      const jobName = typeof job.name === 'string' && !job.name.includes('${{') ? job.name : id;
+      jobs.push(createJob({
+        name: `${workflowName} / ${jobName}`,
+        source,
+        texts: [id, job.uses, ...steps.map(step => step.name), ...steps.map(step => step.uses)],
+        scripts: steps.map(step => step.run),
+        checked: events.some(event => PULL_REQUEST_EVENTS.includes(event))
+      }));
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Reads GitLab CI jobs; manual jobs are not required checks
+ */
+async function readGitlabCi(projectRoot) {
+  const content = await readProjectFile(projectRoot, '.gitlab-ci.yml');
+  if (content === null) {
+    return [];
+  }
+
+  const pipeline = loadYaml('.gitlab-ci.yml', content);
+  const toList = value => (Array.isArray(value) ? value : value ? [value] : []);
+  return Object.entries(pipeline)
+    .filter(([name, job]) => !name.startsWith('.') && !GITLAB_KEYWORDS.includes(name) && job && typeof job === 'object' && !Array.isArray(job))
+    .map(([name, job]) => createJob({
+      name,
+      source: '.gitlab-ci.yml',
+      // GitLab publishes the "pages" job to GitLab Pages
+      texts: [job.stage, job.environment || name === 'pages' ? 'deploy' : null],
+      scripts: toList(job.script),
+      checked: job.when !== 'manual'
+    }));
+}
+
+/**
+ * Reads CircleCI jobs, including orb jobs used by the workflows
+ */
+async function readCircleCi(projectRoot) {
+  const source = '.circleci/config.yml';
+  const content = await readProjectFile(projectRoot, source);
+  if (content === null) {
+    return [];
+  }
+
+  const pipeline = loadYaml(source, content);
+  const jobs = Object.entries(pipeline.jobs || {}).map(([name, job]) => {
+    const steps = Array.isArray(job && job.steps) ? job.steps : [];
+    const runs = steps.map(step => (step && typeof step.run === 'object' ? step.run.command : step && step.run));
+    return createJob({ name, source, texts: steps.map(step => (typeof step === 'string' ? step : Object.keys(step || {})[0])), scripts: runs, checked: true });
+  });
+
+  Object.values(pipeline.workflows || {}).forEach(workflow => {
+    (workflow && Array.isArray(workflow.jobs) ? workflow.jobs : []).forEach(entry => {
+      const name = typeof entry === 'string' ? entry : Object.keys(entry || {})[0];
+      if (name && name.includes('/') && !jobs.some(job => job.name === name)) {
+        jobs.push(createJob({ name, source, texts: [], scripts: [], checked: true }));
+      }
+    });
+  });
+  return jobs;
+}
+
+/**
+ * Reads Jenkinsfile stages
+ */
+async function readJenkinsfile(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'Jenkinsfile');
+  if (content === null) {
+    return [];
+  }
+
+  return [...content.matchAll(/\bstage\s*\(\s*['"]([^'"]+)['"]\s*\)/g)]
+    .map(match => createJob({ name: match[1], source: 'Jenkinsfile', texts: [], scripts: [], checked: true }));
+}
+
+/**
+ * Describes a hosting config, e.g. the Netlify build command or the Fly.io app
+ * @param {string} fileName - Config file name
+ * @param {string} content - File content
+ * @returns {string} Short description, or ''
+ */
+function describeDeploymentConfig(fileName, content) {
+  if (fileName === 'netlify.toml') {
+    const build = parseToml(content).build || {};
+    return [build.command && `builds with \`${build.command}\``, build.publish && `publishes \`${build.publish}\``].filter(Boolean).join(', ');
+  }
+  if (fileName === 'fly.toml') {
+    const { app } = parseToml(content);
+    return app ? `app \`${app}\`` : '';
+  }
+  return '';
+}
+
+/**
+ * Lists hosting configs, Dockerfiles and Compose files
+ */
+async function readDeploymentFiles(projectRoot) {
+  const targets = [];
+  for (const config of DEPLOYMENT_FILES) {
+    const content = await readProjectFile(projectRoot, config.file);
+    if (content !== null) {
+      let details;
+      try {
+        details = describeDeploymentConfig(config.file, content);
+      } catch (error) {
+        throw new Error(`Cannot parse ${config.file}: ${error.message}`);
+      }
+      targets.push({ name: config.name, source: config.file, details, commands: [] });
+    }
+  }
+
+  const dockerfile = await readProjectFile(projectRoot, 'Dockerfile');
+  if (dockerfile !== null) {
+    const images = parseDockerfile(dockerfile);
+    const base = images[images.length - 1];
+    targets.push({ name: 'Docker image', source: 'Dockerfile', details: base ? `based on \`${base.name}${base.tag ? `:${base.tag}` : ''}\`` : '', commands: [] });
+  }
+
+  for (const fileName of ['docker-compose.yml', 'docker-compose.yaml', 'compose.yml', 'compose.yaml']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      const services = Object.keys(loadYaml(fileName, content).services || {});
+      targets.push({ name: 'Docker Compose', source: fileName, details: services.length > 0 ? `services ${services.join(', ')}` : '', commands: [] });
+      break;
+    }
+  }
+  return targets;
+}
+
+/**
+ * Detects CI checks and deployment targets
+ * @param {string} [projectRoot] - Directory to inspect (defaults to the current directory)
+ * @returns {Promise<Object>} Detection as { providers, jobs, checks, deployments }: jobs lists every job as
+ *   { name, source, commands, kinds, checked }, checks the jobs pull requests must pass and deployments
+ *   the deploy jobs and hosting configs as { name, source, details, commands }
+ * @throws {Error} If a pipeline or hosting config exists but cannot be parsed
+ */
+async function detectPipelines(projectRoot = process.cwd()) {
+  const providers = [];
+  const jobs = [];
+  const readers = [
+    ['GitHub Actions', readGithubActions],
+    ['GitLab CI', readGitlabCi],
+    ['CircleCI', readCircleCi],
+    ['Jenkins', readJenkinsfile]
+  ];
+  for (const [provider, reader] of readers) {
+    const found = await reader(projectRoot);
+    if (found.length > 0) {
+      providers.push(provider);
+      jobs.push(...found);
+    }
+  }
+
+  const toEntry = job => ({ name: job.name, source: job.source, details: '', commands: job.commands });
+  return {
+    providers,
+    jobs,
+    checks: jobs.filter(job => job.checked && !job.kinds.includes('deploy')).map(({ name, source, commands }) => ({ name, source, commands })),
+    deployments: [...await readDeploymentFiles(projectRoot), ...jobs.filter(job => job.kinds.includes('deploy')).map(toEntry)]
+  };
+}
+
+/**
+ * Derives workflow question defaults from a detection
+ * @param {Object} detection - Result of detectPipelines
+ * @returns {Object} Defaults as { values, sources } with cicd (checklist answers) and deploymentSteps where found
+ */
+function summarizePipelines({ providers, jobs, deployments }) {
+  const values = {};
+  const sources = {};
+  const source = providers.join(', ');
+
+  const processes = [...new Set(jobs.flatMap(job => job.kinds).map(kind => KIND_PROCESSES[kind]).filter(Boolean))];
+  if (processes.length > 0) {
+    values.cicd = Object.values(KIND_PROCESSES).filter((process, index, all) => all.indexOf(process) === index && processes.includes(process));
+    sources.cicd = source;
+  }
+  if (deployments.length > 0) {
+    values.deploymentSteps = `Deployed via ${deployments.map(target => target.name).join(', ')}`;
+    sources.deploymentSteps = [...new Set(deployments.map(target => target.source))].join(', ');
+  }
+  return { values, sources };
+}
+
+/**
+ * Formats a check or deployment target as a bullet
+ */
+function formatEntry({ name, source, details, commands = [] }) {
+  const description = details || commands.map(command => `\`${command}\``).join(', ');
+  return `- **${name}** (\`${source}\`)${description ? `: ${description}` : ''}`;
+}
+
+/**
+ * Formats the checks and deployment targets in config.ci
+ * @param {Object} config - Configuration object with ci as { checks, deployments }
+ * @returns {string} Markdown lists, or '' when config.ci is not set
+ */
+function formatCiChecks(config) {
+  const { checks = [], deployments = [] } = config.ci || {};
+  const parts = [];
+  if (checks.length > 0) {
+    parts.push(`Pull requests must pass these checks:\n${checks.map(formatEntry).join('\n')}`);
+    if (checks.some(check => (check.commands || []).length > 0)) {
+      parts.push('Run the same commands locally before opening a pull request.');
+    }
+  }
+  if (deployments.length > 0) {
+    parts.push(`Deployment:\n${deployments.map(formatEntry).join('\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Formats the CI/CD section for the generated rules
+ * @param {Object} config - Configuration object
+ * @returns {string} Level-2 section followed by a blank line, or '' when config.ci is not set
+ */
+function formatCiSection(config) {
+  const checks = formatCiChecks(config);
+  return checks ? `## CI/CD\n\n${checks}\n\n` : '';
+}
+
+/**
+ * Parses the lists formatCiChecks writes back into a ci config
+ * @param {string} body - CI/CD section markdown
+ * @returns {Object} Result as { ci, leftover }: ci is null when the section has no generated lists
+ */
+function parseCiSection(body) {
+  const ci = { checks: [], deployments: [] };
+  const leftover = [];
+  let list = null;
+
+  body.split('\n').forEach(line => {
+    const text = line.trim();
+    if (text === 'Pull requests must pass these checks:') {
+      list = ci.checks;
+      return;
+    }
+    if (text === 'Deployment:') {
+      list = ci.deployments;
+      return;
+    }
+    if (text === 'Run the same commands locally before opening a pull request.') {
+      return;
+    }
+    const entry = list && text.match(/^- \*\*(.+?)\*\* \(`([^`]+)`\)(?:: (.*))?$/);
+    if (entry) {
+      const [, name, source, description = ''] = entry;
+      list.push(list === ci.checks
+        ? { name, source, commands: [...description.matchAll(/`([^`]+)`/g)].map(match => match[1]) }
+        : { name, source, details: description, commands: [] });
+      return;
+    }
+    list = null;
+    leftover.push(line);
+  });
+
+  const found = ci.checks.length > 0 || ci.deployments.length > 0;
+  return { ci: found ? ci : null, leftover: leftover.join('\n').replace(/\n{3,}/g, '\n\n').trim() };
+}
+
+/**
+ * Formats a detection for the terminal
+ * @param {Object} detection - Result of detectPipelines
+ * @returns {string} Checks and deployment targets, one per line
+ */
+function formatPipelinesReport({ checks, deployments }) {
+  return [
+    ...checks.map(check => `check   ${check.name} (${check.source})`),
+    ...deployments.map(target => `deploy  ${target.name}${target.details ? ` - ${target.details.replace(/`/g, '')}` : ''} (${target.source})`)
+  ].join('\n');
+}
+
+module.exports = {
+  classifyJob,
+  detectPipelines,
+  summarizePipelines,
+  formatCiChecks,
+  formatCiSection,
+  parseCiSection,
+  formatPipelinesReport
+};
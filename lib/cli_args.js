@@ -0,0 +1,57 @@
+/**
+ * CLI Argument Parsing Module
+ * Minimal flag parser for the non-interactive subcommands
+ *
+ * Supports `--flag value`, `--flag=value`, boolean `--flag` and
+ * `--no-flag` forms. Flag names are converted to camelCase.
+ */
+
+/**
+ * Converts a kebab-case flag name to camelCase
+ * @param {string} name - Flag name without leading dashes
+ * @returns {string} camelCase option key
+ */
+function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses command line arguments into a command, positionals and options
+ * @param {Array<string>} args - Arguments after the executable (process.argv.slice(2))
+ * @returns {Object} Parsed result with command, positionals and options
+ */
+function parseArgs(args) {
+  const result = {
+    command: null,
+    positionals: [],
+    options: {}
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg.startsWith('--')) {
+      const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+
+      if (inlineValue !== undefined) {
+        result.options[toOptionKey(rawName)] = inlineValue;
+      } else if (rawName.startsWith('no-')) {
+        result.options[toOptionKey(rawName.slice(3))] = false;
+      } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        result.options[toOptionKey(rawName)] = args[++i];
+      } else {
+        result.options[toOptionKey(rawName)] = true;
+      }
+    } else if (result.command === null) {
+      result.command = arg;
+    } else {
+      result.positionals.push(arg);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseArgs
+};
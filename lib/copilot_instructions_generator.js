@@ -0,0 +1,163 @@
+/**
+ * GitHub Copilot Instructions Generator
+ * Builds .github/copilot-instructions.md and optional path-scoped instruction files
+ *
+ * Repository-wide instructions are always generated. When
+ * `config.copilotPathInstructions` is set, focused files are also written to
+ * .github/instructions/*.instructions.md with an `applyTo` glob so Copilot only
+ * loads them for matching files. A monorepo package gets one such file for its
+ * directory instead, since Copilot does not read .github/ inside packages.
+ */
+
+const path = require('path');
+const { capitalize, generateTechSpecificGuidelines } = require('./generator_lib');
+const { applyRecipeRules } = require('./recipe_rules');
+const { getSourceExtensions, buildGlobs, buildTestGlobs } = require('./cursor_rules_generator');
+const { formatCommandsSection } = require('./project_commands');
+const { formatCommitExamples } = require('./workflow_detector');
+const { formatCiSection } = require('./ci_detector');
+const { formatWorkspaceSection, getCopilotPackageFile } = require('./workspace_detector');
+
+const COPILOT_INSTRUCTIONS_FILE = path.join('.github', 'copilot-instructions.md');
+const COPILOT_INSTRUCTIONS_DIR = 'instructions';
+
+/**
+ * Formats a path-scoped instructions file
+ * @param {Array<string>} applyTo - Glob patterns the instructions apply to
+ * @param {string} body - Markdown instructions
+ * @returns {string} .instructions.md file content
+ */
+function formatInstructionsFile(applyTo, body) {
+  return `---
+applyTo: "${applyTo.join(',')}"
+---
+
+${body.trim()}
+`;
+}
+
+/**
+ * Generates the repository-wide copilot-instructions.md content
+ * @param {Object} config - Configuration object
+ * @returns {string} Markdown instructions, including any recipe-provided rules
+ */
+function generateCopilotInstructions(config) {
+  const { overview, codingStandards, projectStructure, technologyStack, workflowGuidelines } = config;
+  const guidelines = generateTechSpecificGuidelines(technologyStack);
+
+  const content = `# ${overview.projectName} - Copilot Instructions
+
+${overview.description}
+
+This is a ${overview.projectType.join(', ')} project (version ${overview.version}).
+
+${formatWorkspaceSection(config)}## Technology Stack
+
+${Object.entries(technologyStack)
+  .filter(([key, value]) => value && value.trim())
+  .map(([key, value]) => `- **${capitalize(key)}:** ${value}`)
+  .join('\n')}
+
+## Project Structure
+
+- Source code lives in \`${projectStructure.sourceDir}/\`
+- Tests live in \`${projectStructure.testDir}/\`
+- \`${projectStructure.buildDir}/\` is build output and must not be edited
+- Configuration files are in \`${projectStructure.configDir}/\`
+- Organization: ${projectStructure.organization}
+
+${formatCommandsSection(config)}${formatCiSection(config)}## Coding Standards
+
+- Use ${codingStandards.indentation} for indentation and ${codingStandards.quotes} quotes${codingStandards.lineLength ? `
+- Keep lines within ${codingStandards.lineLength} characters` : ''}
+- Naming: ${codingStandards.naming}
+- Code must pass: ${codingStandards.linting.join(', ') || 'the project linters'}
+- Comments: ${codingStandards.comments}
+${guidelines ? `
+## Technology Guidelines
+
+${guidelines}
+` : ''}
+## Workflow
+
+- Git workflow: ${workflowGuidelines.gitWorkflow}
+- Branch naming: ${workflowGuidelines.branchNaming}
+- Commit messages: ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
+- Write or update tests for every change
+- Do not add new dependencies without discussion
+
+---
+
+*Generated by agent-rules-generator v1.0.0*`;
+
+  return applyRecipeRules(content, config);
+}
+
+/**
+ * Builds the path-scoped instruction files
+ * @param {Object} config - Configuration object
+ * @param {string} dir - Directory for the instruction files
+ * @returns {Array<Object>} Files as { filename, content }
+ */
+function generatePathInstructions(config, dir) {
+  const { codingStandards, projectStructure, technologyStack } = config;
+  const extensions = getSourceExtensions(technologyStack);
+
+  return [
+    {
+      filename: path.join(dir, 'source.instructions.md'),
+      content: formatInstructionsFile(
+        buildGlobs(projectStructure.sourceDir, extensions),
+        `# Source Code
+
+- Follow the ${projectStructure.organization} organization used in \`${projectStructure.sourceDir}/\`
+- Naming: ${codingStandards.naming}
+- Include error handling and validation for new code paths
+- Comments: ${codingStandards.comments}`
+      )
+    },
+    {
+      filename: path.join(dir, 'tests.instructions.md'),
+      content: formatInstructionsFile(
+        buildTestGlobs(projectStructure.testDir, extensions),
+        `# Tests
+
+- Use ${technologyStack.testing || 'the project test framework'}
+- Place tests in \`${projectStructure.testDir}/\`
+- Cover both success and failure paths
+- Keep tests independent and deterministic`
+      )
+    }
+  ];
+}
+
+/**
+ * Generates GitHub Copilot instruction files
+ * @param {Object} config - Configuration object
+ * @param {string} [outFile] - Path of the repository-wide instructions file (not used for a monorepo package)
+ * @returns {Array<Object>} Files as { filename, content }
+ */
+function generateCopilotFiles(config, outFile = COPILOT_INSTRUCTIONS_FILE) {
+  const packagePath = config.workspace && config.workspace.path;
+  if (packagePath) {
+    return [{
+      filename: path.normalize(getCopilotPackageFile(packagePath)),
+      content: formatInstructionsFile([`${packagePath}/**`], generateCopilotInstructions(config))
+    }];
+  }
+
+  const files = [{ filename: outFile, content: generateCopilotInstructions(config) }];
+
+  if (config.copilotPathInstructions) {
+    files.push(...generatePathInstructions(config, path.join(path.dirname(outFile), COPILOT_INSTRUCTIONS_DIR)));
+  }
+
+  return files;
+}
+
+module.exports = {
+  COPILOT_INSTRUCTIONS_FILE,
+  generateCopilotFiles,
+  generateCopilotInstructions,
+  formatInstructionsFile
+};
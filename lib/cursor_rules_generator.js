@@ -0,0 +1,273 @@
+/**
+ * Cursor Project Rules Generator
+ * Splits the project config into .cursor/rules/*.mdc files
+ *
+ * Each .mdc file starts with frontmatter that Cursor uses to decide when the
+ * rule applies: `description` (for agent-requested rules), `globs` (for
+ * auto-attached rules) and `alwaysApply`.
+ */
+
+const path = require('path');
+const { capitalize, generateTechSpecificGuidelines } = require('./generator_lib');
+const { getRecipeRules, getRulesSource } = require('./recipe_rules');
+const { stripTitle } = require('./markdown_sections');
+const { formatCommandsSection } = require('./project_commands');
+const { formatCommitExamples } = require('./workflow_detector');
+const { formatCiSection } = require('./ci_detector');
+const { formatWorkspaceSection } = require('./workspace_detector');
+
+const CURSOR_RULES_DIR = path.join('.cursor', 'rules');
+
+/**
+ * File extensions associated with common languages, used to build globs
+ */
+const LANGUAGE_EXTENSIONS = {
+  typescript: ['ts', 'tsx'],
+  javascript: ['js', 'jsx', 'mjs', 'cjs'],
+  python: ['py'],
+  go: ['go'],
+  rust: ['rs'],
+  java: ['java'],
+  kotlin: ['kt'],
+  ruby: ['rb'],
+  php: ['php'],
+  dart: ['dart'],
+  swift: ['swift'],
+  'c#': ['cs']
+};
+
+/**
+ * Derives source file extensions from the technology stack
+ * @param {Object} technologyStack - Technology stack configuration
+ * @returns {Array<string>} File extensions without dots (empty if unknown)
+ */
+function getSourceExtensions(technologyStack = {}) {
+  const language = (technologyStack.language || '').toLowerCase();
+  const extensions = [];
+
+  for (const [name, exts] of Object.entries(LANGUAGE_EXTENSIONS)) {
+    // Match whole words so "Java" does not match "JavaScript" or "Go" match "Django"
+    if (new RegExp(`(^|[^a-z])${name}($|[^a-z])`).test(language)) {
+      extensions.push(...exts);
+    }
+  }
+
+  return extensions;
+}
+
+/**
+ * Builds glob patterns for a directory and set of extensions
+ * @param {string} dir - Directory relative to the project root
+ * @param {Array<string>} extensions - File extensions
+ * @returns {Array<string>} Glob patterns
+ */
+function buildGlobs(dir, extensions) {
+  const base = dir && dir !== '.' ? `${dir.replace(/\/+$/, '')}/**` : '**';
+  if (extensions.length === 0) {
+    return [`${base}/*`];
+  }
+  return extensions.map(ext => `${base}/*.${ext}`);
+}
+
+/**
+ * Builds glob patterns matching test files
+ * @param {string} testDir - Test directory relative to the project root
+ * @param {Array<string>} extensions - Source file extensions
+ * @returns {Array<string>} Glob patterns for the test directory and *.test / *.spec files
+ */
+function buildTestGlobs(testDir, extensions) {
+  const testPatterns = extensions.length > 0
+    ? extensions.flatMap(ext => [`**/*.test.${ext}`, `**/*.spec.${ext}`])
+    : ['**/*.test.*', '**/*.spec.*'];
+
+  return [...buildGlobs(testDir, []), ...testPatterns];
+}
+
+/**
+ * Formats an .mdc file with Cursor rule frontmatter
+ * @param {Object} frontmatter - Rule metadata
+ * @param {string} frontmatter.description - When the rule should be used
+ * @param {Array<string>} [frontmatter.globs] - File patterns that auto-attach the rule
+ * @param {boolean} [frontmatter.alwaysApply] - Whether the rule is always included
+ * @param {string} body - Markdown rule body
+ * @returns {string} .mdc file content
+ */
+function formatMdcFile({ description, globs = [], alwaysApply = false }, body) {
+  return `---
+description: ${description}
+globs: ${globs.join(', ')}
+alwaysApply: ${alwaysApply}
+---
+
+${body.trim()}
+`;
+}
+
+function buildOverviewRule(config) {
+  const { overview, technologyStack, projectStructure } = config;
+  const techLines = Object.entries(technologyStack)
+    .filter(([key, value]) => value && value.trim())
+    .map(([key, value]) => `- **${capitalize(key)}:** ${value}`)
+    .join('\n');
+
+  return formatMdcFile(
+    {
+      description: `Project overview and technology stack for ${overview.projectName}`,
+      alwaysApply: true
+    },
+    `# ${overview.projectName}
+
+${overview.description}
+
+- **Version:** ${overview.version}
+- **Project Type:** ${overview.projectType.join(', ')}
+
+${formatWorkspaceSection(config)}## Technology Stack
+
+${techLines}
+
+## Project Structure
+
+- Source code: \`${projectStructure.sourceDir}/\`
+- Tests: \`${projectStructure.testDir}/\`
+- Build output: \`${projectStructure.buildDir}/\` (generated, do not edit)
+- Configuration: \`${projectStructure.configDir}/\`
+- Organization: ${projectStructure.organization}
+
+${formatCommandsSection(config)}${formatCiSection(config)}`
+  );
+}
+
+function buildCodingStandardsRule(config, extensions) {
+  const { codingStandards, projectStructure } = config;
+
+  return formatMdcFile(
+    {
+      description: 'Code style, naming and linting rules for source files',
+      globs: buildGlobs(projectStructure.sourceDir, extensions)
+    },
+    `# Coding Standards
+
+- Use ${codingStandards.indentation} for indentation
+- Use ${codingStandards.quotes} quotes${codingStandards.lineLength ? `
+- Keep lines within ${codingStandards.lineLength} characters` : ''}
+- Naming: ${codingStandards.naming}
+- Code must pass: ${codingStandards.linting.join(', ') || 'the project linters'}
+- Comments: ${codingStandards.comments}`
+  );
+}
+
+function buildTechGuidelinesRule(config, extensions) {
+  const guidelines = generateTechSpecificGuidelines(config.technologyStack);
+  if (!guidelines) {
+    return null;
+  }
+
+  return formatMdcFile(
+    {
+      description: 'Framework and library specific guidelines for this stack',
+      globs: buildGlobs(config.projectStructure.sourceDir, extensions)
+    },
+    `# Technology Guidelines
+
+${guidelines}`
+  );
+}
+
+function buildWorkflowRule(config) {
+  const { workflowGuidelines, projectManagement } = config;
+
+  return formatMdcFile(
+    {
+      description: 'Git workflow, commit style, CI/CD and code review process. Use when committing, branching or preparing pull requests'
+    },
+    `# Development Workflow
+
+## Git
+- Workflow: ${workflowGuidelines.gitWorkflow}
+- Branch naming: ${workflowGuidelines.branchNaming}
+- Commit style: ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
+
+## CI/CD
+${workflowGuidelines.cicd.map(process => `- ${process}`).join('\n')}
+
+## Deployment
+${workflowGuidelines.deploymentSteps}
+
+## Project Management
+- Methodology: ${projectManagement.methodology.join(', ')}
+- Issue tracking: ${projectManagement.issueTracking}
+- Documentation: ${projectManagement.documentation}
+- Code review: ${projectManagement.codeReview.join(', ')}`
+  );
+}
+
+function buildTestingRule(config, extensions) {
+  const { technologyStack, projectStructure } = config;
+
+  return formatMdcFile(
+    {
+      description: 'Testing conventions for test files',
+      globs: buildTestGlobs(projectStructure.testDir, extensions)
+    },
+    `# Testing
+
+- Testing framework: ${technologyStack.testing || 'the project test framework'}
+- Place tests in \`${projectStructure.testDir}/\`
+- Write tests for new features and bug fixes
+- Cover both success and failure paths
+- Keep tests independent and deterministic`
+  );
+}
+
+function buildRecipeRule(config) {
+  const rules = getRecipeRules(config);
+  if (!rules) {
+    return null;
+  }
+
+  const source = getRulesSource(config);
+  return formatMdcFile(
+    {
+      description: config.importedFrom ? `Rules ${source}` : `Curated rules from the ${source}`,
+      alwaysApply: true
+    },
+    `# Recipe Rules${config.recipeName ? `: ${config.recipeName}` : ''}
+
+> Source: ${source}
+
+${stripTitle(rules).body}`
+  );
+}
+
+/**
+ * Generates Cursor project rule files
+ * @param {Object} config - Configuration object
+ * @param {string} [outDir] - Rules directory (defaults to .cursor/rules)
+ * @returns {Array<Object>} Files as { filename, content }
+ */
+function generateCursorRules(config, outDir = CURSOR_RULES_DIR) {
+  const extensions = getSourceExtensions(config.technologyStack);
+
+  const rules = [
+    ['project-overview.mdc', buildOverviewRule(config)],
+    ['coding-standards.mdc', buildCodingStandardsRule(config, extensions)],
+    ['tech-guidelines.mdc', buildTechGuidelinesRule(config, extensions)],
+    ['workflow.mdc', buildWorkflowRule(config)],
+    ['testing.mdc', buildTestingRule(config, extensions)],
+    ['recipe-rules.mdc', buildRecipeRule(config)]
+  ];
+
+  return rules
+    .filter(([, content]) => content)
+    .map(([name, content]) => ({ filename: path.join(outDir, name), content }));
+}
+
+module.exports = {
+  CURSOR_RULES_DIR,
+  generateCursorRules,
+  formatMdcFile,
+  getSourceExtensions,
+  buildGlobs,
+  buildTestGlobs
+};
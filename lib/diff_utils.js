@@ -0,0 +1,169 @@
+/**
+ * Diff Utilities
+ * Line-based unified diffs for previewing changes to generated files
+ */
+
+const chalk = require('chalk');
+
+/**
+ * Computes line operations between two texts using a longest common subsequence
+ * @param {Array<string>} oldLines - Original lines
+ * @param {Array<string>} newLines - Updated lines
+ * @returns {Array<Object>} Operations as { type: ' ' | '-' | '+', line }
+ */
+function diffLines(oldLines, newLines) {
+  const rows = oldLines.length + 1;
+  const cols = newLines.length + 1;
+  const lengths = Array.from({ length: rows }, () => new Uint32Array(cols));
+
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      operations.push({ type: ' ', line: oldLines[i++] });
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      operations.push({ type: '-', line: oldLines[i++] });
+    } else {
+      operations.push({ type: '+', line: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) {
+    operations.push({ type: '-', line: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    operations.push({ type: '+', line: newLines[j++] });
+  }
+
+  return operations;
+}
+
+/**
+ * Creates a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.oldLabel='a'] - Label for the original file
+ * @param {string} [options.newLabel='b'] - Label for the updated file
+ * @param {number} [options.context=3] - Unchanged lines shown around each change
+ * @returns {string} Unified diff, or an empty string when the texts are identical
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  if (oldText === newText) {
+    return '';
+  }
+
+  const operations = diffLines(oldText.split('\n'), newText.split('\n'));
+  const changed = operations
+    .map((operation, index) => (operation.type === ' ' ? -1 : index))
+    .filter(index => index !== -1);
+
+  // Group changes whose context windows touch into hunks
+  const ranges = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length - 1, index + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      ranges.push({ start, end });
+    }
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let oldLine = 1;
+  let newLine = 1;
+  let position = 0;
+
+  for (const { start, end } of ranges) {
+    for (; position < start; position++) {
+      oldLine += operations[position].type !== '+' ? 1 : 0;
+      newLine += operations[position].type !== '-' ? 1 : 0;
+    }
+
+    const hunk = operations.slice(start, end + 1);
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+    hunk.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+
+    for (; position <= end; position++) {
+      oldLine += operations[position].type !== '+' ? 1 : 0;
+      newLine += operations[position].type !== '-' ? 1 : 0;
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Counts the --- and +++ file header lines of a unified diff
+ *
+ * Only the lines before the first hunk are headers; a removed or added
+ * "---" line (a frontmatter delimiter or horizontal rule) inside a hunk
+ * shows up as "----" or "+---" and is a change.
+ *
+ * @param {Array<string>} lines - Diff lines
+ * @returns {number} Number of header lines (at most two)
+ */
+function countHeaderLines(lines) {
+  const firstHunk = lines.findIndex(line => line.startsWith('@@'));
+  return Math.min(2, firstHunk === -1 ? lines.length : firstHunk);
+}
+
+/**
+ * Colors a unified diff for terminal output
+ * @param {string} diff - Unified diff
+ * @returns {string} Diff with added lines in green, removed lines in red and hunk headers in cyan
+ */
+function colorizeDiff(diff) {
+  const lines = diff.split('\n');
+  const headerLines = countHeaderLines(lines);
+  return lines.map((line, index) => {
+    if (index < headerLines) {
+      return chalk.bold(line);
+    }
+    if (line.startsWith('@@')) {
+      return chalk.cyan(line);
+    }
+    if (line.startsWith('+')) {
+      return chalk.green(line);
+    }
+    if (line.startsWith('-')) {
+      return chalk.red(line);
+    }
+    return chalk.gray(line);
+  }).join('\n');
+}
+
+/**
+ * Counts added and removed lines in a unified diff
+ * @param {string} diff - Unified diff
+ * @returns {Object} Object with added and removed line counts
+ */
+function getDiffStats(diff) {
+  const allLines = diff.split('\n');
+  const lines = allLines.slice(countHeaderLines(allLines));
+  return {
+    added: lines.filter(line => line.startsWith('+')).length,
+    removed: lines.filter(line => line.startsWith('-')).length
+  };
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+  colorizeDiff,
+  getDiffStats
+};
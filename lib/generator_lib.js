@@ -1,33 +1,245 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { applyRecipeRules } = require('./recipe_rules');
+const { registerTarget, getTarget } = require('./output_targets');
+const { wrapManagedRegions } = require('./managed_regions');
+const { applySizeBudget, getSizeLimit } = require('./size_budget');
+const { renderTemplateString, resolvePartials } = require('./template_engine');
+const { findTemplate, findTemplatesForTarget, resolveTemplateOption } = require('./template_locator');
+const { lintTemplate, listConfigFields, formatUnknownPlaceholders } = require('./template_linter');
+const { getProjectCommands, formatCommandBlock, formatCommandsSection } = require('./project_commands');
+const { formatCommitExamples } = require('./workflow_detector');
+const { formatCiChecks, formatCiSection } = require('./ci_detector');
+const { formatWorkspaceLinks, formatWorkspaceSection } = require('./workspace_detector');
 
 /**
- * Generates the content for .agent.md or .windsurfrules files
- * @param {Object} config - Configuration object containing all project settings
+ * Picks the template to render a target with
+ *
+ * --template wins. Otherwise the templates found for the target are offered:
+ * a single one is confirmed, several are shown in a picker with their
+ * descriptions. Non-interactive runs (useTemplate: true) take the first one.
+ *
+ * @param {Object} target - Registered output target
  * @param {Object} inquirer - Inquirer instance for user prompts
- * @returns {string} Generated file content
+ * @param {Object} options - Generation options (see generateOutputFiles)
+ * @returns {Promise<Object|null>} Template (see template_locator.js), or null to use the target's render function
+ * @throws {Error} If --template names a missing template or is used with a multi-file target
  */
-async function generateAgentFile(config, inquirer) {
-  const isAgent = config.fileType === 'agent';
-  const templateName = isAgent ? 'agent-template' : 'windsurf-template';
-  const template = await loadTemplate(templateName);
+async function selectTemplate(target, inquirer, options) {
+  const lookup = { projectRoot: options.projectRoot };
 
-  if (template) {
+  if (typeof options.template === 'string') {
+    if (target.multiFile) {
+      throw new Error(`The ${target.name} target writes several files and cannot use a template`);
+    }
+    return resolveTemplateOption(options.template, lookup);
+  }
+  if (options.useTemplate === false || target.multiFile) {
+    return null;
+  }
+
+  const templates = await findTemplatesForTarget(target, lookup);
+  if (templates.length === 0) {
+    return null;
+  }
+  if (options.useTemplate === true) {
+    return templates[0];
+  }
+
+  if (templates.length === 1) {
     const { useTemplate } = await inquirer.prompt([
       {
         type: 'confirm',
         name: 'useTemplate',
-        message: `A template (${templateName}.md) was found. Would you like to use it?`,
+        message: `A template (${templates[0].name}.md) was found. Would you like to use it?`,
         default: true
       }
     ]);
+    return useTemplate ? templates[0] : null;
+  }
 
-    if (useTemplate) {
-      return replacePlaceholders(template, config);
+  const { template } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'template',
+      message: `Several templates were found for ${target.name}. Which one would you like to use?`,
+      choices: [
+        ...templates.map(item => ({
+          name: `${item.name} (${item.source})${item.description ? ` - ${item.description}` : ''}`,
+          value: item
+        })),
+        { name: 'Built-in layout (no template)', value: null }
+      ]
+    }
+  ]);
+  return template;
+}
+
+/**
+ * Renders a target's template when one exists and the user wants it
+ *
+ * Templates with unknown placeholders fail non-interactive runs. In the wizard
+ * the user can render them anyway or fall back to the built-in layout.
+ *
+ * @param {Object} target - Registered output target
+ * @param {Object} config - Configuration object containing all project settings
+ * @param {Object} inquirer - Inquirer instance for user prompts
+ * @param {Object} options - Generation options (see generateOutputFiles)
+ * @returns {Promise<string|null>} Rendered template, or null to use the target's render function
+ * @throws {Error} If a non-interactive run uses a template with unknown placeholders
+ */
+async function renderTemplate(target, config, inquirer, options) {
+  const template = await selectTemplate(target, inquirer, options);
+  if (!template) {
+    return null;
+  }
+
+  const { unknown } = await lintTemplateSource(template.body, config, { projectRoot: options.projectRoot });
+  if (unknown.length > 0) {
+    const message = formatUnknownPlaceholders(template.name, unknown);
+    if (!inquirer || options.useTemplate === true) {
+      const lintArgument = template.source === 'path' ? template.path : template.name;
+      throw new Error(`${message}. Run "agent-rules-generator template lint ${lintArgument}" for details`);
+    }
+    const { renderAnyway } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'renderAnyway',
+        message: `${message}. Render it anyway? (No uses the built-in layout)`,
+        default: false
+      }
+    ]);
+    if (!renderAnyway) {
+      return null;
     }
   }
 
-  return isAgent ? generateAgentMd(config) : generateWindsurfRules(config);
+  const partials = await loadPartials(template.body, { projectRoot: options.projectRoot });
+  return applyRecipeRules(replacePlaceholders(template.body, config, partials), config);
+}
+
+/**
+ * Generates the content for a single-file target such as .agent.md or .windsurfrules
+ * @param {Object} config - Configuration object containing all project settings
+ * @param {Object} inquirer - Inquirer instance for user prompts
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.useTemplate] - Use (or skip) an available template without prompting
+ * @returns {string} Generated file content, including any recipe-provided rules
+ */
+async function generateAgentFile(config, inquirer, options = {}) {
+  const [file] = await generateOutputFiles(config, inquirer, options);
+  return file.content;
+}
+
+/**
+ * Generates every output file for the config's file type
+ * @param {Object} config - Configuration object containing all project settings
+ * @param {Object} inquirer - Inquirer instance for user prompts
+ * @param {Object} [options] - Generation options (see generateAgentFile)
+ * @param {string} [options.out] - Output file, or output directory for multi-file targets
+ * @param {string} [options.baseDir] - Directory the target's default filename is placed in, e.g. a monorepo package
+ * @param {string} [options.template] - Template name or path to render with instead of asking
+ * @param {string} [options.projectRoot] - Directory whose .agent-rules/templates is searched (defaults to the current directory)
+ * @param {boolean} [options.managedRegions] - Wrap sections in managed-region markers (targets that support it)
+ * @param {boolean} [options.sizeBudget] - Fit each file into the target's size budget and report it as file.budget
+ * @returns {Promise<Array<Object>>} Files as { filename, content } (plus budget when sizeBudget is set)
+ */
+async function generateOutputFiles(config, inquirer, options = {}) {
+  const target = getTarget(config.fileType);
+  const filename = options.out || path.join(options.baseDir || '', target.filename);
+
+  const templated = await renderTemplate(target, config, inquirer, options);
+  const output = templated !== null ? templated : await target.render(config, { filename });
+  const files = typeof output === 'string' ? [{ filename, content: output }] : output;
+
+  const transform = options.managedRegions && target.managedRegions ? wrapManagedRegions : null;
+  if (options.sizeBudget) {
+    const limit = getSizeLimit(target, config);
+    return files.map(file => {
+      const { content, ...budget } = applySizeBudget(file.content, {
+        limit,
+        priority: config.sectionPriority,
+        transform
+      });
+      return { ...file, content, budget };
+    });
+  }
+  return transform ? files.map(file => ({ ...file, content: transform(file.content) })) : files;
+}
+
+/**
+ * Gets the targets selected in the config
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} config.targets when set, otherwise the single config.fileType
+ */
+function getTargets(config) {
+  return Array.isArray(config.targets) && config.targets.length > 0 ? config.targets : [config.fileType];
+}
+
+/**
+ * Generates the output files for several targets from one config
+ * @param {Object} config - Configuration object containing all project settings
+ * @param {Object} inquirer - Inquirer instance for user prompts
+ * @param {Object} [options] - Generation options (see generateOutputFiles)
+ * @param {Array<string>} [options.targets] - Targets to generate (defaults to getTargets(config))
+ * @param {boolean} [options.managedRegions=true] - Wrap sections in managed-region markers
+ * @param {boolean} [options.sizeBudget=true] - Fit files into their target's size budget
+ * @returns {Promise<Array<Object>>} Results as { target, files }
+ * @throws {Error} If a target is unknown or an output path is combined with several targets
+ */
+async function generateTargets(config, inquirer, options = {}) {
+  const targets = options.targets || getTargets(config);
+
+  if (options.out && targets.length > 1) {
+    throw new Error('An output path can only be used with a single target');
+  }
+  if (options.template && targets.length > 1) {
+    throw new Error('A template can only be used with a single target');
+  }
+  // Fail on unknown targets before anything is rendered
+  targets.forEach(getOutputFilename);
+
+  const results = [];
+  for (const target of targets) {
+    const files = await generateOutputFiles({ ...config, fileType: target }, inquirer, { managedRegions: true, sizeBudget: true, ...options });
+    results.push({ target, files });
+  }
+  return results;
+}
+
+/**
+ * Formats a summary table of the files written for each target
+ * @param {Array<Object>} rows - Rows as { target, path } with an optional size column
+ * @returns {string} Plain text table
+ */
+function formatSummaryTable(rows) {
+  const header = { target: 'Target', size: 'Size', path: 'File' };
+  const columns = rows.some(row => row.size) ? ['target', 'size', 'path'] : ['target', 'path'];
+  const widths = columns.map(column => Math.max(...[header, ...rows].map(row => (row[column] || '').length)));
+  const line = row => columns
+    .map((column, index) => (index < columns.length - 1 ? (row[column] || '').padEnd(widths[index]) : row[column]))
+    .join('  ');
+  const separator = columns
+    .map((column, index) => '-'.repeat(index < columns.length - 1 ? widths[index] : header[column].length))
+    .join('  ');
+
+  return [line(header), separator, ...rows.map(line)].join('\n');
+}
+
+/**
+ * Writes generated files, creating parent directories as needed
+ * @param {Array<Object>} files - Files as { filename, content }
+ * @returns {Promise<Array<string>>} Absolute paths of the written files
+ */
+async function writeOutputFiles(files) {
+  const written = [];
+  for (const file of files) {
+    const filePath = path.resolve(file.filename);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.content);
+    written.push(filePath);
+  }
+  return written;
 }
 
 /**
@@ -47,7 +259,7 @@ function generateAgentMd(config) {
 **Description:** ${overview.description}
 **Project Type:** ${overview.projectType.join(', ')}
 
-## Technology Stack
+${formatWorkspaceSection(config)}## Technology Stack
 
 ${Object.entries(technologyStack)
   .filter(([key, value]) => value && value.trim())
@@ -57,21 +269,22 @@ ${Object.entries(technologyStack)
 ## Project Structure
 
 \`\`\`
-${overview.projectName}/
+${projectStructure.tree || `${overview.projectName}/
 ├── ${projectStructure.sourceDir}/          # Source code
 ├── ${projectStructure.testDir}/           # Test files
 ├── ${projectStructure.buildDir}/          # Build output
 ├── ${projectStructure.configDir}/         # Configuration files
-└── README.md
+└── README.md`}
 \`\`\`
 
 **Organization Pattern:** ${projectStructure.organization}
 
-## Coding Standards
+${formatCommandsSection(config)}${formatCiSection(config)}## Coding Standards
 
 ### Code Style
 - **Indentation:** ${codingStandards.indentation}
-- **Quotes:** ${codingStandards.quotes}
+- **Quotes:** ${codingStandards.quotes}${codingStandards.lineLength ? `
+- **Line Length:** ${codingStandards.lineLength} characters` : ''}
 - **Naming Conventions:** ${codingStandards.naming}
 
 ### Tools
@@ -85,7 +298,7 @@ ${codingStandards.comments}
 ### Git Workflow
 - **Strategy:** ${workflowGuidelines.gitWorkflow}
 - **Branch Naming:** ${workflowGuidelines.branchNaming}
-- **Commit Style:** ${workflowGuidelines.commitStyle}
+- **Commit Style:** ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
 
 ### CI/CD
 ${workflowGuidelines.cicd.map(process => `- ${process}`).join('\n')}
@@ -152,7 +365,7 @@ This is a ${overview.projectType.join(', ')} project called "${overview.projectN
 **Description:** ${overview.description}
 **Version:** ${overview.version}
 
-## Technology Stack
+${formatWorkspaceSection(config)}## Technology Stack
 
 ${Object.entries(technologyStack)
   .filter(([key, value]) => value && value.trim())
@@ -163,7 +376,8 @@ ${Object.entries(technologyStack)
 
 ### Formatting
 - Use ${codingStandards.indentation} for indentation
-- Use ${codingStandards.quotes} quotes
+- Use ${codingStandards.quotes} quotes${codingStandards.lineLength ? `
+- Keep lines within ${codingStandards.lineLength} characters` : ''}
 - Follow ${codingStandards.naming} naming conventions
 
 ### Linting
@@ -172,7 +386,7 @@ Active linters: ${codingStandards.linting.join(', ')}
 ### Comments
 ${codingStandards.comments}
 
-## Project Structure
+${formatCommandsSection(config)}${formatCiSection(config)}## Project Structure
 
 Source code is organized in the \`${projectStructure.sourceDir}/\` directory.
 Tests are located in \`${projectStructure.testDir}/\`.
@@ -186,7 +400,7 @@ Organization: ${projectStructure.organization}
 ### Git
 - Workflow: ${workflowGuidelines.gitWorkflow}
 - Branch naming: ${workflowGuidelines.branchNaming}
-- Commit style: ${workflowGuidelines.commitStyle}
+- Commit style: ${workflowGuidelines.commitStyle}${formatCommitExamples(workflowGuidelines.commitExamples)}
 
 ### CI/CD
 ${workflowGuidelines.cicd.map(process => `- ${process}`).join('\n')}
@@ -343,6 +557,16 @@ function generateTechSpecificGuidelines(techStack) {
   return guidelines.join('\n\n');
 }
 
+/**
+ * Gets the default output filename (or directory) for a file type
+ * @param {string} fileType - Registered target name (e.g. 'agent', 'windsurf', 'cursor')
+ * @returns {string} Default filename
+ * @throws {Error} If the file type is not supported
+ */
+function getOutputFilename(fileType) {
+  return getTarget(fileType).filename;
+}
+
 /**
  * Capitalizes the first letter of a string
  * @param {string} str - String to capitalize
@@ -353,86 +577,212 @@ function capitalize(str) {
 }
 
 /**
- * Loads a custom template if available
+ * Loads a template from the project, user or bundled template directories
  * @param {string} templateName - Name of the template to load
- * @returns {string|null} Template content or null if not found
+ * @param {Object} [options] - Lookup options (see getTemplateDirs in template_locator.js)
+ * @returns {Promise<string|null>} Template content without frontmatter, or null if not found
  */
-async function loadTemplate(templateName) {
-  try {
-    const templatePath = path.join(__dirname, '..', 'templates', `${templateName}.md`);
-    const template = await fs.readFile(templatePath, 'utf8');
-    return template;
-  } catch (error) {
-    return null;
-  }
+async function loadTemplate(templateName, options = {}) {
+  const template = await findTemplate(templateName, options);
+  return template ? template.body : null;
 }
 
 /**
- * Replaces placeholders in a template with config values
+ * Loads the partials a template includes from the template directories
  * @param {string} template - Template content
- * @param {Object} config - Configuration object
- * @returns {string} Processed template content
+ * @param {Object} [options] - Lookup options (see loadTemplate)
+ * @returns {Promise<Object>} Partial sources keyed by name
+ * @throws {Error} If a partial does not exist
  */
-function replacePlaceholders(template, config) {
-  let result = template;
+async function loadPartials(template, options = {}) {
+  // Partial names are paths inside a template directory, e.g. {{> partials/boundaries}}
+  return resolvePartials(template, name => loadTemplate(name, options));
+}
+
+/**
+ * Flat template values kept from the original placeholder templates,
+ * keyed by name and mapped to the config path they show
+ */
+const TEMPLATE_SHORTCUTS = {
+  projectName: 'overview.projectName',
+  description: 'overview.description',
+  version: 'overview.version',
+  projectType: 'overview.projectType',
+  indentation: 'codingStandards.indentation',
+  quotes: 'codingStandards.quotes',
+  lineLength: 'codingStandards.lineLength',
+  naming: 'codingStandards.naming',
+  linting: 'codingStandards.linting',
+  comments: 'codingStandards.comments',
+  sourceDir: 'projectStructure.sourceDir',
+  testDir: 'projectStructure.testDir',
+  buildDir: 'projectStructure.buildDir',
+  configDir: 'projectStructure.configDir',
+  organization: 'projectStructure.organization',
+  directoryTree: 'projectStructure.tree',
+  gitWorkflow: 'workflowGuidelines.gitWorkflow',
+  branchNaming: 'workflowGuidelines.branchNaming',
+  commitStyle: 'workflowGuidelines.commitStyle',
+  commitExamples: 'workflowGuidelines.commitExamples',
+  cicd: 'workflowGuidelines.cicd',
+  deploymentSteps: 'workflowGuidelines.deploymentSteps',
+  methodology: 'projectManagement.methodology',
+  issueTracking: 'projectManagement.issueTracking',
+  documentation: 'projectManagement.documentation',
+  codeReview: 'projectManagement.codeReview',
+  techSpecificGuidelines: 'technologyStack'
+};
 
-  // Import project type utilities
+/**
+ * Builds the values available to templates
+ *
+ * Templates can use dotted paths into the config (e.g. codingStandards.linting),
+ * the flat legacy keys such as {{projectName}}, project type flags such as
+ * isWebApp and isCliTool (hasProjectTypeGuidelines when one of them is set,
+ * which a type such as Other is not), the formatted command block as projectCommands, the
+ * nested example bullets for the commit style as commitExamples, the CI checks
+ * and deployment targets as ciChecks and the links between a monorepo's root and
+ * package rules files as workspaceLinks.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object} Template context
+ */
+function buildTemplateContext(config) {
   const { getProjectTypeFlags } = require('./project_types');
-  
-  // Flatten config for simple key-value replacements
-  const flatConfig = {
-    projectName: config.overview.projectName,
-    description: config.overview.description,
-    version: config.overview.version,
-    projectType: config.overview.projectType.join(', '),
-    indentation: config.codingStandards.indentation,
-    quotes: config.codingStandards.quotes,
-    naming: config.codingStandards.naming,
-    linting: config.codingStandards.linting.join(', '),
-    comments: config.codingStandards.comments,
-    sourceDir: config.projectStructure.sourceDir,
-    testDir: config.projectStructure.testDir,
-    buildDir: config.projectStructure.buildDir,
-    configDir: config.projectStructure.configDir,
-    organization: config.projectStructure.organization,
-    gitWorkflow: config.workflowGuidelines.gitWorkflow,
-    branchNaming: config.workflowGuidelines.branchNaming,
-    commitStyle: config.workflowGuidelines.commitStyle,
-    cicd: config.workflowGuidelines.cicd.join(', '),
-    deploymentSteps: config.workflowGuidelines.deploymentSteps,
-    methodology: config.projectManagement.methodology.join(', '),
-    issueTracking: config.projectManagement.issueTracking,
-    documentation: config.projectManagement.documentation,
-    codeReview: config.projectManagement.codeReview.join(', '),
+
+  const projectTypeFlags = getProjectTypeFlags(config.overview.projectType);
+  const shortcuts = {};
+  Object.entries(TEMPLATE_SHORTCUTS).forEach(([key, configPath]) => {
+    const [section, field] = configPath.split('.');
+    const value = config[section][field];
+    shortcuts[key] = Array.isArray(value) ? value.join(', ') : value;
+  });
+
+  return {
+    ...config,
+    ...shortcuts,
     techSpecificGuidelines: generateTechSpecificGuidelines(config.technologyStack),
-    // Add project type flags for conditional template sections
-    ...getProjectTypeFlags(config.overview.projectType)
+    projectCommands: formatCommandBlock(getProjectCommands(config)),
+    commitExamples: formatCommitExamples(config.workflowGuidelines.commitExamples),
+    ciChecks: formatCiChecks(config),
+    workspaceLinks: formatWorkspaceLinks(config),
+    ...projectTypeFlags,
+    hasProjectTypeGuidelines: Object.values(projectTypeFlags).some(Boolean)
   };
+}
 
-  // Replace simple {{key}} placeholders
-  for (const [key, value] of Object.entries(flatConfig)) {
-    result = result.replace(new RegExp(`{{${key}}}`, 'g'), value);
-  }
+/**
+ * Lints a template against a config
+ * @param {string} template - Template content
+ * @param {Object} config - Configuration object
+ * @param {Object} [options] - Lookup options (see loadTemplate)
+ * @returns {Promise<Object>} Report as { errors, unknown, unused } (see template_linter.js)
+ */
+async function lintTemplateSource(template, config, options = {}) {
+  const { CONFIG_SECTIONS } = require('./project_config');
 
-  // Handle technologyStack loop
-  const techStackRegex = /{{#technologyStack}}(.*?){{\/technologyStack}}/s;
-  const techStackTemplate = result.match(techStackRegex)?.[1] || '';
-  let techStackOutput = '';
-  for (const [key, value] of Object.entries(config.technologyStack)) {
-    if (value && value.trim()) {
-      techStackOutput += techStackTemplate
-        .replace('{{key}}', capitalize(key))
-        .replace('{{value}}', value);
-    }
+  let partials = {};
+  const errors = [];
+  try {
+    partials = await loadPartials(template, options);
+  } catch (error) {
+    errors.push(error.message);
   }
-  result = result.replace(techStackRegex, techStackOutput);
 
-  return result;
+  const report = lintTemplate(template, buildTemplateContext(config), {
+    partials,
+    // Technology stack fields depend on the project type questions that were asked,
+    // commands and ci on what the project defines
+    openPaths: ['technologyStack', 'commands', 'ci'],
+    fields: listConfigFields(config, CONFIG_SECTIONS),
+    aliases: TEMPLATE_SHORTCUTS
+  });
+  return { ...report, errors: [...new Set([...errors, ...report.errors])] };
+}
+
+/**
+ * Renders a template with config values
+ * @param {string} template - Template content
+ * @param {Object} config - Configuration object
+ * @param {Object} [partials] - Partial sources keyed by name (see loadPartials)
+ * @returns {string} Processed template content
+ * @throws {Error} If the template is malformed or uses a partial that was not loaded
+ */
+function replacePlaceholders(template, config, partials = {}) {
+  return renderTemplateString(template, buildTemplateContext(config), { partials, formatKey: capitalize });
 }
 
 module.exports = {
   generateAgentFile,
+  generateOutputFiles,
+  generateTargets,
+  getTargets,
+  writeOutputFiles,
+  formatSummaryTable,
   generateAgentMd,
   generateWindsurfRules,
-  loadTemplate
-};
\ No newline at end of file
+  generateTechSpecificGuidelines,
+  getOutputFilename,
+  capitalize,
+  loadTemplate,
+  loadPartials,
+  lintTemplateSource,
+  replacePlaceholders
+};
+
+// Built-in targets. Generators that depend on this module are required lazily
+// inside render to avoid a circular require.
+registerTarget({
+  name: 'agent',
+  label: '.agent.md (Cursor AI)',
+  filename: '.agent.md',
+  templateName: 'agent-template',
+  managedRegions: true,
+  render: config => applyRecipeRules(generateAgentMd(config), config)
+});
+
+registerTarget({
+  name: 'windsurf',
+  label: '.windsurfrules (Windsurf)',
+  filename: '.windsurfrules',
+  templateName: 'windsurf-template',
+  managedRegions: true,
+  // Windsurf ignores workspace rules beyond this many characters
+  sizeLimit: 6000,
+  render: config => applyRecipeRules(generateWindsurfRules(config), config)
+});
+
+registerTarget({
+  name: 'cursor',
+  label: '.cursor/rules/*.mdc (Cursor project rules)',
+  filename: path.join('.cursor', 'rules'),
+  managedRegions: true,
+  sizeLimit: 6000,
+  multiFile: true,
+  render: (config, { filename }) => require('./cursor_rules_generator').generateCursorRules(config, filename)
+});
+
+registerTarget({
+  name: 'copilot',
+  label: '.github/copilot-instructions.md (GitHub Copilot)',
+  filename: path.join('.github', 'copilot-instructions.md'),
+  managedRegions: true,
+  sizeLimit: 8000,
+  render: (config, { filename }) => require('./copilot_instructions_generator').generateCopilotFiles(config, filename)
+});
+
+registerTarget({
+  name: 'agents',
+  label: 'AGENTS.md (cross-tool agent instructions)',
+  filename: 'AGENTS.md',
+  managedRegions: true,
+  render: config => require('./agent_docs_generator').generateAgentsMd(config)
+});
+
+registerTarget({
+  name: 'claude',
+  label: 'CLAUDE.md (Claude Code)',
+  filename: 'CLAUDE.md',
+  managedRegions: true,
+  render: config => require('./agent_docs_generator').generateClaudeMd(config)
+});
\ No newline at end of file
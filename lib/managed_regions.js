@@ -0,0 +1,306 @@
+/**
+ * Managed Regions Module
+ * Marks generated sections so regeneration can keep hand-written content
+ *
+ * Each generated section is wrapped in HTML comment markers:
+ *
+ *   <!-- agent-rules:begin section=codingStandards hash=1a2b3c4d -->
+ *   ## Coding Standards
+ *   ...
+ *   <!-- agent-rules:end section=codingStandards -->
+ *
+ * On regeneration only the managed regions are replaced; anything outside
+ * them is kept. The hash records what was generated, so a region that was
+ * edited by hand is reported as a conflict instead of being silently lost.
+ */
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { parseSections } = require('./markdown_sections');
+
+const BEGIN_REGEX = /^<!-- agent-rules:begin section=(\S+)(?: hash=([0-9a-f]+))? -->$/;
+const END_REGEX = /^<!-- agent-rules:end section=(\S+) -->$/;
+const FRONTMATTER_REGEX = /^---\n[\s\S]*?\n---\n+/;
+
+/**
+ * Config sections that generated headings belong to
+ */
+const HEADING_SECTIONS = {
+  'project overview': 'overview',
+  'project context': 'overview',
+  'project': 'overview',
+  'technology stack': 'technologyStack',
+  'coding standards': 'codingStandards',
+  'code style rules': 'codingStandards',
+  'code style': 'codingStandards',
+  'conventions': 'codingStandards',
+  'project structure': 'projectStructure',
+  'architecture': 'projectStructure',
+  'development workflow': 'workflowGuidelines',
+  'workflow': 'workflowGuidelines',
+  'project management': 'projectManagement'
+};
+
+/**
+ * Hashes region content so later edits can be detected
+ * @param {string} body - Region content
+ * @returns {string} Short content hash
+ */
+function hashContent(body) {
+  return crypto.createHash('sha1').update(body.trim()).digest('hex').slice(0, 8);
+}
+
+/**
+ * Gets the section key for a heading
+ * @param {string} title - Heading title
+ * @returns {string} Config section name, or a camelCase key derived from the heading
+ */
+function getSectionKey(title) {
+  const normalized = title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  if (HEADING_SECTIONS[normalized]) {
+    return HEADING_SECTIONS[normalized];
+  }
+  return normalized
+    .split(' ')
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('') || 'section';
+}
+
+/**
+ * Formats a managed region
+ * @param {string} section - Section key
+ * @param {string} body - Region content
+ * @param {string} [hash] - Hash to record (defaults to the hash of body)
+ * @returns {string} Region wrapped in begin/end markers
+ */
+function formatRegion(section, body, hash = hashContent(body)) {
+  return `<!-- agent-rules:begin section=${section} hash=${hash} -->
+${body.trim()}
+<!-- agent-rules:end section=${section} -->`;
+}
+
+/**
+ * Wraps each level-2 section of generated markdown in managed-region markers
+ * @param {string} content - Generated markdown (frontmatter is kept outside the markers)
+ * @returns {string} Content with managed regions
+ */
+function wrapManagedRegions(content) {
+  const frontmatter = (content.match(FRONTMATTER_REGEX) || [''])[0];
+  const { preamble, sections } = parseSections(content.slice(frontmatter.length));
+  const used = new Map();
+
+  const regions = [];
+  if (preamble) {
+    regions.push(formatRegion('title', preamble));
+  }
+  for (const section of sections) {
+    const key = getSectionKey(section.title);
+    const count = (used.get(key) || 0) + 1;
+    used.set(key, count);
+
+    const heading = `${'#'.repeat(section.level)} ${section.title}`;
+    regions.push(formatRegion(count > 1 ? `${key}-${count}` : key, section.body ? `${heading}\n\n${section.body}` : heading));
+  }
+
+  return `${frontmatter}${regions.join('\n\n')}\n`;
+}
+
+/**
+ * Splits content into user text and managed regions
+ * @param {string} content - File content
+ * @returns {Array<Object>} Segments as { type: 'text', text } or { type: 'region', section, hash, body }
+ * @throws {Error} If a region is not closed
+ */
+function parseManagedRegions(content) {
+  const segments = [];
+  let text = [];
+  let region = null;
+
+  for (const line of content.split('\n')) {
+    if (region) {
+      const end = line.match(END_REGEX);
+      if (end && end[1] === region.section) {
+        segments.push({ type: 'region', section: region.section, hash: region.hash, body: region.lines.join('\n') });
+        region = null;
+      } else {
+        region.lines.push(line);
+      }
+      continue;
+    }
+
+    const begin = line.match(BEGIN_REGEX);
+    if (begin) {
+      segments.push({ type: 'text', text: text.join('\n') });
+      text = [];
+      region = { section: begin[1], hash: begin[2] || null, lines: [] };
+    } else {
+      text.push(line);
+    }
+  }
+
+  if (region) {
+    throw new Error(`Managed region "${region.section}" is missing its end marker`);
+  }
+  segments.push({ type: 'text', text: text.join('\n') });
+  return segments.filter(segment => segment.type === 'region' || segment.text !== '');
+}
+
+/**
+ * Checks whether content contains managed regions
+ * @param {string} content - File content
+ * @returns {boolean} True if at least one region marker is present
+ */
+function hasManagedRegions(content) {
+  return content.split('\n').some(line => BEGIN_REGEX.test(line));
+}
+
+/**
+ * Checks whether a region was edited since it was generated
+ * @param {Object} region - Parsed region
+ * @returns {boolean} True if the content no longer matches its recorded hash
+ */
+function isEdited(region) {
+  return Boolean(region.hash) && hashContent(region.body) !== region.hash;
+}
+
+/**
+ * Replaces the managed regions, and the frontmatter, of an existing file with newly generated ones
+ * @param {string} existing - Current file content
+ * @param {string} generated - Newly generated content with managed regions
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.keepEdited] - Keep hand-edited regions instead of replacing them
+ * @returns {Object} Object with content and conflicts ({ section, existing, generated })
+ */
+function mergeManagedRegions(existing, generated, options = {}) {
+  const generatedRegions = parseManagedRegions(generated).filter(segment => segment.type === 'region');
+  const generatedBySection = new Map(generatedRegions.map(region => [region.section, region]));
+  const existingSegments = parseManagedRegions(existing);
+  // Frontmatter (Cursor globs, Copilot applyTo) is generated too, so the new one replaces the old
+  const generatedFrontmatter = (generated.match(FRONTMATTER_REGEX) || [''])[0];
+  if (generatedFrontmatter && existingSegments.length > 0 && existingSegments[0].type === 'text' && FRONTMATTER_REGEX.test(existingSegments[0].text)) {
+    existingSegments[0] = { type: 'text', text: existingSegments[0].text.replace(FRONTMATTER_REGEX, generatedFrontmatter) };
+  }
+  const existingSections = new Set(existingSegments.filter(segment => segment.type === 'region').map(segment => segment.section));
+
+  const output = [];
+  const conflicts = [];
+  const emitted = new Set();
+
+  const emitNewRegionsBefore = index => {
+    generatedRegions.slice(0, index)
+      .filter(region => !existingSections.has(region.section) && !emitted.has(region.section))
+      .forEach(region => {
+        emitted.add(region.section);
+        output.push(region);
+      });
+  };
+
+  for (const segment of existingSegments) {
+    if (segment.type === 'text') {
+      output.push(segment);
+      continue;
+    }
+
+    const replacement = generatedBySection.get(segment.section);
+    const edited = isEdited(segment) && (!replacement || replacement.body.trim() !== segment.body.trim());
+    if (edited) {
+      conflicts.push({
+        section: segment.section,
+        existing: segment.body.trim(),
+        generated: replacement ? replacement.body.trim() : null
+      });
+    }
+
+    if (replacement) {
+      emitNewRegionsBefore(generatedRegions.indexOf(replacement));
+      emitted.add(segment.section);
+    }
+
+    if (edited && options.keepEdited) {
+      // Keep the original hash so the region is still reported next time
+      output.push(segment);
+    } else if (replacement) {
+      output.push(replacement);
+    }
+  }
+
+  emitNewRegionsBefore(generatedRegions.length);
+
+  return { content: renderManagedSegments(output), conflicts };
+}
+
+/**
+ * Joins text segments and managed regions back into file content
+ * @param {Array<Object>} segments - Segments from parseManagedRegions
+ * @returns {string} File content with one blank line between blocks
+ */
+function renderManagedSegments(segments) {
+  const content = segments
+    .map(segment => (segment.type === 'text' ? segment.text : formatRegion(segment.section, segment.body, segment.hash || undefined)))
+    .map(block => block.replace(/^\n+|\n+$/g, ''))
+    .filter(Boolean)
+    .join('\n\n');
+
+  return `${content}\n`;
+}
+
+/**
+ * Merges generated files with the managed regions of files already on disk
+ * @param {Array<Object>} files - Generated files as { filename, content }
+ * @param {Object} [options] - Merge options (see mergeManagedRegions)
+ * @returns {Promise<Object>} Object with files and conflicts ({ filename, section, existing, generated })
+ */
+async function mergeWithExistingFiles(files, options = {}) {
+  const merged = [];
+  const conflicts = [];
+
+  for (const file of files) {
+    let existing = null;
+    try {
+      existing = await fs.readFile(file.filename, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (existing === null || !hasManagedRegions(existing) || !hasManagedRegions(file.content)) {
+      merged.push(file);
+      continue;
+    }
+
+    const result = mergeManagedRegions(existing, file.content, options);
+    merged.push({ ...file, content: result.content });
+    result.conflicts.forEach(conflict => conflicts.push({ filename: file.filename, ...conflict }));
+  }
+
+  return { files: merged, conflicts };
+}
+
+/**
+ * Formats a conflict report for hand-edited regions
+ * @param {Array<Object>} conflicts - Conflicts from mergeWithExistingFiles
+ * @returns {string} Human readable report
+ */
+function formatConflictReport(conflicts) {
+  const lines = ['Managed regions edited by hand since they were generated:'];
+  for (const conflict of conflicts) {
+    const action = conflict.generated === null ? 'no longer generated' : 'differs from the new output';
+    lines.push(`  - ${conflict.filename} [${conflict.section}] ${action}`);
+  }
+  lines.push('Move custom rules outside the agent-rules markers to keep them across regenerations.');
+  return lines.join('\n');
+}
+
+module.exports = {
+  wrapManagedRegions,
+  parseManagedRegions,
+  hasManagedRegions,
+  mergeManagedRegions,
+  renderManagedSegments,
+  mergeWithExistingFiles,
+  isEdited,
+  formatConflictReport,
+  getSectionKey,
+  hashContent
+};
@@ -0,0 +1,386 @@
+/**
+ * Manifest Parsers
+ * Reads the dependency manifests of non-JavaScript ecosystems without extra packages
+ *
+ * These parsers only extract what the project scanner needs (names, versions,
+ * a few settings). They accept the common forms of each format and skip
+ * anything they do not understand instead of failing.
+ */
+
+/**
+ * Extracts a version number from a version range or specifier
+ * @param {string} specifier - Version specifier, e.g. "^18.2.0", "~> 7.1" or ">=3.10,<4"
+ * @returns {string} First version number in the specifier, or '' if there is none
+ */
+function cleanVersion(specifier) {
+  const match = String(specifier || '').match(/\d+(?:\.\d+)*/);
+  return match ? match[0] : '';
+}
+
+/**
+ * Parses TOML (pyproject.toml, Cargo.toml, rustfmt.toml)
+ *
+ * Supports tables, arrays of tables, dotted and quoted keys, strings
+ * (including multi-line), numbers, booleans, arrays and inline tables.
+ * Dates are kept as strings.
+ *
+ * @param {string} content - TOML source
+ * @returns {Object} Parsed document
+ * @throws {Error} If the document cannot be parsed
+ */
+function parseToml(content) {
+  const text = content.replace(/\r\n/g, '\n');
+  const root = {};
+  let table = root;
+  let position = 0;
+
+  const fail = message => {
+    const line = text.slice(0, position).split('\n').length;
+    throw new Error(`Invalid TOML on line ${line}: ${message}`);
+  };
+
+  const skipWhitespace = (newlines = false) => {
+    while (position < text.length) {
+      const char = text[position];
+      if (char === ' ' || char === '\t' || (newlines && char === '\n')) {
+        position++;
+      } else if (char === '#') {
+        while (position < text.length && text[position] !== '\n') {
+          position++;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[position];
+    const triple = text.startsWith(quote.repeat(3), position);
+    const delimiter = triple ? quote.repeat(3) : quote;
+    position += delimiter.length;
+    if (triple && text[position] === '\n') {
+      position++;
+    }
+
+    let value = '';
+    while (!text.startsWith(delimiter, position)) {
+      if (position >= text.length || (!triple && text[position] === '\n')) {
+        fail('unterminated string');
+      }
+      if (quote === '"' && text[position] === '\\') {
+        const escaped = text[position + 1];
+        value += { n: '\n', t: '\t', '"': '"', '\\': '\\' }[escaped] ?? escaped;
+        position += 2;
+      } else {
+        value += text[position++];
+      }
+    }
+    position += delimiter.length;
+    return value;
+  };
+
+  const parseKey = () => {
+    const parts = [];
+    for (;;) {
+      skipWhitespace();
+      if (text[position] === '"' || text[position] === '\'') {
+        parts.push(parseString());
+      } else {
+        const match = text.slice(position).match(/^[A-Za-z0-9_-]+/);
+        if (!match) {
+          fail('expected a key');
+        }
+        parts.push(match[0]);
+        position += match[0].length;
+      }
+      skipWhitespace();
+      if (text[position] !== '.') {
+        return parts;
+      }
+      position++;
+    }
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const char = text[position];
+
+    if (char === '"' || char === '\'') {
+      return parseString();
+    }
+    if (char === '[') {
+      position++;
+      const items = [];
+      for (;;) {
+        skipWhitespace(true);
+        if (text[position] === ']') {
+          position++;
+          return items;
+        }
+        items.push(parseValue());
+        skipWhitespace(true);
+        if (text[position] === ',') {
+          position++;
+        } else if (text[position] !== ']') {
+          fail('expected , or ] in array');
+        }
+      }
+    }
+    if (char === '{') {
+      position++;
+      const inline = {};
+      skipWhitespace();
+      while (text[position] !== '}') {
+        assignValue(inline, parseKey());
+        skipWhitespace();
+        if (text[position] === ',') {
+          position++;
+          skipWhitespace();
+        } else if (text[position] !== '}') {
+          fail('expected , or } in inline table');
+        }
+      }
+      position++;
+      return inline;
+    }
+
+    const match = text.slice(position).match(/^[^\s,\]}#]+/);
+    if (!match) {
+      fail('expected a value');
+    }
+    position += match[0].length;
+    const raw = match[0];
+    if (raw === 'true' || raw === 'false') {
+      return raw === 'true';
+    }
+    const number = Number(raw.replace(/_/g, ''));
+    return Number.isNaN(number) ? raw : number;
+  };
+
+  const descend = (target, keys) => keys.reduce((current, key) => {
+    if (current[key] === undefined) {
+      current[key] = {};
+    }
+    const next = current[key];
+    return Array.isArray(next) ? next[next.length - 1] : next;
+  }, target);
+
+  function assignValue(target, keys) {
+    skipWhitespace();
+    if (text[position] !== '=') {
+      fail('expected =');
+    }
+    position++;
+    descend(target, keys.slice(0, -1))[keys[keys.length - 1]] = parseValue();
+  }
+
+  for (;;) {
+    skipWhitespace(true);
+    if (position >= text.length) {
+      return root;
+    }
+
+    if (text[position] === '[') {
+      const isArray = text[position + 1] === '[';
+      position += isArray ? 2 : 1;
+      const keys = parseKey();
+      position += isArray ? 2 : 1;
+      if (isArray) {
+        const parent = descend(root, keys.slice(0, -1));
+        const name = keys[keys.length - 1];
+        parent[name] = Array.isArray(parent[name]) ? parent[name] : [];
+        table = {};
+        parent[name].push(table);
+      } else {
+        table = descend(root, keys);
+      }
+    } else {
+      assignValue(table, parseKey());
+    }
+
+    skipWhitespace();
+    if (position < text.length && text[position] !== '\n') {
+      fail('expected a new line');
+    }
+  }
+}
+
+/**
+ * Parses a PEP 508 requirement such as "fastapi[all]>=0.110" or "Django==5.0 ; python_version > '3.8'"
+ * @param {string} requirement - Requirement string
+ * @returns {Object|null} Requirement as { name, version }, or null for options and URLs
+ */
+function parseRequirement(requirement) {
+  const match = requirement.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*([^;#]*)/);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1].toLowerCase().replace(/_/g, '-'), version: cleanVersion(match[3]) };
+}
+
+/**
+ * Parses requirements.txt
+ * @param {string} content - File content
+ * @returns {Array<Object>} Requirements as { name, version }
+ */
+function parseRequirementsTxt(content) {
+  return content.split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(line => line && !line.startsWith('-'))
+    .map(parseRequirement)
+    .filter(Boolean);
+}
+
+/**
+ * Parses go.mod
+ * @param {string} content - File content
+ * @returns {Object} Module as { module, go, requires: [{ name, version }] }
+ */
+function parseGoMod(content) {
+  const result = { module: '', go: '', requires: [] };
+  let inRequire = false;
+
+  for (const rawLine of content.split('\n')) {
+    const line = rawLine.replace(/\/\/.*/, '').trim();
+    if (inRequire) {
+      if (line === ')') {
+        inRequire = false;
+      } else if (line) {
+        const [name, version] = line.split(/\s+/);
+        result.requires.push({ name, version: cleanVersion(version) });
+      }
+      continue;
+    }
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'module') {
+      result.module = rest[0] || '';
+    } else if (keyword === 'go') {
+      result.go = rest[0] || '';
+    } else if (keyword === 'require') {
+      if (rest[0] === '(') {
+        inRequire = true;
+      } else if (rest[0]) {
+        result.requires.push({ name: rest[0], version: cleanVersion(rest[1]) });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Parses a Gemfile
+ * @param {string} content - File content
+ * @returns {Object} Gemfile as { ruby, gems: [{ name, version }] }
+ */
+function parseGemfile(content) {
+  const gems = [];
+  let ruby = '';
+
+  for (const line of content.split('\n')) {
+    const gem = line.match(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/);
+    if (gem) {
+      gems.push({ name: gem[1], version: cleanVersion(gem[2]) });
+      continue;
+    }
+    const rubyVersion = line.match(/^\s*ruby\s+['"]([^'"]+)['"]/);
+    if (rubyVersion) {
+      ruby = cleanVersion(rubyVersion[1]);
+    }
+  }
+  return { ruby, gems };
+}
+
+/**
+ * Parses the parts of a Maven pom.xml the scanner uses
+ * @param {string} content - File content
+ * @returns {Object} POM as { parent, properties, dependencies: [{ groupId, artifactId, version }] }
+ */
+function parsePomXml(content) {
+  const withoutComments = content.replace(/<!--[\s\S]*?-->/g, '');
+  const tag = (source, name) => {
+    const match = source.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`));
+    return match ? match[1] : '';
+  };
+  const coordinates = source => ({
+    groupId: tag(source, 'groupId'),
+    artifactId: tag(source, 'artifactId'),
+    version: tag(source, 'version')
+  });
+
+  const parentMatch = withoutComments.match(/<parent>([\s\S]*?)<\/parent>/);
+  const propertiesMatch = withoutComments.match(/<properties>([\s\S]*?)<\/properties>/);
+  const properties = {};
+  if (propertiesMatch) {
+    for (const [, name, value] of propertiesMatch[1].matchAll(/<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g)) {
+      properties[name] = value;
+    }
+  }
+
+  return {
+    parent: parentMatch ? coordinates(parentMatch[1]) : null,
+    properties,
+    dependencies: [...withoutComments.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(([, body]) => coordinates(body))
+  };
+}
+
+/**
+ * Parses the dependencies and plugins of a Gradle build script (Groovy or Kotlin DSL)
+ * @param {string} content - File content
+ * @returns {Object} Build as { plugins: [{ id, version }], dependencies: [{ configuration, groupId, artifactId, version }] }
+ */
+function parseGradle(content) {
+  const plugins = [];
+  for (const [, id, version] of content.matchAll(/\bid\s*\(?\s*['"]([^'"]+)['"](?:\s*\))?(?:\s+version\s+['"]([^'"]+)['"])?/g)) {
+    plugins.push({ id, version: cleanVersion(version) });
+  }
+  for (const [, name, version] of content.matchAll(/\bkotlin\s*\(\s*['"]([^'"]+)['"]\s*\)(?:\s+version\s+['"]([^'"]+)['"])?/g)) {
+    plugins.push({ id: `org.jetbrains.kotlin.${name}`, version: cleanVersion(version) });
+  }
+
+  const dependencies = [];
+  const dependencyRegex = /\b(implementation|api|compileOnly|runtimeOnly|testImplementation|testRuntimeOnly|annotationProcessor)\s*\(?\s*['"]([^:'"]+):([^:'"]+)(?::([^'"]+))?['"]/g;
+  for (const [, configuration, groupId, artifactId, version] of content.matchAll(dependencyRegex)) {
+    dependencies.push({ configuration, groupId, artifactId, version: cleanVersion(version) });
+  }
+  return { plugins, dependencies };
+}
+
+/**
+ * Parses the base images of a Dockerfile
+ * @param {string} content - File content
+ * @returns {Array<Object>} Images as { name, tag }, without references to earlier build stages
+ */
+function parseDockerfile(content) {
+  const stages = new Set();
+  const images = [];
+
+  for (const line of content.split('\n')) {
+    const match = line.match(/^\s*FROM\s+(?:--platform=\S+\s+)?(\S+)(?:\s+AS\s+(\S+))?/i);
+    if (!match) {
+      continue;
+    }
+    const [, image, stage] = match;
+    if (!stages.has(image.toLowerCase()) && image !== 'scratch') {
+      const [name, tag = ''] = image.replace(/@.*/, '').split(':');
+      images.push({ name: name.replace(/^(docker\.io\/)?(library\/)?/, ''), tag });
+    }
+    if (stage) {
+      stages.add(stage.toLowerCase());
+    }
+  }
+  return images;
+}
+
+module.exports = {
+  cleanVersion,
+  parseToml,
+  parseRequirement,
+  parseRequirementsTxt,
+  parseGoMod,
+  parseGemfile,
+  parsePomXml,
+  parseGradle,
+  parseDockerfile
+};
@@ -0,0 +1,121 @@
+/**
+ * Markdown Section Utilities
+ * Splits rules markdown into heading-delimited sections and joins them back
+ *
+ * Headings inside fenced code blocks are ignored so that shell comments
+ * (e.g. `# install deps`) are never mistaken for section boundaries.
+ */
+
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+
+/**
+ * Parses markdown into a preamble and sections at the given heading level
+ * @param {string} markdown - Markdown content
+ * @param {number} [level=2] - Heading level that starts a new section
+ * @returns {Object} Object with preamble (string) and sections ({ title, level, body })
+ */
+function parseSections(markdown, level = 2) {
+  const lines = markdown.split('\n');
+  const preamble = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    }
+
+    const match = !inFence && line.match(HEADING_REGEX);
+    if (match && match[1].length === level) {
+      current = { title: match[2], level, lines: [] };
+      sections.push(current);
+      continue;
+    }
+
+    (current ? current.lines : preamble).push(line);
+  }
+
+  return {
+    preamble: preamble.join('\n').trim(),
+    sections: sections.map(({ title, level: sectionLevel, lines: bodyLines }) => ({
+      title,
+      level: sectionLevel,
+      body: bodyLines.join('\n').trim()
+    }))
+  };
+}
+
+/**
+ * Renders a preamble and sections back to markdown
+ * @param {Object} parsed - Object with preamble and sections, as returned by parseSections
+ * @returns {string} Markdown content
+ */
+function renderSections({ preamble, sections }) {
+  const blocks = [];
+  if (preamble) {
+    blocks.push(preamble);
+  }
+  for (const section of sections) {
+    const heading = `${'#'.repeat(section.level)} ${section.title}`;
+    blocks.push(section.body ? `${heading}\n\n${section.body}` : heading);
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Normalizes a heading title for comparison
+ * @param {string} title - Heading title
+ * @returns {string} Lowercase alphanumeric key
+ */
+function normalizeHeading(title) {
+  return title
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Shifts every heading outside code fences by the given number of levels
+ * @param {string} markdown - Markdown content
+ * @param {number} offset - Levels to add (negative to promote)
+ * @returns {string} Markdown with adjusted headings (clamped to 1-6)
+ */
+function shiftHeadings(markdown, offset) {
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence;
+    }
+    const match = !inFence && line.match(/^(#{1,6})(\s+.*)$/);
+    if (!match) {
+      return line;
+    }
+    const newLevel = Math.min(6, Math.max(1, match[1].length + offset));
+    return `${'#'.repeat(newLevel)}${match[2]}`;
+  }).join('\n');
+}
+
+/**
+ * Removes a leading level-1 title from markdown
+ * @param {string} markdown - Markdown content
+ * @returns {Object} Object with title (string|null) and body
+ */
+function stripTitle(markdown) {
+  const trimmed = markdown.trim();
+  const match = trimmed.match(/^#\s+(.*)\n?/);
+  if (!match) {
+    return { title: null, body: trimmed };
+  }
+  return { title: match[1].trim(), body: trimmed.slice(match[0].length).trim() };
+}
+
+module.exports = {
+  parseSections,
+  renderSections,
+  normalizeHeading,
+  shiftHeadings,
+  stripTitle
+};
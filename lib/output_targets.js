@@ -0,0 +1,164 @@
+/**
+ * Output Target Registry
+ * Keeps track of the rule file formats the generator can produce
+ *
+ * Every target registers a name, a default filename, an optional template
+ * name and a render function. Built-in targets are registered by
+ * generator_lib.js; teams can add their own through plugin modules listed in
+ * the `plugins` key of an answers file (see docs/output_targets.md).
+ */
+
+const path = require('path');
+
+const targets = new Map();
+const loadedPlugins = new Set();
+
+/**
+ * Registers an output target
+ * @param {Object} target - Target definition
+ * @param {string} target.name - Unique target name used by --target and config.targets
+ * @param {string} target.filename - Default output path relative to the project root
+ * @param {Function} target.render - (config, context) => string or Array<{ filename, content }>
+ * @param {string} [target.label] - Name shown in the interactive target list
+ * @param {string} [target.templateName] - Template in templates/ that can replace render
+ * @param {boolean} [target.multiFile] - Whether filename (and --out) names a directory of files
+ * @param {boolean} [target.managedRegions] - Whether markdown output is wrapped in managed-region markers
+ * @param {number} [target.sizeLimit] - Maximum characters per generated file (defaults to DEFAULT_SIZE_LIMIT in size_budget.js)
+ * @returns {Object} The registered target
+ * @throws {Error} If the definition is invalid or the name is already registered
+ */
+function registerTarget(target) {
+  if (!target || typeof target.name !== 'string' || !target.name.trim()) {
+    throw new Error('Output target must have a name');
+  }
+  if (typeof target.filename !== 'string' || !target.filename.trim()) {
+    throw new Error(`Output target "${target.name}" must have a default filename`);
+  }
+  if (typeof target.render !== 'function') {
+    throw new Error(`Output target "${target.name}" must have a render function`);
+  }
+  if (target.sizeLimit !== undefined && !(Number.isInteger(target.sizeLimit) && target.sizeLimit > 0)) {
+    throw new Error(`Output target "${target.name}" must have a positive integer sizeLimit`);
+  }
+  if (targets.has(target.name)) {
+    throw new Error(`Output target "${target.name}" is already registered`);
+  }
+
+  const registered = {
+    label: `${target.filename} (${target.name})`,
+    templateName: null,
+    multiFile: false,
+    managedRegions: false,
+    ...target
+  };
+  targets.set(target.name, registered);
+  return registered;
+}
+
+/**
+ * Removes a registered target
+ * @param {string} name - Target name
+ * @returns {boolean} True if the target was registered
+ */
+function unregisterTarget(name) {
+  return targets.delete(name);
+}
+
+/**
+ * Gets a registered target
+ * @param {string} name - Target name
+ * @returns {Object} Target definition
+ * @throws {Error} If the target is not registered
+ */
+function getTarget(name) {
+  const target = targets.get(name);
+  if (!target) {
+    throw new Error(`Unsupported file type: ${name}. Supported types: ${listTargetNames().join(', ')}`);
+  }
+  return target;
+}
+
+/**
+ * Lists registered targets in registration order
+ * @returns {Array<Object>} Target definitions
+ */
+function listTargets() {
+  return [...targets.values()];
+}
+
+/**
+ * Lists registered target names
+ * @returns {Array<string>} Target names
+ */
+function listTargetNames() {
+  return [...targets.keys()];
+}
+
+/**
+ * Loads output target plugins
+ *
+ * A plugin module exports a target definition, an array of definitions, or a
+ * function that receives the plugin API and registers targets itself.
+ *
+ * @param {Array<string>} plugins - Plugin module paths (relative paths resolve against baseDir)
+ * @param {string} [baseDir] - Directory that relative plugin paths are resolved from
+ * @returns {Array<string>} Names of the targets registered by the plugins
+ * @throws {Error} If a plugin cannot be loaded or registers an invalid target
+ */
+function loadTargetPlugins(plugins = [], baseDir = process.cwd()) {
+  const before = new Set(targets.keys());
+
+  for (const plugin of plugins) {
+    let modulePath;
+    let exported;
+    try {
+      modulePath = require.resolve(plugin.startsWith('.') ? path.resolve(baseDir, plugin) : plugin, { paths: [baseDir] });
+      exported = require(modulePath);
+    } catch (error) {
+      throw new Error(`Failed to load output target plugin ${plugin}: ${error.message}`);
+    }
+
+    // A plugin listed again (e.g. generate followed by regenerate) is only registered once
+    if (loadedPlugins.has(modulePath)) {
+      continue;
+    }
+    loadedPlugins.add(modulePath);
+
+    const definition = exported && exported.default ? exported.default : exported;
+    if (typeof definition === 'function') {
+      definition(getPluginApi());
+    } else {
+      [].concat(definition).forEach(registerTarget);
+    }
+  }
+
+  return listTargetNames().filter(name => !before.has(name));
+}
+
+/**
+ * Builds the API object passed to function-style plugins
+ * @returns {Object} Plugin API
+ */
+function getPluginApi() {
+  // Required lazily: generator_lib registers the built-in targets through this module
+  const { generateTechSpecificGuidelines, capitalize } = require('./generator_lib');
+  const { applyRecipeRules } = require('./recipe_rules');
+
+  return {
+    registerTarget,
+    getTarget,
+    listTargets,
+    generateTechSpecificGuidelines,
+    applyRecipeRules,
+    capitalize
+  };
+}
+
+module.exports = {
+  registerTarget,
+  unregisterTarget,
+  getTarget,
+  listTargets,
+  listTargetNames,
+  loadTargetPlugins
+};
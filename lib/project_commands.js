@@ -0,0 +1,319 @@
+/**
+ * Project Commands Module
+ * Finds the install, build, test, lint and dev commands a project actually uses
+ *
+ * Commands are read from package.json scripts (run with the package manager
+ * named by the lockfile), Makefile targets, justfile recipes, Taskfile tasks
+ * and tox/nox environments. The generated rules show them in a Commands
+ * section so assistants stop guessing how to build and test the project.
+ */
+
+const yaml = require('js-yaml');
+const { LOCKFILES, readProjectFile } = require('./project_scanner');
+
+/**
+ * Purposes in the order they are listed
+ */
+const COMMAND_PURPOSES = ['install', 'build', 'test', 'lint', 'dev'];
+
+/**
+ * package.json script names for each purpose, most specific first
+ */
+const SCRIPT_NAMES = {
+  build: ['build', 'compile'],
+  test: ['test', 'test:unit', 'tests'],
+  lint: ['lint', 'lint:check', 'lint:all'],
+  dev: ['dev', 'start:dev', 'serve', 'start', 'watch']
+};
+
+/**
+ * Task runner target names for each purpose (make, just, task, tox and nox)
+ */
+const TASK_NAMES = {
+  install: ['install', 'setup', 'deps', 'bootstrap'],
+  build: ['build', 'compile', 'all'],
+  test: ['test', 'tests', 'check'],
+  lint: ['lint', 'vet', 'style'],
+  dev: ['dev', 'run', 'serve', 'start', 'watch']
+};
+
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+/**
+ * Picks a command for every purpose from a list of names
+ * @param {Array<string>} available - Names the file defines
+ * @param {Object} namesByPurpose - Candidate names keyed by purpose
+ * @param {Function} toCommand - Builds the shell command for a name
+ * @returns {Object} Commands keyed by purpose
+ */
+function pickCommands(available, namesByPurpose, toCommand) {
+  const commands = {};
+  Object.entries(namesByPurpose).forEach(([purpose, names]) => {
+    const name = names.find(candidate => available.includes(candidate));
+    if (name) {
+      commands[purpose] = toCommand(name);
+    }
+  });
+  return commands;
+}
+
+/**
+ * Builds the command that runs a package.json script
+ * @param {string} packageManager - npm, yarn, pnpm or bun
+ * @param {string} script - Script name
+ * @returns {string} Shell command
+ */
+function formatScriptCommand(packageManager, script) {
+  if (packageManager === 'yarn') {
+    return `yarn ${script}`;
+  }
+  // "bun test" runs Bun's own test runner instead of the script
+  if (packageManager !== 'bun' && (script === 'test' || script === 'start')) {
+    return `${packageManager} ${script}`;
+  }
+  return `${packageManager} run ${script}`;
+}
+
+/**
+ * Reads package.json scripts
+ */
+async function readPackageScripts(projectRoot, options) {
+  const content = await readProjectFile(projectRoot, 'package.json');
+  if (content === null) {
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse package.json: ${error.message}`);
+  }
+
+  let packageManager = typeof manifest.packageManager === 'string' ? manifest.packageManager.split('@')[0] : null;
+  if (!packageManager) {
+    for (const lockfile of LOCKFILES.filter(item => item.manifest === 'package.json')) {
+      if (await readProjectFile(projectRoot, lockfile.file) !== null) {
+        packageManager = lockfile.packageManager;
+        break;
+      }
+    }
+  }
+  packageManager = packageManager || options.packageManager || 'npm';
+
+  const scripts = Object.keys(manifest.scripts || {})
+    .filter(name => !(name === 'test' && NPM_PLACEHOLDER_TEST.test(manifest.scripts.test)));
+  return {
+    source: 'package.json',
+    packageManager,
+    commands: {
+      install: `${packageManager} install`,
+      ...pickCommands(scripts, SCRIPT_NAMES, script => formatScriptCommand(packageManager, script))
+    }
+  };
+}
+
+/**
+ * Reads Makefile targets
+ */
+async function readMakefile(projectRoot) {
+  for (const fileName of ['Makefile', 'makefile', 'GNUmakefile']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      const targets = [...content.matchAll(/^([A-Za-z0-9][\w.-]*)\s*:(?!=)/gm)].map(match => match[1]);
+      return { source: fileName, commands: pickCommands(targets, TASK_NAMES, target => `make ${target}`) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads justfile recipes
+ */
+async function readJustfile(projectRoot) {
+  for (const fileName of ['justfile', 'Justfile', '.justfile']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      const recipes = [...content.matchAll(/^@?([A-Za-z_][\w-]*)(?:\s+[^:\n]*)?:(?!=)/gm)]
+        .map(match => match[1])
+        .filter(name => !['set', 'alias', 'export', 'import', 'mod'].includes(name));
+      return { source: fileName, commands: pickCommands(recipes, TASK_NAMES, recipe => `just ${recipe}`) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads Taskfile tasks
+ */
+async function readTaskfile(projectRoot) {
+  for (const fileName of ['Taskfile.yml', 'Taskfile.yaml', 'taskfile.yml', 'taskfile.yaml']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      let taskfile;
+      try {
+        taskfile = yaml.load(content) || {};
+      } catch (error) {
+        throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+      }
+      const tasks = Object.keys(taskfile.tasks || {});
+      return { source: fileName, commands: pickCommands(tasks, TASK_NAMES, task => `task ${task}`) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads tox environments; the default [testenv] is run with plain "tox"
+ */
+async function readTox(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'tox.ini');
+  if (content === null) {
+    return null;
+  }
+
+  const sections = [...content.matchAll(/^\[([^\]]+)\]/gm)].map(match => match[1].trim());
+  const environments = sections.filter(name => name.startsWith('testenv:')).map(name => name.slice('testenv:'.length));
+  const commands = pickCommands(environments, TASK_NAMES, environment => `tox -e ${environment}`);
+  if (sections.includes('testenv')) {
+    commands.test = 'tox';
+  }
+  return { source: 'tox.ini', commands };
+}
+
+/**
+ * Reads nox sessions
+ */
+async function readNoxfile(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'noxfile.py');
+  if (content === null) {
+    return null;
+  }
+
+  const sessions = [...content.matchAll(/@(?:nox\.)?session\b[^\n]*\n(?:\s*@[^\n]*\n)*\s*def\s+(\w+)/g)].map(match => match[1]);
+  return { source: 'noxfile.py', commands: pickCommands(sessions, TASK_NAMES, session => `nox -s ${session}`) };
+}
+
+/**
+ * Detects the project's commands
+ * @param {string} [projectRoot] - Directory to inspect (defaults to the current directory)
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.packageManager] - Package manager for package.json scripts when the
+ *   directory has no lockfile, e.g. the root's for a monorepo package (defaults to npm)
+ * @returns {Promise<Object>} Detection as { commands, sources, packageManager }: commands and
+ *   sources are keyed by purpose (install, build, test, lint, dev), packageManager is set
+ *   when package.json exists
+ * @throws {Error} If package.json or a Taskfile cannot be parsed
+ */
+async function detectProjectCommands(projectRoot = process.cwd(), options = {}) {
+  // Earlier sources win for each purpose
+  const readers = [readPackageScripts, readMakefile, readJustfile, readTaskfile, readTox, readNoxfile];
+  const commands = {};
+  const sources = {};
+  let packageManager = null;
+
+  for (const reader of readers) {
+    const found = await reader(projectRoot, options);
+    if (!found) {
+      continue;
+    }
+    packageManager = packageManager || found.packageManager || null;
+    COMMAND_PURPOSES.forEach(purpose => {
+      if (found.commands[purpose] && !commands[purpose]) {
+        commands[purpose] = found.commands[purpose];
+        sources[purpose] = found.source;
+      }
+    });
+  }
+
+  return { commands, sources, packageManager };
+}
+
+/**
+ * Gets the commands to show for a config
+ * @param {Object} config - Configuration object
+ * @returns {Object} config.commands in purpose order; empty when none are configured, so
+ *   no command is ever guessed
+ */
+function getProjectCommands(config) {
+  const configured = config.commands || {};
+  const ordered = {};
+  [...COMMAND_PURPOSES, ...Object.keys(configured)].forEach(purpose => {
+    if (configured[purpose]) {
+      ordered[purpose] = configured[purpose];
+    }
+  });
+  return ordered;
+}
+
+/**
+ * Formats commands as a shell code block
+ * @param {Object} commands - Commands keyed by purpose
+ * @returns {string} Markdown code block, or '' when there are no commands
+ */
+function formatCommandBlock(commands) {
+  const entries = Object.entries(commands);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `\`\`\`bash
+${entries.map(([purpose, command]) => `${command}  # ${purpose}`).join('\n')}
+\`\`\``;
+}
+
+/**
+ * Formats a Commands section for the generated rules
+ * @param {Object} config - Configuration object
+ * @returns {string} Level-2 section followed by a blank line, or '' when no commands are known
+ */
+function formatCommandsSection(config) {
+  const block = formatCommandBlock(getProjectCommands(config));
+  return block ? `## Commands\n\n${block}\n\n` : '';
+}
+
+/**
+ * Parses the command blocks written by formatCommandBlock back into commands
+ * @param {string} body - Section markdown
+ * @returns {Object} Result as { commands, leftover }: everything that is not a command block is kept as leftover
+ */
+function parseCommandBlock(body) {
+  const commands = {};
+  const leftover = body.replace(/^(```|~~~)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm, (block, fence, code) => {
+    const lines = code.split('\n').filter(line => line.trim());
+    const parsed = lines.map(line => line.match(/^([^#\s].*?)\s+#\s*(\w+)\s*$/));
+    if (lines.length === 0 || !parsed.every(Boolean)) {
+      return block;
+    }
+    parsed.forEach(([, command, purpose]) => {
+      commands[purpose] = command.trim();
+    });
+    return '';
+  });
+
+  return {
+    commands,
+    leftover: leftover.replace(/^_No build or test commands configured[^\n]*$/m, '').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * Formats detected commands for the terminal, one purpose per line
+ * @param {Object} detection - Result of detectProjectCommands
+ * @returns {string} Report such as "test  npm test (from package.json)"
+ */
+function formatCommandsReport({ commands, sources }) {
+  const purposes = Object.keys(commands);
+  const width = Math.max(...purposes.map(purpose => purpose.length));
+  return purposes.map(purpose => `${purpose.padEnd(width)}  ${commands[purpose]} (from ${sources[purpose]})`).join('\n');
+}
+
+module.exports = {
+  COMMAND_PURPOSES,
+  detectProjectCommands,
+  getProjectCommands,
+  formatCommandBlock,
+  formatCommandsSection,
+  parseCommandBlock,
+  formatCommandsReport
+};
@@ -0,0 +1,349 @@
+/**
+ * Project Configuration File Module
+ * Loads, normalizes and validates generator configuration from JSON/YAML files
+ *
+ * The file shape mirrors the config object collected by the interactive
+ * wizard (overview, technologyStack, codingStandards, projectStructure,
+ * workflowGuidelines, projectManagement) so that any answers file can be
+ * rendered without prompts.
+ */
+
+const { fileFormatHandler } = require('./file_format_handler');
+const { RECIPE_RULES_MODES } = require('./recipe_rules');
+
+/**
+ * Project-level file the wizard answers are persisted to
+ */
+const PROJECT_CONFIG_FILE = '.agentrules.yaml';
+
+/**
+ * Defaults applied to any section field the answers file leaves out.
+ * These match the defaults offered by the interactive prompts.
+ */
+const DEFAULT_CONFIG = {
+  overview: {
+    version: '1.0.0',
+    projectType: []
+  },
+  technologyStack: {},
+  codingStandards: {
+    indentation: '2 spaces',
+    quotes: 'single',
+    lineLength: '',
+    naming: 'camelCase for variables, PascalCase for classes',
+    linting: ['ESLint', 'Prettier'],
+    comments: 'JSDoc for functions, inline comments for complex logic'
+  },
+  projectStructure: {
+    sourceDir: 'src',
+    testDir: 'tests',
+    buildDir: 'dist',
+    configDir: 'config',
+    organization: 'Feature-based folders with shared utilities'
+  },
+  workflowGuidelines: {
+    gitWorkflow: 'GitHub Flow',
+    branchNaming: 'feature/description, bugfix/description, hotfix/description',
+    commitStyle: 'Conventional Commits',
+    commitExamples: [],
+    cicd: ['Automated Testing', 'Code Quality Checks'],
+    deploymentSteps: 'Automated via CI/CD pipeline'
+  },
+  projectManagement: {
+    methodology: ['Agile'],
+    issueTracking: 'GitHub Issues',
+    documentation: 'README.md and docs/ folder',
+    codeReview: ['Pull Requests']
+  }
+};
+
+const CONFIG_SECTIONS = Object.keys(DEFAULT_CONFIG);
+
+/**
+ * Fields the generators expect to be arrays, keyed by section
+ */
+const ARRAY_FIELDS = {
+  overview: ['projectType'],
+  codingStandards: ['linting'],
+  workflowGuidelines: ['commitExamples', 'cicd'],
+  projectManagement: ['methodology', 'codeReview']
+};
+
+/**
+ * Top-level keys that are understood besides the config sections
+ */
+const KNOWN_KEYS = [
+  ...CONFIG_SECTIONS,
+  'fileType',
+  'windsurfRules',
+  'agentRules',
+  'recipeName',
+  'recipeRulesMode',
+  'copilotPathInstructions',
+  'targets',
+  'plugins',
+  'importedFrom',
+  'sizeLimits',
+  'sectionPriority',
+  'projectTree',
+  'commands',
+  'ci',
+  'workspaces'
+];
+
+/**
+ * Checks whether a value is a plain (non-array) object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Converts a comma separated string to an array, leaving arrays untouched
+ * @param {*} value - Value to convert
+ * @returns {Array} Array value
+ */
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * Merges a loaded answers object over the defaults and coerces field types
+ * @param {Object} answers - Raw answers loaded from file
+ * @returns {Object} Config object ready for the generators
+ */
+function normalizeConfig(answers) {
+  const config = { ...answers };
+
+  for (const section of CONFIG_SECTIONS) {
+    const value = answers[section];
+    if (value !== undefined && !isPlainObject(value)) {
+      // Leave malformed sections as-is so validateConfig can report them
+      continue;
+    }
+
+    config[section] = { ...DEFAULT_CONFIG[section], ...(value || {}) };
+
+    for (const field of ARRAY_FIELDS[section] || []) {
+      config[section][field] = toArray(config[section][field]);
+    }
+  }
+
+  // Checkbox answers (e.g. mobilePlatform) are arrays, generators expect strings
+  for (const [key, value] of Object.entries(isPlainObject(config.technologyStack) ? config.technologyStack : {})) {
+    if (Array.isArray(value)) {
+      config.technologyStack[key] = value.join(', ');
+    } else if (value !== undefined && value !== null && typeof value !== 'string') {
+      config.technologyStack[key] = String(value);
+    }
+  }
+
+  if (isPlainObject(config.overview) && config.overview.version !== undefined) {
+    config.overview.version = String(config.overview.version);
+  }
+  if (isPlainObject(config.codingStandards) && typeof config.codingStandards.lineLength === 'number') {
+    config.codingStandards.lineLength = String(config.codingStandards.lineLength);
+  }
+
+  for (const key of ['targets', 'plugins']) {
+    if (answers[key] !== undefined) {
+      config[key] = toArray(answers[key]);
+    }
+  }
+  if (isPlainObject(answers.workspaces) && answers.workspaces.packages !== undefined) {
+    config.workspaces = { ...answers.workspaces, packages: toArray(answers.workspaces.packages) };
+  }
+  config.fileType = answers.fileType || (Array.isArray(config.targets) && config.targets[0]) || 'agent';
+  return config;
+}
+
+/**
+ * Validates a normalized config object
+ * @param {Object} config - Config object to validate
+ * @returns {Object} Validation result with valid, errors and warnings
+ */
+function validateConfig(config) {
+  const result = {
+    valid: true,
+    errors: [],
+    warnings: []
+  };
+
+  if (!isPlainObject(config)) {
+    result.valid = false;
+    result.errors.push('Configuration must be an object');
+    return result;
+  }
+
+  const overview = isPlainObject(config.overview) ? config.overview : {};
+  for (const field of ['projectName', 'description']) {
+    if (typeof overview[field] !== 'string' || !overview[field].trim()) {
+      result.errors.push(`Missing required field: overview.${field}`);
+    }
+  }
+
+  if (!Array.isArray(overview.projectType) || overview.projectType.length === 0) {
+    result.errors.push('overview.projectType must list at least one project type');
+  }
+
+  if (overview.version && !/^\d+\.\d+\.\d+/.test(overview.version)) {
+    result.warnings.push(`overview.version "${overview.version}" is not a semantic version`);
+  }
+
+  if (config.recipeRulesMode !== undefined && !RECIPE_RULES_MODES.includes(config.recipeRulesMode)) {
+    result.errors.push(`recipeRulesMode must be one of: ${RECIPE_RULES_MODES.join(', ')}`);
+  }
+
+  if (config.targets !== undefined && !(Array.isArray(config.targets) && config.targets.every(target => typeof target === 'string'))) {
+    result.errors.push('targets must be a list of target names');
+  }
+
+  if (config.plugins !== undefined && !(Array.isArray(config.plugins) && config.plugins.every(plugin => typeof plugin === 'string'))) {
+    result.errors.push('plugins must be a list of module paths');
+  }
+
+  if (config.copilotPathInstructions !== undefined && typeof config.copilotPathInstructions !== 'boolean') {
+    result.errors.push('copilotPathInstructions must be true or false');
+  }
+
+  if (config.sizeLimits !== undefined && !(isPlainObject(config.sizeLimits) &&
+    Object.values(config.sizeLimits).every(limit => Number.isInteger(limit) && limit > 0))) {
+    result.errors.push('sizeLimits must map target names to positive character counts');
+  }
+
+  if (config.sectionPriority !== undefined && !(Array.isArray(config.sectionPriority) && config.sectionPriority.every(key => typeof key === 'string'))) {
+    result.errors.push('sectionPriority must be a list of section keys');
+  }
+
+  if (config.commands !== undefined && !(isPlainObject(config.commands) &&
+    Object.values(config.commands).every(command => typeof command === 'string'))) {
+    result.errors.push('commands must map purposes such as test or build to shell commands');
+  }
+
+  if (config.ci !== undefined && config.ci !== false) {
+    const isEntryList = value => value === undefined || (Array.isArray(value) &&
+      value.every(entry => isPlainObject(entry) && typeof entry.name === 'string'));
+    if (!(isPlainObject(config.ci) && isEntryList(config.ci.checks) && isEntryList(config.ci.deployments))) {
+      result.errors.push('ci must be false or { checks, deployments } with lists of { name, source, commands }');
+    }
+  }
+
+  if (config.workspaces !== undefined && config.workspaces !== false && !(isPlainObject(config.workspaces) &&
+    Array.isArray(config.workspaces.packages) && config.workspaces.packages.every(item => typeof item === 'string'))) {
+    result.errors.push('workspaces must be false or { packages } with a list of package paths or names');
+  }
+
+  if (config.projectTree !== undefined && typeof config.projectTree !== 'boolean') {
+    const tree = config.projectTree;
+    const isCount = value => value === undefined || (Number.isInteger(value) && value > 0);
+    const isPatternList = value => value === undefined || typeof value === 'string' ||
+      (Array.isArray(value) && value.every(pattern => typeof pattern === 'string'));
+    if (!(isPlainObject(tree) && isCount(tree.depth) && isCount(tree.maxEntries) && isPatternList(tree.exclude))) {
+      result.errors.push('projectTree must be true, false or { depth, maxEntries, exclude } with positive counts and a list of patterns');
+    }
+  }
+
+  for (const section of CONFIG_SECTIONS) {
+    if (config[section] !== undefined && !isPlainObject(config[section])) {
+      result.errors.push(`${section} must be an object`);
+    }
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!KNOWN_KEYS.includes(key)) {
+      result.warnings.push(`Unknown configuration key: ${key}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Reads an answers file (JSON or YAML) and returns a normalized config
+ * @param {string} filePath - Path to the answers file
+ * @returns {Promise<Object>} Normalized config and validation warnings
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+async function loadConfigFile(filePath) {
+  if (!fileFormatHandler.isSupportedFormat(filePath)) {
+    throw new Error(`Unsupported answers file format: ${filePath}. Use .json, .yaml or .yml`);
+  }
+
+  const answers = await fileFormatHandler.readFile(filePath);
+  if (!isPlainObject(answers)) {
+    throw new Error(`Answers file must contain an object: ${filePath}`);
+  }
+
+  const config = normalizeConfig(answers);
+  const validation = validateConfig(config);
+  if (!validation.valid) {
+    const error = new Error(`Invalid answers file ${filePath}:\n  - ${validation.errors.join('\n  - ')}`);
+    error.validation = validation;
+    throw error;
+  }
+
+  return { config, warnings: validation.warnings };
+}
+
+/**
+ * Picks the persistable keys from a config object
+ * @param {Object} config - Config object collected by the wizard
+ * @returns {Object} Plain object safe to write to disk
+ */
+function serializeConfig(config) {
+  const data = {};
+  for (const key of KNOWN_KEYS) {
+    if (config[key] !== undefined && config[key] !== null) {
+      data[key] = config[key];
+    }
+  }
+  return JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Writes the collected config to the project config file
+ * @param {Object} config - Config object collected by the wizard
+ * @param {string} [filePath] - Destination (defaults to .agentrules.yaml)
+ * @returns {Promise<string>} Path the config was written to
+ */
+async function saveProjectConfig(config, filePath = PROJECT_CONFIG_FILE) {
+  await fileFormatHandler.writeFile(filePath, serializeConfig(config));
+  return filePath;
+}
+
+/**
+ * Loads the project config file if it exists
+ * @param {string} [filePath] - Config path (defaults to .agentrules.yaml)
+ * @returns {Promise<Object|null>} Normalized config and warnings, or null when missing
+ */
+async function loadProjectConfig(filePath = PROJECT_CONFIG_FILE) {
+  try {
+    return await loadConfigFile(filePath);
+  } catch (error) {
+    if (error.message.startsWith('File not found')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  PROJECT_CONFIG_FILE,
+  DEFAULT_CONFIG,
+  CONFIG_SECTIONS,
+  normalizeConfig,
+  validateConfig,
+  loadConfigFile,
+  serializeConfig,
+  saveProjectConfig,
+  loadProjectConfig
+};
@@ -5,39 +5,75 @@
 
 const chalk = require('chalk');
 const inquirer = require('inquirer').default;
+const { DEFAULT_CONFIG } = require('./project_config');
+
+/**
+ * Adds values missing from a list of choices
+ * @param {Array<string>} choices - Built-in choices
+ * @param {Array<string>} values - Values that must be selectable
+ * @returns {Array<string>} Choices with the missing values inserted before 'Other'
+ */
+function withChoices(choices, values) {
+  const missing = values.filter(value => value && !choices.includes(value));
+  return [...choices.filter(choice => choice !== 'Other'), ...missing, ...(choices.includes('Other') ? ['Other'] : [])];
+}
 
 class ProjectConfigurator {
-  constructor(config) {
+  constructor(config, detectedStandards = { values: {}, sources: {} }, detectedWorkflow = { values: {}, sources: {} }) {
     this.config = config;
+    this.detectedStandards = detectedStandards;
+    this.detectedWorkflow = detectedWorkflow;
+    this.detectedProjectTypes = [];
+  }
+
+  /**
+   * Gets prompt defaults for a section, preferring previously collected answers
+   * @param {string} section - Config section name
+   * @returns {Object} Default values for the section's prompts
+   */
+  getSectionDefaults(section) {
+    return { ...DEFAULT_CONFIG[section], ...(this.config[section] || {}) };
   }
 
   async collectProjectInfo() {
     console.log(chalk.blue('\n📋 Project Information'));
-    
+    const defaults = this.getSectionDefaults('overview');
+    const suggestedTypes = this.detectedProjectTypes.map(({ type }) => type);
+    // Saved answers win; suggestions only preselect a fresh configuration
+    const useSuggestions = (defaults.projectType || []).length === 0 && suggestedTypes.length > 0;
+    if (this.detectedProjectTypes.length > 0) {
+      console.log(chalk.gray('   Suggested project types:'));
+      this.detectedProjectTypes.forEach(({ type, reasons }) => {
+        console.log(chalk.gray(`   - ${type}: ${reasons.join('; ')}`));
+      });
+    }
+
     const projectInfo = await inquirer.prompt([
       {
         type: 'input',
         name: 'projectName',
         message: 'Project name:',
+        default: defaults.projectName,
         validate: input => input.trim().length > 0 || 'Project name is required'
       },
       {
         type: 'input',
         name: 'description',
         message: 'Project description:',
+        default: defaults.description,
         validate: input => input.trim().length > 0 || 'Description is required'
       },
       {
         type: 'input',
         name: 'version',
         message: 'Version:',
-        default: '1.0.0',
+        default: defaults.version,
         validate: input => /^\d+\.\d+\.\d+/.test(input) || 'Please use semantic versioning (e.g., 1.0.0)'
       },
       {
         type: 'checkbox',
         name: 'projectType',
-        message: 'Project type (select all that apply):',
+        message: `Project type (select all that apply):${useSuggestions ? chalk.gray(' (preselected from the project files)') : ''}`,
         choices: [
           'Web Application',
           'API/Backend',
@@ -47,6 +83,7 @@ class ProjectConfigurator {
           'CLI Tool',
           'Other'
         ],
+        default: useSuggestions ? suggestedTypes : defaults.projectType,
         validate: input => input.length > 0 || 'Please select at least one project type'
       }
     ]);
@@ -57,132 +94,186 @@ class ProjectConfigurator {
 
   async collectCodingStandards() {
     console.log(chalk.blue('\n📏 Coding Standards'));
-    
+    const { values: detected, sources } = this.detectedStandards;
+    const defaults = { ...DEFAULT_CONFIG.codingStandards, ...detected, ...(this.config.codingStandards || {}) };
+    // Only mention the file when the detected value is the one offered
+    const note = field => detected[field] !== undefined && sources[field] && defaults[field] === detected[field]
+      ? chalk.gray(` (from ${sources[field]})`)
+      : '';
+
     const codingStandards = await inquirer.prompt([
       {
         type: 'list',
         name: 'indentation',
-        message: 'Indentation style:',
-        choices: ['2 spaces', '4 spaces', 'tabs'],
-        default: '2 spaces'
+        message: `Indentation style:${note('indentation')}`,
+        choices: withChoices(['2 spaces', '4 spaces', 'tabs'], [defaults.indentation]),
+        default: defaults.indentation
       },
       {
         type: 'list',
         name: 'quotes',
-        message: 'Quote style:',
+        message: `Quote style:${note('quotes')}`,
         choices: ['single', 'double'],
-        default: 'single'
+        default: defaults.quotes
+      },
+      {
+        type: 'input',
+        name: 'lineLength',
+        message: `Maximum line length (leave empty for none):${note('lineLength')}`,
+        default: defaults.lineLength,
+        validate: input => input.trim() === '' || /^\d+$/.test(input.trim()) || 'Please enter a number of characters'
       },
       {
         type: 'input',
         name: 'naming',
         message: 'Naming conventions:',
-        default: 'camelCase for variables, PascalCase for classes'
+        default: defaults.naming
       },
       {
         type: 'checkbox',
         name: 'linting',
-        message: 'Linting tools:',
-        choices: ['ESLint', 'Prettier', 'JSHint', 'TSLint', 'Pylint', 'Rubocop', 'Other'],
-        default: ['ESLint', 'Prettier']
+        message: `Linting tools:${note('linting')}`,
+        choices: withChoices(['ESLint', 'Prettier', 'JSHint', 'TSLint', 'Pylint', 'Rubocop', 'Other'], defaults.linting),
+        default: defaults.linting
       },
       {
         type: 'input',
         name: 'comments',
         message: 'Comment style guidelines:',
-        default: 'JSDoc for functions, inline comments for complex logic'
+        default: defaults.comments
       }
     ]);
 
+    codingStandards.lineLength = codingStandards.lineLength.trim();
     this.config.codingStandards = codingStandards;
     console.log(chalk.green('✅ Coding standards configured'));
   }
 
   async collectProjectStructure() {
     console.log(chalk.blue('\n🏗️ Project Structure'));
+    const defaults = this.getSectionDefaults('projectStructure');
     
     const projectStructure = await inquirer.prompt([
       {
         type: 'input',
         name: 'sourceDir',
         message: 'Source code directory:',
-        default: 'src'
+        default: defaults.sourceDir
       },
       {
         type: 'input',
         name: 'testDir',
         message: 'Test directory:',
-        default: 'tests'
+        default: defaults.testDir
       },
       {
         type: 'input',
         name: 'buildDir',
         message: 'Build output directory:',
-        default: 'dist'
+        default: defaults.buildDir
       },
       {
         type: 'input',
         name: 'configDir',
         message: 'Configuration directory:',
-        default: 'config'
+        default: defaults.configDir
       },
       {
         type: 'input',
         name: 'organization',
         message: 'Organization pattern:',
-        default: 'Feature-based folders with shared utilities'
+        default: defaults.organization
+      },
+      {
+        type: 'confirm',
+        name: 'showTree',
+        message: 'Show the real directory tree (respecting .gitignore) instead of the standard layout?',
+        default: Boolean(this.config.projectTree)
+      },
+      {
+        type: 'input',
+        name: 'treeDepth',
+        message: 'Directory levels to show:',
+        default: String((this.config.projectTree && this.config.projectTree.depth) || 2),
+        when: answers => answers.showTree,
+        validate: input => /^[1-9]\d*$/.test(input.trim()) || 'Please enter a positive number'
       }
     ]);
 
-    this.config.projectStructure = projectStructure;
+    const { showTree, treeDepth, ...structure } = projectStructure;
+    this.config.projectStructure = structure;
+    this.config.projectTree = showTree
+      ? { ...(typeof this.config.projectTree === 'object' ? this.config.projectTree : {}), depth: Number(treeDepth) }
+      : false;
     console.log(chalk.green('✅ Project structure defined'));
   }
 
   async collectWorkflowGuidelines() {
     console.log(chalk.blue('\n🔄 Development Workflow'));
-    
+    const { values: detected, sources } = this.detectedWorkflow;
+    const saved = this.config.workflowGuidelines || {};
+    const defaults = { ...DEFAULT_CONFIG.workflowGuidelines, ...detected, ...saved };
+    if (!(saved.commitExamples || []).length && detected.commitExamples) {
+      defaults.commitExamples = detected.commitExamples;
+    }
+    const note = field => detected[field] !== undefined && sources[field] && JSON.stringify(defaults[field]) === JSON.stringify(detected[field])
+      ? chalk.gray(` (from ${sources[field]})`)
+      : '';
+    if (defaults.commitExamples.length > 0) {
+      console.log(chalk.gray(`   Recent commits:\n${defaults.commitExamples.map(example => `     ${example}`).join('\n')}`));
+    }
+
     const workflowGuidelines = await inquirer.prompt([
       {
         type: 'list',
         name: 'gitWorkflow',
-        message: 'Git workflow:',
+        message: `Git workflow:${note('gitWorkflow')}`,
         choices: ['Git Flow', 'GitHub Flow', 'GitLab Flow', 'Custom'],
-        default: 'GitHub Flow'
+        default: defaults.gitWorkflow
       },
       {
         type: 'input',
         name: 'branchNaming',
-        message: 'Branch naming convention:',
-        default: 'feature/description, bugfix/description, hotfix/description'
+        message: `Branch naming convention:${note('branchNaming')}`,
+        default: defaults.branchNaming
       },
       {
         type: 'list',
         name: 'commitStyle',
-        message: 'Commit message style:',
+        message: `Commit message style:${note('commitStyle')}`,
         choices: ['Conventional Commits', 'Angular', 'Custom'],
-        default: 'Conventional Commits'
+        default: defaults.commitStyle
+      },
+      {
+        type: 'confirm',
+        name: 'includeExamples',
+        message: 'Include these commit subjects as examples in the rules?',
+        default: true,
+        when: () => defaults.commitExamples.length > 0
       },
       {
         type: 'checkbox',
         name: 'cicd',
-        message: 'CI/CD processes:',
+        message: `CI/CD processes:${note('cicd')}`,
         choices: ['Automated Testing', 'Code Quality Checks', 'Security Scanning', 'Performance Testing', 'Deployment'],
-        default: ['Automated Testing', 'Code Quality Checks']
+        default: defaults.cicd
       },
       {
         type: 'input',
         name: 'deploymentSteps',
-        message: 'Deployment process:',
-        default: 'Automated via CI/CD pipeline'
+        message: `Deployment process:${note('deploymentSteps')}`,
+        default: defaults.deploymentSteps
       }
     ]);
 
-    this.config.workflowGuidelines = workflowGuidelines;
+    const { includeExamples, ...guidelines } = workflowGuidelines;
+    this.config.workflowGuidelines = { ...guidelines, commitExamples: includeExamples ? defaults.commitExamples : [] };
     console.log(chalk.green('✅ Workflow guidelines established'));
   }
 
   async collectProjectManagement() {
     console.log(chalk.blue('\n📊 Project Management'));
+    const defaults = this.getSectionDefaults('projectManagement');
     
     const projectManagement = await inquirer.prompt([
       {
@@ -190,26 +281,26 @@ class ProjectConfigurator {
         name: 'methodology',
         message: 'Development methodology:',
         choices: ['Agile', 'Scrum', 'Kanban', 'Waterfall', 'Custom'],
-        default: ['Agile']
+        default: defaults.methodology
       },
       {
         type: 'input',
         name: 'issueTracking',
         message: 'Issue tracking system:',
-        default: 'GitHub Issues'
+        default: defaults.issueTracking
       },
       {
         type: 'input',
         name: 'documentation',
         message: 'Documentation approach:',
-        default: 'README.md and docs/ folder'
+        default: defaults.documentation
       },
       {
         type: 'checkbox',
         name: 'codeReview',
         message: 'Code review process:',
         choices: ['Pull Requests', 'Code Review Meetings', 'Pair Programming', 'Automated Review'],
-        default: ['Pull Requests']
+        default: defaults.codeReview
       }
     ]);
 
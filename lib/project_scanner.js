@@ -0,0 +1,742 @@
+/**
+ * Project Scanner
+ * Detects a project's technology stack from its manifests, lockfiles, Dockerfiles
+ * and hosting configs
+ *
+ * Each detector reads one kind of file in the project root and reports
+ * detections as { field, name, version, confidence, source }, where field is
+ * a technologyStack key (language, frontend, backend, database, tools,
+ * testing, deployment, packageManager, cliFramework, ...). scanProject()
+ * combines them into a technologyStack the wizard can use as defaults.
+ *
+ * Confidence is between 0 and 1:
+ *   0.95  the manifest itself names the language or package manager
+ *   0.9   a runtime dependency
+ *   0.8   a development dependency
+ *   0.6   indirect evidence, such as a Dockerfile base image
+ * A lockfile next to the manifest adds 0.05 to its detections.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const {
+  cleanVersion,
+  parseToml,
+  parseRequirement,
+  parseRequirementsTxt,
+  parseGoMod,
+  parseGemfile,
+  parsePomXml,
+  parseGradle,
+  parseDockerfile
+} = require('./manifest_parsers');
+
+const CONFIDENCE = {
+  manifest: 0.95,
+  dependency: 0.9,
+  devDependency: 0.8,
+  indirect: 0.6,
+  lockfileBonus: 0.05
+};
+
+/**
+ * Fields that hold a single choice; other fields list every detection
+ */
+const SINGLE_VALUE_FIELDS = ['frontend', 'backend', 'cliFramework', 'mobileFramework', 'desktopFramework', 'packageManager'];
+
+/**
+ * Known npm packages. A confidence set here replaces the dependency default,
+ * so meta-frameworks win over the libraries they build on.
+ */
+const NPM_PACKAGES = {
+  next: { field: 'frontend', name: 'Next.js', confidence: 0.95 },
+  nuxt: { field: 'frontend', name: 'Nuxt', confidence: 0.95 },
+  '@sveltejs/kit': { field: 'frontend', name: 'SvelteKit', confidence: 0.95 },
+  '@remix-run/react': { field: 'frontend', name: 'Remix', confidence: 0.95 },
+  react: { field: 'frontend', name: 'React' },
+  vue: { field: 'frontend', name: 'Vue' },
+  '@angular/core': { field: 'frontend', name: 'Angular' },
+  svelte: { field: 'frontend', name: 'Svelte' },
+  'solid-js': { field: 'frontend', name: 'Solid' },
+  preact: { field: 'frontend', name: 'Preact' },
+  '@nestjs/core': { field: 'backend', name: 'NestJS', confidence: 0.95 },
+  express: { field: 'backend', name: 'Express' },
+  fastify: { field: 'backend', name: 'Fastify' },
+  koa: { field: 'backend', name: 'Koa' },
+  '@hapi/hapi': { field: 'backend', name: 'Hapi' },
+  hono: { field: 'backend', name: 'Hono' },
+  pg: { field: 'database', name: 'PostgreSQL' },
+  mysql2: { field: 'database', name: 'MySQL' },
+  mongodb: { field: 'database', name: 'MongoDB' },
+  mongoose: { field: 'database', name: 'MongoDB' },
+  sqlite3: { field: 'database', name: 'SQLite' },
+  'better-sqlite3': { field: 'database', name: 'SQLite' },
+  redis: { field: 'database', name: 'Redis' },
+  ioredis: { field: 'database', name: 'Redis' },
+  '@prisma/client': { field: 'database', name: 'Prisma' },
+  prisma: { field: 'database', name: 'Prisma' },
+  'drizzle-orm': { field: 'database', name: 'Drizzle ORM' },
+  typeorm: { field: 'database', name: 'TypeORM' },
+  sequelize: { field: 'database', name: 'Sequelize' },
+  jest: { field: 'testing', name: 'Jest' },
+  vitest: { field: 'testing', name: 'Vitest' },
+  mocha: { field: 'testing', name: 'Mocha' },
+  jasmine: { field: 'testing', name: 'Jasmine' },
+  ava: { field: 'testing', name: 'AVA' },
+  '@playwright/test': { field: 'testing', name: 'Playwright' },
+  cypress: { field: 'testing', name: 'Cypress' },
+  vite: { field: 'tools', name: 'Vite' },
+  webpack: { field: 'tools', name: 'Webpack' },
+  rollup: { field: 'tools', name: 'Rollup' },
+  parcel: { field: 'tools', name: 'Parcel' },
+  esbuild: { field: 'tools', name: 'esbuild' },
+  tsup: { field: 'tools', name: 'tsup' },
+  turbo: { field: 'tools', name: 'Turborepo' },
+  commander: { field: 'cliFramework', name: 'Commander.js' },
+  yargs: { field: 'cliFramework', name: 'Yargs' },
+  '@oclif/core': { field: 'cliFramework', name: 'oclif', confidence: 0.95 },
+  inquirer: { field: 'cliFramework', name: 'Inquirer.js', confidence: 0.85 },
+  meow: { field: 'cliFramework', name: 'meow' },
+  'react-native': { field: 'mobileFramework', name: 'React Native' },
+  expo: { field: 'mobileFramework', name: 'Expo', confidence: 0.95 },
+  electron: { field: 'desktopFramework', name: 'Electron' },
+  '@tauri-apps/api': { field: 'desktopFramework', name: 'Tauri' }
+};
+
+/**
+ * Known Python distributions (names are normalized to lowercase with dashes)
+ */
+const PYTHON_PACKAGES = {
+  django: { field: 'backend', name: 'Django' },
+  flask: { field: 'backend', name: 'Flask' },
+  fastapi: { field: 'backend', name: 'FastAPI' },
+  starlette: { field: 'backend', name: 'Starlette', confidence: 0.7 },
+  pytest: { field: 'testing', name: 'pytest' },
+  'psycopg2': { field: 'database', name: 'PostgreSQL' },
+  'psycopg2-binary': { field: 'database', name: 'PostgreSQL' },
+  psycopg: { field: 'database', name: 'PostgreSQL' },
+  asyncpg: { field: 'database', name: 'PostgreSQL' },
+  pymongo: { field: 'database', name: 'MongoDB' },
+  mysqlclient: { field: 'database', name: 'MySQL' },
+  redis: { field: 'database', name: 'Redis' },
+  sqlalchemy: { field: 'database', name: 'SQLAlchemy' },
+  click: { field: 'cliFramework', name: 'Click' },
+  typer: { field: 'cliFramework', name: 'Typer' }
+};
+
+/**
+ * Known Go modules
+ */
+const GO_MODULES = {
+  'github.com/gin-gonic/gin': { field: 'backend', name: 'Gin' },
+  'github.com/labstack/echo/v4': { field: 'backend', name: 'Echo' },
+  'github.com/gofiber/fiber/v2': { field: 'backend', name: 'Fiber' },
+  'github.com/go-chi/chi/v5': { field: 'backend', name: 'chi' },
+  'github.com/spf13/cobra': { field: 'cliFramework', name: 'Cobra' },
+  'github.com/urfave/cli/v2': { field: 'cliFramework', name: 'urfave/cli' },
+  'gorm.io/gorm': { field: 'database', name: 'GORM' },
+  'github.com/jackc/pgx/v5': { field: 'database', name: 'PostgreSQL' },
+  'github.com/lib/pq': { field: 'database', name: 'PostgreSQL' },
+  'go.mongodb.org/mongo-driver': { field: 'database', name: 'MongoDB' },
+  'github.com/stretchr/testify': { field: 'testing', name: 'Testify' }
+};
+
+/**
+ * Known Rust crates
+ */
+const RUST_CRATES = {
+  'actix-web': { field: 'backend', name: 'Actix Web' },
+  axum: { field: 'backend', name: 'Axum' },
+  rocket: { field: 'backend', name: 'Rocket' },
+  clap: { field: 'cliFramework', name: 'Clap' },
+  tauri: { field: 'desktopFramework', name: 'Tauri' },
+  diesel: { field: 'database', name: 'Diesel' },
+  sqlx: { field: 'database', name: 'SQLx' },
+  tokio: { field: 'tools', name: 'Tokio' }
+};
+
+/**
+ * Known Java/Kotlin artifacts, matched on "groupId:artifactId" prefixes
+ */
+const JVM_ARTIFACTS = {
+  'org.springframework.boot:': { field: 'backend', name: 'Spring Boot' },
+  'io.quarkus:': { field: 'backend', name: 'Quarkus' },
+  'io.micronaut:': { field: 'backend', name: 'Micronaut' },
+  'org.junit.jupiter:': { field: 'testing', name: 'JUnit' },
+  'junit:junit': { field: 'testing', name: 'JUnit' },
+  'org.postgresql:postgresql': { field: 'database', name: 'PostgreSQL' },
+  'com.mysql:mysql-connector-j': { field: 'database', name: 'MySQL' },
+  'mysql:mysql-connector-java': { field: 'database', name: 'MySQL' },
+  'org.hibernate.orm:': { field: 'database', name: 'Hibernate' }
+};
+
+/**
+ * Known Ruby gems
+ */
+const RUBY_GEMS = {
+  rails: { field: 'backend', name: 'Ruby on Rails' },
+  sinatra: { field: 'backend', name: 'Sinatra' },
+  rspec: { field: 'testing', name: 'RSpec' },
+  'rspec-rails': { field: 'testing', name: 'RSpec' },
+  minitest: { field: 'testing', name: 'Minitest' },
+  pg: { field: 'database', name: 'PostgreSQL' },
+  mysql2: { field: 'database', name: 'MySQL' },
+  sqlite3: { field: 'database', name: 'SQLite' },
+  thor: { field: 'cliFramework', name: 'Thor' }
+};
+
+/**
+ * Known Composer packages, matched on exact names or "vendor/" prefixes
+ */
+const COMPOSER_PACKAGES = {
+  'laravel/framework': { field: 'backend', name: 'Laravel' },
+  'symfony/': { field: 'backend', name: 'Symfony', confidence: 0.85 },
+  'slim/slim': { field: 'backend', name: 'Slim' },
+  'phpunit/phpunit': { field: 'testing', name: 'PHPUnit' },
+  'pestphp/pest': { field: 'testing', name: 'Pest' },
+  'doctrine/orm': { field: 'database', name: 'Doctrine' }
+};
+
+/**
+ * Database images recognised in Docker Compose files
+ */
+const DATABASE_IMAGES = {
+  postgres: 'PostgreSQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  mongo: 'MongoDB',
+  redis: 'Redis'
+};
+
+/**
+ * Lockfiles, the package manager they belong to and the manifest they lock
+ */
+const LOCKFILES = [
+  { file: 'bun.lock', packageManager: 'bun', manifest: 'package.json' },
+  { file: 'bun.lockb', packageManager: 'bun', manifest: 'package.json' },
+  { file: 'pnpm-lock.yaml', packageManager: 'pnpm', manifest: 'package.json' },
+  { file: 'yarn.lock', packageManager: 'yarn', manifest: 'package.json' },
+  { file: 'package-lock.json', packageManager: 'npm', manifest: 'package.json' },
+  { file: 'poetry.lock', packageManager: 'Poetry', manifest: 'pyproject.toml' },
+  { file: 'uv.lock', packageManager: 'uv', manifest: 'pyproject.toml' },
+  { file: 'Pipfile.lock', packageManager: 'Pipenv', manifest: 'Pipfile' },
+  { file: 'Cargo.lock', packageManager: 'Cargo', manifest: 'Cargo.toml' },
+  { file: 'go.sum', packageManager: 'Go modules', manifest: 'go.mod' },
+  { file: 'Gemfile.lock', packageManager: 'Bundler', manifest: 'Gemfile' },
+  { file: 'composer.lock', packageManager: 'Composer', manifest: 'composer.json' }
+];
+
+/**
+ * Hosting platform configs in the project root
+ */
+const DEPLOYMENT_FILES = [
+  { file: 'vercel.json', name: 'Vercel' },
+  { file: 'netlify.toml', name: 'Netlify' },
+  { file: 'fly.toml', name: 'Fly.io' },
+  { file: 'render.yaml', name: 'Render' },
+  { file: 'Procfile', name: 'Heroku' }
+];
+
+/**
+ * Reads a file from the project root
+ * @param {string} projectRoot - Project root
+ * @param {string} fileName - File name relative to the root
+ * @returns {Promise<string|null>} File content, or null if it does not exist
+ */
+async function readProjectFile(projectRoot, fileName) {
+  try {
+    return await fs.readFile(path.join(projectRoot, fileName), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses a manifest, naming the file when it is malformed
+ * @param {string} fileName - Manifest file name
+ * @param {string} content - Manifest content
+ * @param {Function} parse - Parser, e.g. JSON.parse or parseToml
+ * @returns {*} Parsed manifest
+ * @throws {Error} If the manifest cannot be parsed
+ */
+function parseManifest(fileName, content, parse) {
+  try {
+    return parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a detection
+ * @param {Object} known - Catalogue entry as { field, name, confidence? }
+ * @param {string} version - Detected version ('' if unknown)
+ * @param {number} confidence - Default confidence for this kind of evidence
+ * @param {string} source - File the detection came from
+ * @returns {Object} Detection as { field, name, version, confidence, source }
+ */
+function detection(known, version, confidence, source) {
+  return {
+    field: known.field,
+    name: known.name,
+    version: version || '',
+    confidence: known.confidence !== undefined ? known.confidence : confidence,
+    source
+  };
+}
+
+/**
+ * Looks a dependency up in a catalogue, by exact name or by a prefix ending in ":" or "/"
+ * @param {Object} catalogue - Catalogue keyed by name or prefix
+ * @param {string} name - Dependency name
+ * @returns {Object|null} Catalogue entry
+ */
+function lookupPackage(catalogue, name) {
+  if (Object.prototype.hasOwnProperty.call(catalogue, name)) {
+    return catalogue[name];
+  }
+  const prefix = Object.keys(catalogue).find(key => /[:/]$/.test(key) && name.startsWith(key));
+  return prefix ? catalogue[prefix] : null;
+}
+
+/**
+ * Reads exact versions from package-lock.json
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<Object>} Installed versions keyed by package name
+ */
+async function readNpmLockVersions(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'package-lock.json');
+  if (!content) {
+    return {};
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(content);
+  } catch (error) {
+    return {};
+  }
+
+  const versions = {};
+  Object.entries(lock.packages || {}).forEach(([key, value]) => {
+    if (key.startsWith('node_modules/') && !key.slice('node_modules/'.length).includes('/node_modules/')) {
+      versions[key.slice('node_modules/'.length)] = value.version;
+    }
+  });
+  Object.entries(lock.dependencies || {}).forEach(([name, value]) => {
+    versions[name] = versions[name] || value.version;
+  });
+  return versions;
+}
+
+/**
+ * Detects JavaScript and TypeScript projects from package.json
+ */
+async function detectNode(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'package.json');
+  if (!content) {
+    return [];
+  }
+
+  const packageJson = parseManifest('package.json', content, JSON.parse);
+  const source = 'package.json';
+  const locked = await readNpmLockVersions(projectRoot);
+  const dependencies = { ...packageJson.optionalDependencies, ...packageJson.peerDependencies, ...packageJson.dependencies };
+  const devDependencies = packageJson.devDependencies || {};
+  const versionOf = name => cleanVersion(locked[name] || dependencies[name] || devDependencies[name]);
+  const detections = [];
+
+  const hasTypeScript = 'typescript' in dependencies || 'typescript' in devDependencies
+    || (await readProjectFile(projectRoot, 'tsconfig.json')) !== null;
+  detections.push(hasTypeScript
+    ? detection({ field: 'language', name: 'TypeScript' }, versionOf('typescript'), CONFIDENCE.manifest, source)
+    : detection({ field: 'language', name: 'JavaScript' }, '', CONFIDENCE.devDependency, source));
+
+  if (typeof packageJson.packageManager === 'string') {
+    const [name, version] = packageJson.packageManager.split('@');
+    detections.push(detection({ field: 'packageManager', name }, cleanVersion(version), CONFIDENCE.manifest, source));
+  }
+
+  for (const [name, known] of Object.entries(NPM_PACKAGES)) {
+    if (name in dependencies) {
+      detections.push(detection(known, versionOf(name), CONFIDENCE.dependency, source));
+    } else if (name in devDependencies) {
+      detections.push(detection(known, versionOf(name), CONFIDENCE.devDependency, source));
+    }
+  }
+  return detections;
+}
+
+/**
+ * Detects Python projects from pyproject.toml and requirements.txt
+ */
+async function detectPython(projectRoot) {
+  const detections = [];
+  const requirements = [];
+  let pythonVersion = '';
+  const sources = [];
+
+  const pyproject = await readProjectFile(projectRoot, 'pyproject.toml');
+  if (pyproject) {
+    const toml = parseManifest('pyproject.toml', pyproject, parseToml);
+    const project = toml.project || {};
+    const poetry = (toml.tool && toml.tool.poetry) || {};
+    sources.push('pyproject.toml');
+    pythonVersion = cleanVersion(project['requires-python'] || (poetry.dependencies || {}).python);
+
+    (project.dependencies || []).forEach(item => requirements.push({ ...parseRequirement(item), dev: false, source: 'pyproject.toml' }));
+    Object.values(project['optional-dependencies'] || {}).flat()
+      .forEach(item => requirements.push({ ...parseRequirement(item), dev: true, source: 'pyproject.toml' }));
+
+    const poetryGroups = [
+      [poetry.dependencies, false],
+      [poetry['dev-dependencies'], true],
+      ...Object.values(poetry.group || {}).map(group => [group.dependencies, true])
+    ];
+    poetryGroups.forEach(([group, dev]) => Object.entries(group || {}).forEach(([name, spec]) => {
+      if (name.toLowerCase() !== 'python') {
+        const version = typeof spec === 'object' ? spec.version : spec;
+        requirements.push({ name: name.toLowerCase().replace(/_/g, '-'), version: cleanVersion(version), dev, source: 'pyproject.toml' });
+      }
+    }));
+  }
+
+  for (const fileName of ['requirements.txt', 'requirements-dev.txt']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      sources.push(fileName);
+      parseRequirementsTxt(content).forEach(item => requirements.push({ ...item, dev: fileName !== 'requirements.txt', source: fileName }));
+    }
+  }
+
+  if (sources.length === 0) {
+    return [];
+  }
+
+  detections.push(detection({ field: 'language', name: 'Python' }, pythonVersion, CONFIDENCE.manifest, sources[0]));
+  requirements.filter(item => item.name).forEach(item => {
+    const known = lookupPackage(PYTHON_PACKAGES, item.name);
+    if (known) {
+      detections.push(detection(known, item.version, item.dev ? CONFIDENCE.devDependency : CONFIDENCE.dependency, item.source));
+    }
+  });
+  return detections;
+}
+
+/**
+ * Detects Go projects from go.mod
+ */
+async function detectGo(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'go.mod');
+  if (!content) {
+    return [];
+  }
+
+  const goMod = parseGoMod(content);
+  return [
+    detection({ field: 'language', name: 'Go' }, goMod.go, CONFIDENCE.manifest, 'go.mod'),
+    ...goMod.requires
+      .map(item => [lookupPackage(GO_MODULES, item.name), item])
+      .filter(([known]) => known)
+      .map(([known, item]) => detection(known, item.version, CONFIDENCE.dependency, 'go.mod'))
+  ];
+}
+
+/**
+ * Detects Rust projects from Cargo.toml
+ */
+async function detectRust(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'Cargo.toml');
+  if (!content) {
+    return [];
+  }
+
+  const cargo = parseManifest('Cargo.toml', content, parseToml);
+  const crate = cargo.package || {};
+  const detections = [detection({ field: 'language', name: 'Rust' }, cleanVersion(crate['rust-version']), CONFIDENCE.manifest, 'Cargo.toml')];
+  const groups = [
+    [cargo.dependencies, CONFIDENCE.dependency],
+    [(cargo.workspace || {}).dependencies, CONFIDENCE.dependency],
+    [cargo['dev-dependencies'], CONFIDENCE.devDependency]
+  ];
+  groups.forEach(([group, confidence]) => Object.entries(group || {}).forEach(([name, spec]) => {
+    const known = lookupPackage(RUST_CRATES, name);
+    if (known) {
+      detections.push(detection(known, cleanVersion(typeof spec === 'object' ? spec.version : spec), confidence, 'Cargo.toml'));
+    }
+  }));
+  return detections;
+}
+
+/**
+ * Detects Java and Kotlin projects from pom.xml, build.gradle or build.gradle.kts
+ */
+async function detectJvm(projectRoot) {
+  const detections = [];
+
+  const pomContent = await readProjectFile(projectRoot, 'pom.xml');
+  if (pomContent) {
+    const pom = parsePomXml(pomContent);
+    const javaVersion = pom.properties['java.version'] || pom.properties['maven.compiler.release'] || pom.properties['maven.compiler.source'];
+    detections.push(detection({ field: 'language', name: 'Java' }, cleanVersion(javaVersion), CONFIDENCE.manifest, 'pom.xml'));
+    detections.push(detection({ field: 'tools', name: 'Maven' }, '', CONFIDENCE.manifest, 'pom.xml'));
+
+    const artifacts = [...(pom.parent ? [pom.parent] : []), ...pom.dependencies];
+    artifacts.forEach(artifact => {
+      const known = lookupPackage(JVM_ARTIFACTS, `${artifact.groupId}:${artifact.artifactId}`);
+      if (known) {
+        detections.push(detection(known, cleanVersion(artifact.version), CONFIDENCE.dependency, 'pom.xml'));
+      }
+    });
+  }
+
+  for (const fileName of ['build.gradle.kts', 'build.gradle']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (!content) {
+      continue;
+    }
+    const gradle = parseGradle(content);
+    const kotlin = gradle.plugins.find(plugin => plugin.id.startsWith('org.jetbrains.kotlin'));
+    detections.push(kotlin
+      ? detection({ field: 'language', name: 'Kotlin' }, kotlin.version, CONFIDENCE.manifest, fileName)
+      : detection({ field: 'language', name: 'Java' }, '', CONFIDENCE.dependency, fileName));
+    detections.push(detection({ field: 'tools', name: 'Gradle' }, '', CONFIDENCE.manifest, fileName));
+
+    gradle.plugins.forEach(plugin => {
+      const known = lookupPackage(JVM_ARTIFACTS, `${plugin.id}:`);
+      if (known) {
+        detections.push(detection(known, plugin.version, CONFIDENCE.dependency, fileName));
+      }
+    });
+    gradle.dependencies.forEach(item => {
+      const known = lookupPackage(JVM_ARTIFACTS, `${item.groupId}:${item.artifactId}`);
+      if (known) {
+        const confidence = item.configuration.startsWith('test') ? CONFIDENCE.devDependency : CONFIDENCE.dependency;
+        detections.push(detection(known, item.version, confidence, fileName));
+      }
+    });
+    break;
+  }
+  return detections;
+}
+
+/**
+ * Detects Ruby projects from the Gemfile
+ */
+async function detectRuby(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'Gemfile');
+  if (!content) {
+    return [];
+  }
+
+  const gemfile = parseGemfile(content);
+  return [
+    detection({ field: 'language', name: 'Ruby' }, gemfile.ruby, CONFIDENCE.manifest, 'Gemfile'),
+    ...gemfile.gems
+      .map(gem => [lookupPackage(RUBY_GEMS, gem.name), gem])
+      .filter(([known]) => known)
+      .map(([known, gem]) => detection(known, gem.version, CONFIDENCE.dependency, 'Gemfile'))
+  ];
+}
+
+/**
+ * Detects PHP projects from composer.json
+ */
+async function detectPhp(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'composer.json');
+  if (!content) {
+    return [];
+  }
+
+  const composer = parseManifest('composer.json', content, JSON.parse);
+  const require = composer.require || {};
+  const detections = [detection({ field: 'language', name: 'PHP' }, cleanVersion(require.php), CONFIDENCE.manifest, 'composer.json')];
+  const groups = [[require, CONFIDENCE.dependency], [composer['require-dev'], CONFIDENCE.devDependency]];
+  groups.forEach(([group, confidence]) => Object.entries(group || {}).forEach(([name, version]) => {
+    const known = lookupPackage(COMPOSER_PACKAGES, name);
+    if (known) {
+      detections.push(detection(known, cleanVersion(version), confidence, 'composer.json'));
+    }
+  }));
+  return detections;
+}
+
+/**
+ * Detects Docker deployment and database services from Dockerfiles and Compose files
+ */
+async function detectDocker(projectRoot) {
+  const detections = [];
+  let entries = [];
+  try {
+    entries = await fs.readdir(projectRoot);
+  } catch (error) {
+    return [];
+  }
+
+  const dockerfiles = entries.filter(name => /^Dockerfile(\..+)?$/.test(name) || name.endsWith('.Dockerfile'));
+  for (const fileName of dockerfiles) {
+    const images = parseDockerfile(await readProjectFile(projectRoot, fileName) || '');
+    detections.push(detection({ field: 'deployment', name: 'Docker' }, '', CONFIDENCE.indirect, fileName));
+    images.forEach(image => {
+      if (DATABASE_IMAGES[image.name]) {
+        detections.push(detection({ field: 'database', name: DATABASE_IMAGES[image.name] }, cleanVersion(image.tag), CONFIDENCE.indirect, fileName));
+      }
+    });
+  }
+
+  const composeFiles = entries.filter(name => /^(docker-)?compose\.ya?ml$/.test(name));
+  for (const fileName of composeFiles) {
+    const compose = parseManifest(fileName, await readProjectFile(projectRoot, fileName), yaml.load);
+    Object.values((compose && compose.services) || {}).forEach(service => {
+      if (!service || typeof service.image !== 'string') {
+        return;
+      }
+      const [name, tag = ''] = service.image.split('/').pop().split(':');
+      if (DATABASE_IMAGES[name]) {
+        detections.push(detection({ field: 'database', name: DATABASE_IMAGES[name] }, cleanVersion(tag), CONFIDENCE.indirect, fileName));
+      }
+    });
+  }
+  return detections;
+}
+
+/**
+ * Detects hosting platforms from their config files
+ */
+async function detectDeploymentConfigs(projectRoot) {
+  const detections = [];
+  for (const config of DEPLOYMENT_FILES) {
+    if (await readProjectFile(projectRoot, config.file) !== null) {
+      detections.push(detection({ field: 'deployment', name: config.name }, '', CONFIDENCE.manifest, config.file));
+    }
+  }
+  return detections;
+}
+
+/**
+ * Detects package managers from lockfiles
+ */
+async function detectLockfiles(projectRoot) {
+  const detections = [];
+  for (const lockfile of LOCKFILES) {
+    if (await readProjectFile(projectRoot, lockfile.file) !== null) {
+      detections.push(detection({ field: 'packageManager', name: lockfile.packageManager }, '', CONFIDENCE.manifest, lockfile.file));
+    }
+  }
+  return detections;
+}
+
+const DETECTORS = [detectNode, detectPython, detectGo, detectRust, detectJvm, detectRuby, detectPhp, detectDocker, detectDeploymentConfigs, detectLockfiles];
+
+/**
+ * Formats a detection for a technologyStack value
+ * @param {Object} item - Detection
+ * @returns {string} Name with version, e.g. "React 18.2.0"
+ */
+function formatDetection(item) {
+  return item.version ? `${item.name} ${item.version}` : item.name;
+}
+
+/**
+ * Combines detections into technologyStack values
+ * @param {Array<Object>} detections - Detections
+ * @returns {Object} Object with technologyStack (field -> text) and confidence (field -> highest confidence)
+ */
+function summarizeDetections(detections) {
+  const byField = {};
+  detections.forEach(item => {
+    const items = byField[item.field] || (byField[item.field] = []);
+    const existing = items.find(other => other.name === item.name);
+    if (!existing) {
+      items.push({ ...item });
+    } else {
+      existing.confidence = Math.max(existing.confidence, item.confidence);
+      existing.version = existing.version || item.version;
+    }
+  });
+
+  const technologyStack = {};
+  const confidence = {};
+  Object.entries(byField).forEach(([field, items]) => {
+    const ranked = [...items].sort((a, b) => b.confidence - a.confidence);
+    const chosen = SINGLE_VALUE_FIELDS.includes(field) ? ranked.slice(0, 1) : ranked;
+    technologyStack[field] = chosen.map(formatDetection).join(', ');
+    confidence[field] = ranked[0].confidence;
+  });
+  return { technologyStack, confidence };
+}
+
+/**
+ * Scans a project for its technology stack
+ * @param {string} [projectRoot] - Directory to scan (defaults to the current directory)
+ * @returns {Promise<Object>} Scan as { technologyStack, confidence, detections, files }
+ * @throws {Error} If a manifest exists but cannot be parsed
+ */
+async function scanProject(projectRoot = process.cwd()) {
+  const detections = [];
+  for (const detect of DETECTORS) {
+    detections.push(...await detect(projectRoot));
+  }
+
+  // A lockfile confirms the manifest it locks
+  const lockedManifests = detections
+    .filter(item => item.field === 'packageManager')
+    .map(item => (LOCKFILES.find(lockfile => lockfile.file === item.source) || {}).manifest)
+    .filter(Boolean);
+  detections.forEach(item => {
+    if (item.field !== 'packageManager' && lockedManifests.includes(item.source)) {
+      item.confidence = Math.min(1, Math.round((item.confidence + CONFIDENCE.lockfileBonus) * 100) / 100);
+    }
+  });
+
+  return {
+    ...summarizeDetections(detections),
+    detections,
+    files: [...new Set(detections.map(item => item.source))]
+  };
+}
+
+/**
+ * Formats the detected stack as aligned lines with confidence percentages
+ * @param {Object} scan - Result of scanProject
+ * @returns {string} Plain text report, e.g. "language  TypeScript 5.4.2 (95%)"
+ */
+function formatScanReport(scan) {
+  const fields = Object.keys(scan.technologyStack);
+  const width = Math.max(...fields.map(field => field.length));
+  return fields
+    .map(field => `${field.padEnd(width)}  ${scan.technologyStack[field]} (${Math.round(scan.confidence[field] * 100)}%)`)
+    .join('\n');
+}
+
+/**
+ * Fills question defaults from a detected technology stack
+ * @param {Array<Object>} questions - Inquirer questions named after technologyStack fields
+ * @param {Object} [detected] - Detected technologyStack values
+ * @returns {Array<Object>} The same questions, with defaults replaced where something was detected
+ */
+function applyDetectedDefaults(questions, detected = {}) {
+  questions.forEach(question => {
+    // Checkbox answers are lists; the scanner only detects text fields
+    if (question.type !== 'checkbox' && typeof detected[question.name] === 'string' && detected[question.name]) {
+      question.default = detected[question.name];
+    }
+  });
+  return questions;
+}
+
+module.exports = {
+  SINGLE_VALUE_FIELDS,
+  LOCKFILES,
+  DEPLOYMENT_FILES,
+  readProjectFile,
+  scanProject,
+  summarizeDetections,
+  applyDetectedDefaults,
+  formatDetection,
+  formatScanReport
+};
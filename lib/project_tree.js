@@ -0,0 +1,329 @@
+/**
+ * Project Tree Module
+ * Walks the repository and renders its actual directory tree for the Project Structure section
+ *
+ * The walk respects .gitignore files (the root one and any nested ones),
+ * always skips .git and node_modules, and accepts extra exclusions in the
+ * same pattern syntax. Well-known folders and the directories configured in
+ * projectStructure get a short annotation.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_TREE_OPTIONS = {
+  depth: 2,
+  exclude: [],
+  maxEntries: 20
+};
+
+/**
+ * Skipped in every walk, whether or not .gitignore lists them
+ */
+const ALWAYS_EXCLUDED = ['.git', 'node_modules'];
+
+/**
+ * Annotations for well-known folder names
+ */
+const FOLDER_ANNOTATIONS = {
+  src: 'Source code',
+  lib: 'Library code',
+  app: 'Application code',
+  bin: 'Executables',
+  cmd: 'Command entry points',
+  pkg: 'Go packages',
+  internal: 'Internal packages',
+  test: 'Tests',
+  tests: 'Tests',
+  __tests__: 'Tests',
+  spec: 'Tests',
+  e2e: 'End-to-end tests',
+  fixtures: 'Test fixtures',
+  docs: 'Documentation',
+  scripts: 'Scripts',
+  config: 'Configuration files',
+  dist: 'Build output',
+  build: 'Build output',
+  out: 'Build output',
+  public: 'Static assets',
+  static: 'Static assets',
+  assets: 'Static assets',
+  components: 'UI components',
+  examples: 'Examples',
+  templates: 'Templates',
+  migrations: 'Database migrations',
+  packages: 'Workspace packages',
+  apps: 'Workspace applications',
+  vendor: 'Vendored dependencies',
+  '.github': 'GitHub workflows and templates',
+  '.vscode': 'Editor settings'
+};
+
+/**
+ * Annotations for the directories configured in projectStructure. These match
+ * the comments of the default layout so imported files map back to the fields.
+ */
+const CONFIGURED_ANNOTATIONS = {
+  sourceDir: 'Source code',
+  testDir: 'Test files',
+  buildDir: 'Build output',
+  configDir: 'Configuration files'
+};
+
+/**
+ * Resolves the projectTree config value into walk options
+ * @param {boolean|Object} value - true for the defaults, or { depth, exclude, maxEntries }
+ * @returns {Object|null} Options, or null when the tree is turned off
+ */
+function resolveTreeOptions(value) {
+  if (!value) {
+    return null;
+  }
+  const options = value === true ? {} : value;
+  const exclude = typeof options.exclude === 'string'
+    ? options.exclude.split(',').map(item => item.trim()).filter(Boolean)
+    : options.exclude;
+  return {
+    ...DEFAULT_TREE_OPTIONS,
+    ...options,
+    exclude: exclude || DEFAULT_TREE_OPTIONS.exclude
+  };
+}
+
+/**
+ * Converts a gitignore glob to a regular expression source
+ * @param {string} glob - Pattern without negation or trailing slash
+ * @returns {string} Regular expression source
+ */
+function globToRegex(glob) {
+  let source = '';
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      // "**/" matches any number of directories, a trailing "**" everything below
+      if (glob[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', index + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        index = end;
+      }
+    } else if (char === '\\' && index + 1 < glob.length) {
+      source += glob[++index].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Parses .gitignore content into rules
+ * @param {string} content - File content (or exclusion patterns joined by new lines)
+ * @param {string} [base] - Directory the file lives in, relative to the project root ('' for the root)
+ * @returns {Array<Object>} Rules as { base, regex, negate, dirOnly }
+ */
+function parseGitignore(content, base = '') {
+  return content.split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      let pattern = line;
+      const negate = pattern.startsWith('!');
+      if (negate) {
+        pattern = pattern.slice(1);
+      }
+      if (/^\\[#!]/.test(pattern)) {
+        pattern = pattern.slice(1);
+      }
+      const dirOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      // A slash anywhere but the end anchors the pattern to the .gitignore's directory
+      const anchored = pattern.includes('/');
+      pattern = pattern.replace(/^\//, '');
+      const glob = globToRegex(pattern);
+      return {
+        base,
+        regex: new RegExp(anchored ? `^${glob}$` : `(?:^|/)${glob}$`),
+        negate,
+        dirOnly
+      };
+    });
+}
+
+/**
+ * Checks a path against ignore rules; the last matching rule wins
+ * @param {Array<Object>} rules - Rules from parseGitignore, parent directories first
+ * @param {string} relativePath - Path relative to the project root, with forward slashes
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} True if the path is ignored
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    if (rule.base && !relativePath.startsWith(`${rule.base}/`)) {
+      continue;
+    }
+    const candidate = rule.base ? relativePath.slice(rule.base.length + 1) : relativePath;
+    if (rule.regex.test(candidate)) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Walks a directory tree
+ * @param {string} projectRoot - Directory to walk
+ * @param {Object} [options] - Walk options
+ * @param {number} [options.depth=2] - Directory levels to list below the root
+ * @param {Array<string>} [options.exclude] - Extra patterns to skip, in .gitignore syntax
+ * @param {number} [options.maxEntries=20] - Entries listed per directory before the rest are summarized
+ * @returns {Promise<Object>} Root as { children, omitted }; children are nodes as
+ *   { name, path, directory, children, omitted }, omitted counts entries over maxEntries
+ */
+async function scanDirectoryTree(projectRoot, options = {}) {
+  const { depth, exclude, maxEntries } = { ...DEFAULT_TREE_OPTIONS, ...options };
+  const baseRules = parseGitignore([...ALWAYS_EXCLUDED.map(name => `${name}/`), ...exclude].join('\n'));
+
+  const walk = async (relativeDir, level, inheritedRules) => {
+    const absoluteDir = path.join(projectRoot, relativeDir);
+    let rules = inheritedRules;
+    try {
+      const gitignore = await fs.readFile(path.join(absoluteDir, '.gitignore'), 'utf8');
+      // Exclusions are applied last so a negation in .gitignore cannot bring them back
+      rules = [...inheritedRules.slice(0, inheritedRules.length - baseRules.length), ...parseGitignore(gitignore, relativeDir), ...baseRules];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    const entries = (await fs.readdir(absoluteDir, { withFileTypes: true }))
+      .map(entry => ({
+        name: entry.name,
+        path: relativeDir ? `${relativeDir}/${entry.name}` : entry.name,
+        directory: entry.isDirectory()
+      }))
+      .filter(entry => !isIgnored(rules, entry.path, entry.directory))
+      .sort((a, b) => (a.directory === b.directory ? a.name.localeCompare(b.name) : a.directory ? -1 : 1));
+
+    const children = [];
+    for (const entry of entries.slice(0, maxEntries)) {
+      const listed = entry.directory && level < depth ? await walk(entry.path, level + 1, rules) : { children: [], omitted: 0 };
+      children.push({ ...entry, ...listed });
+    }
+    return { children, omitted: Math.max(entries.length - maxEntries, 0) };
+  };
+
+  return walk('', 1, baseRules);
+}
+
+/**
+ * Renders a walked directory as an ASCII tree with aligned annotations
+ * @param {Object} root - Root from scanDirectoryTree
+ * @param {Object} [options] - Render options
+ * @param {string} [options.rootName] - Name shown on the first line
+ * @param {Object} [options.annotations] - Annotations keyed by relative path, taking precedence over well-known folder names
+ * @returns {string} Tree text
+ */
+function formatTree(root, options = {}) {
+  const { rootName = '.', annotations = {} } = options;
+  const lines = [];
+
+  const visit = (children, omitted, prefix) => {
+    const count = children.length + (omitted > 0 ? 1 : 0);
+    children.forEach((node, index) => {
+      const last = index === count - 1;
+      const annotation = annotations[node.path] || (node.directory ? FOLDER_ANNOTATIONS[node.name] : null);
+      lines.push({ text: `${prefix}${last ? '└── ' : '├── '}${node.name}${node.directory ? '/' : ''}`, annotation });
+      visit(node.children, node.omitted, `${prefix}${last ? '    ' : '│   '}`);
+    });
+    if (omitted > 0) {
+      lines.push({ text: `${prefix}└── … ${omitted} more` });
+    }
+  };
+  visit(root.children, root.omitted, '');
+
+  const width = Math.max(0, ...lines.filter(line => line.annotation).map(line => line.text.length));
+  return [
+    `${rootName}/`,
+    ...lines.map(line => (line.annotation ? `${line.text.padEnd(width)}  # ${line.annotation}` : line.text))
+  ].join('\n');
+}
+
+/**
+ * Lists the configured project directories that do not exist
+ * @param {string} projectRoot - Project root
+ * @param {Object} projectStructure - projectStructure config section
+ * @returns {Promise<Array<string>>} Warnings such as 'testDir "tests/" does not exist'
+ */
+async function findMissingDirectories(projectRoot, projectStructure = {}) {
+  const missing = [];
+  for (const field of Object.keys(CONFIGURED_ANNOTATIONS)) {
+    const dir = projectStructure[field];
+    if (!dir) {
+      continue;
+    }
+    const exists = await fs.stat(path.join(projectRoot, dir)).then(stat => stat.isDirectory(), () => false);
+    if (!exists) {
+      missing.push(`projectStructure.${field} "${dir.replace(/\/$/, '')}/" does not exist`);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Builds the project tree for a config
+ * @param {string} projectRoot - Project root
+ * @param {Object} config - Configuration object with projectTree options
+ * @returns {Promise<Object>} Result as { tree, warnings }; tree is null when config.projectTree is off
+ */
+async function buildProjectTree(projectRoot, config) {
+  const options = resolveTreeOptions(config.projectTree);
+  if (!options) {
+    return { tree: null, warnings: [] };
+  }
+
+  const projectStructure = config.projectStructure || {};
+  const annotations = {};
+  Object.entries(CONFIGURED_ANNOTATIONS).forEach(([field, annotation]) => {
+    if (projectStructure[field]) {
+      annotations[projectStructure[field].replace(/^\.\/|\/$/g, '')] = annotation;
+    }
+  });
+
+  const root = await scanDirectoryTree(projectRoot, options);
+  return {
+    tree: formatTree(root, { rootName: (config.overview && config.overview.projectName) || path.basename(path.resolve(projectRoot)), annotations }),
+    warnings: await findMissingDirectories(projectRoot, projectStructure)
+  };
+}
+
+module.exports = {
+  DEFAULT_TREE_OPTIONS,
+  FOLDER_ANNOTATIONS,
+  resolveTreeOptions,
+  globToRegex,
+  parseGitignore,
+  isIgnored,
+  scanDirectoryTree,
+  formatTree,
+  findMissingDirectories,
+  buildProjectTree
+};
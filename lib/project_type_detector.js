@@ -0,0 +1,211 @@
+/**
+ * Project Type Detector
+ * Suggests PROJECT_TYPES entries from repository signals, each with the reasons behind it
+ *
+ * Builds on the scanner's framework detections (server frameworks, Electron,
+ * Tauri, React Native, CLI frameworks, ...) and adds file signals: the bin,
+ * main and exports fields of package.json, an index.html, Expo and Flutter
+ * configs, src-tauri/, Python console scripts and Rust crate layouts.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PROJECT_TYPES } = require('./project_types');
+const { readProjectFile, scanProject } = require('./project_scanner');
+const { parseToml } = require('./manifest_parsers');
+
+/**
+ * Project type suggested by each scanner field
+ */
+const FIELD_TYPES = {
+  desktopFramework: 'Desktop App',
+  mobileFramework: 'Mobile App',
+  backend: 'API/Backend',
+  frontend: 'Web Application',
+  cliFramework: 'CLI Tool'
+};
+
+/**
+ * Backends that also render the web pages
+ */
+const FULL_STACK_BACKENDS = ['Django', 'Ruby on Rails', 'Laravel', 'Symfony'];
+
+/**
+ * CLI frameworks need to be runtime dependencies; dev tools often use them for scripts
+ */
+const MIN_CLI_CONFIDENCE = 0.85;
+
+const INDEX_HTML_LOCATIONS = ['index.html', 'public/index.html', 'src/index.html'];
+
+/**
+ * An `expo` key, an import from expo or the ExpoConfig type in app.config.*
+ */
+const EXPO_CONFIG_PATTERN = /\bexpo\b|ExpoConfig/;
+
+/**
+ * Checks whether a directory exists in the project
+ */
+async function hasDirectory(projectRoot, name) {
+  return fs.stat(path.join(projectRoot, name)).then(stat => stat.isDirectory(), () => false);
+}
+
+/**
+ * Parses a manifest, naming the file when it is invalid
+ */
+function parseManifest(fileName, content, parse) {
+  try {
+    return parse(content);
+  } catch (error) {
+    throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether package.json depends on Expo
+ */
+async function hasExpoDependency(projectRoot) {
+  const content = await readProjectFile(projectRoot, 'package.json');
+  if (content === null) {
+    return false;
+  }
+  const manifest = parseManifest('package.json', content, JSON.parse);
+  return ['dependencies', 'devDependencies'].some(field => Boolean((manifest[field] || {}).expo));
+}
+
+/**
+ * Reads type signals from package.json
+ */
+async function readPackageSignals(projectRoot, add) {
+  const content = await readProjectFile(projectRoot, 'package.json');
+  if (content === null) {
+    return;
+  }
+
+  const manifest = parseManifest('package.json', content, JSON.parse);
+  if (manifest.bin) {
+    add('CLI Tool', 'package.json has a "bin" entry');
+  }
+  const entryField = ['exports', 'module', 'types', 'typings'].find(field => manifest[field]);
+  if (entryField) {
+    add('Library/Package', `package.json declares "${entryField}"`);
+  } else if (manifest.main && !manifest.bin && !manifest.private) {
+    add('Library/Package', 'package.json declares "main" and is publishable');
+  }
+}
+
+/**
+ * Reads type signals from app and platform files
+ */
+async function readFileSignals(projectRoot, add) {
+  for (const location of INDEX_HTML_LOCATIONS) {
+    if (await readProjectFile(projectRoot, location) !== null) {
+      add('Web Application', `${location} exists`, 'interface');
+      break;
+    }
+  }
+
+  const appJson = await readProjectFile(projectRoot, 'app.json');
+  if (appJson !== null && parseManifest('app.json', appJson, JSON.parse).expo) {
+    add('Mobile App', 'Expo config in app.json');
+  }
+  // TanStack Start, SolidStart and Vinxi use the same file names for web apps
+  for (const fileName of ['app.config.js', 'app.config.ts']) {
+    const appConfig = await readProjectFile(projectRoot, fileName);
+    if (appConfig !== null && (EXPO_CONFIG_PATTERN.test(appConfig) || await hasExpoDependency(projectRoot))) {
+      add('Mobile App', `Expo config in ${fileName}`);
+    }
+  }
+  const pubspec = await readProjectFile(projectRoot, 'pubspec.yaml');
+  if (pubspec !== null && /^\s+flutter:/m.test(pubspec)) {
+    add('Mobile App', 'Flutter app in pubspec.yaml');
+  }
+  if (await hasDirectory(projectRoot, 'android') && await hasDirectory(projectRoot, 'ios')) {
+    add('Mobile App', 'android/ and ios/ directories');
+  }
+  if (await hasDirectory(projectRoot, 'src-tauri')) {
+    add('Desktop App', 'src-tauri/ directory');
+  }
+}
+
+/**
+ * Reads type signals from Python and Rust manifests
+ */
+async function readCrateSignals(projectRoot, add) {
+  const pyproject = await readProjectFile(projectRoot, 'pyproject.toml');
+  if (pyproject !== null) {
+    const toml = parseManifest('pyproject.toml', pyproject, parseToml);
+    const scripts = (toml.project || {}).scripts || ((toml.tool || {}).poetry || {}).scripts;
+    if (scripts && Object.keys(scripts).length > 0) {
+      add('CLI Tool', 'pyproject.toml defines console scripts');
+    } else if (toml['build-system']) {
+      add('Library/Package', 'pyproject.toml builds a package without console scripts', 'fallback');
+    }
+  }
+
+  const cargo = await readProjectFile(projectRoot, 'Cargo.toml');
+  if (cargo !== null) {
+    const hasLib = await readProjectFile(projectRoot, 'src/lib.rs') !== null;
+    const hasMain = await readProjectFile(projectRoot, 'src/main.rs') !== null || /^\[\[bin\]\]/m.test(cargo);
+    if (hasLib && !hasMain) {
+      add('Library/Package', 'src/lib.rs without a binary target');
+    }
+  }
+}
+
+/**
+ * Suggests project types for a repository
+ * @param {string} [projectRoot] - Directory to inspect (defaults to the current directory)
+ * @param {Array<Object>} [detections] - Detections from scanProject, scanned again when omitted
+ * @returns {Promise<Array<Object>>} Suggestions as { type, reasons } in PROJECT_TYPES order
+ * @throws {Error} If a manifest exists but cannot be parsed
+ */
+async function detectProjectTypes(projectRoot = process.cwd(), detections = null) {
+  const reasons = new Map();
+  const fallbacks = new Map();
+  const interfaces = new Map();
+  // Fallback reasons only count when nothing else suggests a type; interface reasons
+  // (a web framework, an index.html) describe the UI of a desktop or mobile app when there is one
+  const add = (type, reason, kind = null) => {
+    const target = kind === 'fallback' ? fallbacks : kind === 'interface' ? interfaces : reasons;
+    target.set(type, [...(target.get(type) || []), reason]);
+  };
+
+  const found = detections || (await scanProject(projectRoot)).detections;
+  found.forEach(item => {
+    const type = FIELD_TYPES[item.field];
+    if (!type || (item.field === 'cliFramework' && item.confidence < MIN_CLI_CONFIDENCE)) {
+      return;
+    }
+    add(type, `${item.name} in ${item.source}`, item.field === 'frontend' ? 'interface' : null);
+    if (item.field === 'backend' && FULL_STACK_BACKENDS.includes(item.name)) {
+      add('Web Application', `${item.name} renders pages (${item.source})`);
+    }
+  });
+
+  await readPackageSignals(projectRoot, add);
+  await readFileSignals(projectRoot, add);
+  await readCrateSignals(projectRoot, add);
+
+  if (!reasons.has('Desktop App') && !reasons.has('Mobile App')) {
+    interfaces.forEach((list, type) => list.forEach(reason => add(type, reason)));
+  }
+  const chosen = reasons.size > 0 ? reasons : fallbacks;
+  return Object.keys(PROJECT_TYPES)
+    .filter(type => chosen.has(type))
+    .map(type => ({ type, reasons: [...new Set(chosen.get(type))] }));
+}
+
+/**
+ * Formats suggestions for the terminal
+ * @param {Array<Object>} suggestions - Result of detectProjectTypes
+ * @returns {string} One line per type, e.g. "CLI Tool  package.json has a "bin" entry; Commander.js in package.json"
+ */
+function formatProjectTypesReport(suggestions) {
+  const width = Math.max(...suggestions.map(({ type }) => type.length));
+  return suggestions.map(({ type, reasons }) => `${type.padEnd(width)}  ${reasons.join('; ')}`).join('\n');
+}
+
+module.exports = {
+  detectProjectTypes,
+  formatProjectTypesReport
+};
@@ -3,6 +3,8 @@
  * Provides conditional tech stack collection based on project type
  */
 
+const { applyDetectedDefaults } = require('./project_scanner');
+
 /**
  * Project type definitions with their characteristics
  */
@@ -53,8 +55,10 @@ const PROJECT_TYPES = {
 
 /**
  * Get project type specific tech stack questions
+ * @param {Array<string>} projectTypes - Selected project types
+ * @param {Object} [detected] - Technology stack detected by the project scanner, used as defaults
  */
-function getProjectTypeQuestions(projectTypes) {
+function getProjectTypeQuestions(projectTypes, detected = {}) {
   const questions = [];
   const typeConfig = analyzeProjectTypes(projectTypes);
 
@@ -138,7 +142,7 @@ function getProjectTypeQuestions(projectTypes) {
     });
   }
 
-  return questions;
+  return applyDetectedDefaults(questions, detected);
 }
 
 /**
@@ -24,8 +24,10 @@ const {
   fetchWindsurfRecipes,
   listWindsurfRecipes,
   searchWindsurfRecipes,
-  refreshWindsurfRecipes
+  refreshWindsurfRecipes,
+  getWindsurfCacheInfo
 } = require('./windsurf_scraper');
+const { recommendRecipes } = require('./recipe_recommender');
 
 /**
  * Recipe Manager Class
@@ -45,6 +47,8 @@ class RecipeManager {
    */
   constructor(config) {
     this.config = config;
+    // Stack found by the project scanner, used to rank recipes before any are applied
+    this.detectedStack = {};
   }
 
   async selectRecipe() {
@@ -102,8 +106,9 @@ class RecipeManager {
   /**
    * Browse and select from available recipes
    * 
-   * Loads recipes from the remote repository, displays them to the user,
-   * and allows selection and application of a chosen recipe.
+   * Loads the standard and Windsurf recipes, shows the ones that best match
+   * the project's technology stack and project types with the reasons they
+   * were recommended, then the full catalogue, and applies the chosen recipe.
    * 
    * @async
    * @returns {Promise<string>} Status of the operation ('recipe_applied', etc.)
@@ -113,14 +118,28 @@ class RecipeManager {
     console.log(chalk.blue('\n📋 Loading recipes...'));
     
     try {
-      const recipes = await loadRecipes();
-      const recipeKeys = Object.keys(recipes);
+      const recipes = { ...(await loadRecipes()), ...(await this.loadWindsurfRecipesForRanking()) };
+      const recipeKeys = Object.keys(recipes)
+        .sort((a, b) => String(recipes[a].name).localeCompare(String(recipes[b].name)));
       
       if (recipeKeys.length === 0) {
         console.log(chalk.yellow('No recipes found. Try refreshing recipes first.'));
         return await this.selectRecipe();
       }
 
+      const recommended = recommendRecipes(recipes, {
+        technologyStack: { ...this.detectedStack, ...(this.config.technologyStack || {}) },
+        projectTypes: (this.config.overview || {}).projectType || []
+      });
+      if (recommended.length > 0) {
+        console.log(chalk.green('\n⭐ Recommended for this project:\n'));
+        recommended.forEach(({ recipe, score, reasons }, index) => {
+          console.log(chalk.cyan(`${index + 1}. ${recipe.name} (score ${score})`));
+          reasons.forEach(reason => console.log(chalk.gray(`   ${reason}`)));
+          console.log();
+        });
+      }
+
       console.log(chalk.green(`\n✅ Found ${recipeKeys.length} recipes:\n`));
       
       recipeKeys.forEach((key, index) => {
@@ -131,15 +150,18 @@ class RecipeManager {
         console.log();
       });
 
+      const recommendedKeys = recommended.map(({ key }) => key);
+      const toChoice = key => ({
+        name: `${recommendedKeys.includes(key) ? '⭐ ' : ''}${recipes[key].name} - ${recipes[key].description}`,
+        value: key
+      });
       const { selectedRecipe } = await inquirer.prompt([
         {
           type: 'list',
           name: 'selectedRecipe',
           message: 'Select a recipe:',
-          choices: recipeKeys.map(key => ({
-            name: `${recipes[key].name} - ${recipes[key].description}`,
-            value: key
-          }))
+          // Recommended recipes first, then the rest of the catalogue
+          choices: [...recommendedKeys, ...recipeKeys.filter(key => !recommendedKeys.includes(key))].map(toChoice)
         }
       ]);
 
@@ -152,12 +174,41 @@ class RecipeManager {
     }
   }
 
+  /**
+   * Loads the Windsurf recipes to rank next to the standard ones
+   * 
+   * Keys are prefixed with "windsurf:" so a Windsurf recipe never replaces a
+   * standard recipe with the same key. A missing or stale cache is announced
+   * before the recipes are fetched from windsurf.com.
+   * 
+   * @async
+   * @returns {Promise<Object>} Windsurf recipes keyed by "windsurf:<key>", or an empty object when they cannot be loaded
+   */
+  async loadWindsurfRecipesForRanking() {
+    try {
+      const cacheInfo = await getWindsurfCacheInfo();
+      if (!cacheInfo.isValid) {
+        console.log(chalk.blue('🌐 Windsurf recipe cache is missing or older than 7 days, fetching recipes from windsurf.com...'));
+      }
+      const windsurfRecipes = await fetchWindsurfRecipes();
+      return Object.fromEntries(
+        Object.entries(windsurfRecipes).map(([key, recipe]) => [`windsurf:${key}`, recipe])
+      );
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ Could not load Windsurf recipes: ${error.message}`));
+      return {};
+    }
+  }
+
   async applyRecipe(recipeKey, recipes) {
     const recipe = recipes[recipeKey];
     console.log(chalk.green(`\n✅ Selected recipe: ${recipe.name}`));
     
-    // Apply the recipe's tech stack to our configuration
+    // Apply the recipe's tech stack and curated rules to our configuration
     this.config.technologyStack = { ...recipe.techStack };
+    this.config.recipeName = recipe.name;
+    this.config.windsurfRules = recipe.windsurfRules;
+    this.config.agentRules = recipe.agentRules;
     
     console.log(chalk.gray(`📋 Applied tech stack: ${JSON.stringify(recipe.techStack)}`));
     
@@ -323,7 +374,9 @@ class RecipeManager {
       }
 
       this.config.technologyStack = { ...recipe.techStack };
+      this.config.recipeName = recipe.name;
       this.config.windsurfRules = recipe.windsurfRules;
+      this.config.agentRules = recipe.agentRules;
       
       console.log(chalk.green(`✅ Applied Windsurf recipe: ${recipe.name}`));
       console.log(chalk.gray(`📋 Tech stack: ${JSON.stringify(recipe.techStack)}`));
@@ -0,0 +1,134 @@
+/**
+ * Recipe Recommender
+ * Ranks recipes against the project's technology stack and project types
+ *
+ * Every recipe is scored by the technologies it shares with the project
+ * (a match in the same field, e.g. frontend React, counts most), whether its
+ * category is one of the project types, and tags naming the project's
+ * technologies. Recipes that use a different technology in a field the
+ * project has already answered lose a point. Each score comes with the
+ * reasons behind it so the recommendation can be explained.
+ */
+
+/**
+ * Points for each kind of match
+ */
+const SCORE_WEIGHTS = {
+  sameField: 3,
+  otherField: 1,
+  category: 2,
+  tag: 1,
+  conflict: -1
+};
+
+/**
+ * Number of recommendations shown by default
+ */
+const DEFAULT_RECOMMENDATIONS = 5;
+
+/**
+ * Framework names spelled with a "js" suffix and the term they match
+ */
+const JS_FRAMEWORK_NAMES = {
+  emberjs: 'ember',
+  expressjs: 'express',
+  nestjs: 'nest',
+  nextjs: 'next',
+  nodejs: 'node',
+  nuxtjs: 'nuxt',
+  reactjs: 'react',
+  solidjs: 'solid',
+  vuejs: 'vue'
+};
+
+/**
+ * Splits a technology value into comparable terms
+ * @param {string} value - Value such as "Express 4.19.0", "Jest + React Testing Library" or "Next.js"
+ * @returns {Array<string>} Lowercase terms without versions or a ".js" suffix, e.g. ['jest', 'react testing library']
+ */
+function toTechTerms(value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value
+    .split(/,|\+|\/|\band\b|\bwith\b/i)
+    .map(term => term
+      .toLowerCase()
+      .replace(/\s+v?\d[\w.-]*/g, '')
+      .trim()
+      .replace(/\.js$/, ''))
+    .map(term => JS_FRAMEWORK_NAMES[term] || term)
+    .filter(Boolean);
+}
+
+/**
+ * Scores one recipe against the project
+ * @param {Object} recipe - Recipe with techStack, category and tags
+ * @param {Object} project - Project as { technologyStack, projectTypes }
+ * @returns {Object} Score as { score, reasons }; reasons are short sentences explaining the score
+ */
+function scoreRecipe(recipe, project) {
+  const stack = project.technologyStack || {};
+  const projectTypes = project.projectTypes || [];
+  const projectTerms = new Map();
+  Object.entries(stack).forEach(([field, value]) => {
+    toTechTerms(value).forEach(term => projectTerms.set(term, field));
+  });
+
+  let score = 0;
+  const matched = [];
+  const conflicts = [];
+  Object.entries(recipe.techStack || {}).forEach(([field, value]) => {
+    const terms = toTechTerms(value);
+    const shared = terms.filter(term => projectTerms.has(term));
+    if (shared.length > 0) {
+      score += projectTerms.get(shared[0]) === field ? SCORE_WEIGHTS.sameField : SCORE_WEIGHTS.otherField;
+      matched.push(`${value} (${field})`);
+    } else if (terms.length > 0 && toTechTerms(stack[field]).length > 0) {
+      score += SCORE_WEIGHTS.conflict;
+      conflicts.push(`${field} ${value} instead of ${stack[field]}`);
+    }
+  });
+
+  const reasons = [];
+  if (matched.length > 0) {
+    reasons.push(`Uses ${matched.join(', ')}`);
+  }
+  if (recipe.category && projectTypes.includes(recipe.category)) {
+    score += SCORE_WEIGHTS.category;
+    reasons.push(`${recipe.category} recipe`);
+  }
+  const tags = (recipe.tags || []).filter(tag => toTechTerms(tag).some(term => projectTerms.has(term)));
+  if (tags.length > 0) {
+    score += tags.length * SCORE_WEIGHTS.tag;
+    reasons.push(`Tagged ${tags.join(', ')}`);
+  }
+  if (conflicts.length > 0) {
+    reasons.push(`Differs: ${conflicts.join(', ')}`);
+  }
+  return { score, reasons };
+}
+
+/**
+ * Ranks recipes against the project
+ * @param {Object} recipes - Recipes keyed by recipe key (from loadRecipes and fetchWindsurfRecipes)
+ * @param {Object} project - Project as { technologyStack, projectTypes }
+ * @param {Object} [options] - Ranking options
+ * @param {number} [options.limit=5] - Maximum number of recommendations
+ * @returns {Array<Object>} Recommendations as { key, recipe, score, reasons }, best first; recipes without a positive score are left out
+ */
+function recommendRecipes(recipes, project, options = {}) {
+  const { limit = DEFAULT_RECOMMENDATIONS } = options;
+  return Object.entries(recipes)
+    .map(([key, recipe]) => ({ key, recipe, ...scoreRecipe(recipe, project) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || String(a.recipe.name).localeCompare(String(b.recipe.name)))
+    .slice(0, limit);
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  toTechTerms,
+  scoreRecipe,
+  recommendRecipes
+};
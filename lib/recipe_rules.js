@@ -0,0 +1,174 @@
+/**
+ * Recipe Rules Module
+ * Merges the curated rule text carried by recipes into generated rules files
+ *
+ * Recipes may provide `windsurfRules` and/or `agentRules`. When a recipe is
+ * applied those are stored on the config together with the recipe name, and
+ * this module folds them into the generated output using one of three modes:
+ *
+ * - append:  add the recipe rules as a block after the generated rules
+ * - replace: use the recipe rules instead of the generated rules
+ * - merge:   merge recipe sections into generated sections with the same heading
+ */
+
+const {
+  parseSections,
+  renderSections,
+  normalizeHeading,
+  shiftHeadings,
+  stripTitle
+} = require('./markdown_sections');
+
+const RECIPE_RULES_MODES = ['append', 'replace', 'merge'];
+const DEFAULT_RECIPE_RULES_MODE = 'append';
+
+const FOOTER_REGEX = /\n+---\n+\*(?:This file was generated|Generated) by agent-rules-generator[^\n]*\*\s*$/;
+
+/**
+ * Gets the recipe rule text that best fits the config's file type
+ * @param {Object} config - Configuration object
+ * @returns {string|null} Recipe rule markdown or null if the recipe has none
+ */
+function getRecipeRules(config) {
+  const preferred = config.fileType === 'windsurf'
+    ? [config.windsurfRules, config.agentRules]
+    : [config.agentRules, config.windsurfRules];
+
+  const rules = preferred.find(text => typeof text === 'string' && text.trim());
+  return rules ? rules.trim() : null;
+}
+
+/**
+ * Describes where the recipe rules on a config came from
+ * @param {Object} config - Configuration object (importedFrom for converted files, otherwise recipeName)
+ * @returns {string} Source description
+ */
+function getRulesSource(config) {
+  if (config.importedFrom) {
+    return `imported from ${config.importedFrom}`;
+  }
+  return config.recipeName ? `"${config.recipeName}" recipe` : 'applied recipe';
+}
+
+/**
+ * Builds the attribution line shown above each recipe block
+ * @param {Object} config - Configuration object
+ * @returns {string} Attribution markdown
+ */
+function formatAttribution(config) {
+  return `> Source: ${getRulesSource(config)}`;
+}
+
+/**
+ * Splits the "generated by" footer from generated content
+ * @param {string} content - Generated content
+ * @returns {Object} Object with body and footer
+ */
+function splitFooter(content) {
+  const match = content.match(FOOTER_REGEX);
+  if (!match) {
+    return { body: content.trimEnd(), footer: '' };
+  }
+  return { body: content.slice(0, match.index).trimEnd(), footer: match[0].trim() };
+}
+
+/**
+ * Joins body and footer back together
+ * @param {string} body - Content body
+ * @param {string} footer - Footer (may be empty)
+ * @returns {string} Combined content
+ */
+function joinFooter(body, footer) {
+  return footer ? `${body}\n\n${footer}` : body;
+}
+
+/**
+ * Appends the recipe rules as a single attributed section
+ */
+function appendRecipeRules(content, rules, config) {
+  const { body, footer } = splitFooter(content);
+  const recipeBody = shiftHeadings(stripTitle(rules).body, 1);
+  const heading = config.recipeName ? `## Recipe Rules: ${config.recipeName}` : '## Recipe Rules';
+
+  return joinFooter(`${body}\n\n${heading}\n\n${formatAttribution(config)}\n\n${recipeBody}`, footer);
+}
+
+/**
+ * Replaces the generated rules with the recipe rules, keeping the generated title
+ */
+function replaceWithRecipeRules(content, rules, config) {
+  const { body, footer } = splitFooter(content);
+  const generatedTitle = body.match(/^#\s+.*$/m);
+  const { title, body: recipeBody } = stripTitle(rules);
+  const heading = generatedTitle ? generatedTitle[0] : `# ${title || 'Recipe Rules'}`;
+
+  return joinFooter(`${heading}\n\n${formatAttribution(config)}\n\n${recipeBody}`, footer);
+}
+
+/**
+ * Merges recipe sections into generated sections with matching headings.
+ * Unmatched recipe sections are added after the generated sections.
+ */
+function mergeRecipeRules(content, rules, config) {
+  const { body, footer } = splitFooter(content);
+  const generated = parseSections(body);
+  const recipe = parseSections(stripTitle(rules).body);
+  const attribution = formatAttribution(config);
+
+  const byHeading = new Map(generated.sections.map(section => [normalizeHeading(section.title), section]));
+
+  if (recipe.preamble) {
+    recipe.sections.unshift({ title: 'Recipe Guidelines', level: 2, body: recipe.preamble });
+  }
+
+  for (const section of recipe.sections) {
+    const existing = byHeading.get(normalizeHeading(section.title));
+    if (existing) {
+      existing.body = [existing.body, attribution, section.body].filter(Boolean).join('\n\n');
+    } else {
+      generated.sections.push({
+        title: section.title,
+        level: 2,
+        body: [attribution, section.body].filter(Boolean).join('\n\n')
+      });
+    }
+  }
+
+  return joinFooter(renderSections(generated), footer);
+}
+
+/**
+ * Folds recipe-provided rules into generated content
+ * @param {string} content - Generated rules content
+ * @param {Object} config - Configuration object (windsurfRules, agentRules, recipeName, recipeRulesMode)
+ * @param {string} [mode] - Overrides config.recipeRulesMode
+ * @returns {string} Content with recipe rules applied (unchanged when the recipe has none)
+ * @throws {Error} If the mode is not supported
+ */
+function applyRecipeRules(content, config, mode = config.recipeRulesMode || DEFAULT_RECIPE_RULES_MODE) {
+  const rules = getRecipeRules(config);
+  if (!rules) {
+    return content;
+  }
+
+  switch (mode) {
+    case 'append':
+      return appendRecipeRules(content, rules, config);
+    case 'replace':
+      return replaceWithRecipeRules(content, rules, config);
+    case 'merge':
+      return mergeRecipeRules(content, rules, config);
+    default:
+      throw new Error(`Unsupported recipe rules mode: ${mode}. Supported modes: ${RECIPE_RULES_MODES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  RECIPE_RULES_MODES,
+  DEFAULT_RECIPE_RULES_MODE,
+  getRecipeRules,
+  getRulesSource,
+  applyRecipeRules,
+  splitFooter,
+  joinFooter
+};
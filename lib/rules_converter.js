@@ -0,0 +1,208 @@
+/**
+ * Rules Converter
+ * Converts one assistant's rules file into another assistant's format
+ *
+ * The source is parsed into the importer's intermediate document (title,
+ * preamble and ordered sections). Sections that map to the config are
+ * rendered by the target's own generator; everything else is carried over
+ * as custom rules and merged back in, in its original order, so nothing from
+ * the source file is lost.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseRulesDocument, documentToConfig } = require('./rules_importer');
+const { parseSections, shiftHeadings, stripTitle } = require('./markdown_sections');
+const { getSectionKey } = require('./managed_regions');
+const { normalizeConfig, CONFIG_SECTIONS } = require('./project_config');
+const { generateTargets } = require('./generator_lib');
+const { getTarget, listTargets } = require('./output_targets');
+
+const FRONTMATTER_REGEX = /^---\n[\s\S]*?\n---\n+/;
+const RECIPE_RULES_FILE = 'recipe-rules.mdc';
+
+/**
+ * Format names accepted by --from and --to in addition to target names
+ */
+const FORMAT_ALIASES = {
+  'cursor-mdc': 'cursor'
+};
+
+/**
+ * Resolves a format name to a registered output target name
+ * @param {string} format - Format or target name (e.g. 'cursor-mdc', 'windsurf')
+ * @returns {string} Target name
+ * @throws {Error} If no target is registered under the name
+ */
+function resolveFormat(format) {
+  return getTarget(FORMAT_ALIASES[format] || format).name;
+}
+
+/**
+ * Joins the .mdc files of a Cursor rules directory into one document
+ *
+ * project-overview.mdc comes first and keeps its title; the title of every
+ * other file becomes a level-2 section so its rules stay grouped. The
+ * sections of recipe-rules.mdc are custom rules already and are kept as-is.
+ *
+ * @param {string} dirPath - Rules directory (e.g. .cursor/rules)
+ * @returns {Promise<string>} Combined markdown
+ * @throws {Error} If the directory contains no .mdc files
+ */
+async function readCursorRulesDir(dirPath) {
+  const names = (await fs.readdir(dirPath))
+    .filter(name => name.endsWith('.mdc'))
+    .sort((a, b) => (b === 'project-overview.mdc') - (a === 'project-overview.mdc') || a.localeCompare(b));
+
+  if (names.length === 0) {
+    throw new Error(`No .mdc rule files found in ${dirPath}`);
+  }
+
+  const parts = [];
+  for (const [index, name] of names.entries()) {
+    const body = (await fs.readFile(path.join(dirPath, name), 'utf8')).replace(FRONTMATTER_REGEX, '').trim();
+    if (name === RECIPE_RULES_FILE) {
+      parts.push(stripTitle(body).body);
+    } else {
+      parts.push(index === 0 ? body : shiftHeadings(body, 1));
+    }
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Detects the format of a rules file from its name
+ * @param {string} filePath - Rules file path
+ * @returns {string|null} Target name, or null when the name does not identify a format (e.g. rules.md)
+ */
+function detectSourceFormat(filePath) {
+  const name = path.basename(filePath);
+  if (name === '.cursorrules' || name.endsWith('.mdc')) {
+    return 'cursor';
+  }
+  const target = listTargets().find(item => !item.multiFile && path.basename(item.filename) === name);
+  return target ? target.name : null;
+}
+
+/**
+ * Reads a rules file, or a Cursor rules directory, as markdown
+ * @param {string} inputPath - Rules file or directory
+ * @returns {Promise<Object>} Object with content, format (null when the file name does not identify one) and source name
+ */
+async function readRulesSource(inputPath) {
+  const stats = await fs.stat(inputPath);
+  if (stats.isDirectory()) {
+    return { content: await readCursorRulesDir(inputPath), format: 'cursor', source: path.normalize(inputPath) };
+  }
+  return { content: await fs.readFile(inputPath, 'utf8'), format: detectSourceFormat(inputPath), source: path.basename(inputPath) };
+}
+
+/**
+ * Builds the config used to render the target from an intermediate document
+ * @param {Object} document - Document from parseRulesDocument
+ * @param {Object} options - Conversion options
+ * @param {string} options.to - Target name
+ * @param {string} [options.source] - Source name shown in the attribution of carried-over rules
+ * @returns {Object} Object with config, customRules, mappedSections and defaultedSections
+ */
+function documentToTargetConfig(document, options) {
+  const { config: answers, customRules, mappedSections } = documentToConfig(document);
+  const config = normalizeConfig({
+    ...answers,
+    overview: { description: '', ...answers.overview },
+    fileType: options.to,
+    // Unmapped sections are merged under matching target headings or appended in order
+    recipeRulesMode: 'merge',
+    ...(customRules ? { agentRules: customRules, importedFrom: options.source || 'the original rules file' } : {})
+  });
+
+  // The target layouts always render these sections, so missing ones fall back to defaults
+  const defaultedSections = CONFIG_SECTIONS
+    .filter(section => section !== 'overview' && section !== 'technologyStack' && !mappedSections.includes(section));
+
+  return { config, customRules, mappedSections, defaultedSections };
+}
+
+/**
+ * Gets the heading the target uses for each config section
+ * @param {Object} config - Config from documentToTargetConfig
+ * @param {string} to - Target name
+ * @returns {Promise<Object>} Heading titles keyed by section key
+ */
+async function getTargetHeadings(config, to) {
+  const [{ files }] = await generateTargets({ ...config, agentRules: undefined }, null, {
+    targets: [to],
+    useTemplate: false,
+    managedRegions: false
+  });
+
+  const headings = {};
+  for (const file of files) {
+    for (const section of parseSections(file.content).sections) {
+      const key = getSectionKey(section.title);
+      headings[key] = headings[key] || section.title;
+    }
+  }
+  return headings;
+}
+
+/**
+ * Converts rules markdown into another assistant's format
+ * @param {string} content - Source rules content
+ * @param {Object} options - Conversion options
+ * @param {string} options.to - Target format or name (e.g. 'cursor-mdc', 'windsurf', 'claude')
+ * @param {string} [options.source] - Source name, e.g. the original file name
+ * @param {string} [options.out] - Output path (defaults to the target's filename)
+ * @returns {Promise<Object>} Object with results ({ target, files } for writeTargetResults) and the fields of documentToTargetConfig
+ * @throws {Error} If the target format is not supported
+ */
+async function convertRules(content, options) {
+  const to = resolveFormat(options.to);
+  const document = parseRulesDocument(content);
+
+  // Rename mapped sections to the target's headings so leftover rules merge into them
+  const headings = await getTargetHeadings(documentToTargetConfig(document, { to }).config, to);
+  const aligned = {
+    ...document,
+    sections: document.sections.map(section => (section.key && headings[section.key]
+      ? { ...section, title: headings[section.key] }
+      : section))
+  };
+  const converted = documentToTargetConfig(aligned, { to, source: options.source });
+
+  const results = await generateTargets(converted.config, null, {
+    targets: [to],
+    useTemplate: false,
+    out: options.out
+  });
+
+  return { results, ...converted };
+}
+
+/**
+ * Reads and converts a rules file or Cursor rules directory
+ * @param {string} inputPath - Source rules file or directory
+ * @param {Object} options - Conversion options (see convertRules)
+ * @param {string} [options.from] - Source format; required to match the file name when the name identifies a format, and defaults to 'agent' when it does not
+ * @returns {Promise<Object>} Conversion result (see convertRules) plus from
+ * @throws {Error} If the source or target format is not supported, or --from contradicts the source
+ */
+async function convertRulesFile(inputPath, options) {
+  const { content, format, source } = await readRulesSource(inputPath);
+  const from = options.from ? resolveFormat(options.from) : format || 'agent';
+  if (format && from !== format) {
+    throw new Error(`--from ${options.from} does not match ${source}, which is a ${format} rules source`);
+  }
+  const result = await convertRules(content, { ...options, source });
+  return { ...result, from };
+}
+
+module.exports = {
+  FORMAT_ALIASES,
+  resolveFormat,
+  detectSourceFormat,
+  readRulesSource,
+  documentToTargetConfig,
+  convertRules,
+  convertRulesFile
+};
@@ -0,0 +1,439 @@
+/**
+ * Rules Importer
+ * Parses existing rules files (.cursorrules, .windsurfrules, .agent.md, ...)
+ * back into the generator's config structure and a recipe object
+ *
+ * Level-2 headings are matched to config sections. Known fields such as
+ * `**Indentation:** 2 spaces` or `Use single quotes` fill the config; every
+ * line that cannot be mapped is kept, under its original heading, as custom
+ * rule text so nothing from the original file is lost.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseSections, stripTitle } = require('./markdown_sections');
+const { getSectionKey } = require('./managed_regions');
+const { normalizeConfig, CONFIG_SECTIONS } = require('./project_config');
+const { parseCommandBlock } = require('./project_commands');
+const { parseCiSection } = require('./ci_detector');
+const { parseWorkspaceSection } = require('./workspace_detector');
+
+const MARKER_REGEX = /^<!-- agent-rules:(?:begin|end) [^>]*-->$/;
+const FOOTER_REGEX = /^\*(?:This file was generated|Generated) by agent-rules-generator[^\n]*\*$/;
+const ATTRIBUTION_REGEX = /^> Source: (?:".+" recipe|applied recipe|imported from .+)$/;
+const TITLE_SUFFIX_REGEX = /\s+-\s+(?:AI Assistant Rules|Windsurf Rules|Copilot Instructions|Development Rules)$/i;
+
+/**
+ * Config fields for "Label: value" lines, keyed by normalized label
+ */
+const FIELD_LABELS = {
+  overview: {
+    'project name': 'projectName',
+    'name': 'projectName',
+    'version': 'version',
+    'description': 'description',
+    'project type': 'projectType',
+    'project types': 'projectType',
+    'type': 'projectType'
+  },
+  codingStandards: {
+    'indentation': 'indentation',
+    'quotes': 'quotes',
+    'line length': 'lineLength',
+    'naming': 'naming',
+    'naming conventions': 'naming',
+    'active linters': 'linting',
+    'code must pass': 'linting',
+    'linting': 'linting',
+    'comments': 'comments'
+  },
+  projectStructure: {
+    'source code': 'sourceDir',
+    'source': 'sourceDir',
+    'tests': 'testDir',
+    'build output': 'buildDir',
+    'configuration': 'configDir',
+    'organization': 'organization',
+    'organization pattern': 'organization'
+  },
+  workflowGuidelines: {
+    'strategy': 'gitWorkflow',
+    'workflow': 'gitWorkflow',
+    'git workflow': 'gitWorkflow',
+    'branch naming': 'branchNaming',
+    'commit style': 'commitStyle',
+    'commit messages': 'commitStyle',
+    'example': 'commitExamples',
+    'commit example': 'commitExamples'
+  },
+  projectManagement: {
+    'methodology': 'methodology',
+    'issue tracking': 'issueTracking',
+    'documentation': 'documentation',
+    'code review': 'codeReview'
+  }
+};
+
+/**
+ * Fields filled from the bullets or text under a level-3 heading
+ */
+const SUBSECTION_FIELDS = {
+  codingStandards: { 'tools': 'linting', 'linting': 'linting', 'comments': 'comments' },
+  workflowGuidelines: { 'ci cd': 'cicd', 'deployment': 'deploymentSteps' },
+  projectManagement: { 'methodology': 'methodology', 'code review': 'codeReview' }
+};
+
+/**
+ * Sentence patterns used by the Windsurf, Copilot and Cursor layouts
+ */
+const SENTENCE_PATTERNS = {
+  overview: [
+    [/^This is an? (.+?) project called "(.+)"\.?$/, match => ({ projectType: match[1], projectName: match[2] })],
+    [/^This is an? (.+?) project \(version (.+)\)\.?$/, match => ({ projectType: match[1], version: match[2] })]
+  ],
+  codingStandards: [
+    [/^Use (.+?) for indentation and (.+?) quotes$/, match => ({ indentation: match[1], quotes: match[2] })],
+    [/^Use (.+?) for indentation$/, match => ({ indentation: match[1] })],
+    [/^Use (.+?) quotes$/, match => ({ quotes: match[1] })],
+    [/^Keep lines within (\d+) characters$/, match => ({ lineLength: match[1] })],
+    [/^Follow (.+?) naming conventions$/, match => ({ naming: match[1] })]
+  ],
+  projectStructure: [
+    [/^Source code (?:is organized in|lives in) the `(.+?)\/?` directory\.?$|^Source code lives in `(.+?)\/?`$/, match => ({ sourceDir: match[1] || match[2] })],
+    [/^Tests (?:are located in|live in) `(.+?)\/?`\.?$/, match => ({ testDir: match[1] })],
+    [/^Build output goes to `(.+?)\/?`\.?$|^`(.+?)\/?` is build output/, match => ({ buildDir: match[1] || match[2] })],
+    [/^Configuration files are in `(.+?)\/?`\.?$/, match => ({ configDir: match[1] })]
+  ]
+};
+
+/**
+ * Directory comments used in the generated project tree
+ */
+const TREE_COMMENTS = {
+  'source code': 'sourceDir',
+  'test files': 'testDir',
+  'tests': 'testDir',
+  'build output': 'buildDir',
+  'configuration files': 'configDir'
+};
+
+const LIST_FIELDS = ['projectType', 'linting', 'cicd', 'methodology', 'codeReview'];
+
+/**
+ * Section keys whose command blocks fill config.commands
+ */
+const COMMAND_SECTIONS = ['commands', 'buildAndTestCommands'];
+
+/**
+ * Normalizes a label for lookups
+ * @param {string} label - Label or heading text
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeLabel(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Converts a label such as "Build Tools" to a config key such as "buildTools"
+ * @param {string} label - Label text
+ * @returns {string} camelCase key
+ */
+function toCamelCase(label) {
+  return normalizeLabel(label)
+    .split(' ')
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+}
+
+/**
+ * Removes generator markers, the footer and surrounding noise from a rules file
+ * @param {string} content - Raw file content
+ * @returns {string} Clean markdown
+ */
+function cleanContent(content) {
+  const withoutFrontmatter = content.replace(/^---\n[\s\S]*?\n---\n/, '');
+  const lines = withoutFrontmatter.split('\n').filter(line => [MARKER_REGEX, FOOTER_REGEX, ATTRIBUTION_REGEX].every(regex => !regex.test(line.trim())));
+  return lines.join('\n').replace(/\n+---\s*$/, '').trim();
+}
+
+/**
+ * Parses a rules file into an ordered intermediate document
+ * @param {string} content - Rules markdown
+ * @returns {Object} Document with title, preamble and sections ({ title, key, body })
+ */
+function parseRulesDocument(content) {
+  const { title, body } = stripTitle(cleanContent(content));
+  const { preamble, sections } = parseSections(body);
+
+  return {
+    title,
+    preamble,
+    sections: sections.map(section => {
+      const key = getSectionKey(section.title);
+      return { title: section.title, key: CONFIG_SECTIONS.includes(key) ? key : null, body: section.body };
+    })
+  };
+}
+
+/**
+ * Extracts a "Label: value" pair from a line
+ * @param {string} line - Markdown line
+ * @returns {Object|null} Object with label and value
+ */
+function matchLabelValue(line) {
+  const match = line.match(/^(?:[-*]\s+)?\*\*(.+?):?\*\*:?\s*(.+)$/) ||
+    line.match(/^(?:[-*]\s+)?([A-Za-z][\w /&()-]{0,40}?):\s+(.+)$/);
+  return match ? { label: match[1].trim(), value: match[2].trim() } : null;
+}
+
+/**
+ * Maps the lines of one config section
+ * @param {string} sectionKey - Config section name
+ * @param {string} body - Section markdown
+ * @returns {Object} Object with fields (partial config section) and leftover (unmapped markdown)
+ */
+function parseSectionFields(sectionKey, body) {
+  const fields = {};
+  const leftover = [];
+  let subsection = null;
+  let subsectionHeading = null;
+  let inFence = false;
+
+  const setField = (field, value) => {
+    if (field === 'commitExamples') {
+      // Subjects may contain commas, so every example line is one item
+      fields[field] = [...(fields[field] || []), value];
+    } else if (LIST_FIELDS.includes(field)) {
+      fields[field] = [...(fields[field] || []), ...value.split(',').map(item => item.trim()).filter(Boolean)];
+    } else if (field === 'lineLength') {
+      fields[field] = value.replace(/\s*characters$/, '');
+    } else if (fields[field] && field === 'deploymentSteps') {
+      fields[field] = `${fields[field]}\n${value}`;
+    } else {
+      fields[field] = value;
+    }
+  };
+
+  const keep = line => {
+    if (subsectionHeading) {
+      leftover.push(subsectionHeading, '');
+      subsectionHeading = null;
+    }
+    leftover.push(line);
+  };
+
+  for (const rawLine of body.split('\n')) {
+    const line = rawLine.trim();
+
+    if (/^(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      if (sectionKey !== 'projectStructure') {
+        keep(rawLine);
+      }
+      continue;
+    }
+
+    if (inFence) {
+      if (sectionKey === 'projectStructure') {
+        const tree = line.match(/[├└]──\s+(\S+?)\/?\s+#\s*(.+)$/);
+        if (tree && TREE_COMMENTS[normalizeLabel(tree[2])]) {
+          fields[TREE_COMMENTS[normalizeLabel(tree[2])]] = tree[1];
+        }
+      } else {
+        keep(rawLine);
+      }
+      continue;
+    }
+
+    if (!line) {
+      if (leftover.length > 0 && leftover[leftover.length - 1] !== '') {
+        leftover.push('');
+      }
+      continue;
+    }
+
+    const heading = line.match(/^###\s+(.+)$/);
+    if (heading) {
+      subsection = (SUBSECTION_FIELDS[sectionKey] || {})[normalizeLabel(heading[1])] || null;
+      subsectionHeading = line;
+      continue;
+    }
+
+    if (sectionKey === 'technologyStack') {
+      const pair = matchLabelValue(line);
+      if (pair) {
+        fields[toCamelCase(pair.label)] = pair.value;
+      } else {
+        keep(rawLine);
+      }
+      continue;
+    }
+
+    const pair = matchLabelValue(line);
+    const pairField = pair && (FIELD_LABELS[sectionKey] || {})[normalizeLabel(pair.label)];
+    if (pairField) {
+      // Keep only the path from values such as "`dist/` (generated, do not edit)"
+      const code = pair.value.match(/^`([^`]+)`/);
+      setField(pairField, (code ? code[1] : pair.value.replace(/`/g, '')).replace(/\/$/, ''));
+      continue;
+    }
+
+    const text = line.replace(/^[-*]\s+/, '');
+    const sentence = (SENTENCE_PATTERNS[sectionKey] || [])
+      .map(([pattern, extract]) => (text.match(pattern) ? extract(text.match(pattern)) : null))
+      .find(Boolean);
+    if (sentence) {
+      Object.entries(sentence).forEach(([field, value]) => setField(field, value));
+      continue;
+    }
+
+    if (subsection) {
+      setField(subsection, text);
+      continue;
+    }
+
+    // A plain paragraph in the overview is the description
+    if (sectionKey === 'overview' && !fields.description && !/^[-*]\s+/.test(line)) {
+      fields.description = line;
+      continue;
+    }
+
+    keep(rawLine);
+  }
+
+  return { fields, leftover: leftover.join('\n').trim() };
+}
+
+/**
+ * Converts a parsed document into a config and custom rule text
+ * @param {Object} document - Document from parseRulesDocument
+ * @returns {Object} Object with config (partial answers), customRules (markdown) and mappedSections
+ */
+function documentToConfig(document) {
+  const answers = { overview: {} };
+  const custom = [];
+  const mappedSections = [];
+
+  if (document.title) {
+    answers.overview.projectName = document.title.replace(TITLE_SUFFIX_REGEX, '').trim();
+  }
+
+  const preamble = parseSectionFields('overview', document.preamble);
+  Object.assign(answers.overview, preamble.fields);
+  if (preamble.leftover) {
+    custom.push(preamble.leftover);
+  }
+
+  for (const section of document.sections) {
+    if (!section.key && getSectionKey(section.title) === 'workspace') {
+      // Monorepo cross-links are rebuilt from the repository layout at generation time
+      const leftover = parseWorkspaceSection(section.body);
+      if (leftover) {
+        custom.push(`## ${section.title}\n\n${leftover}`);
+      }
+      continue;
+    }
+    if (!section.key && getSectionKey(section.title) === 'ciCd') {
+      const { ci, leftover } = parseCiSection(section.body);
+      if (ci) {
+        answers.ci = ci;
+        if (leftover) {
+          custom.push(`## ${section.title}\n\n${leftover}`);
+        }
+        continue;
+      }
+    }
+    if (!section.key && COMMAND_SECTIONS.includes(getSectionKey(section.title))) {
+      const { commands, leftover } = parseCommandBlock(section.body);
+      if (Object.keys(commands).length > 0) {
+        answers.commands = { ...(answers.commands || {}), ...commands };
+        if (leftover) {
+          custom.push(`## ${section.title}\n\n${leftover}`);
+        }
+        continue;
+      }
+    }
+    if (!section.key) {
+      custom.push(`## ${section.title}\n\n${section.body}`.trim());
+      continue;
+    }
+
+    const { fields, leftover } = parseSectionFields(section.key, section.body);
+    answers[section.key] = { ...(answers[section.key] || {}), ...fields };
+    if (!mappedSections.includes(section.key)) {
+      mappedSections.push(section.key);
+    }
+    if (leftover) {
+      custom.push(`## ${section.title}\n\n${leftover}`);
+    }
+  }
+
+  return { config: answers, customRules: custom.join('\n\n').trim(), mappedSections };
+}
+
+/**
+ * Detects which assistant a rules file belongs to from its name
+ * @param {string} filePath - Rules file path
+ * @returns {string} 'windsurf', 'cursor' or 'agent'
+ */
+function detectRulesFormat(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name === '.windsurfrules') {
+    return 'windsurf';
+  }
+  if (name === '.cursorrules' || name.endsWith('.mdc')) {
+    return 'cursor';
+  }
+  return 'agent';
+}
+
+/**
+ * Imports rules markdown into a config and a recipe
+ * @param {string} content - Rules file content
+ * @param {Object} [options] - Import options
+ * @param {string} [options.format] - Source format ('agent', 'windsurf' or 'cursor')
+ * @param {string} [options.source] - Source name used for the recipe name
+ * @returns {Object} Object with config (normalized), recipe, customRules and mappedSections
+ */
+function importRules(content, options = {}) {
+  const format = options.format || 'agent';
+  const { config: answers, customRules, mappedSections } = documentToConfig(parseRulesDocument(content));
+  const rulesKey = format === 'windsurf' ? 'windsurfRules' : 'agentRules';
+  const recipeName = `${answers.overview.projectName || 'Imported'} rules`;
+
+  if (customRules) {
+    answers[rulesKey] = customRules;
+    answers.recipeName = recipeName;
+  }
+  answers.fileType = format === 'windsurf' ? 'windsurf' : 'agent';
+
+  const config = normalizeConfig(answers);
+  const recipe = {
+    name: recipeName,
+    description: config.overview.description || `Imported from ${options.source || 'an existing rules file'}`,
+    category: config.overview.projectType[0] || 'Other',
+    version: '1.0.0',
+    techStack: { ...config.technologyStack },
+    ...(customRules ? { [rulesKey]: customRules } : {})
+  };
+
+  return { config, recipe, customRules, mappedSections };
+}
+
+/**
+ * Reads and imports a rules file
+ * @param {string} filePath - Path to .cursorrules, .windsurfrules, .agent.md or similar
+ * @returns {Promise<Object>} Import result (see importRules)
+ */
+async function importRulesFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return importRules(content, { format: detectRulesFormat(filePath), source: path.basename(filePath) });
+}
+
+module.exports = {
+  parseRulesDocument,
+  documentToConfig,
+  detectRulesFormat,
+  importRules,
+  importRulesFile
+};
@@ -0,0 +1,270 @@
+/**
+ * Size Budget Module
+ * Keeps generated rules files within the size each assistant can use
+ *
+ * Every output target has a character budget (Windsurf, for example, ignores
+ * rules beyond 6000 characters). When a file is over budget, level-2 sections
+ * are removed starting with the lowest priority: the last one touched is
+ * condensed to its top-level lines if that is enough, otherwise sections are
+ * dropped. The title and preamble are always kept.
+ */
+
+const { parseSections, renderSections } = require('./markdown_sections');
+const { getSectionKey, parseManagedRegions, renderManagedSegments, isEdited } = require('./managed_regions');
+const { splitFooter, joinFooter } = require('./recipe_rules');
+
+const DEFAULT_SIZE_LIMIT = 16000;
+const CHARS_PER_TOKEN = 4;
+const FRONTMATTER_REGEX = /^---\n[\s\S]*?\n---\n+/;
+
+/**
+ * Section keys from most to least important. `*` stands for every section
+ * that is not listed, such as recipe and custom rules.
+ */
+const DEFAULT_SECTION_PRIORITY = [
+  'overview',
+  'workspace',
+  'technologyStack',
+  'codingStandards',
+  'boundaries',
+  'commands',
+  'buildAndTestCommands',
+  'projectStructure',
+  '*',
+  'workflowGuidelines',
+  'git',
+  'testingInstructions',
+  'technologyGuidelines',
+  'specificTechnologyGuidelines',
+  'pullRequestInstructions',
+  'ciCd',
+  'deployment',
+  'projectManagement',
+  'aiAssistantGuidelines',
+  'qualityStandards',
+  'fileOrganizationRules',
+  'codeGenerationRules'
+];
+
+/**
+ * Approximates the token count of a text
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate tokens (about 4 characters each)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Measures generated content
+ * @param {string} content - File content
+ * @returns {Object} Object with characters and tokens
+ */
+function measureContent(content) {
+  return { characters: content.length, tokens: estimateTokens(content) };
+}
+
+/**
+ * Gets the character budget of a target
+ * @param {Object} target - Registered target
+ * @param {Object} [config] - Configuration object; config.sizeLimits overrides the target's sizeLimit
+ * @returns {number} Maximum characters per generated file
+ */
+function getSizeLimit(target, config = {}) {
+  const overrides = config.sizeLimits || {};
+  return overrides[target.name] || target.sizeLimit || DEFAULT_SIZE_LIMIT;
+}
+
+/**
+ * Gets the rank of a section in a priority list
+ * @param {string} key - Section key
+ * @param {Array<string>} priority - Section keys from most to least important
+ * @returns {number} Rank, higher is less important
+ */
+function getPriorityRank(key, priority) {
+  const index = priority.indexOf(key);
+  if (index !== -1) {
+    return index;
+  }
+  const wildcard = priority.indexOf('*');
+  return wildcard !== -1 ? wildcard : priority.length;
+}
+
+/**
+ * Condenses a section body to its top-level lines
+ *
+ * Code blocks, quotes, nested list items and blank lines are removed.
+ *
+ * @param {string} body - Section body
+ * @returns {string} Condensed body
+ */
+function condenseSection(body) {
+  const lines = [];
+  let inFence = false;
+
+  for (const line of body.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence || !line.trim() || /^\s/.test(line) || line.startsWith('>')) {
+      continue;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Fits generated markdown into a character budget
+ * @param {string} content - Generated markdown
+ * @param {Object} options - Budget options
+ * @param {number} options.limit - Maximum characters
+ * @param {Array<string>} [options.priority] - Section keys from most to least important (defaults to DEFAULT_SECTION_PRIORITY)
+ * @param {Function} [options.transform] - Applied to the content before measuring, e.g. wrapManagedRegions
+ * @returns {Object} Object with content (transformed), characters, tokens, limit, priority, removed ({ title, action }) and overBudget
+ */
+function applySizeBudget(content, options) {
+  const { limit, priority = DEFAULT_SECTION_PRIORITY } = options;
+  const transform = options.transform || (text => text);
+  const frontmatter = (content.match(FRONTMATTER_REGEX) || [''])[0];
+  const { body, footer } = splitFooter(content.slice(frontmatter.length));
+  const parsed = parseSections(body);
+  const sections = parsed.sections.map(section => ({ ...section, rank: getPriorityRank(getSectionKey(section.title), priority) }));
+
+  const render = () => transform(`${frontmatter}${joinFooter(renderSections({ preamble: parsed.preamble, sections }), footer)}\n`);
+  const removed = [];
+  let output = transform(content);
+
+  // Least important first; later sections go first among equals
+  const candidates = [...sections].sort((a, b) => b.rank - a.rank || sections.indexOf(b) - sections.indexOf(a));
+
+  for (const section of candidates) {
+    if (output.length <= limit) {
+      break;
+    }
+
+    const original = section.body;
+    section.body = condenseSection(original);
+    const condensed = render();
+    if (section.body !== original && condensed.length <= limit) {
+      output = condensed;
+      removed.push({ title: section.title, action: 'condensed' });
+      break;
+    }
+
+    sections.splice(sections.indexOf(section), 1);
+    output = render();
+    removed.push({ title: section.title, action: 'dropped' });
+  }
+
+  return {
+    content: output,
+    ...measureContent(output),
+    limit,
+    priority,
+    removed,
+    overBudget: output.length > limit
+  };
+}
+
+/**
+ * Fits a file with managed regions into a character budget without touching hand-written content
+ *
+ * Used after generated regions were merged into an existing file: text
+ * outside the markers and regions edited by hand are kept, and generated
+ * regions are condensed or dropped in the same order as applySizeBudget.
+ *
+ * @param {string} content - Merged file content
+ * @param {Object} options - Budget options
+ * @param {number} options.limit - Maximum characters
+ * @param {Array<string>} [options.priority] - Section keys from most to least important (defaults to DEFAULT_SECTION_PRIORITY)
+ * @returns {Object} Same result as applySizeBudget
+ */
+function applyRegionBudget(content, options) {
+  const { limit, priority = DEFAULT_SECTION_PRIORITY } = options;
+  const segments = parseManagedRegions(content);
+  const removed = [];
+  let output = renderManagedSegments(segments);
+
+  // Regions are named after their section key, with a -2, -3, ... suffix for repeated headings
+  const candidates = segments
+    .filter(segment => segment.type === 'region' && segment.section !== 'title' && !isEdited(segment))
+    .map(segment => ({ segment, rank: getPriorityRank(segment.section.replace(/-\d+$/, ''), priority) }))
+    .sort((a, b) => b.rank - a.rank || segments.indexOf(b.segment) - segments.indexOf(a.segment));
+
+  for (const { segment } of candidates) {
+    if (output.length <= limit) {
+      break;
+    }
+
+    const [heading, ...lines] = segment.body.split('\n');
+    const title = heading.replace(/^#+\s*/, '');
+    const body = condenseSection(lines.join('\n'));
+    const condensed = { ...segment, body: body ? `${heading}\n\n${body}` : heading, hash: null };
+    if (condensed.body !== segment.body) {
+      const rendered = renderManagedSegments(segments.map(item => (item === segment ? condensed : item)));
+      if (rendered.length <= limit) {
+        output = rendered;
+        removed.push({ title, action: 'condensed' });
+        break;
+      }
+    }
+
+    segments.splice(segments.indexOf(segment), 1);
+    output = renderManagedSegments(segments);
+    removed.push({ title, action: 'dropped' });
+  }
+
+  return {
+    content: output,
+    ...measureContent(output),
+    limit,
+    priority,
+    removed,
+    overBudget: output.length > limit
+  };
+}
+
+/**
+ * Formats the size of a file for the summary table
+ * @param {string} content - File content
+ * @param {number} [limit] - Character budget
+ * @returns {string} Size such as "4144 chars, ~1036 tokens"
+ */
+function formatSize(content, limit) {
+  const { characters, tokens } = measureContent(content);
+  const over = limit && characters > limit ? ` (over ${limit})` : '';
+  return `${characters} chars, ~${tokens} tokens${over}`;
+}
+
+/**
+ * Formats the warning shown when sections were removed or a file is still too large
+ * @param {string} filename - Generated file
+ * @param {Object} budget - Result of applySizeBudget
+ * @returns {string|null} Warning text, or null when nothing needs reporting
+ */
+function formatBudgetWarning(filename, budget) {
+  const lines = [];
+  if (budget.removed.length > 0) {
+    lines.push(`${filename} was over its ${budget.limit} character budget:`);
+    budget.removed.forEach(({ title, action }) => lines.push(`  - ${action} "${title}"`));
+  }
+  if (budget.overBudget) {
+    lines.push(`${filename} is still ${budget.characters - budget.limit} characters over its ${budget.limit} character budget`);
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+module.exports = {
+  DEFAULT_SIZE_LIMIT,
+  DEFAULT_SECTION_PRIORITY,
+  estimateTokens,
+  measureContent,
+  getSizeLimit,
+  condenseSection,
+  applySizeBudget,
+  applyRegionBudget,
+  formatSize,
+  formatBudgetWarning
+};
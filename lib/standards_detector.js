@@ -0,0 +1,394 @@
+/**
+ * Coding Standards Detector
+ * Infers indentation, quotes, line length and active linters from a project's tool configs
+ *
+ * Reads .editorconfig, Prettier, ESLint, Black/Ruff (pyproject.toml, ruff.toml)
+ * and rustfmt configs in the project root. Values a config sets explicitly win
+ * over .editorconfig, and .editorconfig wins over a formatter's built-in
+ * defaults (Prettier itself falls back to .editorconfig the same way).
+ * Every value comes with the file it was read from.
+ */
+
+const yaml = require('js-yaml');
+const { parseToml } = require('./manifest_parsers');
+const { readProjectFile } = require('./project_scanner');
+
+const PRETTIER_FILES = ['.prettierrc', '.prettierrc.json', '.prettierrc.yaml', '.prettierrc.yml', '.prettierrc.toml'];
+const PRETTIER_SCRIPT_FILES = ['.prettierrc.js', '.prettierrc.cjs', '.prettierrc.mjs', 'prettier.config.js', 'prettier.config.cjs', 'prettier.config.mjs'];
+const ESLINT_FILES = ['.eslintrc', '.eslintrc.json', '.eslintrc.yaml', '.eslintrc.yml'];
+const ESLINT_SCRIPT_FILES = ['eslint.config.js', 'eslint.config.mjs', 'eslint.config.cjs', 'eslint.config.ts', '.eslintrc.js', '.eslintrc.cjs'];
+
+/**
+ * Formats an indentation answer
+ * @param {boolean} tabs - Whether tabs are used
+ * @param {number} size - Indent width in spaces
+ * @returns {string} Answer such as "2 spaces" or "tabs"
+ */
+function formatIndentation(tabs, size) {
+  return tabs ? 'tabs' : `${size} spaces`;
+}
+
+/**
+ * Reads scalar options from a JavaScript config without running it
+ * @param {string} content - Config source
+ * @param {Array<string>} keys - Option names
+ * @returns {Object} Options that are set to a literal boolean, number or string
+ */
+function readScriptOptions(content, keys) {
+  const options = {};
+  keys.forEach(key => {
+    const match = content.match(new RegExp(`['"]?\\b${key}['"]?\\s*:\\s*(true|false|\\d+|'[^']*'|"[^"]*")`));
+    if (match) {
+      const raw = match[1];
+      options[key] = raw === 'true' || raw === 'false' ? raw === 'true' : /^\d+$/.test(raw) ? Number(raw) : raw.slice(1, -1);
+    }
+  });
+  return options;
+}
+
+/**
+ * Parses .editorconfig
+ * @param {string} content - File content
+ * @returns {Object} Properties keyed by section glob
+ */
+function parseEditorConfig(content) {
+  const sections = {};
+  let current = null;
+
+  content.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/[#;].*$/, '').trim();
+    const section = line.match(/^\[(.+)\]$/);
+    if (section) {
+      current = sections[section[1]] = sections[section[1]] || {};
+    } else if (current && line.includes('=')) {
+      const [key, ...rest] = line.split('=');
+      current[key.trim().toLowerCase()] = rest.join('=').trim().toLowerCase();
+    }
+  });
+  return sections;
+}
+
+/**
+ * Reads .editorconfig ([*] first, then the first section that sets indentation)
+ */
+async function readEditorConfig(projectRoot) {
+  const content = await readProjectFile(projectRoot, '.editorconfig');
+  if (content === null) {
+    return [];
+  }
+
+  const sections = parseEditorConfig(content);
+  const properties = sections['*'] && sections['*'].indent_style
+    ? sections['*']
+    : { ...(Object.values(sections).find(section => section.indent_style || section.indent_size) || {}), ...(sections['*'] || {}) };
+  const values = {};
+
+  if (properties.indent_style === 'tab') {
+    values.indentation = 'tabs';
+  } else if (/^\d+$/.test(properties.indent_size || '')) {
+    values.indentation = formatIndentation(false, Number(properties.indent_size));
+  }
+  if (/^\d+$/.test(properties.max_line_length || '')) {
+    values.lineLength = properties.max_line_length;
+  }
+  if (['single', 'double'].includes(properties.quote_type)) {
+    values.quotes = properties.quote_type;
+  }
+  return [{ source: '.editorconfig', explicit: true, values, linters: [] }];
+}
+
+/**
+ * Converts Prettier options into findings
+ * @param {Object} options - Prettier options
+ * @param {string} source - Config file
+ * @returns {Array<Object>} Explicit values, then Prettier's defaults for the rest
+ */
+function prettierFindings(options, source) {
+  const explicit = {};
+  if (options.useTabs === true) {
+    explicit.indentation = 'tabs';
+  } else if (Number.isInteger(options.tabWidth)) {
+    explicit.indentation = formatIndentation(false, options.tabWidth);
+  }
+  if (typeof options.singleQuote === 'boolean') {
+    explicit.quotes = options.singleQuote ? 'single' : 'double';
+  }
+  if (Number.isInteger(options.printWidth)) {
+    explicit.lineLength = String(options.printWidth);
+  }
+
+  return [
+    { source, explicit: true, values: explicit, linters: ['Prettier'] },
+    { source: `${source} (Prettier default)`, explicit: false, values: { indentation: '2 spaces', quotes: 'double', lineLength: '80' }, linters: [] }
+  ];
+}
+
+/**
+ * Reads the Prettier config from its own file or package.json
+ */
+async function readPrettier(projectRoot, packageJson) {
+  for (const fileName of PRETTIER_FILES) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      let options = {};
+      try {
+        options = (fileName.endsWith('.toml') ? parseToml(content) : yaml.load(content)) || {};
+      } catch (error) {
+        throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+      }
+      // A string config names a shared config package whose options are unknown here
+      return prettierFindings(typeof options === 'object' ? options : {}, fileName);
+    }
+  }
+  for (const fileName of PRETTIER_SCRIPT_FILES) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      return prettierFindings(readScriptOptions(content, ['useTabs', 'tabWidth', 'singleQuote', 'printWidth']), fileName);
+    }
+  }
+  if (packageJson && packageJson.prettier) {
+    return prettierFindings(typeof packageJson.prettier === 'object' ? packageJson.prettier : {}, 'package.json');
+  }
+  return [];
+}
+
+/**
+ * Reads the quotes, indent and max-len rules from ESLint config source
+ * @param {string} text - Config source, or a parsed config serialized as JSON
+ * @returns {Object} Values found in the rules
+ */
+function readEslintRules(text) {
+  const values = {};
+  const level = '(?:[\'"]\\w+[\'"]|\\d)';
+  const rule = name => `['"]?(?:@stylistic/(?:js/)?)?${name}['"]?\\s*:\\s*\\[\\s*${level}\\s*,\\s*`;
+
+  const quotes = text.match(new RegExp(`${rule('quotes')}['"](single|double)['"]`));
+  if (quotes) {
+    values.quotes = quotes[1];
+  }
+  const indent = text.match(new RegExp(`${rule('indent')}(['"]tab['"]|\\d+)`));
+  if (indent) {
+    values.indentation = /tab/.test(indent[1]) ? 'tabs' : formatIndentation(false, Number(indent[1]));
+  }
+  const maxLength = text.match(new RegExp(`${rule('max-len')}(?:\\{[^}]*['"]?code['"]?\\s*:\\s*(\\d+)|(\\d+))`));
+  if (maxLength) {
+    values.lineLength = maxLength[1] || maxLength[2];
+  }
+  return values;
+}
+
+/**
+ * Reads the ESLint config (legacy .eslintrc, flat eslint.config.* or package.json)
+ */
+async function readEslint(projectRoot, packageJson) {
+  for (const fileName of ESLINT_FILES) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      let text = content;
+      try {
+        text = JSON.stringify(yaml.load(content));
+      } catch (error) {
+        // .eslintrc.json allows comments; fall back to reading the rules from the source
+      }
+      return [{ source: fileName, explicit: true, values: readEslintRules(text), linters: ['ESLint'] }];
+    }
+  }
+  for (const fileName of ESLINT_SCRIPT_FILES) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      return [{ source: fileName, explicit: true, values: readEslintRules(content), linters: ['ESLint'] }];
+    }
+  }
+  if (packageJson && packageJson.eslintConfig) {
+    return [{ source: 'package.json', explicit: true, values: readEslintRules(JSON.stringify(packageJson.eslintConfig)), linters: ['ESLint'] }];
+  }
+  return [];
+}
+
+/**
+ * Converts Ruff settings into findings
+ * @param {Object} ruff - [tool.ruff] table or ruff.toml document
+ * @param {string} source - Config file
+ * @returns {Array<Object>} Findings
+ */
+function ruffFindings(ruff, source) {
+  const format = ruff.format || {};
+  const explicit = {};
+  if (Number.isInteger(ruff['line-length'])) {
+    explicit.lineLength = String(ruff['line-length']);
+  }
+  if (format['indent-style'] === 'tab') {
+    explicit.indentation = 'tabs';
+  } else if (Number.isInteger(ruff['indent-width'])) {
+    explicit.indentation = formatIndentation(false, ruff['indent-width']);
+  }
+  if (['single', 'double'].includes(format['quote-style'])) {
+    explicit.quotes = format['quote-style'];
+  }
+
+  return [
+    { source, explicit: true, values: explicit, linters: ['Ruff'] },
+    { source: `${source} (Ruff default)`, explicit: false, values: { indentation: '4 spaces', lineLength: '88', ...(ruff.format ? { quotes: 'double' } : {}) }, linters: [] }
+  ];
+}
+
+/**
+ * Reads Black, Ruff and other Python tools from pyproject.toml and ruff.toml
+ */
+async function readPythonTools(projectRoot) {
+  const findings = [];
+
+  const pyproject = await readProjectFile(projectRoot, 'pyproject.toml');
+  if (pyproject !== null) {
+    let tool;
+    try {
+      tool = parseToml(pyproject).tool || {};
+    } catch (error) {
+      throw new Error(`Cannot parse pyproject.toml: ${error.message}`);
+    }
+
+    if (tool.black) {
+      const black = tool.black;
+      findings.push({
+        source: 'pyproject.toml [tool.black]',
+        explicit: true,
+        values: {
+          indentation: '4 spaces',
+          lineLength: String(Number.isInteger(black['line-length']) ? black['line-length'] : 88),
+          ...(black['skip-string-normalization'] ? {} : { quotes: 'double' })
+        },
+        linters: ['Black']
+      });
+    }
+    if (tool.ruff) {
+      findings.push(...ruffFindings(tool.ruff, 'pyproject.toml [tool.ruff]'));
+    }
+    const otherTools = { pylint: 'Pylint', isort: 'isort', mypy: 'mypy' };
+    Object.entries(otherTools).forEach(([key, name]) => {
+      if (tool[key]) {
+        findings.push({ source: `pyproject.toml [tool.${key}]`, explicit: true, values: {}, linters: [name] });
+      }
+    });
+  }
+
+  for (const fileName of ['ruff.toml', '.ruff.toml']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      let ruff;
+      try {
+        ruff = parseToml(content);
+      } catch (error) {
+        throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+      }
+      findings.push(...ruffFindings(ruff, fileName));
+      break;
+    }
+  }
+
+  if (await readProjectFile(projectRoot, '.flake8') !== null) {
+    findings.push({ source: '.flake8', explicit: true, values: {}, linters: ['Flake8'] });
+  }
+  return findings;
+}
+
+/**
+ * Reads rustfmt.toml or .rustfmt.toml
+ */
+async function readRustfmt(projectRoot) {
+  for (const fileName of ['rustfmt.toml', '.rustfmt.toml']) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content === null) {
+      continue;
+    }
+
+    let options;
+    try {
+      options = parseToml(content);
+    } catch (error) {
+      throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+    }
+    const explicit = {};
+    if (options.hard_tabs === true) {
+      explicit.indentation = 'tabs';
+    } else if (Number.isInteger(options.tab_spaces)) {
+      explicit.indentation = formatIndentation(false, options.tab_spaces);
+    }
+    if (Number.isInteger(options.max_width)) {
+      explicit.lineLength = String(options.max_width);
+    }
+    return [
+      { source: fileName, explicit: true, values: explicit, linters: ['rustfmt'] },
+      { source: `${fileName} (rustfmt default)`, explicit: false, values: { indentation: '4 spaces', lineLength: '100' }, linters: [] }
+    ];
+  }
+  return [];
+}
+
+/**
+ * Detects coding standards from the project's tool configs
+ * @param {string} [projectRoot] - Directory to inspect (defaults to the current directory)
+ * @returns {Promise<Object>} Detection as { values, sources }: values holds indentation,
+ *   quotes, lineLength and linting where found, sources the file each one came from
+ * @throws {Error} If a config exists but cannot be parsed
+ */
+async function detectCodingStandards(projectRoot = process.cwd()) {
+  let packageJson = null;
+  const packageContent = await readProjectFile(projectRoot, 'package.json');
+  if (packageContent !== null) {
+    try {
+      packageJson = JSON.parse(packageContent);
+    } catch (error) {
+      throw new Error(`Cannot parse package.json: ${error.message}`);
+    }
+  }
+
+  // Formatters before linters; .editorconfig last among explicit settings
+  const findings = [
+    ...await readPrettier(projectRoot, packageJson),
+    ...await readPythonTools(projectRoot),
+    ...await readRustfmt(projectRoot),
+    ...await readEslint(projectRoot, packageJson),
+    ...await readEditorConfig(projectRoot)
+  ];
+  const ordered = [...findings.filter(finding => finding.explicit), ...findings.filter(finding => !finding.explicit)];
+
+  const values = {};
+  const sources = {};
+  ['indentation', 'quotes', 'lineLength'].forEach(field => {
+    const finding = ordered.find(item => item.values[field] !== undefined);
+    if (finding) {
+      values[field] = finding.values[field];
+      sources[field] = finding.source;
+    }
+  });
+
+  const linterFindings = findings.filter(finding => finding.linters.length > 0);
+  if (linterFindings.length > 0) {
+    values.linting = [...new Set(linterFindings.flatMap(finding => finding.linters))];
+    sources.linting = [...new Set(linterFindings.map(finding => finding.source))].join(', ');
+  }
+  return { values, sources };
+}
+
+/**
+ * Formats detected coding standards for the terminal, one field per line
+ * @param {Object} standards - Result of detectCodingStandards
+ * @returns {string} Report such as "indentation  4 spaces (from .editorconfig)"
+ */
+function formatStandardsReport({ values, sources }) {
+  const fields = Object.keys(values);
+  const width = Math.max(...fields.map(field => field.length));
+  return fields
+    .map(field => {
+      const value = Array.isArray(values[field]) ? values[field].join(', ') : values[field];
+      return `${field.padEnd(width)}  ${value} (from ${sources[field]})`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  parseEditorConfig,
+  readEslintRules,
+  detectCodingStandards,
+  formatStandardsReport
+};
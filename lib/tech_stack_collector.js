@@ -6,10 +6,16 @@
 const chalk = require('chalk');
 const inquirer = require('inquirer').default;
 const { getProjectTypeQuestions } = require('./project_types');
+const { applyDetectedDefaults } = require('./project_scanner');
 
 class TechStackCollector {
-  constructor(config) {
+  /**
+   * @param {Object} config - Shared configuration object
+   * @param {Object} [detectedStack] - Technology stack from the project scanner, used as prompt defaults
+   */
+  constructor(config, detectedStack = {}) {
     this.config = config;
+    this.detectedStack = detectedStack;
   }
 
   async collectTechStack() {
@@ -46,7 +52,7 @@ class TechStackCollector {
       return await this.manualTechStackSetup();
     }
 
-    const questions = getProjectTypeQuestions(this.config.overview.projectType);
+    const questions = getProjectTypeQuestions(this.config.overview.projectType, this.detectedStack);
     const techStack = await inquirer.prompt(questions);
 
     this.config.technologyStack = techStack;
@@ -56,7 +62,7 @@ class TechStackCollector {
   async manualTechStackSetup() {
     console.log(chalk.blue('\n🔧 Manual Technology Stack Setup'));
     
-    const techStack = await inquirer.prompt([
+    const techStack = await inquirer.prompt(applyDetectedDefaults([
       {
         type: 'input',
         name: 'language',
@@ -97,7 +103,7 @@ class TechStackCollector {
         message: 'Deployment platform (e.g., Vercel, Netlify, AWS):',
         when: () => this.requiresDeployment()
       }
-    ]);
+    ], this.detectedStack));
 
     this.config.technologyStack = techStack;
     console.log(chalk.green('✅ Technology stack configured manually'));
@@ -112,9 +118,9 @@ class TechStackCollector {
     }
     
     const current = this.config.technologyStack;
-    const questions = getProjectTypeQuestions(this.config.overview.projectType);
+    const questions = getProjectTypeQuestions(this.config.overview.projectType, this.detectedStack);
     
-    // Set defaults from current values
+    // Set defaults from current values, which win over detected ones
     questions.forEach(question => {
       if (current[question.name]) {
         question.default = current[question.name];
@@ -0,0 +1,328 @@
+/**
+ * Template Engine
+ * Renders rules templates with variables, conditionals, loops and partials
+ *
+ * Supported tags:
+ *
+ *   {{path.to.value}}                 Variable (arrays are joined with ", ")
+ *   {{#if flag}}...{{else}}...{{/if}} Conditional ({{#unless}} for the inverse)
+ *   {{#each list}}...{{/each}}        Loop over an array or object; inside,
+ *                                     {{this}}, {{@index}}, {{@key}},
+ *                                     {{@first}} and {{@last}} are available
+ *   {{#name}}...{{/name}}             Section: repeated for arrays, once per
+ *                                     non-empty entry of an object (with
+ *                                     {{key}} and {{value}}), or once if truthy
+ *   {{> partial}}                     Include another template
+ *   {{! comment }}                    Ignored
+ *
+ * Block tags that sit alone on a line are removed together with the line, so
+ * templates can be laid out one tag per line without leaving blank lines.
+ */
+
+const TAG_REGEX = /{{\s*([#/>!^]?)\s*([\s\S]*?)\s*}}/g;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Splits a template into text and tag tokens
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Tokens as { type: 'text', value } or { type: 'tag', sigil, content }
+ */
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+
+  for (const match of source.matchAll(TAG_REGEX)) {
+    let start = match.index;
+    let end = start + match[0].length;
+    const [, sigil, content] = match;
+    const isBlockTag = sigil !== '' || content === 'else';
+
+    // A block tag alone on its line takes the whole line with it
+    if (isBlockTag) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      const before = source.slice(lineStart, start);
+      const after = source.slice(end, newline === -1 ? source.length : newline);
+      if (lineStart >= position && !before.trim() && !after.trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > position) {
+      tokens.push({ type: 'text', value: source.slice(position, start) });
+    }
+    tokens.push({ type: 'tag', sigil, content });
+    position = end;
+  }
+
+  if (position < source.length) {
+    tokens.push({ type: 'text', value: source.slice(position) });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a template into a node tree
+ * @param {string} source - Template source
+ * @returns {Array<Object>} Nodes
+ * @throws {Error} If blocks are not balanced
+ */
+function parseTemplate(source) {
+  const root = { children: [], inElse: false };
+  const stack = [root];
+  let current = root.children;
+
+  for (const token of tokenize(source)) {
+    const block = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      current.push({ type: 'text', value: token.value });
+      continue;
+    }
+
+    const { sigil, content } = token;
+    if (sigil === '!') {
+      continue;
+    }
+    if (sigil === '>') {
+      current.push({ type: 'partial', name: content });
+      continue;
+    }
+    if (sigil === '#' || sigil === '^') {
+      const [keyword, ...rest] = content.split(/\s+/);
+      const isHelper = sigil === '#' && ['if', 'unless', 'each'].includes(keyword);
+      const node = {
+        type: 'block',
+        kind: isHelper ? keyword : (sigil === '^' ? 'unless' : 'section'),
+        name: isHelper ? keyword : content,
+        path: isHelper ? rest.join(' ') : content,
+        children: [],
+        inverse: [],
+        inElse: false
+      };
+      if (!node.path) {
+        throw new Error(`Missing value for {{#${keyword}}} in template`);
+      }
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+      continue;
+    }
+    if (content === 'else' && sigil === '') {
+      if (stack.length === 1) {
+        throw new Error('{{else}} outside of a block in template');
+      }
+      block.inElse = true;
+      current = block.inverse;
+      continue;
+    }
+    if (sigil === '/') {
+      if (stack.length === 1 || block.name !== content) {
+        throw new Error(`Unexpected {{/${content}}} in template${stack.length > 1 ? ` (expected {{/${block.name}}})` : ''}`);
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent.inElse ? parent.inverse : parent.children;
+      continue;
+    }
+
+    current.push({ type: 'variable', path: content });
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].name}}} block in template`);
+  }
+  return root.children;
+}
+
+/**
+ * Looks up a dotted path in the context stack, innermost scope first
+ * @param {Array<Object>} scopes - Scopes as { value, data }
+ * @param {string} path - Path such as "codingStandards.linting", "this" or "@index"
+ * @returns {*} Value or undefined
+ */
+function lookup(scopes, path) {
+  const scope = scopes[scopes.length - 1];
+  if (path === 'this' || path === '.') {
+    return scope.value;
+  }
+  if (path.startsWith('@')) {
+    return scope.data[path.slice(1)];
+  }
+
+  const [first, ...rest] = path.replace(/^this\./, '').split('.');
+  const owner = [...scopes].reverse().find(({ value }) => value !== null && typeof value === 'object' && first in value);
+  if (!owner) {
+    return undefined;
+  }
+  return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), owner.value[first]);
+}
+
+/**
+ * Checks whether a template value counts as true
+ * @param {*} value - Value
+ * @returns {boolean} False for empty arrays, empty objects, empty strings, 0, null and undefined
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+}
+
+/**
+ * Formats a value for output
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  return typeof value === 'object' ? '' : String(value);
+}
+
+/**
+ * Renders nodes against a context stack
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Array<Object>} scopes - Scopes as { value, data }
+ * @param {Object} options - Render options (see renderTemplateString)
+ * @param {number} depth - Partial nesting depth
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      output += formatValue(lookup(scopes, node.path));
+    } else if (node.type === 'partial') {
+      output += renderPartial(node.name, scopes, options, depth);
+    } else {
+      output += renderBlock(node, scopes, options, depth);
+    }
+  }
+  return output;
+}
+
+/**
+ * Renders a partial template
+ */
+function renderPartial(name, scopes, options, depth) {
+  if (depth >= MAX_PARTIAL_DEPTH) {
+    throw new Error(`Template partials nested too deeply at {{> ${name}}}`);
+  }
+  const source = (options.partials || {})[name];
+  if (typeof source !== 'string') {
+    throw new Error(`Template partial not found: ${name}`);
+  }
+  return renderNodes(parseTemplate(source), scopes, options, depth + 1);
+}
+
+/**
+ * Renders an if, unless, each or section block
+ */
+function renderBlock(node, scopes, options, depth) {
+  const value = lookup(scopes, node.path);
+  const render = (nodes, scope) => renderNodes(nodes, scope ? [...scopes, scope] : scopes, options, depth);
+
+  if (node.kind === 'if' || node.kind === 'unless') {
+    return isTruthy(value) === (node.kind === 'if') ? render(node.children) : render(node.inverse);
+  }
+
+  let items = null;
+  if (Array.isArray(value)) {
+    items = value.map((item, index) => ({ value: item, key: index }));
+  } else if (value && typeof value === 'object') {
+    const formatKey = options.formatKey || (key => key);
+    items = node.kind === 'each'
+      ? Object.entries(value).map(([key, item]) => ({ value: item, key }))
+      : Object.entries(value)
+        .filter(([, item]) => isTruthy(typeof item === 'string' ? item.trim() : item))
+        .map(([key, item]) => ({ value: { key: formatKey(key), value: item }, key }));
+  }
+
+  if (items === null) {
+    if (node.kind === 'each' || !isTruthy(value)) {
+      return render(node.inverse);
+    }
+    return render(node.children, { value, data: {} });
+  }
+  if (items.length === 0) {
+    return render(node.inverse);
+  }
+
+  return items.map((item, index) => render(node.children, {
+    value: item.value,
+    data: { index, key: item.key, first: index === 0, last: index === items.length - 1 }
+  })).join('');
+}
+
+/**
+ * Finds the partials a template includes
+ * @param {string} source - Template source
+ * @returns {Array<string>} Partial names in order of appearance
+ */
+function findPartials(source) {
+  return [...new Set(tokenize(source)
+    .filter(token => token.type === 'tag' && token.sigil === '>')
+    .map(token => token.content))];
+}
+
+/**
+ * Loads every partial a template needs, including partials of partials
+ * @param {string} source - Template source
+ * @param {Function} loadPartial - async name => source, or null if it does not exist
+ * @returns {Promise<Object>} Partial sources keyed by name
+ * @throws {Error} If a partial cannot be found
+ */
+async function resolvePartials(source, loadPartial) {
+  const partials = {};
+  const pending = findPartials(source);
+
+  while (pending.length > 0) {
+    const name = pending.shift();
+    if (name in partials) {
+      continue;
+    }
+    const partial = await loadPartial(name);
+    if (typeof partial !== 'string') {
+      throw new Error(`Template partial not found: ${name}`);
+    }
+    partials[name] = partial;
+    pending.push(...findPartials(partial));
+  }
+  return partials;
+}
+
+/**
+ * Renders a template string
+ * @param {string} source - Template source
+ * @param {Object} context - Values available to the template
+ * @param {Object} [options] - Render options
+ * @param {Object} [options.partials] - Partial sources keyed by name (see resolvePartials)
+ * @param {Function} [options.formatKey] - Formats object keys exposed as {{key}} in sections
+ * @returns {string} Rendered text
+ * @throws {Error} If the template is malformed or a partial is missing
+ */
+function renderTemplateString(source, context, options = {}) {
+  return renderNodes(parseTemplate(source), [{ value: context, data: {} }], options, 0);
+}
+
+module.exports = {
+  parseTemplate,
+  findPartials,
+  resolvePartials,
+  renderTemplateString,
+  isTruthy
+};
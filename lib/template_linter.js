@@ -0,0 +1,137 @@
+/**
+ * Template Linter
+ * Checks templates for unknown placeholders, malformed blocks and unused config fields
+ *
+ * Placeholders are checked against the values a template is rendered with
+ * (see buildTemplateContext in generator_lib.js). Inside {{#each}} loops and
+ * sections a placeholder may also name a field of the current item, so only
+ * placeholders that start with a known top-level value are checked there.
+ */
+
+const { parseTemplate, isTruthy } = require('./template_engine');
+
+/**
+ * Collects the value paths a template reads, following its partials
+ * @param {string} source - Template source
+ * @param {Object} [partials] - Partial sources keyed by name
+ * @returns {Object} Object with references as { path, scoped } and errors for missing partials
+ * @throws {Error} If the template or one of its partials is malformed
+ */
+function collectReferences(source, partials = {}) {
+  const references = [];
+  const errors = [];
+  const visited = new Set();
+
+  const walk = (nodes, scoped) => {
+    for (const node of nodes) {
+      if (node.type === 'variable') {
+        references.push({ path: node.path, scoped });
+      } else if (node.type === 'partial') {
+        if (typeof partials[node.name] !== 'string') {
+          errors.push(`Template partial not found: ${node.name}`);
+        } else if (!visited.has(node.name)) {
+          visited.add(node.name);
+          walk(parseTemplate(partials[node.name]), scoped);
+        }
+      } else if (node.type === 'block') {
+        references.push({ path: node.path, scoped });
+        // Loops and sections make the current item's fields available
+        walk(node.children, scoped || node.kind === 'each' || node.kind === 'section');
+        walk(node.inverse, scoped);
+      }
+    }
+  };
+
+  walk(parseTemplate(source), false);
+  return { references, errors };
+}
+
+/**
+ * Checks whether a path exists in the template values
+ * @param {Object} context - Template values
+ * @param {string} valuePath - Dotted path
+ * @param {Array<string>} openPaths - Paths whose children are free-form, e.g. "technologyStack"
+ * @returns {boolean} True if the path can be resolved
+ */
+function isKnownPath(context, valuePath, openPaths) {
+  const segments = valuePath.replace(/^this\./, '').split('.');
+  let value = context;
+
+  for (let index = 0; index < segments.length; index++) {
+    if (index > 0 && openPaths.includes(segments.slice(0, index).join('.'))) {
+      return true;
+    }
+    if (value === null || typeof value !== 'object' || !(segments[index] in value)) {
+      return false;
+    }
+    value = value[segments[index]];
+  }
+  return true;
+}
+
+/**
+ * Lists the config fields that hold a value, e.g. "codingStandards.indentation"
+ * @param {Object} config - Configuration object
+ * @param {Array<string>} sections - Config sections to list
+ * @returns {Array<string>} Field paths
+ */
+function listConfigFields(config, sections) {
+  return sections.flatMap(section => Object.entries(config[section] || {})
+    .filter(([, value]) => isTruthy(typeof value === 'string' ? value.trim() : value))
+    .map(([key]) => `${section}.${key}`));
+}
+
+/**
+ * Lints a template
+ * @param {string} source - Template source
+ * @param {Object} context - Values the template is rendered with
+ * @param {Object} [options] - Lint options
+ * @param {Object} [options.partials] - Partial sources keyed by name
+ * @param {Array<string>} [options.openPaths] - Paths whose children are free-form
+ * @param {Array<string>} [options.fields] - Config fields the template is expected to use
+ * @param {Object} [options.aliases] - Shortcut values keyed by name, mapped to the config path they show
+ * @returns {Object} Report as { errors, unknown, unused }
+ */
+function lintTemplate(source, context, options = {}) {
+  const { partials = {}, openPaths = [], fields = [], aliases = {} } = options;
+
+  let collected;
+  try {
+    collected = collectReferences(source, partials);
+  } catch (error) {
+    return { errors: [error.message], unknown: [], unused: [] };
+  }
+
+  const paths = collected.references
+    .filter(({ path }) => path !== 'this' && path !== '.' && !path.startsWith('@'));
+  const unknown = paths
+    .filter(({ path, scoped }) => !scoped || path.replace(/^this\./, '').split('.')[0] in context)
+    .filter(({ path }) => !isKnownPath(context, path, openPaths))
+    .map(({ path }) => path);
+
+  const used = paths.map(({ path }) => aliases[path] || path);
+  const unused = fields.filter(field => !used.some(path => field === path || field.startsWith(`${path}.`)));
+
+  return {
+    errors: [...new Set(collected.errors)],
+    unknown: [...new Set(unknown)],
+    unused
+  };
+}
+
+/**
+ * Formats an unknown placeholder error
+ * @param {string} name - Template name
+ * @param {Array<string>} unknown - Unknown paths from lintTemplate
+ * @returns {string} Error message
+ */
+function formatUnknownPlaceholders(name, unknown) {
+  return `Template ${name} uses unknown placeholders: ${unknown.map(path => `{{${path}}}`).join(', ')}`;
+}
+
+module.exports = {
+  collectReferences,
+  listConfigFields,
+  lintTemplate,
+  formatUnknownPlaceholders
+};
@@ -0,0 +1,190 @@
+/**
+ * Template Locator
+ * Finds rules templates in the project, the user's home directory and the package
+ *
+ * Templates are looked up in this order, and a template found earlier hides
+ * one with the same name found later:
+ *
+ *   1. ./.agent-rules/templates   (project, can be committed with the repo)
+ *   2. ~/.agent-rules/templates   (user)
+ *   3. templates/ in the package  (bundled)
+ *
+ * A template may start with YAML frontmatter describing it:
+ *
+ *   ---
+ *   description: Short rules for small services
+ *   targets: [agent, claude]
+ *   ---
+ *
+ * Without `targets`, a template belongs to the target whose templateName it
+ * has, or whose name it starts with (e.g. `agent-minimal.md` for `agent`).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+
+const TEMPLATE_DIR = path.join('.agent-rules', 'templates');
+const BUNDLED_TEMPLATE_DIR = path.join(__dirname, '..', 'templates');
+const FRONTMATTER_REGEX = /^---\n([\s\S]*?)\n---\n+/;
+
+/**
+ * Gets the template directories in lookup order
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.projectRoot] - Project root (defaults to the current directory)
+ * @param {string} [options.homeDir] - Home directory (defaults to os.homedir())
+ * @returns {Array<Object>} Directories as { source: 'project' | 'user' | 'bundled', dir }
+ */
+function getTemplateDirs(options = {}) {
+  const { projectRoot = process.cwd(), homeDir = os.homedir() } = options;
+  return [
+    { source: 'project', dir: path.resolve(projectRoot, TEMPLATE_DIR) },
+    { source: 'user', dir: path.resolve(homeDir, TEMPLATE_DIR) },
+    { source: 'bundled', dir: BUNDLED_TEMPLATE_DIR }
+  ];
+}
+
+/**
+ * Splits a template file into frontmatter attributes and body
+ * @param {string} content - Template file content
+ * @returns {Object} Object with attributes and body
+ * @throws {Error} If the frontmatter is not valid YAML
+ */
+function parseTemplateFile(content) {
+  const match = content.match(FRONTMATTER_REGEX);
+  if (!match) {
+    return { attributes: {}, body: content };
+  }
+  const attributes = yaml.load(match[1]);
+  return {
+    attributes: attributes && typeof attributes === 'object' ? attributes : {},
+    body: content.slice(match[0].length)
+  };
+}
+
+/**
+ * Reads a template file
+ * @param {string} filePath - Template path
+ * @param {string} [source] - Where the template was found
+ * @returns {Promise<Object|null>} Template as { name, path, source, description, targets, body }, or null if missing
+ */
+async function readTemplateFile(filePath, source = 'path') {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = parseTemplateFile(content);
+  } catch (error) {
+    throw new Error(`Invalid frontmatter in template ${filePath}: ${error.message}`);
+  }
+
+  const { attributes, body } = parsed;
+  const targets = attributes.targets || attributes.target || [];
+  return {
+    name: path.basename(filePath, '.md'),
+    path: filePath,
+    source,
+    description: typeof attributes.description === 'string' ? attributes.description : '',
+    targets: Array.isArray(targets) ? targets : [targets],
+    body
+  };
+}
+
+/**
+ * Finds a template or partial by name, e.g. "agent-template" or "partials/header"
+ * @param {string} name - Template name relative to a template directory, without .md
+ * @param {Object} [options] - Lookup options (see getTemplateDirs)
+ * @returns {Promise<Object|null>} First matching template, or null
+ */
+async function findTemplate(name, options = {}) {
+  if (name.split(/[\\/]/).includes('..')) {
+    return null;
+  }
+  for (const { source, dir } of getTemplateDirs(options)) {
+    const template = await readTemplateFile(path.join(dir, `${name}.md`), source);
+    if (template) {
+      template.name = name;
+      return template;
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists the templates that can render a target
+ * @param {Object} target - Registered output target
+ * @param {Object} [options] - Lookup options (see getTemplateDirs)
+ * @returns {Promise<Array<Object>>} Templates in lookup order, without templates hidden by an earlier one
+ */
+async function findTemplatesForTarget(target, options = {}) {
+  const found = new Map();
+
+  for (const { source, dir } of getTemplateDirs(options)) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        continue;
+      }
+      throw error;
+    }
+
+    const names = entries
+      .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+      .map(entry => entry.name)
+      .sort();
+    for (const fileName of names) {
+      const name = path.basename(fileName, '.md');
+      if (found.has(name)) {
+        continue;
+      }
+      const template = await readTemplateFile(path.join(dir, fileName), source);
+      const matches = template.targets.length > 0
+        ? template.targets.includes(target.name)
+        : name === target.templateName || name.startsWith(`${target.name}-`);
+      // Remember the name either way so a non-matching template still hides a bundled one
+      found.set(name, matches ? template : null);
+    }
+  }
+
+  return [...found.values()].filter(Boolean);
+}
+
+/**
+ * Resolves the --template option to a template
+ * @param {string} nameOrPath - Template name (searched in the template directories) or path to a .md file
+ * @param {Object} [options] - Lookup options (see getTemplateDirs)
+ * @returns {Promise<Object>} Template
+ * @throws {Error} If no template is found
+ */
+async function resolveTemplateOption(nameOrPath, options = {}) {
+  const looksLikePath = nameOrPath.endsWith('.md') || nameOrPath.includes('/') || nameOrPath.includes(path.sep);
+  const template = looksLikePath
+    ? await readTemplateFile(path.resolve(options.projectRoot || process.cwd(), nameOrPath))
+    : await findTemplate(nameOrPath, options);
+
+  if (!template) {
+    const searched = getTemplateDirs(options).map(({ dir }) => dir).join(', ');
+    throw new Error(`Template not found: ${nameOrPath}${looksLikePath ? '' : ` (searched ${searched})`}`);
+  }
+  return template;
+}
+
+module.exports = {
+  TEMPLATE_DIR,
+  getTemplateDirs,
+  parseTemplateFile,
+  findTemplate,
+  findTemplatesForTarget,
+  resolveTemplateOption
+};
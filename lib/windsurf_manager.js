@@ -125,7 +125,8 @@ class WindsurfManager {
       // Apply the recipe's tech stack to our configuration
       this.config.technologyStack = { ...recipe.techStack };
       
-      // Store the Windsurf rules for later use in file generation
+      // Store the Windsurf rules and their source for later use in file generation
+      this.config.recipeName = recipe.name;
       this.config.windsurfRules = recipe.windsurfRules;
       
       console.log(chalk.green(`✅ Applied Windsurf recipe: ${recipe.name}`));
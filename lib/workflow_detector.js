@@ -0,0 +1,333 @@
+/**
+ * Workflow Detector
+ * Infers the git workflow, branch naming and commit style from a repository's history
+ *
+ * Reads the local branches (including remote-tracking ones), tags, recent
+ * commit subjects and any commitlint config. Branch names that only survive in
+ * merge commit subjects ("Merge pull request #12 from user/feature/x") are
+ * counted too. A commitlint config wins over what the history suggests.
+ */
+
+const { execFile } = require('child_process');
+const { readProjectFile } = require('./project_scanner');
+
+const COMMITLINT_FILES = [
+  '.commitlintrc',
+  '.commitlintrc.json',
+  '.commitlintrc.yaml',
+  '.commitlintrc.yml',
+  '.commitlintrc.js',
+  '.commitlintrc.cjs',
+  '.commitlintrc.mjs',
+  '.commitlintrc.ts',
+  'commitlint.config.js',
+  'commitlint.config.cjs',
+  'commitlint.config.mjs',
+  'commitlint.config.ts'
+];
+
+/**
+ * Recent commits read from the history
+ */
+const HISTORY_LIMIT = 200;
+
+const CONVENTIONAL_SUBJECT = /^(\w+)(?:\([^)]*\))?!?: \S/;
+const MERGE_SUBJECT = /^Merge (?:pull request|branch|remote-tracking branch|tag)\b/;
+const SKIPPED_SUBJECT = /^(?:fixup!|squash!|amend!|Revert "|WIP\b)/i;
+const VERSION_TAG = /^v?\d+\.\d+/;
+const RELEASE_BRANCH = /^(release|releases|hotfix)([/-])v?\d/;
+
+/**
+ * Branch prefixes created by bots rather than by the team
+ */
+const BOT_PREFIXES = ['dependabot', 'renovate', 'snyk', 'greenkeeper'];
+
+/**
+ * Long-lived branches that mark the workflow
+ */
+const DEVELOP_BRANCHES = ['develop', 'development', 'dev'];
+const ENVIRONMENT_BRANCHES = ['production', 'staging', 'pre-production', 'preprod'];
+
+/**
+ * Conventional Commits need this share of the recent subjects
+ */
+const CONVENTIONAL_THRESHOLD = 0.6;
+const MIN_SUBJECTS = 5;
+const MAX_EXAMPLES = 3;
+
+/**
+ * Runs a git command in the project
+ * @param {string} projectRoot - Project root
+ * @param {Array<string>} args - Git arguments
+ * @returns {Promise<string|null>} Standard output, or null if git is missing or the command fails
+ */
+function runGit(projectRoot, args) {
+  return new Promise(resolve => {
+    execFile('git', ['-C', projectRoot, ...args], { maxBuffer: 4 * 1024 * 1024 }, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+}
+
+/**
+ * Splits command output into non-empty lines
+ */
+function toLines(output) {
+  return (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Reads branches, tags and recent commit subjects from the local repository
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<Object|null>} History as { branches, tags, subjects }, or null outside a git repository
+ */
+async function readGitHistory(projectRoot) {
+  if (await runGit(projectRoot, ['rev-parse', '--is-inside-work-tree']) === null) {
+    return null;
+  }
+
+  const [refs, tags, log] = await Promise.all([
+    runGit(projectRoot, ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/remotes']),
+    runGit(projectRoot, ['tag', '--list']),
+    // Fails in a repository without commits, which leaves the subjects empty
+    runGit(projectRoot, ['log', `-n${HISTORY_LIMIT}`, '--format=%s'])
+  ]);
+
+  const branches = toLines(refs)
+    .map(ref => ref.replace(/^refs\/heads\//, '').replace(/^refs\/remotes\/[^/]+\//, ''))
+    .filter(name => name !== 'HEAD');
+  return { branches: [...new Set(branches)], tags: toLines(tags), subjects: toLines(log) };
+}
+
+/**
+ * Lists the branch names mentioned by merge commit subjects
+ * @param {Array<string>} subjects - Commit subjects
+ * @returns {Array<string>} Branch names
+ */
+function branchesFromMerges(subjects) {
+  const names = [];
+  subjects.forEach(subject => {
+    const pullRequest = subject.match(/^Merge pull request #\d+ from [^/\s]+\/(\S+)/);
+    if (pullRequest) {
+      names.push(pullRequest[1]);
+      return;
+    }
+    const merge = subject.match(/^Merge (?:remote-tracking )?branch '(?:origin\/)?([^']+)'(?: into (\S+))?/);
+    if (merge) {
+      names.push(merge[1], ...(merge[2] ? [merge[2]] : []));
+    }
+  });
+  return names;
+}
+
+/**
+ * Analyzes commit subjects
+ * @param {Array<string>} subjects - Commit subjects, newest first
+ * @returns {Object} Analysis as { style, conventionalShare, examples }; style is
+ *   'Conventional Commits', 'Custom' (free-form) or null when there are too few commits
+ */
+function analyzeCommitSubjects(subjects) {
+  const commits = subjects.filter(subject => !MERGE_SUBJECT.test(subject) && !SKIPPED_SUBJECT.test(subject));
+  if (commits.length < MIN_SUBJECTS) {
+    return { style: null, conventionalShare: 0, examples: [] };
+  }
+
+  const conventional = commits.filter(subject => CONVENTIONAL_SUBJECT.test(subject));
+  const conventionalShare = conventional.length / commits.length;
+  const style = conventionalShare >= CONVENTIONAL_THRESHOLD ? 'Conventional Commits' : 'Custom';
+  return { style, conventionalShare, examples: pickExamples(style === 'Custom' ? commits : conventional) };
+}
+
+/**
+ * Picks example subjects, preferring a different commit type for each
+ * @param {Array<string>} subjects - Candidate subjects, newest first
+ * @returns {Array<string>} Up to three subjects
+ */
+function pickExamples(subjects) {
+  const candidates = subjects
+    .map(subject => subject.replace(/`/g, ''))
+    .filter(subject => subject.length <= 100);
+  const examples = [];
+  const types = new Set();
+  candidates.forEach(subject => {
+    const type = (subject.match(CONVENTIONAL_SUBJECT) || [])[1];
+    if (examples.length < MAX_EXAMPLES && !examples.includes(subject) && !(type && types.has(type))) {
+      examples.push(subject);
+      types.add(type);
+    }
+  });
+  // Fill up with repeated types when the history uses only a few
+  candidates.forEach(subject => {
+    if (examples.length < MAX_EXAMPLES && !examples.includes(subject)) {
+      examples.push(subject);
+    }
+  });
+  return examples;
+}
+
+/**
+ * Describes the branch naming convention
+ * @param {Array<string>} branches - Branch names
+ * @returns {string|null} Patterns such as "feature/description, release/<version>", most used first
+ */
+function describeBranchNaming(branches) {
+  const counts = new Map();
+  branches.forEach(name => {
+    const release = name.match(RELEASE_BRANCH);
+    const prefix = name.includes('/') ? name.split('/')[0].toLowerCase() : null;
+    const pattern = release
+      ? `${release[1]}${release[2]}<version>`
+      : prefix && !BOT_PREFIXES.includes(prefix) ? `${prefix}/description` : null;
+    if (pattern) {
+      counts.set(pattern, (counts.get(pattern) || 0) + 1);
+    }
+  });
+
+  const patterns = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([pattern]) => pattern);
+  return patterns.length > 0 ? patterns.join(', ') : null;
+}
+
+/**
+ * Infers the git workflow from long-lived branches and tags
+ * @param {Array<string>} branches - Branch names
+ * @param {Array<string>} tags - Tag names
+ * @param {Array<string>} subjects - Commit subjects
+ * @returns {string|null} 'Git Flow', 'GitLab Flow', 'GitHub Flow', or null without evidence
+ */
+function inferGitWorkflow(branches, tags, subjects) {
+  const names = branches.map(name => name.toLowerCase());
+  const hasReleases = names.some(name => RELEASE_BRANCH.test(name)) || tags.some(tag => VERSION_TAG.test(tag));
+  if (names.some(name => DEVELOP_BRANCHES.includes(name)) && hasReleases) {
+    return 'Git Flow';
+  }
+  if (names.some(name => ENVIRONMENT_BRANCHES.includes(name))) {
+    return 'GitLab Flow';
+  }
+  if (names.some(name => name.includes('/')) || subjects.some(subject => subject.startsWith('Merge pull request #'))) {
+    return 'GitHub Flow';
+  }
+  return null;
+}
+
+/**
+ * Reads the commit style enforced by commitlint
+ * @param {string} projectRoot - Project root
+ * @returns {Promise<Object|null>} Result as { style, source }, or null without a commitlint config
+ * @throws {Error} If package.json cannot be parsed
+ */
+async function readCommitlintStyle(projectRoot) {
+  const styleOf = content => (/config-angular/.test(content) ? 'Angular' : 'Conventional Commits');
+
+  for (const fileName of COMMITLINT_FILES) {
+    const content = await readProjectFile(projectRoot, fileName);
+    if (content !== null) {
+      return { style: styleOf(content), source: fileName };
+    }
+  }
+
+  const manifest = await readProjectFile(projectRoot, 'package.json');
+  if (manifest !== null) {
+    let commitlint;
+    try {
+      commitlint = JSON.parse(manifest).commitlint;
+    } catch (error) {
+      throw new Error(`Cannot parse package.json: ${error.message}`);
+    }
+    if (commitlint) {
+      return { style: styleOf(JSON.stringify(commitlint)), source: 'package.json' };
+    }
+  }
+  return null;
+}
+
+/**
+ * Detects workflow guidelines from the repository
+ * @param {string} [projectRoot] - Directory to inspect (defaults to the current directory)
+ * @returns {Promise<Object>} Detection as { values, sources }: values holds gitWorkflow,
+ *   branchNaming, commitStyle and commitExamples where found, sources where each one came from
+ * @throws {Error} If package.json cannot be parsed
+ */
+async function detectWorkflowGuidelines(projectRoot = process.cwd()) {
+  const values = {};
+  const sources = {};
+  const history = await readGitHistory(projectRoot);
+
+  if (history) {
+    const branches = [...new Set([...history.branches, ...branchesFromMerges(history.subjects)])];
+    const gitWorkflow = inferGitWorkflow(branches, history.tags, history.subjects);
+    if (gitWorkflow) {
+      values.gitWorkflow = gitWorkflow;
+      sources.gitWorkflow = history.tags.length > 0 ? 'git branches and tags' : 'git branches';
+    }
+    const branchNaming = describeBranchNaming(branches);
+    if (branchNaming) {
+      values.branchNaming = branchNaming;
+      sources.branchNaming = 'git branches';
+    }
+    const { style, examples } = analyzeCommitSubjects(history.subjects);
+    if (style) {
+      values.commitStyle = style;
+      sources.commitStyle = 'git history';
+    }
+    if (examples.length > 0) {
+      values.commitExamples = examples;
+      sources.commitExamples = 'git history';
+    }
+  }
+
+  const commitlint = await readCommitlintStyle(projectRoot);
+  if (commitlint) {
+    values.commitStyle = commitlint.style;
+    sources.commitStyle = commitlint.source;
+    // Free-form examples would contradict the enforced format
+    if (history && values.commitExamples && !values.commitExamples.every(subject => CONVENTIONAL_SUBJECT.test(subject))) {
+      const examples = pickExamples(history.subjects.filter(subject => CONVENTIONAL_SUBJECT.test(subject)));
+      if (examples.length > 0) {
+        values.commitExamples = examples;
+      } else {
+        delete values.commitExamples;
+        delete sources.commitExamples;
+      }
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Formats commit examples as nested bullets for the line after the commit style
+ * @param {Array<string>} [examples] - Commit subjects
+ * @returns {string} Lines starting with a new line, or '' when there are no examples
+ */
+function formatCommitExamples(examples = []) {
+  return examples.map(example => `\n  - Example: \`${example}\``).join('');
+}
+
+/**
+ * Formats detected workflow guidelines for the terminal, one field per line
+ * @param {Object} detection - Result of detectWorkflowGuidelines
+ * @returns {string} Report such as "commitStyle  Conventional Commits (from git history)"
+ */
+function formatWorkflowReport({ values, sources }) {
+  const fields = Object.keys(values);
+  const width = Math.max(...fields.map(field => field.length));
+  return fields
+    .map(field => {
+      const value = Array.isArray(values[field]) ? values[field].map(item => `"${item}"`).join(', ') : values[field];
+      return `${field.padEnd(width)}  ${value} (from ${sources[field]})`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  readGitHistory,
+  analyzeCommitSubjects,
+  describeBranchNaming,
+  inferGitWorkflow,
+  detectWorkflowGuidelines,
+  formatCommitExamples,
+  formatWorkflowReport
+};
@@ -0,0 +1,407 @@
+/**
+ * Workspace Detector
+ * Finds the packages of a monorepo so each one gets a scoped rules file next to the root file
+ *
+ * Package globs are read from the package.json `workspaces` field (npm, Yarn
+ * and Bun), pnpm-workspace.yaml and lerna.json. Nx projects are found through
+ * project.json files in the workspace layout, and Turborepo and Nx are named
+ * as the build tools. Every matching directory with a package.json or
+ * project.json is a package. Package configs carry their own detected stack
+ * and inherit the shared standards of the root config; the generated files
+ * link to each other through a Workspace section.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { LOCKFILES, readProjectFile, scanProject } = require('./project_scanner');
+const { globToRegex } = require('./project_tree');
+const { detectProjectTypes } = require('./project_type_detector');
+const { getTarget } = require('./output_targets');
+
+/**
+ * Directories never searched for packages
+ */
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'coverage'];
+
+/**
+ * How deep a "**" in a package glob searches
+ */
+const MAX_GLOB_DEPTH = 4;
+
+/**
+ * Nx workspace layout used when nx.json does not set one
+ */
+const NX_PROJECT_DIRS = ['apps', 'libs', 'packages'];
+
+/**
+ * Technology stack fields a package inherits when its own manifest does not name them
+ */
+const INHERITED_STACK_FIELDS = ['language', 'packageManager', 'deployment'];
+
+/**
+ * Root config keys a package does not inherit: they describe the root or are read again for the package
+ */
+const PACKAGE_OWN_KEYS = ['commands', 'ci', 'agentRules', 'windsurfRules', 'recipeName', 'workspaces'];
+
+/**
+ * Parses a workspace file, naming the file when it is invalid
+ */
+function parseWorkspaceFile(fileName, content, parse) {
+  try {
+    return parse(content) || {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${fileName}: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the subdirectories of a project directory that may hold packages
+ */
+async function listDirectories(projectRoot, directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(projectRoot, directory), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return [];
+    }
+    throw error;
+  }
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name))
+    .map(entry => path.posix.join(directory, entry.name))
+    .sort();
+}
+
+/**
+ * Expands one package glob such as "packages/*" or "apps/**" into directories
+ */
+async function expandPattern(projectRoot, pattern) {
+  const segments = pattern.replace(/^\.\//, '').split('/').filter(Boolean);
+  let current = [''];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const directory of current) {
+      if (segment === '**') {
+        let level = [directory];
+        next.push(directory);
+        for (let depth = 0; depth < MAX_GLOB_DEPTH && level.length > 0; depth++) {
+          level = (await Promise.all(level.map(item => listDirectories(projectRoot, item)))).flat();
+          next.push(...level);
+        }
+      } else if (/[*?[]/.test(segment)) {
+        const matcher = new RegExp(`^${globToRegex(segment)}$`);
+        next.push(...(await listDirectories(projectRoot, directory)).filter(item => matcher.test(path.posix.basename(item))));
+      } else {
+        next.push(path.posix.join(directory, segment));
+      }
+    }
+    current = [...new Set(next)];
+  }
+  return current;
+}
+
+/**
+ * Expands package globs, applying "!" exclusions
+ * @param {string} projectRoot - Monorepo root
+ * @param {Array<string>} patterns - Globs relative to the root, e.g. ['packages/*', '!packages/legacy']
+ * @returns {Promise<Array<string>>} Matching directories relative to the root, sorted
+ */
+async function expandWorkspacePatterns(projectRoot, patterns) {
+  const excluded = patterns
+    .filter(pattern => pattern.startsWith('!'))
+    .map(pattern => new RegExp(`^${globToRegex(pattern.slice(1).replace(/^\.\//, '').replace(/\/+$/, ''))}$`));
+  const directories = new Set();
+  for (const pattern of patterns.filter(item => !item.startsWith('!'))) {
+    (await expandPattern(projectRoot, pattern)).forEach(directory => directories.add(directory));
+  }
+  return [...directories]
+    .filter(directory => directory && !excluded.some(matcher => matcher.test(directory)))
+    .sort();
+}
+
+/**
+ * Reads the workspace tools and package globs configured in the root
+ */
+async function readWorkspaceConfig(projectRoot) {
+  const tools = [];
+  const sources = [];
+  let patterns = [];
+  let packageManager = null;
+
+  const packageJson = await readProjectFile(projectRoot, 'package.json');
+  const manifest = packageJson === null ? {} : parseWorkspaceFile('package.json', packageJson, JSON.parse);
+  if (typeof manifest.packageManager === 'string') {
+    packageManager = manifest.packageManager.split('@')[0];
+  }
+  for (const lockfile of LOCKFILES.filter(item => item.manifest === 'package.json')) {
+    if (!packageManager && await readProjectFile(projectRoot, lockfile.file) !== null) {
+      packageManager = lockfile.packageManager;
+    }
+  }
+
+  const pnpmWorkspace = await readProjectFile(projectRoot, 'pnpm-workspace.yaml');
+  if (pnpmWorkspace !== null) {
+    patterns = parseWorkspaceFile('pnpm-workspace.yaml', pnpmWorkspace, yaml.load).packages || [];
+    tools.push('pnpm workspaces');
+    sources.push('pnpm-workspace.yaml');
+    packageManager = 'pnpm';
+  } else if (manifest.workspaces) {
+    patterns = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces.packages || [];
+    packageManager = packageManager || 'npm';
+    tools.push(`${{ npm: 'npm', yarn: 'Yarn', bun: 'Bun' }[packageManager] || packageManager} workspaces`);
+    sources.push('package.json');
+  }
+
+  const lerna = await readProjectFile(projectRoot, 'lerna.json');
+  if (lerna !== null) {
+    const lernaPackages = parseWorkspaceFile('lerna.json', lerna, JSON.parse).packages;
+    if (patterns.length === 0) {
+      patterns = lernaPackages || ['packages/*'];
+    }
+    tools.push('Lerna');
+    sources.push('lerna.json');
+  }
+
+  const nx = await readProjectFile(projectRoot, 'nx.json');
+  if (nx !== null) {
+    const layout = parseWorkspaceFile('nx.json', nx, JSON.parse).workspaceLayout || {};
+    if (patterns.length === 0) {
+      // Nx projects can be nested, e.g. apps/shop/api
+      const directories = [layout.appsDir || 'apps', layout.libsDir || 'libs', ...NX_PROJECT_DIRS];
+      patterns = [...new Set(directories)].map(directory => `${directory}/**`);
+    }
+    tools.push('Nx');
+    sources.push('nx.json');
+  }
+
+  if (await readProjectFile(projectRoot, 'turbo.json') !== null) {
+    tools.push('Turborepo');
+    sources.push('turbo.json');
+  }
+
+  return { tools, sources, patterns, packageManager };
+}
+
+/**
+ * Reads a package's name, description and version from its package.json or project.json
+ *
+ * A manifest that cannot be parsed does not hide the other packages: the
+ * package is listed under its directory name with the parse error.
+ */
+async function readPackage(projectRoot, directory) {
+  for (const fileName of ['package.json', 'project.json']) {
+    const source = path.posix.join(directory, fileName);
+    const content = await readProjectFile(projectRoot, source);
+    if (content === null) {
+      continue;
+    }
+    let manifest;
+    try {
+      manifest = parseWorkspaceFile(source, content, JSON.parse);
+    } catch (error) {
+      return { name: path.posix.basename(directory), path: directory, description: '', version: '', source, error: error.message };
+    }
+    return {
+      name: manifest.name || path.posix.basename(directory),
+      path: directory,
+      description: manifest.description || '',
+      version: manifest.version || '',
+      source
+    };
+  }
+  return null;
+}
+
+/**
+ * Detects the packages of a monorepo
+ * @param {string} [projectRoot] - Monorepo root (defaults to the current directory)
+ * @returns {Promise<Object>} Detection as { tools, sources, packageManager, packages }: packages are
+ *   { name, path, description, version, source } with paths relative to the root, plus error when the
+ *   package manifest cannot be parsed; empty outside a monorepo
+ * @throws {Error} If a workspace file cannot be parsed
+ */
+async function detectWorkspaces(projectRoot = process.cwd()) {
+  const { tools, sources, patterns, packageManager } = await readWorkspaceConfig(projectRoot);
+  const packages = [];
+  for (const directory of await expandWorkspacePatterns(projectRoot, patterns)) {
+    const found = await readPackage(projectRoot, directory);
+    if (found) {
+      packages.push(found);
+    }
+  }
+  return { tools, sources, packageManager, packages };
+}
+
+/**
+ * Picks the packages selected in a config
+ * @param {Object} detection - Result of detectWorkspaces
+ * @param {boolean|Object} [setting] - config.workspaces: false turns package files off,
+ *   { packages } lists the package paths to generate; every package when omitted
+ * @returns {Array<Object>} Selected packages
+ */
+function selectWorkspacePackages(detection, setting) {
+  if (setting === false) {
+    return [];
+  }
+  if (setting && Array.isArray(setting.packages)) {
+    return detection.packages.filter(item => setting.packages.includes(item.path) || setting.packages.includes(item.name));
+  }
+  return detection.packages;
+}
+
+/**
+ * Describes the workspace tools for the generated rules
+ */
+function describeTools(tools) {
+  return tools.length > 0 ? ` (${tools.join(', ')})` : '';
+}
+
+/**
+ * Builds the config a package's rules file is generated from
+ *
+ * The package gets its own name, description, version, project types and
+ * detected technology stack; coding standards, structure, workflow and
+ * project management are inherited from the root config. Commands, CI checks,
+ * recipe rules and the directory tree are read again for the package when it
+ * is generated.
+ *
+ * @param {string} projectRoot - Monorepo root
+ * @param {Object} rootConfig - Root configuration object
+ * @param {Object} detection - Result of detectWorkspaces
+ * @param {Object} pkg - Package from detection.packages
+ * @returns {Promise<Object>} Package configuration, with workspace set to { tools, rootName, path }
+ * @throws {Error} If a package manifest cannot be parsed
+ */
+async function buildPackageConfig(projectRoot, rootConfig, detection, pkg) {
+  if (pkg.error) {
+    throw new Error(pkg.error);
+  }
+  const packageRoot = path.join(projectRoot, pkg.path);
+  const scan = await scanProject(packageRoot);
+  const projectTypes = await detectProjectTypes(packageRoot, scan.detections);
+
+  const inherited = {};
+  INHERITED_STACK_FIELDS.forEach(field => {
+    if (rootConfig.technologyStack[field]) {
+      inherited[field] = rootConfig.technologyStack[field];
+    }
+  });
+
+  const shared = { ...rootConfig };
+  PACKAGE_OWN_KEYS.forEach(key => delete shared[key]);
+  return {
+    ...shared,
+    overview: {
+      ...rootConfig.overview,
+      projectName: pkg.name,
+      description: pkg.description || `The ${pkg.path} package of ${rootConfig.overview.projectName}.`,
+      version: pkg.version || rootConfig.overview.version,
+      projectType: projectTypes.length > 0 ? projectTypes.map(({ type }) => type) : rootConfig.overview.projectType
+    },
+    technologyStack: { ...inherited, ...scan.technologyStack },
+    workspace: { tools: detection.tools, rootName: rootConfig.overview.projectName, path: pkg.path }
+  };
+}
+
+/**
+ * Gets the path-scoped Copilot instructions file of a package
+ *
+ * Copilot only reads .github/ at the repository root, so a package's
+ * instructions live there with an applyTo glob for the package directory.
+ *
+ * @param {string} packagePath - Package path relative to the root, e.g. packages/api
+ * @returns {string} Path relative to the root, e.g. .github/instructions/packages-api.instructions.md
+ */
+function getCopilotPackageFile(packagePath) {
+  return path.posix.join('.github', 'instructions', `${packagePath.split('/').join('-')}.instructions.md`);
+}
+
+/**
+ * Gets the path of a target's file, or its rules directory, relative to the monorepo root
+ */
+function getTargetLocation(fileType, directory = '') {
+  if (fileType === 'copilot' && directory) {
+    const location = getCopilotPackageFile(directory);
+    return { location, fileDir: path.posix.dirname(location) };
+  }
+  const { filename, multiFile } = getTarget(fileType);
+  const location = path.posix.join(directory, filename.split(path.sep).join('/'));
+  return { location, fileDir: multiFile ? location : path.posix.dirname(location) };
+}
+
+/**
+ * Formats the cross-links between the root rules file and the package files
+ * @param {Object} config - Configuration object; config.workspace is { tools, packages } for the
+ *   root file and { tools, rootName, path } for a package file
+ * @returns {string} Markdown, or '' when config.workspace is not set
+ */
+function formatWorkspaceLinks(config) {
+  const { workspace } = config;
+  if (!workspace) {
+    return '';
+  }
+
+  if (Array.isArray(workspace.packages)) {
+    const { fileDir } = getTargetLocation(config.fileType);
+    const links = workspace.packages.map(item => {
+      const link = path.posix.relative(fileDir, getTargetLocation(config.fileType, item.path).location);
+      return `- **${item.name}** (\`${item.path}\`): [${link}](${link})`;
+    });
+    return `This repository is a monorepo${describeTools(workspace.tools)}. The rules in this file apply to every package. Each package also has a rules file with its own stack and commands:\n${links.join('\n')}`;
+  }
+
+  const { fileDir } = getTargetLocation(config.fileType, workspace.path);
+  const link = path.posix.relative(fileDir, getTargetLocation(config.fileType).location);
+  return `This is the \`${workspace.path}\` package of the ${workspace.rootName} monorepo${describeTools(workspace.tools)}. The shared rules are in [${link}](${link}); this file adds what is specific to the package.`;
+}
+
+/**
+ * Formats the Workspace section for the generated rules
+ * @param {Object} config - Configuration object
+ * @returns {string} Level-2 section followed by a blank line, or '' when config.workspace is not set
+ */
+function formatWorkspaceSection(config) {
+  const links = formatWorkspaceLinks(config);
+  return links ? `## Workspace\n\n${links}\n\n` : '';
+}
+
+/**
+ * Removes the generated cross-links from an imported Workspace section; they are rebuilt from the repository layout
+ * @param {string} body - Workspace section markdown
+ * @returns {string} Hand-written text left in the section
+ */
+function parseWorkspaceSection(body) {
+  return body
+    .split('\n')
+    .filter(line => !/^(?:This repository is a monorepo\b|This is the `[^`]+` package of the\b|- \*\*.+?\*\* \(`[^`]+`\): \[[^\]]+\]\([^)]+\)$)/.test(line.trim()))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Formats a detection for the terminal
+ * @param {Object} detection - Result of detectWorkspaces
+ * @returns {string} One line per package, e.g. "packages/api  @acme/api (packages/api/package.json)"
+ */
+function formatWorkspaceReport({ packages }) {
+  const width = Math.max(...packages.map(item => item.path.length));
+  return packages
+    .map(item => `${item.path.padEnd(width)}  ${item.name} (${item.error ? `skipped: ${item.error}` : item.source})`)
+    .join('\n');
+}
+
+module.exports = {
+  expandWorkspacePatterns,
+  detectWorkspaces,
+  selectWorkspacePackages,
+  buildPackageConfig,
+  getCopilotPackageFile,
+  formatWorkspaceLinks,
+  formatWorkspaceSection,
+  parseWorkspaceSection,
+  formatWorkspaceReport
+};
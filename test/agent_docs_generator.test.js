@@ -0,0 +1,86 @@
+/**
+ * Test suite for AGENTS.md and CLAUDE.md generation
+ * Tests section layout, missing commands and project type boundaries
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  generateAgentsMd,
+  generateClaudeMd,
+  getBoundaries
+} from '../lib/agent_docs_generator.js';
+import { generateOutputFiles } from '../lib/generator_lib.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+function withTypes(projectType, technologyStack = sampleConfig.technologyStack) {
+  return { ...sampleConfig, overview: { ...sampleConfig.overview, projectType }, technologyStack };
+}
+
+describe('Agent Docs Generator', () => {
+  describe('getBoundaries function', () => {
+    test('should add boundaries for the selected project types', () => {
+      const library = getBoundaries(withTypes(['Library/Package']));
+      const api = getBoundaries(withTypes(['API/Backend']));
+
+      expect(library).toContain('Do not change the public API without a matching version bump and changelog entry');
+      expect(library).not.toContain('Never change the database schema without a migration');
+      expect(api).toContain('Never change the database schema without a migration');
+    });
+
+    test('should always protect the build directory', () => {
+      expect(getBoundaries(sampleConfig)[0]).toBe('Never edit generated files in `dist/`');
+    });
+  });
+
+  describe('generateAgentsMd function', () => {
+    test('should use the AGENTS.md section layout', () => {
+      const content = generateAgentsMd({ ...sampleConfig, commands: { test: 'npm test' } });
+      const headings = content.match(/^## .*$/gm);
+
+      expect(headings).toEqual([
+        '## Project Overview',
+        '## Build and Test Commands',
+        '## Code Style',
+        '## Technology Guidelines',
+        '## Testing Instructions',
+        '## Pull Request Instructions',
+        '## Boundaries'
+      ]);
+      expect(content).toContain('npm test  # test');
+      expect(content).toContain('### React Guidelines');
+    });
+
+    test('should explain missing commands', () => {
+      const content = generateAgentsMd(withTypes(['CLI Tool'], { language: 'Elm' }));
+
+      expect(content).toContain('_No build or test commands configured.');
+      expect(content).not.toContain('## Technology Guidelines');
+    });
+  });
+
+  describe('generateClaudeMd function', () => {
+    test('should use the CLAUDE.md section layout', () => {
+      const content = generateClaudeMd(sampleConfig);
+      const headings = content.match(/^## .*$/gm);
+
+      expect(headings).toEqual(['## Project', '## Commands', '## Architecture', '## Conventions', '## Workflow', '## Boundaries']);
+      expect(content).toContain('- IMPORTANT: Never commit secrets');
+    });
+
+    test('should include recipe rules', () => {
+      const content = generateClaudeMd({ ...sampleConfig, recipeName: 'React SPA', agentRules: '## Hooks\n- Prefer hooks' });
+      expect(content).toContain('## Recipe Rules: React SPA');
+    });
+  });
+
+  describe('generateOutputFiles integration', () => {
+    test('should write AGENTS.md and CLAUDE.md by default', async () => {
+      const [agents] = await generateOutputFiles({ ...sampleConfig, fileType: 'agents' }, null);
+      const [claude] = await generateOutputFiles({ ...sampleConfig, fileType: 'claude' }, null);
+
+      expect(agents.filename).toBe('AGENTS.md');
+      expect(claude.filename).toBe('CLAUDE.md');
+      expect(claude.content.startsWith('# CLAUDE.md')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Test suite for overwrite protection
+ * Tests unified diffs, backups and restoring previous versions
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import chalk from 'chalk';
+import { createUnifiedDiff, colorizeDiff, getDiffStats } from '../lib/diff_utils.js';
+import {
+  BACKUP_DIR,
+  createBackupId,
+  backupFile,
+  listBackups,
+  restoreBackup
+} from '../lib/backup_manager.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+
+describe('Overwrite Protection', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-backup-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createUnifiedDiff function', () => {
+    test('should return an empty diff for identical content', () => {
+      expect(createUnifiedDiff('same\ntext', 'same\ntext')).toBe('');
+    });
+
+    test('should produce unified hunks with context', () => {
+      const oldText = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'].join('\n');
+      const newText = oldText.replace('two', '2').replace('nine', '9');
+
+      const diff = createUnifiedDiff(oldText, newText, { oldLabel: 'old.md', newLabel: 'new.md', context: 1 });
+
+      expect(diff.split('\n')).toEqual([
+        '--- old.md',
+        '+++ new.md',
+        '@@ -1,3 +1,3 @@',
+        ' one',
+        '-two',
+        '+2',
+        ' three',
+        '@@ -8,3 +8,3 @@',
+        ' eight',
+        '-nine',
+        '+9',
+        ' ten'
+      ]);
+      expect(getDiffStats(diff)).toEqual({ added: 2, removed: 2 });
+    });
+
+    test('should count removed and added --- lines as changes', () => {
+      const removed = createUnifiedDiff('a\n---\n\nb', 'a\nb');
+      const added = createUnifiedDiff('a\nb', 'a\n---\nb');
+      const { level } = chalk;
+
+      expect(removed.split('\n')).toContain('----');
+      expect(getDiffStats(removed)).toEqual({ added: 0, removed: 2 });
+      expect(getDiffStats(added)).toEqual({ added: 1, removed: 0 });
+      try {
+        chalk.level = 1;
+        expect(colorizeDiff(removed).split('\n')).toContain(chalk.red('----'));
+        expect(colorizeDiff(added).split('\n')).toContain(chalk.green('+---'));
+      } finally {
+        chalk.level = level;
+      }
+    });
+
+    test('should handle added files', () => {
+      const diff = createUnifiedDiff('', 'new line');
+      expect(diff).toContain('+new line');
+    });
+  });
+
+  describe('backup manager', () => {
+    test('should create sortable backup ids', () => {
+      expect(createBackupId(new Date('2024-12-19T10:30:00.000Z'))).toBe('2024-12-19T10-30-00-000Z');
+    });
+
+    test('should back up files and restore them', async () => {
+      const filePath = path.join(tempDir, '.agent.md');
+      await fs.writeFile(filePath, 'original');
+
+      const copy = await backupFile(filePath, 'backup-1', tempDir);
+      await fs.writeFile(filePath, 'overwritten');
+
+      expect(copy.startsWith(path.join(tempDir, BACKUP_DIR, 'backup-1'))).toBe(true);
+      expect((await listBackups(tempDir))[0]).toEqual(expect.objectContaining({
+        id: 'backup-1',
+        files: [{ original: '.agent.md', backup: path.join('files', '1-.agent.md') }]
+      }));
+
+      const { restored, backupId } = await restoreBackup('backup-1', tempDir);
+
+      expect(restored).toEqual([filePath]);
+      expect(await fs.readFile(filePath, 'utf8')).toBe('original');
+      expect((await listBackups(tempDir)).map(backup => backup.id).sort()).toEqual([backupId, 'backup-1'].sort());
+    });
+
+    test('should skip missing files and unknown backups', async () => {
+      expect(await backupFile(path.join(tempDir, 'missing.md'), 'backup-1', tempDir)).toBeNull();
+      expect(await listBackups(tempDir)).toEqual([]);
+      await expect(restoreBackup('nope', tempDir)).rejects.toThrow('Backup not found: nope');
+    });
+  });
+
+  describe('writeTargetResults method', () => {
+    const results = filename => [{ target: 'agent', files: [{ filename, content: 'generated\n' }] }];
+
+    test('should back up existing files before overwriting them', async () => {
+      const filePath = path.join(tempDir, '.agent.md');
+      await fs.writeFile(filePath, 'hand written\n');
+
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      await generator.writeTargetResults(results(filePath));
+
+      const [backup] = await listBackups(tempDir);
+      expect(await fs.readFile(filePath, 'utf8')).toBe('generated\n');
+      expect(await fs.readFile(path.join(tempDir, BACKUP_DIR, backup.id, backup.files[0].backup), 'utf8')).toBe('hand written\n');
+    });
+
+    test('should not write anything on a dry run', async () => {
+      const filePath = path.join(tempDir, '.agent.md');
+      await fs.writeFile(filePath, 'hand written\n');
+
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      const rows = await generator.writeTargetResults(results(filePath), { dryRun: true });
+
+      expect(rows[0].path).toBe(`${filePath} (dry run)`);
+      expect(await fs.readFile(filePath, 'utf8')).toBe('hand written\n');
+      expect(await listBackups(tempDir)).toEqual([]);
+    });
+
+    test('should leave unchanged files alone', async () => {
+      const filePath = path.join(tempDir, '.agent.md');
+      await fs.writeFile(filePath, 'generated\n');
+
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      const rows = await generator.writeTargetResults(results(filePath));
+
+      expect(rows[0].path).toBe(`${filePath} (unchanged)`);
+      expect(await listBackups(tempDir)).toEqual([]);
+    });
+  });
+
+  describe('restoreCommand method', () => {
+    test('should fail clearly when there are no backups', async () => {
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+
+      await expect(generator.restoreCommand({}, [])).rejects.toThrow('No backups found');
+    });
+  });
+});
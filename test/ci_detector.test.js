@@ -0,0 +1,183 @@
+/**
+ * Test suite for the CI/CD detector
+ * Tests pipeline parsing, deployment targets, workflow defaults and the CI/CD section
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { classifyJob, detectPipelines, summarizePipelines, formatCiSection, parseCiSection } from '../lib/ci_detector.js';
+import { scanProject } from '../lib/project_scanner.js';
+import { generateTargets } from '../lib/generator_lib.js';
+import { normalizeConfig, validateConfig } from '../lib/project_config.js';
+import { importRules } from '../lib/rules_importer.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+const CI_WORKFLOW = `name: CI
+on:
+  pull_request:
+  push:
+    branches: [main]
+jobs:
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - run: npm ci
+      - run: npm run lint
+  test:
+    name: Unit tests (\${{ matrix.node }})
+    runs-on: ubuntu-latest
+    steps:
+      - run: npm ci
+      - run: |
+          npm test -- \\
+            --coverage
+  deploy:
+    if: github.ref == 'refs/heads/main'
+    runs-on: ubuntu-latest
+    steps:
+      - uses: amondnet/vercel-action@v25
+`;
+
+describe('CI/CD Detector', () => {
+  const project = useTempProject('agent-rules-ci-');
+  const { writeFiles } = project;
+
+  describe('classifyJob function', () => {
+    test('should recognize what a job does', () => {
+      expect(classifyJob(['test', 'pytest -q'])).toEqual(['test']);
+      expect(classifyJob(['quality', 'ruff check .', 'mypy src'])).toEqual(['lint', 'typecheck']);
+      expect(classifyJob(['analyze', 'github/codeql-action/analyze@v3'])).toEqual(['security']);
+      expect(classifyJob(['release', 'npm publish'])).toEqual(['deploy']);
+    });
+  });
+
+  describe('detectPipelines function', () => {
+    test('should list pull request checks and deploy jobs from GitHub Actions', async () => {
+      await writeFiles({
+        '.github/workflows/ci.yml': CI_WORKFLOW,
+        '.github/workflows/nightly.yml': 'on:\n  schedule:\n    - cron: "0 0 * * *"\njobs:\n  e2e:\n    steps:\n      - run: npx playwright test\n'
+      });
+
+      const detection = await detectPipelines(project.root);
+
+      expect(detection.providers).toEqual(['GitHub Actions']);
+      expect(detection.checks).toEqual([
+        { name: 'CI / lint', source: '.github/workflows/ci.yml', commands: ['npm run lint'] },
+        { name: 'CI / test', source: '.github/workflows/ci.yml', commands: ['npm test -- --coverage'] }
+      ]);
+      expect(detection.deployments).toEqual([{ name: 'CI / deploy', source: '.github/workflows/ci.yml', details: '', commands: [] }]);
+    });
+
+    test('should read GitLab CI, CircleCI and Jenkinsfile pipelines', async () => {
+      await writeFiles({
+        '.gitlab-ci.yml': 'stages: [test, deploy]\n.node: {image: node}\nunit:\n  stage: test\n  script: [npm ci, npm test]\nproduction:\n  stage: deploy\n  script: ./deploy.sh\n  environment: production\nbenchmark:\n  stage: test\n  when: manual\n  script: npm run bench\n',
+        '.circleci/config.yml': 'version: 2.1\njobs:\n  lint:\n    steps:\n      - checkout\n      - run:\n          name: Lint\n          command: golangci-lint run\nworkflows:\n  main:\n    jobs:\n      - lint\n      - node/test\n',
+        Jenkinsfile: "pipeline {\n  stages {\n    stage('Build') { steps { sh 'make' } }\n    stage(\"Deploy\") { steps { sh 'make deploy' } }\n  }\n}\n"
+      });
+
+      const { providers, checks, deployments } = await detectPipelines(project.root);
+
+      expect(providers).toEqual(['GitLab CI', 'CircleCI', 'Jenkins']);
+      expect(checks.map(check => check.name)).toEqual(['unit', 'lint', 'node/test', 'Build']);
+      expect(checks[0].commands).toEqual(['npm test']);
+      expect(checks[1].commands).toEqual(['golangci-lint run']);
+      expect(deployments.map(target => target.name)).toEqual(['production', 'Deploy']);
+    });
+
+    test('should describe hosting configs, Dockerfiles and Compose files', async () => {
+      await writeFiles({
+        'netlify.toml': '[build]\ncommand = "npm run build"\npublish = "dist"\n',
+        'fly.toml': 'app = "demo-api"\n',
+        Dockerfile: 'FROM node:20 AS build\nRUN npm ci\nFROM nginx:1.25-alpine\nCOPY --from=build /app/dist /usr/share/nginx/html\n',
+        'docker-compose.yml': 'services:\n  web:\n    build: .\n  db:\n    image: postgres:16\n'
+      });
+
+      expect((await detectPipelines(project.root)).deployments).toEqual([
+        { name: 'Netlify', source: 'netlify.toml', details: 'builds with `npm run build`, publishes `dist`', commands: [] },
+        { name: 'Fly.io', source: 'fly.toml', details: 'app `demo-api`', commands: [] },
+        { name: 'Docker image', source: 'Dockerfile', details: 'based on `nginx:1.25-alpine`', commands: [] },
+        { name: 'Docker Compose', source: 'docker-compose.yml', details: 'services web, db', commands: [] }
+      ]);
+
+      const scan = await scanProject(project.root);
+      expect(scan.technologyStack.deployment).toBe('Netlify, Fly.io, Docker');
+    });
+
+    test('should report unparsable workflows', async () => {
+      await writeFiles({ '.github/workflows/ci.yml': 'jobs: [unclosed' });
+      await expect(detectPipelines(project.root)).rejects.toThrow('Cannot parse .github/workflows/ci.yml');
+    });
+  });
+
+  describe('summarizePipelines function', () => {
+    test('should preselect the CI/CD checklist and deployment process', async () => {
+      await writeFiles({ '.github/workflows/ci.yml': CI_WORKFLOW, 'vercel.json': '{}' });
+
+      expect(summarizePipelines(await detectPipelines(project.root))).toEqual({
+        values: {
+          cicd: ['Automated Testing', 'Code Quality Checks', 'Deployment'],
+          deploymentSteps: 'Deployed via Vercel, CI / deploy'
+        },
+        sources: {
+          cicd: 'GitHub Actions',
+          deploymentSteps: 'vercel.json, .github/workflows/ci.yml'
+        }
+      });
+    });
+  });
+
+  describe('CI/CD section', () => {
+    const config = normalizeConfig({
+      overview: { projectName: 'demo', description: 'Demo', projectType: ['Web Application'] },
+      ci: {
+        checks: [{ name: 'CI / test', source: '.github/workflows/ci.yml', commands: ['npm test', 'npm run e2e'] }],
+        deployments: [{ name: 'Vercel', source: 'vercel.json', details: '', commands: [] }]
+      }
+    });
+
+    test('should name the checks pull requests must pass', () => {
+      expect(formatCiSection(config)).toBe([
+        '## CI/CD',
+        '',
+        'Pull requests must pass these checks:',
+        '- **CI / test** (`.github/workflows/ci.yml`): `npm test`, `npm run e2e`',
+        '',
+        'Run the same commands locally before opening a pull request.',
+        '',
+        'Deployment:',
+        '- **Vercel** (`vercel.json`)',
+        '',
+        ''
+      ].join('\n'));
+      expect(formatCiSection({})).toBe('');
+      expect(validateConfig(config).valid).toBe(true);
+      expect(validateConfig({ ...config, ci: { checks: ['test'] } }).errors).toContain('ci must be false or { checks, deployments } with lists of { name, source, commands }');
+    });
+
+    test('should be emitted by every target and read back by the importer', async () => {
+      const results = await generateTargets(config, null, {
+        targets: ['agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude'],
+        useTemplate: false,
+        managedRegions: false
+      });
+      results.forEach(({ target, files }) => {
+        const content = files.map(file => file.content).join('\n');
+        expect(`${target}: ${content.includes('- **CI / test** (`.github/workflows/ci.yml`)')}`).toBe(`${target}: true`);
+      });
+
+      const [{ files: [rendered] }] = await generateTargets(config, null, { targets: ['agent'], useTemplate: true, managedRegions: false });
+      expect(rendered.content).toContain('## CI/CD\nPull requests must pass these checks:\n');
+
+      const imported = importRules(results[1].files[0].content);
+      expect(imported.config.ci).toEqual(config.ci);
+      expect(imported.customRules).not.toContain('Pull requests must pass');
+    });
+
+    test('should keep hand-written text in an imported CI/CD section', () => {
+      expect(parseCiSection('Deployment:\n- **Vercel** (`vercel.json`)\n\nAsk before changing the pipeline.')).toEqual({
+        ci: { checks: [], deployments: [{ name: 'Vercel', source: 'vercel.json', details: '', commands: [] }] },
+        leftover: 'Ask before changing the pipeline.'
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Test suite for GitHub Copilot instructions generation
+ * Tests repository-wide instructions and path-scoped applyTo files
+ */
+
+import { describe, test, expect } from 'bun:test';
+import path from 'path';
+import {
+  generateCopilotFiles,
+  generateCopilotInstructions,
+  formatInstructionsFile
+} from '../lib/copilot_instructions_generator.js';
+import { generateOutputFiles } from '../lib/generator_lib.js';
+import { validateConfig, normalizeConfig } from '../lib/project_config.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const copilotConfig = { ...sampleConfig, fileType: 'copilot' };
+
+describe('Copilot Instructions Generator', () => {
+  describe('formatInstructionsFile function', () => {
+    test('should write applyTo frontmatter', () => {
+      const content = formatInstructionsFile(['src/**/*.ts', 'src/**/*.tsx'], '# Source');
+      expect(content).toBe('---\napplyTo: "src/**/*.ts,src/**/*.tsx"\n---\n\n# Source\n');
+    });
+  });
+
+  describe('generateCopilotInstructions function', () => {
+    test('should build instructions from the config', () => {
+      const content = generateCopilotInstructions(copilotConfig);
+
+      expect(content).toContain('# Sample Project - Copilot Instructions');
+      expect(content).toContain('- **Frontend:** React');
+      expect(content).toContain('### React Guidelines');
+      expect(content).toContain('- Commit messages: Conventional Commits');
+    });
+
+    test('should include recipe rules', () => {
+      const content = generateCopilotInstructions({ ...copilotConfig, recipeName: 'React SPA', agentRules: '## Hooks\n- Prefer hooks' });
+      expect(content).toContain('## Recipe Rules: React SPA');
+    });
+  });
+
+  describe('generateCopilotFiles function', () => {
+    test('should only write the repository-wide file by default', () => {
+      const files = generateCopilotFiles(copilotConfig);
+
+      expect(files).toHaveLength(1);
+      expect(files[0].filename).toBe(path.join('.github', 'copilot-instructions.md'));
+    });
+
+    test('should add path-scoped files next to the instructions file', () => {
+      const files = generateCopilotFiles({ ...copilotConfig, copilotPathInstructions: true });
+      const [, source, tests] = files;
+
+      expect(source.filename).toBe(path.join('.github', 'instructions', 'source.instructions.md'));
+      expect(source.content).toContain('applyTo: "src/**/*.ts,src/**/*.tsx"');
+      expect(tests.filename).toBe(path.join('.github', 'instructions', 'tests.instructions.md'));
+      expect(tests.content).toContain('applyTo: "tests/**/*,**/*.test.ts');
+    });
+  });
+
+  describe('integration', () => {
+    test('should be available through generateOutputFiles', async () => {
+      const files = await generateOutputFiles(copilotConfig, null, { out: path.join('docs', 'copilot.md') });
+      expect(files[0].filename).toBe(path.join('docs', 'copilot.md'));
+    });
+
+    test('should validate the path instructions option', () => {
+      const config = normalizeConfig({ ...sampleConfig, copilotPathInstructions: 'yes' });
+      expect(validateConfig(config).errors).toContain('copilotPathInstructions must be true or false');
+    });
+  });
+});
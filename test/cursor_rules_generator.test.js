@@ -0,0 +1,119 @@
+/**
+ * Test suite for Cursor project rules generation
+ * Tests .mdc frontmatter, rule splitting and glob derivation
+ */
+
+import { describe, test, expect } from 'bun:test';
+import path from 'path';
+import {
+  generateCursorRules,
+  formatMdcFile,
+  getSourceExtensions,
+  buildGlobs
+} from '../lib/cursor_rules_generator.js';
+import { generateOutputFiles } from '../lib/generator_lib.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const cursorConfig = { ...sampleConfig, fileType: 'cursor' };
+
+function findFile(files, name) {
+  return files.find(file => path.basename(file.filename) === name);
+}
+
+describe('Cursor Rules Generator', () => {
+  describe('getSourceExtensions function', () => {
+    test('should map languages to extensions', () => {
+      expect(getSourceExtensions({ language: 'TypeScript' })).toEqual(['ts', 'tsx']);
+      expect(getSourceExtensions({ language: 'Python' })).toEqual(['py']);
+    });
+
+    test('should match whole words only', () => {
+      expect(getSourceExtensions({ language: 'JavaScript' })).not.toContain('java');
+      expect(getSourceExtensions({ language: 'Python (Django)' })).not.toContain('go');
+      expect(getSourceExtensions({ language: 'Java, Kotlin' })).toEqual(['java', 'kt']);
+    });
+
+    test('should return no extensions for unknown languages', () => {
+      expect(getSourceExtensions({ language: 'Elm' })).toEqual([]);
+      expect(getSourceExtensions({})).toEqual([]);
+    });
+  });
+
+  describe('buildGlobs function', () => {
+    test('should scope globs to a directory', () => {
+      expect(buildGlobs('src', ['ts'])).toEqual(['src/**/*.ts']);
+      expect(buildGlobs('lib/', [])).toEqual(['lib/**/*']);
+      expect(buildGlobs('.', ['py'])).toEqual(['**/*.py']);
+    });
+  });
+
+  describe('formatMdcFile function', () => {
+    test('should write Cursor frontmatter', () => {
+      const content = formatMdcFile({ description: 'Rule', globs: ['src/**/*.ts', 'src/**/*.tsx'] }, '# Body');
+
+      expect(content).toBe('---\ndescription: Rule\nglobs: src/**/*.ts, src/**/*.tsx\nalwaysApply: false\n---\n\n# Body\n');
+    });
+  });
+
+  describe('generateCursorRules function', () => {
+    test('should split the config into rule files', () => {
+      const files = generateCursorRules(cursorConfig);
+      const names = files.map(file => path.basename(file.filename));
+
+      expect(names).toEqual([
+        'project-overview.mdc',
+        'coding-standards.mdc',
+        'tech-guidelines.mdc',
+        'workflow.mdc',
+        'testing.mdc'
+      ]);
+      files.forEach(file => {
+        expect(file.filename.startsWith(path.join('.cursor', 'rules'))).toBe(true);
+        expect(file.content.startsWith('---\ndescription: ')).toBe(true);
+      });
+    });
+
+    test('should always apply the overview and scope other rules with globs', () => {
+      const files = generateCursorRules(cursorConfig);
+
+      expect(findFile(files, 'project-overview.mdc').content).toContain('alwaysApply: true');
+      expect(findFile(files, 'coding-standards.mdc').content).toContain('globs: src/**/*.ts, src/**/*.tsx\n');
+      expect(findFile(files, 'testing.mdc').content).toContain('globs: tests/**/*, **/*.test.ts, **/*.spec.ts');
+    });
+
+    test('should include technology specific guidelines', () => {
+      const content = findFile(generateCursorRules(cursorConfig), 'tech-guidelines.mdc').content;
+
+      expect(content).toContain('### React Guidelines');
+      expect(content).toContain('### Express Guidelines');
+    });
+
+    test('should skip the tech guidelines file when no guidelines apply', () => {
+      const files = generateCursorRules({ ...cursorConfig, technologyStack: { language: 'Elm' } });
+      expect(findFile(files, 'tech-guidelines.mdc')).toBeUndefined();
+    });
+
+    test('should add recipe rules as an always-applied rule', () => {
+      const files = generateCursorRules({ ...cursorConfig, recipeName: 'React SPA', agentRules: '# Title\n\n- Prefer hooks' });
+      const content = findFile(files, 'recipe-rules.mdc').content;
+
+      expect(content).toContain('alwaysApply: true');
+      expect(content).toContain('> Source: "React SPA" recipe');
+      expect(content).toContain('- Prefer hooks');
+    });
+  });
+
+  describe('generateOutputFiles integration', () => {
+    test('should honour a custom output directory for cursor', async () => {
+      const files = await generateOutputFiles(cursorConfig, null, { out: 'rules-out' });
+      expect(files[0].filename).toBe(path.join('rules-out', 'project-overview.mdc'));
+    });
+
+    test('should return a single file for agent targets', async () => {
+      const files = await generateOutputFiles({ ...sampleConfig, fileType: 'agent' }, null, { useTemplate: false });
+
+      expect(files).toHaveLength(1);
+      expect(files[0].filename).toBe('.agent.md');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Shared sample configuration for generator tests
+ * Mirrors the config object collected by the interactive wizard
+ */
+
+export const sampleConfig = {
+  fileType: 'agent',
+  overview: {
+    projectName: 'Sample Project',
+    description: 'A sample project for generator tests',
+    version: '1.0.0',
+    projectType: ['Web Application', 'CLI Tool']
+  },
+  technologyStack: {
+    frontend: 'React 18',
+    backend: 'Node.js/Express',
+    database: 'PostgreSQL',
+    language: 'TypeScript',
+    tools: 'Vite, ESLint',
+    testing: 'Jest, Cypress',
+    deployment: 'Vercel'
+  },
+  codingStandards: {
+    indentation: '2 spaces',
+    quotes: 'single',
+    naming: 'camelCase for variables, PascalCase for classes',
+    linting: ['ESLint', 'Prettier'],
+    comments: 'JSDoc for functions, inline for complex logic'
+  },
+  projectStructure: {
+    sourceDir: 'src',
+    testDir: 'tests',
+    buildDir: 'dist',
+    configDir: 'config',
+    organization: 'Feature-based folders with shared utilities'
+  },
+  workflowGuidelines: {
+    gitWorkflow: 'GitHub Flow',
+    branchNaming: 'feature/description, bugfix/description',
+    commitStyle: 'Conventional Commits',
+    cicd: ['Automated Testing', 'Code Quality Checks'],
+    deploymentSteps: 'Automated via CI/CD pipeline'
+  },
+  projectManagement: {
+    methodology: ['Agile', 'Scrum'],
+    issueTracking: 'GitHub Issues',
+    documentation: 'README.md and docs/ folder',
+    codeReview: ['Pull Requests', 'Code Review Meetings']
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Shared temporary project for detector tests
+ * Creates a fresh project directory before each test and removes it afterwards
+ */
+
+import { beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Registers a temporary project directory for the tests of the calling describe block
+ * @param {string} prefix - Directory name prefix, e.g. 'agent-rules-scan-'
+ * @returns {Object} Project with root (the current test's directory) and writeFiles
+ */
+export function useTempProject(prefix) {
+  const project = {
+    root: null,
+    /**
+     * Writes files into the project, creating parent directories
+     * @param {Object} files - Contents keyed by relative path; non-string contents are written as JSON
+     */
+    async writeFiles(files) {
+      for (const [name, content] of Object.entries(files)) {
+        const filePath = path.join(project.root, name);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+      }
+    }
+  };
+
+  beforeEach(async () => {
+    project.root = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+  });
+
+  afterEach(async () => {
+    await fs.rm(project.root, { recursive: true, force: true });
+  });
+
+  return project;
+}
@@ -0,0 +1,271 @@
+/**
+ * Test suite for the non-interactive generate command
+ * Tests answers file loading, validation, argument parsing and file output
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  normalizeConfig,
+  validateConfig,
+  loadConfigFile,
+  saveProjectConfig,
+  loadProjectConfig,
+  DEFAULT_CONFIG
+} from '../lib/project_config.js';
+import { ProjectConfigurator } from '../lib/project_configurator.js';
+import { parseArgs } from '../lib/cli_args.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { generateTargets, getTargets, formatSummaryTable } from '../lib/generator_lib.js';
+
+const minimalAnswers = {
+  overview: {
+    projectName: 'Answers Project',
+    description: 'Generated from an answers file',
+    projectType: ['CLI Tool']
+  },
+  technologyStack: {
+    language: 'JavaScript',
+    cliFramework: 'Commander.js'
+  }
+};
+
+describe('Generate Command', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-generate-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseArgs function', () => {
+    test('should parse command, flags and positionals', () => {
+      const result = parseArgs(['generate', '--answers', 'rules.yaml', '--target=windsurf', 'extra']);
+
+      expect(result.command).toBe('generate');
+      expect(result.options.answers).toBe('rules.yaml');
+      expect(result.options.target).toBe('windsurf');
+      expect(result.positionals).toEqual(['extra']);
+    });
+
+    test('should handle boolean and negated flags', () => {
+      const result = parseArgs(['generate', '--no-template', '--dry-run']);
+
+      expect(result.options.template).toBe(false);
+      expect(result.options.dryRun).toBe(true);
+    });
+  });
+
+  describe('normalizeConfig function', () => {
+    test('should apply defaults for omitted sections', () => {
+      const config = normalizeConfig(minimalAnswers);
+
+      expect(config.codingStandards).toEqual(DEFAULT_CONFIG.codingStandards);
+      expect(config.projectStructure.sourceDir).toBe('src');
+      expect(config.overview.version).toBe('1.0.0');
+      expect(config.fileType).toBe('agent');
+    });
+
+    test('should coerce comma separated lists and checkbox answers', () => {
+      const config = normalizeConfig({
+        ...minimalAnswers,
+        overview: { ...minimalAnswers.overview, projectType: 'CLI Tool, Library/Package' },
+        technologyStack: { mobilePlatform: ['iOS', 'Android'] }
+      });
+
+      expect(config.overview.projectType).toEqual(['CLI Tool', 'Library/Package']);
+      expect(config.technologyStack.mobilePlatform).toBe('iOS, Android');
+    });
+  });
+
+  describe('validateConfig function', () => {
+    test('should accept a complete configuration', () => {
+      const result = validateConfig(normalizeConfig(minimalAnswers));
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    test('should report missing required fields', () => {
+      const result = validateConfig(normalizeConfig({ overview: { projectName: 'No Description' } }));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Missing required field: overview.description');
+      expect(result.errors).toContain('overview.projectType must list at least one project type');
+    });
+
+    test('should reject malformed sections and warn about unknown keys', () => {
+      const result = validateConfig(normalizeConfig({ ...minimalAnswers, codingStandards: 'tabs', extra: true }));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('codingStandards must be an object');
+      expect(result.warnings).toContain('Unknown configuration key: extra');
+    });
+  });
+
+  describe('loadConfigFile function', () => {
+    test('should load YAML answers files', async () => {
+      const answersPath = path.join(tempDir, 'rules.yaml');
+      await fs.writeFile(answersPath, 'overview:\n  projectName: YAML Project\n  description: From YAML\n  projectType: [API/Backend]\n');
+
+      const { config, warnings } = await loadConfigFile(answersPath);
+
+      expect(config.overview.projectName).toBe('YAML Project');
+      expect(config.overview.projectType).toEqual(['API/Backend']);
+      expect(warnings).toHaveLength(0);
+    });
+
+    test('should throw with validation details for invalid files', async () => {
+      const answersPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(answersPath, JSON.stringify({ overview: {} }));
+
+      await expect(loadConfigFile(answersPath)).rejects.toThrow('Missing required field: overview.projectName');
+    });
+
+    test('should reject unsupported file formats', async () => {
+      await expect(loadConfigFile(path.join(tempDir, 'rules.txt'))).rejects.toThrow('Unsupported answers file format');
+    });
+  });
+
+  describe('generateFromAnswers method', () => {
+    test('should write the requested target without prompts', async () => {
+      const answersPath = path.join(tempDir, 'rules.json');
+      const outPath = path.join(tempDir, 'out', '.windsurfrules');
+      await fs.writeFile(answersPath, JSON.stringify(minimalAnswers));
+
+      const generator = new AgentRulesGenerator();
+      await generator.generateFromAnswers({ answers: answersPath, target: 'windsurf', out: outPath });
+
+      const content = await fs.readFile(outPath, 'utf8');
+      expect(content).toContain('# Answers Project - Windsurf Rules');
+      expect(content).toContain('Commander.js Guidelines');
+    });
+
+    test('should reject unknown targets', async () => {
+      const answersPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(answersPath, JSON.stringify(minimalAnswers));
+
+      const generator = new AgentRulesGenerator();
+      await expect(
+        generator.generateFromAnswers({ answers: answersPath, target: 'unknown' })
+      ).rejects.toThrow('Unsupported file type: unknown');
+    });
+  });
+
+  describe('multiple targets', () => {
+    test('should fall back to fileType when no targets are selected', () => {
+      expect(getTargets({ fileType: 'windsurf' })).toEqual(['windsurf']);
+      expect(getTargets({ fileType: 'agent', targets: ['agent', 'claude'] })).toEqual(['agent', 'claude']);
+    });
+
+    test('should normalize targets from answers files', () => {
+      const config = normalizeConfig({ ...minimalAnswers, targets: 'claude, agents' });
+
+      expect(config.targets).toEqual(['claude', 'agents']);
+      expect(config.fileType).toBe('claude');
+      expect(validateConfig(normalizeConfig({ ...minimalAnswers, targets: [1] })).errors).toContain('targets must be a list of target names');
+    });
+
+    test('should generate every target from one config', async () => {
+      const config = normalizeConfig({ ...minimalAnswers, targets: ['windsurf', 'agents', 'cursor'] });
+      const results = await generateTargets(config, null, { useTemplate: false });
+
+      expect(results.map(result => result.target)).toEqual(['windsurf', 'agents', 'cursor']);
+      expect(results[0].files[0].content).toContain('# Answers Project - Windsurf Rules');
+      expect(results[1].files[0].filename).toBe('AGENTS.md');
+      expect(results[2].files.length).toBeGreaterThan(1);
+    });
+
+    test('should reject an output path with several targets', async () => {
+      const answersPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(answersPath, JSON.stringify(minimalAnswers));
+
+      const generator = new AgentRulesGenerator();
+      await expect(
+        generator.generateFromAnswers({ answers: answersPath, targets: 'agent,claude', out: path.join(tempDir, 'out.md') })
+      ).rejects.toThrow('An output path can only be used with a single target');
+    });
+
+    test('should format a summary table of written files', () => {
+      const table = formatSummaryTable([
+        { target: 'agent', path: '/repo/.agent.md' },
+        { target: 'windsurf', path: '/repo/.windsurfrules' }
+      ]);
+
+      expect(table.split('\n')).toEqual([
+        'Target    File',
+        '--------  ----',
+        'agent     /repo/.agent.md',
+        'windsurf  /repo/.windsurfrules'
+      ]);
+    });
+
+    test('should add a size column when rows are measured', () => {
+      const table = formatSummaryTable([
+        { target: 'agent', size: '3427 chars, ~857 tokens', path: '/repo/.agent.md' },
+        { target: 'windsurf', size: '6100 chars, ~1525 tokens (over 6000)', path: '/repo/.windsurfrules' }
+      ]);
+
+      expect(table.split('\n')).toEqual([
+        'Target    Size                                  File',
+        '--------  ------------------------------------  ----',
+        'agent     3427 chars, ~857 tokens               /repo/.agent.md',
+        'windsurf  6100 chars, ~1525 tokens (over 6000)  /repo/.windsurfrules'
+      ]);
+    });
+  });
+
+  describe('project config persistence', () => {
+    test('should round-trip the collected config through .agentrules.yaml', async () => {
+      const configPath = path.join(tempDir, '.agentrules.yaml');
+      const config = normalizeConfig({ ...minimalAnswers, agentRules: '# Recipe rules' });
+
+      await saveProjectConfig(config, configPath);
+      const loaded = await loadProjectConfig(configPath);
+
+      expect(loaded.config).toEqual(config);
+      expect(loaded.warnings).toHaveLength(0);
+    });
+
+    test('should return null when no saved config exists', async () => {
+      const loaded = await loadProjectConfig(path.join(tempDir, '.agentrules.yaml'));
+      expect(loaded).toBeNull();
+    });
+
+    test('should prefill prompt defaults from saved answers', () => {
+      const config = normalizeConfig({
+        ...minimalAnswers,
+        codingStandards: { indentation: 'tabs' }
+      });
+      const configurator = new ProjectConfigurator(config);
+
+      const defaults = configurator.getSectionDefaults('codingStandards');
+      expect(defaults.indentation).toBe('tabs');
+      expect(defaults.quotes).toBe(DEFAULT_CONFIG.codingStandards.quotes);
+    });
+  });
+
+  describe('regenerate method', () => {
+    test('should fail clearly when no saved config exists', async () => {
+      const generator = new AgentRulesGenerator();
+      await expect(
+        generator.regenerate({ config: path.join(tempDir, '.agentrules.yaml') })
+      ).rejects.toThrow('No saved configuration found');
+    });
+
+    test('should reject unknown sections', async () => {
+      const configPath = path.join(tempDir, '.agentrules.yaml');
+      await saveProjectConfig(normalizeConfig(minimalAnswers), configPath);
+
+      const generator = new AgentRulesGenerator();
+      await expect(
+        generator.regenerate({ config: configPath, sections: 'codingStandards,colours' })
+      ).rejects.toThrow('Unknown section(s): colours');
+    });
+  });
+});
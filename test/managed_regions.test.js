@@ -0,0 +1,176 @@
+/**
+ * Test suite for managed regions
+ * Tests region markers, merging on regeneration and conflict detection
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  wrapManagedRegions,
+  parseManagedRegions,
+  mergeManagedRegions,
+  mergeWithExistingFiles,
+  formatConflictReport,
+  getSectionKey
+} from '../lib/managed_regions.js';
+import { generateTargets } from '../lib/generator_lib.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const generated = `# Demo Rules
+
+## Coding Standards
+
+- Use 2 spaces
+
+## Testing
+
+- Write tests`;
+
+describe('Managed Regions', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-regions-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getSectionKey function', () => {
+    test('should map generated headings to config sections', () => {
+      expect(getSectionKey('Coding Standards')).toBe('codingStandards');
+      expect(getSectionKey('Code Style Rules')).toBe('codingStandards');
+      expect(getSectionKey('AI Assistant Guidelines')).toBe('aiAssistantGuidelines');
+    });
+  });
+
+  describe('wrapManagedRegions function', () => {
+    test('should wrap the title and each section', () => {
+      const wrapped = wrapManagedRegions(generated);
+      const regions = parseManagedRegions(wrapped);
+
+      expect(regions.map(region => region.section)).toEqual(['title', 'codingStandards', 'testing']);
+      expect(wrapped).toMatch(/^<!-- agent-rules:begin section=title hash=[0-9a-f]{8} -->\n# Demo Rules\n/);
+      expect(wrapped).toContain('<!-- agent-rules:end section=codingStandards -->');
+    });
+
+    test('should keep frontmatter outside the markers', () => {
+      const wrapped = wrapManagedRegions('---\nalwaysApply: true\n---\n\n# Rule\n\n## Body\n\ntext');
+      expect(wrapped.startsWith('---\nalwaysApply: true\n---\n\n<!-- agent-rules:begin section=title')).toBe(true);
+    });
+
+    test('should report regions without an end marker', () => {
+      expect(() => parseManagedRegions('<!-- agent-rules:begin section=testing -->\n## Testing')).toThrow('missing its end marker');
+    });
+  });
+
+  describe('mergeManagedRegions function', () => {
+    test('should replace managed regions and keep user content', () => {
+      const existing = `${wrapManagedRegions(generated)}\n## Team Notes\n\n- Ask Sam before touching billing\n`;
+      const updated = wrapManagedRegions(generated.replace('2 spaces', 'tabs'));
+
+      const result = mergeManagedRegions(existing, updated);
+
+      expect(result.conflicts).toHaveLength(0);
+      expect(result.content).toContain('- Use tabs');
+      expect(result.content).not.toContain('- Use 2 spaces');
+      expect(result.content.trim().endsWith('- Ask Sam before touching billing')).toBe(true);
+    });
+
+    test('should insert new sections after their predecessor', () => {
+      const existing = wrapManagedRegions(generated);
+      const updated = wrapManagedRegions(generated.replace('## Testing', '## Security\n\n- No secrets\n\n## Testing'));
+
+      const sections = parseManagedRegions(mergeManagedRegions(existing, updated).content).map(region => region.section);
+      expect(sections).toEqual(['title', 'codingStandards', 'security', 'testing']);
+    });
+
+    test('should take the frontmatter from the regenerated content', () => {
+      const existing = `${wrapManagedRegions(`---\nglobs: src/**\n---\n\n${generated}`)}\n## Team Notes\n\n- Keep this\n`;
+      const updated = wrapManagedRegions(`---\nglobs: app/**\n---\n\n${generated}`);
+
+      const { content } = mergeManagedRegions(existing, updated);
+
+      expect(content.startsWith('---\nglobs: app/**\n---\n\n<!-- agent-rules:begin section=title')).toBe(true);
+      expect(content).not.toContain('src/**');
+      expect(content).toContain('- Keep this');
+    });
+
+    test('should report edited regions and optionally keep them', () => {
+      const existing = wrapManagedRegions(generated).replace('- Write tests', '- Write tests\n- Hand-written rule');
+      const updated = wrapManagedRegions(generated.replace('- Write tests', '- Write unit tests'));
+
+      const overwritten = mergeManagedRegions(existing, updated);
+      const kept = mergeManagedRegions(existing, updated, { keepEdited: true });
+
+      expect(overwritten.conflicts.map(conflict => conflict.section)).toEqual(['testing']);
+      expect(overwritten.content).toContain('- Write unit tests');
+      expect(kept.content).toContain('- Hand-written rule');
+      expect(mergeManagedRegions(kept.content, updated).conflicts).toHaveLength(1);
+    });
+  });
+
+  describe('mergeWithExistingFiles function', () => {
+    test('should merge files on disk and report conflicts per file', async () => {
+      const filename = path.join(tempDir, '.agent.md');
+      await fs.writeFile(filename, wrapManagedRegions(generated).replace('- Use 2 spaces', '- Use 3 spaces'));
+
+      const result = await mergeWithExistingFiles([{ filename, content: wrapManagedRegions(generated) }]);
+
+      expect(result.conflicts).toEqual([expect.objectContaining({ filename, section: 'codingStandards' })]);
+      expect(formatConflictReport(result.conflicts)).toContain(`${filename} [codingStandards] differs from the new output`);
+    });
+
+    test('should leave files without markers to be written as generated', async () => {
+      const result = await mergeWithExistingFiles([{ filename: path.join(tempDir, 'missing.md'), content: 'new' }]);
+      expect(result.files[0].content).toBe('new');
+    });
+  });
+
+  describe('regeneration', () => {
+    test('should keep hand-written rules when regenerating', async () => {
+      const outPath = path.join(tempDir, '.agent.md');
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      const config = { ...sampleConfig, fileType: 'agent' };
+
+      await generator.writeTargetResults(await generateTargets(config, null, { useTemplate: false, out: outPath }));
+      await fs.appendFile(outPath, '\n## Custom Rules\n\n- Keep this rule\n');
+
+      const updated = { ...config, codingStandards: { ...config.codingStandards, indentation: 'tabs' } };
+      await generator.writeTargetResults(await generateTargets(updated, null, { useTemplate: false, out: outPath }));
+
+      const content = await fs.readFile(outPath, 'utf8');
+      expect(content).toContain('- **Indentation:** tabs');
+      expect(content).toContain('- Keep this rule');
+    });
+
+    test('should update Cursor globs when the source directory changes', async () => {
+      const outDir = path.join(tempDir, 'rules');
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      const config = { ...sampleConfig, fileType: 'cursor' };
+      const regenerate = async sourceDir => generator.writeTargetResults(await generateTargets(
+        { ...config, projectStructure: { ...config.projectStructure, sourceDir } }, null, { useTemplate: false, out: outDir }));
+
+      await regenerate('src');
+      const before = await fs.readdir(outDir);
+      await regenerate('app');
+
+      const globbed = [];
+      for (const name of before) {
+        const content = await fs.readFile(path.join(outDir, name), 'utf8');
+        if (/^globs: .+/m.test(content)) {
+          globbed.push(content.match(/^globs: .+/m)[0]);
+        }
+      }
+      expect(globbed.length).toBeGreaterThan(0);
+      globbed.forEach(line => expect(line).not.toContain('src/'));
+      expect(globbed.some(line => line.includes('app/'))).toBe(true);
+    });
+  });
+});
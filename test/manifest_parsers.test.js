@@ -0,0 +1,127 @@
+/**
+ * Test suite for the manifest parsers
+ * Tests TOML, requirements.txt, go.mod, Gemfile, Maven, Gradle and Dockerfile parsing
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  cleanVersion,
+  parseToml,
+  parseRequirementsTxt,
+  parseGoMod,
+  parseGemfile,
+  parsePomXml,
+  parseGradle,
+  parseDockerfile
+} from '../lib/manifest_parsers.js';
+
+describe('Manifest Parsers', () => {
+  test('should extract versions from specifiers', () => {
+    expect(cleanVersion('^18.2.0')).toBe('18.2.0');
+    expect(cleanVersion('~> 7.1')).toBe('7.1');
+    expect(cleanVersion('>=3.10,<4')).toBe('3.10');
+    expect(cleanVersion('*')).toBe('');
+  });
+
+  describe('parseToml function', () => {
+    test('should parse tables, arrays, inline tables and multi-line values', () => {
+      const toml = parseToml(`# Project
+[project]
+name = "demo" # trailing comment
+requires-python = ">=3.11"
+dependencies = [
+  "fastapi[all]>=0.110",
+  'pytest',
+]
+description = """Multi
+line"""
+
+[tool.poetry.dependencies]
+django = { version = "5.0", extras = ["bcrypt"] }
+"my-package" = "1.0"
+
+[tool.black]
+line-length = 100
+skip-string-normalization = true
+
+[[bin]]
+name = "first"
+
+[[bin]]
+name = "second"
+`);
+
+      expect(toml.project.dependencies).toEqual(['fastapi[all]>=0.110', 'pytest']);
+      expect(toml.project.description).toBe('Multi\nline');
+      expect(toml.tool.poetry.dependencies.django).toEqual({ version: '5.0', extras: ['bcrypt'] });
+      expect(toml.tool.poetry.dependencies['my-package']).toBe('1.0');
+      expect(toml.tool.black).toEqual({ 'line-length': 100, 'skip-string-normalization': true });
+      expect(toml.bin.map(bin => bin.name)).toEqual(['first', 'second']);
+    });
+
+    test('should report the line of invalid TOML', () => {
+      expect(() => parseToml('[package]\nname = "demo"\nversion')).toThrow('Invalid TOML on line 3');
+    });
+  });
+
+  test('should parse requirements.txt', () => {
+    expect(parseRequirementsTxt('-r base.txt\nDjango==5.0.1  # web\npsycopg2_binary>=2.9\n\n')).toEqual([
+      { name: 'django', version: '5.0.1' },
+      { name: 'psycopg2-binary', version: '2.9' }
+    ]);
+  });
+
+  test('should parse go.mod', () => {
+    const goMod = parseGoMod('module example.com/api\n\ngo 1.22\n\nrequire (\n\tgithub.com/gin-gonic/gin v1.9.1\n\tgolang.org/x/net v0.20.0 // indirect\n)\n\nrequire github.com/spf13/cobra v1.8.0\n');
+
+    expect(goMod.module).toBe('example.com/api');
+    expect(goMod.go).toBe('1.22');
+    expect(goMod.requires.map(item => `${item.name}@${item.version}`)).toEqual([
+      'github.com/gin-gonic/gin@1.9.1',
+      'golang.org/x/net@0.20.0',
+      'github.com/spf13/cobra@1.8.0'
+    ]);
+  });
+
+  test('should parse a Gemfile', () => {
+    expect(parseGemfile("source 'https://rubygems.org'\nruby '3.2.2'\ngem 'rails', '~> 7.1.0'\ngem \"rspec-rails\"\n")).toEqual({
+      ruby: '3.2.2',
+      gems: [{ name: 'rails', version: '7.1.0' }, { name: 'rspec-rails', version: '' }]
+    });
+  });
+
+  test('should parse Maven and Gradle builds', () => {
+    const pom = parsePomXml(`<project>
+  <parent><groupId>org.springframework.boot</groupId><artifactId>spring-boot-starter-parent</artifactId><version>3.2.1</version></parent>
+  <properties><java.version>17</java.version></properties>
+  <!-- <dependency><groupId>ignored</groupId></dependency> -->
+  <dependencies>
+    <dependency><groupId>org.junit.jupiter</groupId><artifactId>junit-jupiter</artifactId></dependency>
+  </dependencies>
+</project>`);
+    expect(pom.parent.version).toBe('3.2.1');
+    expect(pom.properties['java.version']).toBe('17');
+    expect(pom.dependencies).toEqual([{ groupId: 'org.junit.jupiter', artifactId: 'junit-jupiter', version: '' }]);
+
+    const gradle = parseGradle(`plugins {
+    id 'org.springframework.boot' version '3.2.0'
+    kotlin("jvm") version "1.9.20"
+}
+dependencies {
+    implementation("org.springframework.boot:spring-boot-starter-web")
+    testImplementation 'org.junit.jupiter:junit-jupiter:5.10.0'
+}`);
+    expect(gradle.plugins).toEqual([
+      { id: 'org.springframework.boot', version: '3.2.0' },
+      { id: 'org.jetbrains.kotlin.jvm', version: '1.9.20' }
+    ]);
+    expect(gradle.dependencies[1]).toEqual({ configuration: 'testImplementation', groupId: 'org.junit.jupiter', artifactId: 'junit-jupiter', version: '5.10.0' });
+  });
+
+  test('should list Dockerfile base images without build stages', () => {
+    expect(parseDockerfile('FROM node:20-alpine AS build\nFROM build AS test\nFROM --platform=linux/amd64 docker.io/library/postgres:16\nFROM scratch\n')).toEqual([
+      { name: 'node', tag: '20-alpine' },
+      { name: 'postgres', tag: '16' }
+    ]);
+  });
+});
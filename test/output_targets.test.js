@@ -0,0 +1,120 @@
+/**
+ * Test suite for the output target registry
+ * Tests target registration, lookup and loading of plugin modules
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  registerTarget,
+  unregisterTarget,
+  getTarget,
+  listTargetNames,
+  loadTargetPlugins
+} from '../lib/output_targets.js';
+import { generateOutputFiles } from '../lib/generator_lib.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const objectPlugin = `module.exports = {
+  name: 'acme',
+  label: 'ACME assistant rules',
+  filename: '.acme/rules.txt',
+  render: config => 'ACME rules for ' + config.overview.projectName
+};
+`;
+
+const functionPlugin = `module.exports = api => {
+  api.registerTarget({
+    name: 'acme-multi',
+    filename: '.acme',
+    multiFile: true,
+    render: (config, { filename }) => [
+      { filename: filename + '/style.txt', content: api.capitalize(config.codingStandards.quotes) }
+    ]
+  });
+};
+`;
+
+describe('Output Targets', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-targets-'));
+  });
+
+  afterEach(async () => {
+    ['acme', 'acme-multi', 'inline'].forEach(unregisterTarget);
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('registry', () => {
+    test('should register the built-in targets', () => {
+      expect(listTargetNames()).toEqual(expect.arrayContaining(['agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude']));
+      expect(getTarget('agent').templateName).toBe('agent-template');
+      expect(getTarget('cursor').multiFile).toBe(true);
+    });
+
+    test('should reject unknown targets with the supported list', () => {
+      expect(() => getTarget('unknown')).toThrow('Unsupported file type: unknown. Supported types: agent, windsurf');
+    });
+
+    test('should validate target definitions', () => {
+      expect(() => registerTarget({ filename: 'x', render: () => '' })).toThrow('Output target must have a name');
+      expect(() => registerTarget({ name: 'inline', render: () => '' })).toThrow('must have a default filename');
+      expect(() => registerTarget({ name: 'inline', filename: 'x' })).toThrow('must have a render function');
+      expect(() => registerTarget({ name: 'agent', filename: 'x', render: () => '' })).toThrow('"agent" is already registered');
+    });
+
+    test('should render registered targets through generateOutputFiles', async () => {
+      registerTarget({ name: 'inline', filename: 'INLINE.md', render: config => `# ${config.overview.projectName}` });
+
+      const files = await generateOutputFiles({ ...sampleConfig, fileType: 'inline' }, null);
+      expect(files).toEqual([{ filename: 'INLINE.md', content: '# Sample Project' }]);
+    });
+  });
+
+  describe('loadTargetPlugins function', () => {
+    test('should load object and function plugins relative to the base directory', async () => {
+      await fs.writeFile(path.join(tempDir, 'acme.js'), objectPlugin);
+      await fs.writeFile(path.join(tempDir, 'acme-multi.js'), functionPlugin);
+
+      const registered = loadTargetPlugins(['./acme.js', './acme-multi.js'], tempDir);
+
+      expect(registered).toEqual(['acme', 'acme-multi']);
+      const files = await generateOutputFiles({ ...sampleConfig, fileType: 'acme-multi' }, null);
+      expect(files).toEqual([{ filename: '.acme/style.txt', content: 'Single' }]);
+    });
+
+    test('should only register a plugin once', async () => {
+      await fs.writeFile(path.join(tempDir, 'acme.js'), objectPlugin);
+
+      loadTargetPlugins(['./acme.js'], tempDir);
+      expect(loadTargetPlugins(['./acme.js'], tempDir)).toEqual([]);
+    });
+
+    test('should report plugins that cannot be loaded', () => {
+      expect(() => loadTargetPlugins(['./missing.js'], tempDir)).toThrow('Failed to load output target plugin ./missing.js');
+    });
+  });
+
+  describe('generateFromAnswers with plugins', () => {
+    test('should load plugins listed in the answers file', async () => {
+      await fs.mkdir(path.join(tempDir, 'plugins'));
+      await fs.writeFile(path.join(tempDir, 'plugins', 'acme-plugin.js'), objectPlugin.replace(/acme/g, 'inline'));
+      const answersPath = path.join(tempDir, 'rules.json');
+      await fs.writeFile(answersPath, JSON.stringify({
+        overview: sampleConfig.overview,
+        plugins: ['./plugins/acme-plugin.js']
+      }));
+      const outPath = path.join(tempDir, 'out.txt');
+
+      const generator = new AgentRulesGenerator();
+      await generator.generateFromAnswers({ answers: answersPath, target: 'inline', out: outPath });
+
+      expect(await fs.readFile(outPath, 'utf8')).toBe('ACME rules for Sample Project');
+    });
+  });
+});
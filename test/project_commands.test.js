@@ -0,0 +1,131 @@
+/**
+ * Test suite for the project commands module
+ * Tests command detection from package scripts and task runners, and the Commands section
+ */
+
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import { detectProjectCommands, getProjectCommands, formatCommandsSection, parseCommandBlock } from '../lib/project_commands.js';
+import { generateTargets, lintTemplateSource } from '../lib/generator_lib.js';
+import { normalizeConfig } from '../lib/project_config.js';
+import { importRules } from '../lib/rules_importer.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+describe('Project Commands', () => {
+  const project = useTempProject('agent-rules-commands-');
+  const { writeFiles } = project;
+
+  describe('detectProjectCommands function', () => {
+    test('should run package scripts with the package manager from the lockfile', async () => {
+      await writeFiles({
+        'package.json': { scripts: { build: 'tsc', test: 'vitest run', lint: 'eslint .', dev: 'vite' } },
+        'pnpm-lock.yaml': ''
+      });
+
+      expect(await detectProjectCommands(project.root)).toEqual({
+        commands: { install: 'pnpm install', build: 'pnpm run build', test: 'pnpm test', lint: 'pnpm run lint', dev: 'pnpm run dev' },
+        sources: { install: 'package.json', build: 'package.json', test: 'package.json', lint: 'package.json', dev: 'package.json' },
+        packageManager: 'pnpm'
+      });
+    });
+
+    test('should prefer the packageManager field and never shadow bun test', async () => {
+      await writeFiles({
+        'package.json': { packageManager: 'bun@1.1.0', scripts: { test: 'bun test', start: 'node index.js' } },
+        'package-lock.json': '{}'
+      });
+
+      const { commands, packageManager } = await detectProjectCommands(project.root);
+
+      expect(packageManager).toBe('bun');
+      expect(commands).toEqual({ install: 'bun install', test: 'bun run test', dev: 'bun run start' });
+    });
+
+    test('should skip the npm placeholder test script and fill gaps from the Makefile', async () => {
+      await writeFiles({
+        'package.json': { scripts: { test: 'echo "Error: no test specified" && exit 1' } },
+        Makefile: '.PHONY: test lint\nVERSION := 1.0\n\ntest:\n\tgo test ./...\n\nlint: vet\n\tgolangci-lint run\n'
+      });
+
+      const { commands, sources } = await detectProjectCommands(project.root);
+
+      expect(commands).toEqual({ install: 'npm install', test: 'make test', lint: 'make lint' });
+      expect(sources.test).toBe('Makefile');
+    });
+
+    test('should read justfile, Taskfile, tox and nox', async () => {
+      await writeFiles({ justfile: 'set dotenv-load\n\nbuild:\n    cargo build\n\n@test filter="":\n    cargo test {{filter}}\n' });
+      expect((await detectProjectCommands(project.root)).commands).toEqual({ build: 'just build', test: 'just test' });
+
+      await fs.rm(path.join(project.root, 'justfile'));
+      await writeFiles({ 'Taskfile.yml': 'version: "3"\ntasks:\n  dev:\n    cmds: [air]\n  lint:\n    cmds: [golangci-lint run]\n' });
+      expect((await detectProjectCommands(project.root)).commands).toEqual({ lint: 'task lint', dev: 'task dev' });
+
+      await fs.rm(path.join(project.root, 'Taskfile.yml'));
+      await writeFiles({
+        'tox.ini': '[tox]\nenvlist = py311\n\n[testenv]\ncommands = pytest\n\n[testenv:lint]\ncommands = ruff check .\n',
+        'noxfile.py': 'import nox\n\n@nox.session(python=["3.11"])\ndef tests(session):\n    session.run("pytest")\n\n@nox.session\ndef docs(session):\n    pass\n'
+      });
+      expect(await detectProjectCommands(project.root)).toEqual({
+        commands: { test: 'tox', lint: 'tox -e lint' },
+        sources: { test: 'tox.ini', lint: 'tox.ini' },
+        packageManager: null
+      });
+    });
+
+    test('should return nothing for a project without commands', async () => {
+      expect(await detectProjectCommands(project.root)).toEqual({ commands: {}, sources: {}, packageManager: null });
+    });
+  });
+
+  describe('getProjectCommands function', () => {
+    test('should list configured commands in purpose order', () => {
+      expect(getProjectCommands({ technologyStack: { language: 'TypeScript' }, commands: { test: 'bun test', install: 'bun install' } }))
+        .toEqual({ install: 'bun install', test: 'bun test' });
+      expect(getProjectCommands({ technologyStack: { language: 'Python' } })).toEqual({});
+      expect(formatCommandsSection({ technologyStack: { language: 'Rust' } })).toBe('');
+    });
+  });
+
+  describe('Commands section', () => {
+    const config = normalizeConfig({
+      overview: { projectName: 'demo', description: 'Demo', projectType: ['CLI Tool'] },
+      technologyStack: { language: 'TypeScript' },
+      commands: { install: 'pnpm install', test: 'pnpm test' }
+    });
+
+    test('should be emitted by every target', async () => {
+      const results = await generateTargets(config, null, {
+        targets: ['agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude'],
+        useTemplate: false,
+        managedRegions: false
+      });
+
+      results.forEach(({ target, files }) => {
+        const content = files.map(file => file.content).join('\n');
+        expect(`${target}: ${content.includes('pnpm test  # test')}`).toBe(`${target}: true`);
+      });
+    });
+
+    test('should be available to templates and read back by the importer', async () => {
+      const [{ files: [file] }] = await generateTargets(config, null, { targets: ['agent'], useTemplate: true, managedRegions: false });
+      expect(file.content).toContain('## Commands\n```bash\npnpm install  # install\npnpm test  # test\n```');
+
+      const { unknown } = await lintTemplateSource('{{commands.dev}} {{projectCommands}}', config);
+      expect(unknown).toEqual([]);
+
+      const [{ files: [generated] }] = await generateTargets(config, null, { targets: ['agent'], useTemplate: false });
+      const imported = importRules(generated.content);
+      expect(imported.config.commands).toEqual({ install: 'pnpm install', test: 'pnpm test' });
+      expect(imported.customRules).not.toContain('pnpm');
+    });
+
+    test('should keep text around command blocks', () => {
+      expect(parseCommandBlock('Run from the root.\n\n```bash\nmake test  # test\n```\n\n```js\nrequire("x"); // not a command\n```')).toEqual({
+        commands: { test: 'make test' },
+        leftover: 'Run from the root.\n\n```js\nrequire("x"); // not a command\n```'
+      });
+    });
+  });
+});
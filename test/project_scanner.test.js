@@ -0,0 +1,136 @@
+/**
+ * Test suite for the project scanner
+ * Tests stack detection per ecosystem, confidence scores and prompt defaults
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { scanProject, summarizeDetections, applyDetectedDefaults, formatScanReport } from '../lib/project_scanner.js';
+import { getProjectTypeQuestions } from '../lib/project_types.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+describe('Project Scanner', () => {
+  const project = useTempProject('agent-rules-scan-');
+  const { writeFiles } = project;
+
+  describe('scanProject function', () => {
+    test('should detect a TypeScript project with locked versions', async () => {
+      await writeFiles({
+        'package.json': {
+          dependencies: { react: '^18.2.0', next: '^14.1.0', pg: '^8.11.0' },
+          devDependencies: { typescript: '^5.3.0', vitest: '^1.2.0', '@playwright/test': '^1.41.0' }
+        },
+        'package-lock.json': { lockfileVersion: 3, packages: { 'node_modules/react': { version: '18.2.0' }, 'node_modules/typescript': { version: '5.3.3' } } }
+      });
+
+      const scan = await scanProject(project.root);
+
+      expect(scan.technologyStack).toEqual({
+        language: 'TypeScript 5.3.3',
+        frontend: 'Next.js 14.1.0',
+        database: 'PostgreSQL 8.11.0',
+        testing: 'Vitest 1.2.0, Playwright 1.41.0',
+        packageManager: 'npm'
+      });
+      expect(scan.confidence.language).toBe(1);
+      expect(scan.confidence.testing).toBe(0.85);
+      expect(scan.files).toEqual(['package.json', 'package-lock.json']);
+    });
+
+    test('should detect Python projects from pyproject.toml and requirements.txt', async () => {
+      await writeFiles({
+        'pyproject.toml': '[project]\nrequires-python = ">=3.11"\ndependencies = ["fastapi>=0.110", "sqlalchemy==2.0.25"]\n\n[project.optional-dependencies]\ndev = ["pytest>=8"]\n',
+        'requirements.txt': 'psycopg2-binary==2.9.9\n'
+      });
+
+      const scan = await scanProject(project.root);
+
+      expect(scan.technologyStack).toEqual({
+        language: 'Python 3.11',
+        backend: 'FastAPI 0.110',
+        database: 'SQLAlchemy 2.0.25, PostgreSQL 2.9.9',
+        testing: 'pytest 8'
+      });
+    });
+
+    test('should detect Go, Rust and Ruby projects', async () => {
+      await writeFiles({
+        'go.mod': 'module example.com/api\n\ngo 1.22\n\nrequire github.com/gin-gonic/gin v1.9.1\n',
+        'Cargo.toml': '[package]\nname = "cli"\nrust-version = "1.75"\n\n[dependencies]\nclap = { version = "4.4", features = ["derive"] }\n',
+        Gemfile: "ruby '3.2.2'\ngem 'rails', '~> 7.1'\n"
+      });
+
+      const scan = await scanProject(project.root);
+
+      expect(scan.technologyStack.language).toBe('Go 1.22, Rust 1.75, Ruby 3.2.2');
+      expect(scan.technologyStack.backend).toBe('Gin 1.9.1');
+      expect(scan.technologyStack.cliFramework).toBe('Clap 4.4');
+    });
+
+    test('should detect JVM and PHP projects', async () => {
+      await writeFiles({
+        'build.gradle.kts': 'plugins {\n  id("org.springframework.boot") version "3.2.0"\n  kotlin("jvm") version "1.9.20"\n}\ndependencies {\n  testImplementation("org.junit.jupiter:junit-jupiter:5.10.0")\n}\n',
+        'composer.json': { require: { php: '^8.2', 'laravel/framework': '^10.0' }, 'require-dev': { 'phpunit/phpunit': '^10.5' } }
+      });
+
+      const scan = await scanProject(project.root);
+
+      expect(scan.technologyStack.language).toBe('Kotlin 1.9.20, PHP 8.2');
+      expect(scan.technologyStack.backend).toBe('Spring Boot 3.2.0');
+      expect(scan.technologyStack.testing).toBe('JUnit 5.10.0, PHPUnit 10.5');
+      expect(scan.technologyStack.tools).toBe('Gradle');
+    });
+
+    test('should detect Docker deployment and database services', async () => {
+      await writeFiles({
+        Dockerfile: 'FROM node:20-alpine\n',
+        'docker-compose.yml': 'services:\n  db:\n    image: postgres:16\n  cache:\n    image: redis\n'
+      });
+
+      const scan = await scanProject(project.root);
+
+      expect(scan.technologyStack.deployment).toBe('Docker');
+      expect(scan.technologyStack.database).toBe('PostgreSQL 16, Redis');
+      expect(scan.confidence.database).toBe(0.6);
+    });
+
+    test('should return an empty stack when nothing is found', async () => {
+      expect(await scanProject(project.root)).toEqual({ technologyStack: {}, confidence: {}, detections: [], files: [] });
+    });
+
+    test('should name the manifest that cannot be parsed', async () => {
+      await writeFiles({ 'package.json': '{ not json' });
+      await expect(scanProject(project.root)).rejects.toThrow('Cannot parse package.json');
+    });
+  });
+
+  describe('summarizeDetections function', () => {
+    test('should keep one value for single choice fields and merge duplicates', () => {
+      const { technologyStack, confidence } = summarizeDetections([
+        { field: 'frontend', name: 'React', version: '18.2.0', confidence: 0.9, source: 'package.json' },
+        { field: 'frontend', name: 'Next.js', version: '', confidence: 0.95, source: 'package.json' },
+        { field: 'database', name: 'PostgreSQL', version: '', confidence: 0.6, source: 'Dockerfile' },
+        { field: 'database', name: 'PostgreSQL', version: '8.11.0', confidence: 0.9, source: 'package.json' }
+      ]);
+
+      expect(technologyStack).toEqual({ frontend: 'Next.js', database: 'PostgreSQL 8.11.0' });
+      expect(confidence).toEqual({ frontend: 0.95, database: 0.9 });
+      expect(formatScanReport({ technologyStack, confidence })).toBe('frontend  Next.js (95%)\ndatabase  PostgreSQL 8.11.0 (90%)');
+    });
+  });
+
+  describe('prompt defaults', () => {
+    test('should prefill project type questions with the detected stack', () => {
+      const questions = getProjectTypeQuestions(['CLI Tool'], { language: 'TypeScript 5.3.3', cliFramework: 'Yargs 17.7.2' });
+      const defaults = Object.fromEntries(questions.map(question => [question.name, question.default]));
+
+      expect(defaults.language).toBe('TypeScript 5.3.3');
+      expect(defaults.cliFramework).toBe('Yargs 17.7.2');
+      expect(defaults.packageManager).toBe('npm');
+    });
+
+    test('should leave checkbox questions alone', () => {
+      const [question] = applyDetectedDefaults([{ type: 'checkbox', name: 'mobilePlatform', default: ['iOS'] }], { mobilePlatform: 'Android' });
+      expect(question.default).toEqual(['iOS']);
+    });
+  });
+});
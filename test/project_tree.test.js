@@ -0,0 +1,134 @@
+/**
+ * Test suite for the project tree module
+ * Tests .gitignore handling, depth and exclusions, rendering and missing directory warnings
+ */
+
+import { describe, test, expect, beforeEach } from 'bun:test';
+import { parseGitignore, isIgnored, scanDirectoryTree, formatTree, buildProjectTree, resolveTreeOptions } from '../lib/project_tree.js';
+import { generateAgentFile } from '../lib/generator_lib.js';
+import { normalizeConfig, validateConfig } from '../lib/project_config.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+describe('Project Tree', () => {
+  const project = useTempProject('agent-rules-tree-');
+  const { writeFiles } = project;
+
+  describe('parseGitignore function', () => {
+    test('should match names anywhere unless the pattern has a slash', () => {
+      const rules = parseGitignore('# comment\n*.log\n/build\ndocs/*.png\ncoverage/\n!keep.log\n');
+
+      expect(isIgnored(rules, 'debug.log', false)).toBe(true);
+      expect(isIgnored(rules, 'src/debug.log', false)).toBe(true);
+      expect(isIgnored(rules, 'keep.log', false)).toBe(false);
+      expect(isIgnored(rules, 'build', true)).toBe(true);
+      expect(isIgnored(rules, 'src/build', true)).toBe(false);
+      expect(isIgnored(rules, 'docs/logo.png', false)).toBe(true);
+      expect(isIgnored(rules, 'docs/img/logo.png', false)).toBe(false);
+      expect(isIgnored(rules, 'coverage', true)).toBe(true);
+      expect(isIgnored(rules, 'coverage', false)).toBe(false);
+    });
+
+    test('should support ** and rules from nested .gitignore files', () => {
+      const rules = [...parseGitignore('**/generated/**\n'), ...parseGitignore('*.tmp\n', 'packages/api')];
+
+      expect(isIgnored(rules, 'src/generated/types.ts', false)).toBe(true);
+      expect(isIgnored(rules, 'packages/api/cache.tmp', false)).toBe(true);
+      expect(isIgnored(rules, 'packages/web/cache.tmp', false)).toBe(false);
+    });
+  });
+
+  describe('scanDirectoryTree function', () => {
+    beforeEach(async () => {
+      await writeFiles({
+        '.gitignore': 'dist/\n*.log\n',
+        'package.json': '{}',
+        'debug.log': '',
+        'dist/index.js': '',
+        'node_modules/pkg/index.js': '',
+        'src/index.js': '',
+        'src/utils/format.js': '',
+        'src/.gitignore': 'generated/\n',
+        'src/generated/types.js': '',
+        'test/index.test.js': '',
+        'test/fixtures/sample.json': ''
+      });
+    });
+
+    test('should respect .gitignore, depth and exclusions', async () => {
+      const root = await scanDirectoryTree(project.root, { depth: 2, exclude: ['fixtures'] });
+
+      expect(formatTree(root, { rootName: 'demo' })).toBe([
+        'demo/',
+        '├── src/   # Source code',
+        '│   ├── utils/',
+        '│   ├── .gitignore',
+        '│   └── index.js',
+        '├── test/  # Tests',
+        '│   └── index.test.js',
+        '├── .gitignore',
+        '└── package.json'
+      ].join('\n'));
+    });
+
+    test('should summarize directories with more entries than maxEntries', async () => {
+      const root = await scanDirectoryTree(project.root, { depth: 1, maxEntries: 2 });
+
+      expect(formatTree(root)).toBe([
+        './',
+        '├── src/   # Source code',
+        '├── test/  # Tests',
+        '└── … 2 more'
+      ].join('\n'));
+    });
+  });
+
+  describe('buildProjectTree function', () => {
+    test('should annotate configured directories and warn about missing ones', async () => {
+      await writeFiles({ 'lib/index.js': '', 'spec/index.spec.js': '' });
+      const config = normalizeConfig({
+        overview: { projectName: 'demo', description: 'Demo', projectType: ['CLI Tool'] },
+        projectStructure: { sourceDir: 'lib', testDir: 'spec' },
+        projectTree: { depth: 1 }
+      });
+
+      const { tree, warnings } = await buildProjectTree(project.root, config);
+
+      expect(tree).toBe('demo/\n├── lib/   # Source code\n└── spec/  # Test files');
+      expect(warnings).toEqual([
+        'projectStructure.buildDir "dist/" does not exist',
+        'projectStructure.configDir "config/" does not exist'
+      ]);
+    });
+
+    test('should do nothing when the tree is off', async () => {
+      expect(await buildProjectTree(project.root, { projectTree: false })).toEqual({ tree: null, warnings: [] });
+      expect(resolveTreeOptions(true)).toEqual({ depth: 2, exclude: [], maxEntries: 20 });
+      expect(resolveTreeOptions({ exclude: 'docs, examples' }).exclude).toEqual(['docs', 'examples']);
+    });
+
+    test('should replace the fixed layout in the generated rules', async () => {
+      const config = normalizeConfig({
+        overview: { projectName: 'demo', description: 'Demo', projectType: ['CLI Tool'] },
+        projectStructure: { tree: 'demo/\n└── lib/  # Source code' }
+      });
+
+      const content = await generateAgentFile(config, null, { useTemplate: false });
+      expect(content).toContain('```\ndemo/\n└── lib/  # Source code\n```');
+      expect(content).not.toContain('# Build output');
+    });
+  });
+
+  describe('config validation', () => {
+    const answers = { overview: { projectName: 'demo', description: 'Demo', projectType: ['CLI Tool'] } };
+
+    test('should accept booleans and option objects', () => {
+      expect(validateConfig(normalizeConfig({ ...answers, projectTree: true })).valid).toBe(true);
+      expect(validateConfig(normalizeConfig({ ...answers, projectTree: { depth: 3, exclude: ['docs'] } })).valid).toBe(true);
+    });
+
+    test('should reject invalid depths', () => {
+      const validation = validateConfig(normalizeConfig({ ...answers, projectTree: { depth: 0 } }));
+      expect(validation.errors[0]).toContain('projectTree must be');
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Test suite for the project type detector
+ * Tests type suggestions from package.json fields, framework detections and platform files
+ */
+
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import { detectProjectTypes, formatProjectTypesReport } from '../lib/project_type_detector.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+describe('Project Type Detector', () => {
+  const project = useTempProject('agent-rules-types-');
+  const { writeFiles } = project;
+
+  const typesOf = suggestions => suggestions.map(({ type }) => type);
+
+  describe('detectProjectTypes function', () => {
+    test('should explain a CLI tool from bin and a runtime CLI framework', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({ name: 'demo', main: 'index.js', bin: { demo: 'cli.js' }, dependencies: { commander: '^12.0.0' } })
+      });
+
+      expect(await detectProjectTypes(project.root)).toEqual([
+        { type: 'CLI Tool', reasons: ['Commander.js in package.json', 'package.json has a "bin" entry'] }
+      ]);
+    });
+
+    test('should suggest a library from exports or a publishable main', async () => {
+      await writeFiles({ 'package.json': JSON.stringify({ name: 'lib', exports: './index.js' }) });
+      expect(await detectProjectTypes(project.root)).toEqual([
+        { type: 'Library/Package', reasons: ['package.json declares "exports"'] }
+      ]);
+
+      await writeFiles({ 'package.json': JSON.stringify({ name: 'app', main: 'server.js', private: true }) });
+      expect(await detectProjectTypes(project.root)).toEqual([]);
+    });
+
+    test('should combine server frameworks and index.html', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({ name: 'shop', private: true, dependencies: { express: '^4.0.0', react: '^18.0.0' } }),
+        'public/index.html': '<div id="root"></div>'
+      });
+
+      const suggestions = await detectProjectTypes(project.root);
+
+      expect(typesOf(suggestions)).toEqual(['Web Application', 'API/Backend']);
+      expect(suggestions[0].reasons).toContain('public/index.html exists');
+    });
+
+    test('should treat a web framework inside Electron or React Native as the app UI', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({ name: 'desk', private: true, dependencies: { react: '^18.0.0' }, devDependencies: { electron: '^30.0.0' } }),
+        'index.html': '<div id="root"></div>'
+      });
+      expect(typesOf(await detectProjectTypes(project.root))).toEqual(['Desktop App']);
+
+      await writeFiles({
+        'package.json': JSON.stringify({ name: 'phone', private: true, dependencies: { react: '^18.0.0', expo: '^51.0.0' } }),
+        'app.json': JSON.stringify({ expo: { name: 'phone' } })
+      });
+      await fs.rm(path.join(project.root, 'index.html'));
+      const suggestions = await detectProjectTypes(project.root);
+      expect(typesOf(suggestions)).toEqual(['Mobile App']);
+      expect(suggestions[0].reasons).toContain('Expo config in app.json');
+    });
+
+    test('should only read app.config.* as Expo config when it names Expo', async () => {
+      await writeFiles({
+        'package.json': JSON.stringify({ name: 'start', private: true, dependencies: { '@tanstack/react-start': '^1.0.0' } }),
+        'app.config.ts': "import { defineConfig } from '@tanstack/react-start/config';\n\nexport default defineConfig({});\n"
+      });
+      expect(typesOf(await detectProjectTypes(project.root))).not.toContain('Mobile App');
+
+      await writeFiles({ 'app.config.ts': "import { ExpoConfig } from 'expo/config';\n\nexport default ({ config }): ExpoConfig => config;\n" });
+      const suggestions = await detectProjectTypes(project.root);
+      expect(suggestions.find(({ type }) => type === 'Mobile App').reasons).toContain('Expo config in app.config.ts');
+    });
+
+    test('should read Tauri, Rust and Python layouts', async () => {
+      await writeFiles({ 'src-tauri/tauri.conf.json': '{}' });
+      expect(typesOf(await detectProjectTypes(project.root))).toEqual(['Desktop App']);
+
+      await fs.rm(path.join(project.root, 'src-tauri'), { recursive: true });
+      await writeFiles({ 'Cargo.toml': '[package]\nname = "parser"\n', 'src/lib.rs': '' });
+      expect(typesOf(await detectProjectTypes(project.root))).toEqual(['Library/Package']);
+
+      await writeFiles({ 'pyproject.toml': '[project]\nname = "tool"\n\n[project.scripts]\ntool = "tool.cli:main"\n' });
+      expect(typesOf(await detectProjectTypes(project.root))).toEqual(['CLI Tool', 'Library/Package']);
+    });
+
+    test('should report an unparsable package.json', async () => {
+      await writeFiles({ 'package.json': '{ "name": ' });
+      await expect(detectProjectTypes(project.root, [])).rejects.toThrow('Cannot parse package.json');
+    });
+  });
+
+  describe('formatProjectTypesReport function', () => {
+    test('should align types and join reasons', () => {
+      expect(formatProjectTypesReport([
+        { type: 'CLI Tool', reasons: ['package.json has a "bin" entry'] },
+        { type: 'API/Backend', reasons: ['Express in package.json', 'FastAPI in pyproject.toml'] }
+      ])).toBe('CLI Tool     package.json has a "bin" entry\nAPI/Backend  Express in package.json; FastAPI in pyproject.toml');
+    });
+  });
+});
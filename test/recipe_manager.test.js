@@ -0,0 +1,44 @@
+/**
+ * Test suite for the recipe manager
+ * Tests how Windsurf recipes are loaded for ranking next to the standard ones
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import { RecipeManager } from '../lib/recipe_manager.js';
+
+const cachePath = path.join(__dirname, '..', 'windsurf_recipes', 'recipes.json');
+
+describe('Recipe Manager', () => {
+  describe('loadWindsurfRecipesForRanking method', () => {
+    let originalCache;
+
+    beforeEach(async () => {
+      originalCache = await fs.readFile(cachePath, 'utf8').catch(() => null);
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      // A fresh cache is read without contacting windsurf.com
+      await fs.writeFile(cachePath, JSON.stringify({
+        timestamp: new Date().toISOString(),
+        recipes: { 'react-app': { name: 'React Rules', techStack: { frontend: 'React' } } }
+      }));
+    });
+
+    afterEach(async () => {
+      if (originalCache === null) {
+        await fs.rm(cachePath, { force: true });
+      } else {
+        await fs.writeFile(cachePath, originalCache);
+      }
+    });
+
+    test('should prefix Windsurf keys so they cannot replace standard recipes', async () => {
+      const manager = new RecipeManager({});
+
+      const recipes = await manager.loadWindsurfRecipesForRanking();
+
+      expect(Object.keys(recipes)).toEqual(['windsurf:react-app']);
+      expect(recipes['windsurf:react-app'].name).toBe('React Rules');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Test suite for the recipe recommender
+ * Tests technology matching, recipe scores with their reasons and the ranking
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { toTechTerms, scoreRecipe, recommendRecipes } from '../lib/recipe_recommender.js';
+
+const reactRecipe = {
+  name: 'React TypeScript Web App',
+  category: 'Web Application',
+  tags: ['react', 'typescript', 'web', 'frontend'],
+  techStack: { language: 'TypeScript', frontend: 'React', bundler: 'Vite', testing: 'Jest + React Testing Library' }
+};
+const vueRecipe = {
+  name: 'Vue Web App',
+  category: 'Web Application',
+  tags: ['vue'],
+  techStack: { language: 'TypeScript', frontend: 'Vue 3' }
+};
+const cliRecipe = {
+  name: 'Go CLI',
+  category: 'CLI Tool',
+  tags: ['go', 'cli'],
+  techStack: { language: 'Go' }
+};
+const project = {
+  technologyStack: { language: 'TypeScript 5.4.0', frontend: 'React 18.2.0', testing: 'Vitest' },
+  projectTypes: ['Web Application']
+};
+
+describe('Recipe Recommender', () => {
+  describe('toTechTerms function', () => {
+    test('should split combined values and drop versions and .js suffixes', () => {
+      expect(toTechTerms('Jest + React Testing Library')).toEqual(['jest', 'react testing library']);
+      expect(toTechTerms('Express 4.19.0')).toEqual(['express']);
+      expect(toTechTerms('Node.js with Express.js')).toEqual(['node', 'express']);
+      expect(toTechTerms('Next.js, Tailwind CSS')).toEqual(['next', 'tailwind css']);
+      expect(toTechTerms('NestJS with EJS')).toEqual(['nest', 'ejs']);
+      expect(toTechTerms(undefined)).toEqual([]);
+    });
+  });
+
+  describe('scoreRecipe function', () => {
+    test('should explain technology, category and tag matches and conflicting fields', () => {
+      expect(scoreRecipe(reactRecipe, project)).toEqual({
+        score: 9,
+        reasons: [
+          'Uses TypeScript (language), React (frontend)',
+          'Web Application recipe',
+          'Tagged react, typescript',
+          'Differs: testing Jest + React Testing Library instead of Vitest'
+        ]
+      });
+    });
+
+    test('should count a technology in another field less than in the same field', () => {
+      const recipe = { name: 'Full stack', techStack: { backend: 'React' } };
+
+      expect(scoreRecipe(recipe, project)).toEqual({ score: 1, reasons: ['Uses React (backend)'] });
+      expect(scoreRecipe(recipe, {})).toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  describe('recommendRecipes function', () => {
+    test('should rank recipes with a positive score and honor the limit', () => {
+      const recipes = { 'go-cli': cliRecipe, 'vue-app': vueRecipe, 'react-app': reactRecipe };
+
+      const ranked = recommendRecipes(recipes, project);
+
+      expect(ranked.map(({ key, score }) => [key, score])).toEqual([['react-app', 9], ['vue-app', 4]]);
+      expect(ranked[1].reasons).toContain('Differs: frontend Vue 3 instead of React 18.2.0');
+      expect(recommendRecipes(recipes, project, { limit: 1 }).map(({ key }) => key)).toEqual(['react-app']);
+      expect(recommendRecipes(recipes, { technologyStack: {}, projectTypes: [] })).toEqual([]);
+    });
+
+    test('should rank scraped Windsurf recipes next to the standard ones', () => {
+      const recipes = {
+        'vue-app': vueRecipe,
+        'windsurf-3': { name: 'React Rules', category: 'Frontend', tags: ['windsurf', 'scraped', 'directory'], techStack: { frontend: 'React' } }
+      };
+
+      expect(recommendRecipes(recipes, project).map(({ key }) => key)).toEqual(['vue-app', 'windsurf-3']);
+    });
+  });
+});
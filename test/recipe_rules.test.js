@@ -0,0 +1,129 @@
+/**
+ * Test suite for recipe rules merging
+ * Tests append, replace and section-merge of recipe-provided rules
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { applyRecipeRules, getRecipeRules } from '../lib/recipe_rules.js';
+import { parseSections, renderSections, shiftHeadings } from '../lib/markdown_sections.js';
+import { generateAgentFile } from '../lib/generator_lib.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const generated = `# Demo - AI Assistant Rules
+
+## Coding Standards
+
+- Use 2 spaces
+
+## Testing
+
+- Write tests
+
+---
+
+*This file was generated by agent-rules-generator v1.0.0*`;
+
+const recipeRules = `# React Recipe - Development Rules
+
+## Testing
+- Use React Testing Library
+
+## Performance
+- Memoize expensive components`;
+
+const recipeConfig = {
+  fileType: 'agent',
+  recipeName: 'React SPA',
+  agentRules: recipeRules
+};
+
+describe('Recipe Rules', () => {
+  describe('markdown section helpers', () => {
+    test('should split sections and ignore headings inside code fences', () => {
+      const parsed = parseSections('# Title\n\n## One\n\n```sh\n## not a heading\n```\n\n## Two\ntext');
+
+      expect(parsed.preamble).toBe('# Title');
+      expect(parsed.sections.map(section => section.title)).toEqual(['One', 'Two']);
+      expect(parsed.sections[0].body).toContain('## not a heading');
+    });
+
+    test('should render parsed sections back to markdown', () => {
+      const markdown = '# Title\n\n## One\n\nbody';
+      expect(renderSections(parseSections(markdown))).toBe(markdown);
+    });
+
+    test('should shift heading levels', () => {
+      expect(shiftHeadings('## A\ntext\n### B', 1)).toBe('### A\ntext\n#### B');
+    });
+  });
+
+  describe('getRecipeRules function', () => {
+    test('should prefer the rules matching the file type', () => {
+      const config = { agentRules: 'agent', windsurfRules: 'windsurf' };
+
+      expect(getRecipeRules({ ...config, fileType: 'agent' })).toBe('agent');
+      expect(getRecipeRules({ ...config, fileType: 'windsurf' })).toBe('windsurf');
+    });
+
+    test('should fall back to the other rules and ignore blanks', () => {
+      expect(getRecipeRules({ fileType: 'windsurf', windsurfRules: '  ', agentRules: 'agent' })).toBe('agent');
+      expect(getRecipeRules({ fileType: 'agent' })).toBeNull();
+    });
+  });
+
+  describe('applyRecipeRules function', () => {
+    test('should leave content untouched without recipe rules', () => {
+      expect(applyRecipeRules(generated, { fileType: 'agent' })).toBe(generated);
+    });
+
+    test('should append an attributed recipe block before the footer', () => {
+      const result = applyRecipeRules(generated, recipeConfig, 'append');
+
+      expect(result).toContain('## Recipe Rules: React SPA\n\n> Source: "React SPA" recipe');
+      expect(result).toContain('### Testing\n- Use React Testing Library');
+      expect(result).not.toContain('# React Recipe - Development Rules');
+      expect(result.trim().endsWith('*This file was generated by agent-rules-generator v1.0.0*')).toBe(true);
+    });
+
+    test('should replace the generated rules but keep the title', () => {
+      const result = applyRecipeRules(generated, recipeConfig, 'replace');
+
+      expect(result.startsWith('# Demo - AI Assistant Rules\n\n> Source: "React SPA" recipe')).toBe(true);
+      expect(result).toContain('## Performance');
+      expect(result).not.toContain('## Coding Standards');
+    });
+
+    test('should merge matching sections and add new ones', () => {
+      const result = applyRecipeRules(generated, recipeConfig, 'merge');
+      const { sections } = parseSections(result);
+
+      expect(sections.map(section => section.title)).toEqual(['Coding Standards', 'Testing', 'Performance']);
+      expect(sections[1].body).toBe('- Write tests\n\n> Source: "React SPA" recipe\n\n- Use React Testing Library');
+      expect(sections[2].body).toContain('> Source: "React SPA" recipe');
+      expect(result.trim().endsWith('*This file was generated by agent-rules-generator v1.0.0*')).toBe(true);
+    });
+
+    test('should use the configured mode and reject unknown modes', () => {
+      const merged = applyRecipeRules(generated, { ...recipeConfig, recipeRulesMode: 'merge' });
+      expect(merged).not.toContain('## Recipe Rules');
+
+      expect(() => applyRecipeRules(generated, recipeConfig, 'prepend')).toThrow('Unsupported recipe rules mode');
+    });
+  });
+
+  describe('generateAgentFile integration', () => {
+    test('should include recipe rules in generated windsurf output', async () => {
+      const config = {
+        ...sampleConfig,
+        fileType: 'windsurf',
+        recipeName: 'Windsurf React',
+        windsurfRules: '## React Rules\n- Prefer hooks'
+      };
+
+      const result = await generateAgentFile(config, null, { useTemplate: false });
+
+      expect(result).toContain('## Recipe Rules: Windsurf React');
+      expect(result).toContain('- Prefer hooks');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Test suite for converting rules files between assistant formats
+ * Tests the shared intermediate document, heading alignment and the convert command
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  resolveFormat,
+  detectSourceFormat,
+  readRulesSource,
+  convertRules,
+  convertRulesFile
+} from '../lib/rules_converter.js';
+import { generateWindsurfRules, writeOutputFiles } from '../lib/generator_lib.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const windsurfRules = `# Payments API - Windsurf Rules
+
+Internal payments service.
+
+## Security
+
+- Rotate keys every 90 days
+
+## Code Style Rules
+
+- Use tabs for indentation
+- Never log card numbers
+
+## Deployment Notes
+
+Deploy only from main.
+`;
+
+describe('Rules Converter', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-convert-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('resolveFormat function', () => {
+    test('should accept target names and format aliases', () => {
+      expect(resolveFormat('cursor-mdc')).toBe('cursor');
+      expect(resolveFormat('windsurf')).toBe('windsurf');
+      expect(() => resolveFormat('vim')).toThrow('Unsupported file type: vim');
+    });
+  });
+
+  describe('convertRules function', () => {
+    test('should render mapped sections with the target generator', async () => {
+      const { results, config } = await convertRules(windsurfRules, { to: 'agent', source: '.windsurfrules' });
+      const [{ target, files }] = results;
+
+      expect(target).toBe('agent');
+      expect(files[0].filename).toBe('.agent.md');
+      expect(config.overview.projectName).toBe('Payments API');
+      expect(files[0].content).toContain('- **Indentation:** tabs');
+    });
+
+    test('should keep unmapped sections in their original order', async () => {
+      const { results, customRules } = await convertRules(windsurfRules, { to: 'claude', source: '.windsurfrules' });
+      const content = results[0].files[0].content;
+
+      expect(customRules).toContain('Never log card numbers');
+      expect(content).toContain('> Source: imported from .windsurfrules');
+      expect(content.indexOf('## Security')).toBeLessThan(content.indexOf('## Deployment Notes'));
+    });
+
+    test('should merge leftover lines into the target heading of the same section', async () => {
+      const { results } = await convertRules(windsurfRules, { to: 'claude' });
+      const content = results[0].files[0].content;
+
+      // CLAUDE.md calls coding standards "Conventions"
+      const conventions = content.slice(content.indexOf('## Conventions'), content.indexOf('## Workflow'));
+      expect(conventions).toContain('Never log card numbers');
+      expect(content).not.toContain('## Code Style Rules');
+    });
+
+    test('should report sections filled with defaults', async () => {
+      const { mappedSections, defaultedSections } = await convertRules(windsurfRules, { to: 'agent' });
+
+      expect(mappedSections).toEqual(['codingStandards']);
+      expect(defaultedSections).toEqual(['projectStructure', 'workflowGuidelines', 'projectManagement']);
+    });
+  });
+
+  describe('convertRulesFile function', () => {
+    test('should convert to Cursor rules and back', async () => {
+      const rulesPath = path.join(tempDir, '.windsurfrules');
+      const rulesDir = path.join(tempDir, 'rules');
+      await fs.writeFile(rulesPath, generateWindsurfRules(sampleConfig));
+
+      const toCursor = await convertRulesFile(rulesPath, { to: 'cursor-mdc', out: rulesDir });
+      expect(toCursor.from).toBe('windsurf');
+      await writeOutputFiles(toCursor.results[0].files);
+
+      const { content, format } = await readRulesSource(rulesDir);
+      expect(format).toBe('cursor');
+      // Titles of the other rule files become sections after the overview
+      expect(content.indexOf(`# ${sampleConfig.overview.projectName}`)).toBeLessThan(content.indexOf('## Coding Standards'));
+
+      const back = await convertRulesFile(rulesDir, { to: 'windsurf' });
+      expect(back.config.codingStandards).toEqual(expect.objectContaining(sampleConfig.codingStandards));
+      expect(back.config.projectStructure.buildDir).toBe(sampleConfig.projectStructure.buildDir);
+    });
+
+    test('should reject a --from that contradicts the source and use it for unnamed files', async () => {
+      const rulesPath = path.join(tempDir, '.windsurfrules');
+      const plainPath = path.join(tempDir, 'rules.md');
+      await fs.writeFile(rulesPath, windsurfRules);
+      await fs.writeFile(plainPath, windsurfRules);
+
+      expect(detectSourceFormat('.github/copilot-instructions.md')).toBe('copilot');
+      expect(detectSourceFormat(plainPath)).toBeNull();
+      await expect(convertRulesFile(rulesPath, { from: 'claude', to: 'agent' }))
+        .rejects.toThrow('--from claude does not match .windsurfrules, which is a windsurf rules source');
+      expect((await convertRulesFile(plainPath, { from: 'windsurf', to: 'agent' })).from).toBe('windsurf');
+      expect((await convertRulesFile(plainPath, { to: 'agent' })).from).toBe('agent');
+    });
+
+    test('should fail on empty Cursor rules directories', async () => {
+      await expect(convertRulesFile(tempDir, { to: 'agent' })).rejects.toThrow('No .mdc rule files found');
+    });
+  });
+
+  describe('convertCommand method', () => {
+    test('should write the converted files', async () => {
+      const rulesPath = path.join(tempDir, '.windsurfrules');
+      const outDir = path.join(tempDir, '.cursor', 'rules');
+      await fs.writeFile(rulesPath, windsurfRules);
+
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      await generator.convertCommand({ from: 'windsurf', to: 'cursor-mdc', out: outDir }, [rulesPath]);
+
+      const recipeRules = await fs.readFile(path.join(outDir, 'recipe-rules.mdc'), 'utf8');
+      expect(recipeRules).toContain('## Security');
+      expect(recipeRules).toContain('Deploy only from main.');
+    });
+
+    test('should require a file and a target format', async () => {
+      const generator = new AgentRulesGenerator();
+      await expect(generator.convertCommand({ to: 'agent' }, [])).rejects.toThrow('Missing rules file or --to');
+      await expect(generator.convertCommand({}, ['.windsurfrules'])).rejects.toThrow('Missing rules file or --to');
+    });
+  });
+});
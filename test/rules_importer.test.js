@@ -0,0 +1,148 @@
+/**
+ * Test suite for importing existing rules files
+ * Tests reverse parsing into config sections, recipes and custom rule text
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import yaml from 'js-yaml';
+import {
+  parseRulesDocument,
+  detectRulesFormat,
+  importRules,
+  importRulesFile
+} from '../lib/rules_importer.js';
+import { generateAgentMd, generateWindsurfRules } from '../lib/generator_lib.js';
+import { wrapManagedRegions } from '../lib/managed_regions.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const CONFIG_SECTIONS = ['overview', 'technologyStack', 'codingStandards', 'projectStructure', 'workflowGuidelines', 'projectManagement'];
+
+const handWritten = `# Payments API
+
+Internal payments service.
+
+## Technology Stack
+- **Language:** Go
+- **Database:** PostgreSQL
+
+## Code Style
+- Use tabs for indentation
+- Wrap errors with context
+
+## Security
+- Never log card numbers
+`;
+
+describe('Rules Importer', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-import-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseRulesDocument function', () => {
+    test('should keep section order and map known headings', () => {
+      const document = parseRulesDocument(handWritten);
+
+      expect(document.title).toBe('Payments API');
+      expect(document.sections.map(section => [section.title, section.key])).toEqual([
+        ['Technology Stack', 'technologyStack'],
+        ['Code Style', 'codingStandards'],
+        ['Security', null]
+      ]);
+    });
+
+    test('should ignore managed-region markers', () => {
+      const document = parseRulesDocument(wrapManagedRegions(handWritten));
+      expect(document.sections[0].body).not.toContain('agent-rules:');
+    });
+  });
+
+  describe('detectRulesFormat function', () => {
+    test('should detect the format from the file name', () => {
+      expect(detectRulesFormat('/repo/.windsurfrules')).toBe('windsurf');
+      expect(detectRulesFormat('.cursorrules')).toBe('cursor');
+      expect(detectRulesFormat('.agent.md')).toBe('agent');
+    });
+  });
+
+  describe('importRules function', () => {
+    test.each([
+      ['agent', generateAgentMd],
+      ['windsurf', generateWindsurfRules]
+    ])('should round-trip generated %s files', (format, generate) => {
+      const { config } = importRules(generate(sampleConfig), { format });
+
+      for (const section of CONFIG_SECTIONS) {
+        expect(config[section]).toEqual(expect.objectContaining(sampleConfig[section]));
+      }
+    });
+
+    test('should keep unmapped sections and lines as custom rules', () => {
+      const { config, customRules, mappedSections } = importRules(handWritten);
+
+      expect(config.overview.projectName).toBe('Payments API');
+      expect(config.overview.description).toBe('Internal payments service.');
+      expect(config.technologyStack).toEqual({ language: 'Go', database: 'PostgreSQL' });
+      expect(config.codingStandards.indentation).toBe('tabs');
+      expect(mappedSections).toEqual(['technologyStack', 'codingStandards']);
+      expect(customRules).toBe('## Code Style\n\n- Wrap errors with context\n\n## Security\n\n- Never log card numbers');
+      expect(config.agentRules).toBe(customRules);
+    });
+
+    test('should build a recipe from the import', () => {
+      const { recipe } = importRules(handWritten, { format: 'windsurf' });
+
+      expect(recipe.name).toBe('Payments API rules');
+      expect(recipe.techStack).toEqual({ language: 'Go', database: 'PostgreSQL' });
+      expect(recipe.windsurfRules).toContain('Never log card numbers');
+      expect(recipe.agentRules).toBeUndefined();
+    });
+  });
+
+  describe('importCommand method', () => {
+    test('should write the config and recipe files', async () => {
+      const rulesPath = path.join(tempDir, '.cursorrules');
+      const outPath = path.join(tempDir, '.agentrules.yaml');
+      const recipePath = path.join(tempDir, 'recipe.yaml');
+      await fs.writeFile(rulesPath, handWritten);
+
+      const generator = new AgentRulesGenerator();
+      await generator.importCommand({ out: outPath, recipe: recipePath }, [rulesPath]);
+
+      // No project type in the source file, so the config is saved for the user to complete
+      const config = yaml.load(await fs.readFile(outPath, 'utf8'));
+      expect(config.technologyStack.language).toBe('Go');
+      expect(config.overview.projectType).toEqual([]);
+      expect(yaml.load(await fs.readFile(recipePath, 'utf8')).agentRules).toContain('## Security');
+    });
+
+    test('should not overwrite an existing config without --force', async () => {
+      const rulesPath = path.join(tempDir, '.agent.md');
+      const outPath = path.join(tempDir, '.agentrules.yaml');
+      await fs.writeFile(rulesPath, handWritten);
+      await fs.writeFile(outPath, 'overview: {}\n');
+
+      const generator = new AgentRulesGenerator();
+      await expect(generator.importCommand({ out: outPath }, [rulesPath])).rejects.toThrow('already exists');
+      await expect(generator.importCommand({}, [])).rejects.toThrow('Missing rules file');
+    });
+
+    test('should read rules files from disk', async () => {
+      const rulesPath = path.join(tempDir, '.windsurfrules');
+      await fs.writeFile(rulesPath, handWritten);
+
+      const { config } = await importRulesFile(rulesPath);
+      expect(config.fileType).toBe('windsurf');
+      expect(config.windsurfRules).toContain('## Security');
+    });
+  });
+});
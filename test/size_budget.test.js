@@ -0,0 +1,190 @@
+/**
+ * Test suite for per-target size budgets
+ * Tests measuring, section prioritisation, condensing and budget reporting
+ */
+
+import { describe, test, expect, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  DEFAULT_SIZE_LIMIT,
+  estimateTokens,
+  getSizeLimit,
+  condenseSection,
+  applySizeBudget,
+  applyRegionBudget,
+  formatSize,
+  formatBudgetWarning
+} from '../lib/size_budget.js';
+import { generateOutputFiles, generateTargets } from '../lib/generator_lib.js';
+import { wrapManagedRegions } from '../lib/managed_regions.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { getTarget, registerTarget, unregisterTarget } from '../lib/output_targets.js';
+import { validateConfig } from '../lib/project_config.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const rules = `# Rules
+
+Intro.
+
+## Coding Standards
+
+- Use tabs
+
+## Team Notes
+
+- Keep PRs small
+  - Under 400 lines
+
+> Agreed in the March retro
+
+## Quality Standards
+
+- All code must pass linting checks
+
+---
+
+*Generated by agent-rules-generator v1.0.0*`;
+
+describe('Size Budget', () => {
+  afterEach(() => {
+    unregisterTarget('tiny');
+  });
+
+  describe('measuring', () => {
+    test('should approximate tokens as four characters each', () => {
+      expect(estimateTokens('abcdefgh')).toBe(2);
+      expect(estimateTokens('abcdefghi')).toBe(3);
+      expect(formatSize('a'.repeat(10))).toBe('10 chars, ~3 tokens');
+      expect(formatSize('a'.repeat(10), 8)).toBe('10 chars, ~3 tokens (over 8)');
+    });
+  });
+
+  describe('getSizeLimit function', () => {
+    test('should prefer config overrides, then the target limit, then the default', () => {
+      const windsurf = getTarget('windsurf');
+
+      expect(getSizeLimit(windsurf)).toBe(6000);
+      expect(getSizeLimit(windsurf, { sizeLimits: { windsurf: 12000 } })).toBe(12000);
+      expect(getSizeLimit(getTarget('claude'))).toBe(DEFAULT_SIZE_LIMIT);
+    });
+  });
+
+  describe('condenseSection function', () => {
+    test('should keep only top-level lines', () => {
+      const body = '- Keep PRs small\n  - Under 400 lines\n\n```bash\nnpm test\n```\n\n> Note\n- Review daily';
+      expect(condenseSection(body)).toBe('- Keep PRs small\n- Review daily');
+    });
+  });
+
+  describe('applySizeBudget function', () => {
+    test('should leave content within budget untouched', () => {
+      const budget = applySizeBudget(rules, { limit: 1000 });
+
+      expect(budget.content).toBe(rules);
+      expect(budget.removed).toEqual([]);
+      expect(budget.overBudget).toBe(false);
+    });
+
+    test('should drop the lowest priority sections first and keep the footer', () => {
+      const budget = applySizeBudget(rules, { limit: rules.length - 20 });
+
+      expect(budget.removed).toEqual([{ title: 'Quality Standards', action: 'dropped' }]);
+      expect(budget.content).not.toContain('## Quality Standards');
+      expect(budget.content).toContain('*Generated by agent-rules-generator v1.0.0*');
+      expect(budget.characters).toBeLessThanOrEqual(budget.limit);
+    });
+
+    test('should condense a section when that is enough', () => {
+      const priority = ['codingStandards', 'qualityStandards', 'teamNotes'];
+      const budget = applySizeBudget(rules, { limit: rules.length - 30, priority });
+
+      expect(budget.removed).toEqual([{ title: 'Team Notes', action: 'condensed' }]);
+      expect(budget.content).toContain('- Keep PRs small');
+      expect(budget.content).not.toContain('Under 400 lines');
+    });
+
+    test('should follow a configured priority order', () => {
+      const budget = applySizeBudget(rules, { limit: rules.length - 20, priority: ['qualityStandards', '*', 'codingStandards'] });
+      expect(budget.removed[0]).toEqual({ title: 'Coding Standards', action: 'dropped' });
+    });
+
+    test('should report content that cannot fit', () => {
+      const budget = applySizeBudget(rules, { limit: 10 });
+
+      expect(budget.overBudget).toBe(true);
+      expect(budget.content).toContain('# Rules');
+      expect(formatBudgetWarning('RULES.md', budget)).toContain('RULES.md is still');
+    });
+
+    test('should measure content after the transform', () => {
+      const budget = applySizeBudget(rules, { limit: rules.length + 5, transform: text => `${text}${'x'.repeat(30)}` });
+      expect(budget.removed.length).toBeGreaterThan(0);
+      expect(budget.content.endsWith('x'.repeat(30))).toBe(true);
+    });
+  });
+
+  describe('applyRegionBudget function', () => {
+    const notes = '\n## My Notes\n\n- Hand-written rule that must survive regeneration\n';
+
+    test('should remove generated regions and keep hand-written text', () => {
+      const merged = `${wrapManagedRegions(rules)}${notes}`;
+      const budget = applyRegionBudget(merged, { limit: merged.length - 50 });
+
+      expect(budget.removed).toEqual([{ title: 'Quality Standards', action: 'dropped' }]);
+      expect(budget.content).toContain('- Hand-written rule that must survive regeneration');
+      expect(budget.content).not.toContain('## Quality Standards');
+      expect(budget.overBudget).toBe(false);
+    });
+
+    test('should keep regions edited by hand', () => {
+      const merged = wrapManagedRegions(rules).replace('- All code must pass linting checks', '- Run the linter before every commit');
+      const budget = applyRegionBudget(merged, { limit: merged.length - 50 });
+
+      expect(budget.content).toContain('- Run the linter before every commit');
+      expect(budget.removed[0].title).not.toBe('Quality Standards');
+    });
+  });
+
+  describe('generateOutputFiles integration', () => {
+    test('should fit files into the target budget and report what was removed', async () => {
+      registerTarget({ name: 'tiny', filename: 'TINY.md', sizeLimit: rules.length - 20, render: () => rules });
+
+      const [file] = await generateOutputFiles({ ...sampleConfig, fileType: 'tiny' }, null, { sizeBudget: true });
+
+      expect(file.budget.removed).toEqual([{ title: 'Quality Standards', action: 'dropped' }]);
+      expect(formatBudgetWarning(file.filename, file.budget)).toBe('TINY.md was over its ' + file.budget.limit + ' character budget:\n  - dropped "Quality Standards"');
+    });
+
+    test('should fit a regenerated file again after hand-written rules were merged in', async () => {
+      const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-budget-'));
+      const outPath = path.join(tempDir, 'TINY.md');
+      registerTarget({ name: 'tiny', filename: 'TINY.md', sizeLimit: wrapManagedRegions(rules).length + 20, managedRegions: true, render: () => rules });
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = tempDir;
+      const generate = () => generateTargets({ ...sampleConfig, fileType: 'tiny' }, null, { out: outPath });
+
+      try {
+        await generator.writeTargetResults(await generate());
+        await fs.appendFile(outPath, '\n## My Notes\n\n- Hand-written rule that must survive regeneration\n');
+
+        const [row] = await generator.writeTargetResults(await generate());
+        const content = await fs.readFile(outPath, 'utf8');
+
+        expect(content.length).toBeLessThanOrEqual(getTarget('tiny').sizeLimit);
+        expect(content).toContain('- Hand-written rule that must survive regeneration');
+        expect(row.file.budget.removed).toEqual([{ title: 'Quality Standards', action: 'dropped' }]);
+        expect(row.size).not.toContain('over');
+      } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should reject invalid size limits', () => {
+      expect(() => registerTarget({ name: 'tiny', filename: 'TINY.md', sizeLimit: -1, render: () => '' })).toThrow('positive integer sizeLimit');
+      expect(validateConfig({ ...sampleConfig, sizeLimits: { windsurf: 'big' } }).errors).toContain('sizeLimits must map target names to positive character counts');
+      expect(validateConfig({ ...sampleConfig, sectionPriority: 'overview' }).errors).toContain('sectionPriority must be a list of section keys');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Test suite for the coding standards detector
+ * Tests reading .editorconfig, Prettier, ESLint, Python and Rust configs and their precedence
+ */
+
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import { detectCodingStandards, parseEditorConfig, readEslintRules, formatStandardsReport } from '../lib/standards_detector.js';
+import { generateAgentFile } from '../lib/generator_lib.js';
+import { normalizeConfig } from '../lib/project_config.js';
+import { importRules } from '../lib/rules_importer.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+describe('Standards Detector', () => {
+  const project = useTempProject('agent-rules-standards-');
+  const { writeFiles } = project;
+
+  describe('detectCodingStandards function', () => {
+    test('should read indentation and line length from .editorconfig', async () => {
+      await writeFiles({ '.editorconfig': 'root = true\n\n[*]\nindent_style = space\nindent_size = 4\nmax_line_length = 120\n\n[Makefile]\nindent_style = tab\n' });
+
+      expect(await detectCodingStandards(project.root)).toEqual({
+        values: { indentation: '4 spaces', lineLength: '120' },
+        sources: { indentation: '.editorconfig', lineLength: '.editorconfig' }
+      });
+    });
+
+    test('should prefer explicit Prettier options and fall back to its defaults after .editorconfig', async () => {
+      await writeFiles({
+        '.prettierrc': '{ "singleQuote": true, "useTabs": true }',
+        '.editorconfig': '[*]\nmax_line_length = 100\nindent_size = 2\n'
+      });
+
+      const { values, sources } = await detectCodingStandards(project.root);
+
+      expect(values).toEqual({ indentation: 'tabs', quotes: 'single', lineLength: '100', linting: ['Prettier'] });
+      expect(sources.indentation).toBe('.prettierrc');
+      expect(sources.lineLength).toBe('.editorconfig');
+    });
+
+    test('should report Prettier defaults when nothing else sets a value', async () => {
+      await writeFiles({ 'package.json': { name: 'demo', prettier: {} } });
+
+      const { values, sources } = await detectCodingStandards(project.root);
+
+      expect(values).toEqual({ indentation: '2 spaces', quotes: 'double', lineLength: '80', linting: ['Prettier'] });
+      expect(sources.quotes).toBe('package.json (Prettier default)');
+    });
+
+    test('should read ESLint rules from legacy and flat configs', async () => {
+      await writeFiles({ '.eslintrc.yml': 'rules:\n  quotes: [error, single]\n  indent: [error, 4]\n  max-len: [warn, { code: 110 }]\n' });
+      expect((await detectCodingStandards(project.root)).values).toEqual({
+        indentation: '4 spaces', quotes: 'single', lineLength: '110', linting: ['ESLint']
+      });
+
+      await fs.rm(path.join(project.root, '.eslintrc.yml'));
+      await writeFiles({ 'eslint.config.js': "export default [{ rules: { '@stylistic/quotes': ['error', 'double'], '@stylistic/indent': ['error', 'tab'] } }];\n" });
+      expect((await detectCodingStandards(project.root)).values).toEqual({ indentation: 'tabs', quotes: 'double', linting: ['ESLint'] });
+    });
+
+    test('should read Black and Ruff settings from pyproject.toml', async () => {
+      await writeFiles({
+        'pyproject.toml': '[tool.black]\nline-length = 100\nskip-string-normalization = true\n\n[tool.ruff]\nline-length = 100\n\n[tool.ruff.format]\nquote-style = "single"\n\n[tool.mypy]\nstrict = true\n'
+      });
+
+      const { values, sources } = await detectCodingStandards(project.root);
+
+      expect(values).toEqual({ indentation: '4 spaces', quotes: 'single', lineLength: '100', linting: ['Black', 'Ruff', 'mypy'] });
+      expect(sources.quotes).toBe('pyproject.toml [tool.ruff]');
+      expect(sources.linting).toBe('pyproject.toml [tool.black], pyproject.toml [tool.ruff], pyproject.toml [tool.mypy]');
+    });
+
+    test('should read rustfmt.toml with rustfmt defaults', async () => {
+      await writeFiles({ 'rustfmt.toml': 'max_width = 120\n' });
+
+      expect(await detectCodingStandards(project.root)).toEqual({
+        values: { indentation: '4 spaces', lineLength: '120', linting: ['rustfmt'] },
+        sources: { indentation: 'rustfmt.toml (rustfmt default)', lineLength: 'rustfmt.toml', linting: 'rustfmt.toml' }
+      });
+    });
+
+    test('should return nothing for a project without configs', async () => {
+      expect(await detectCodingStandards(project.root)).toEqual({ values: {}, sources: {} });
+    });
+
+    test('should name the config that cannot be parsed', async () => {
+      await writeFiles({ 'rustfmt.toml': 'max_width =\n' });
+      await expect(detectCodingStandards(project.root)).rejects.toThrow('Cannot parse rustfmt.toml');
+    });
+  });
+
+  describe('helpers', () => {
+    test('should parse .editorconfig sections', () => {
+      expect(parseEditorConfig('# comment\n[*.py]\nIndent_Size = 4 ; trailing\n')).toEqual({ '*.py': { indent_size: '4' } });
+    });
+
+    test('should read the max-len shorthand', () => {
+      expect(readEslintRules('{"rules":{"max-len":["error",100]}}')).toEqual({ lineLength: '100' });
+    });
+
+    test('should format a report with sources', () => {
+      expect(formatStandardsReport({
+        values: { quotes: 'single', linting: ['ESLint', 'Prettier'] },
+        sources: { quotes: '.prettierrc', linting: '.prettierrc, .eslintrc.json' }
+      })).toBe('quotes   single (from .prettierrc)\nlinting  ESLint, Prettier (from .prettierrc, .eslintrc.json)');
+    });
+  });
+
+  describe('line length output', () => {
+    const config = normalizeConfig({
+      overview: { projectName: 'Demo', description: 'Demo project', projectType: ['CLI Tool'] },
+      codingStandards: { lineLength: 100 }
+    });
+
+    test('should write the line length into the generated rules and read it back', async () => {
+      const content = await generateAgentFile(config, null, { useTemplate: false });
+      expect(content).toContain('- **Line Length:** 100 characters');
+      expect(importRules(content).config.codingStandards.lineLength).toBe('100');
+    });
+
+    test('should show the line length in the bundled template only when set', async () => {
+      expect(await generateAgentFile(config, null, { useTemplate: true })).toContain('- **Line Length**: 100 characters');
+      const withoutLength = normalizeConfig({ ...config, codingStandards: {} });
+      expect(await generateAgentFile(withoutLength, null, { useTemplate: true })).not.toContain('Line Length');
+      expect(await generateAgentFile(withoutLength, null, { useTemplate: false })).not.toContain('Line Length');
+    });
+  });
+});
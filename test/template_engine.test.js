@@ -0,0 +1,137 @@
+/**
+ * Test suite for the template engine
+ * Tests variables, conditionals, loops, sections, partials and template errors
+ */
+
+import { describe, test, expect } from 'bun:test';
+import {
+  parseTemplate,
+  findPartials,
+  resolvePartials,
+  renderTemplateString
+} from '../lib/template_engine.js';
+import { generateAgentFile, replacePlaceholders, loadPartials } from '../lib/generator_lib.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const context = {
+  overview: { projectName: 'Sample', projectType: ['CLI Tool'] },
+  codingStandards: { linting: ['ESLint', 'Prettier'] },
+  technologyStack: { language: 'TypeScript', backend: '', database: 'PostgreSQL' },
+  isCliTool: true,
+  isWebApp: false
+};
+
+describe('Template Engine', () => {
+  describe('variables', () => {
+    test('should resolve dotted paths and join arrays', () => {
+      expect(renderTemplateString('{{overview.projectName}}: {{codingStandards.linting}}', context)).toBe('Sample: ESLint, Prettier');
+    });
+
+    test('should render missing values as empty text', () => {
+      expect(renderTemplateString('[{{overview.missing.deep}}]', context)).toBe('[]');
+    });
+  });
+
+  describe('conditionals', () => {
+    test('should render if/else branches', () => {
+      const template = '{{#if isWebApp}}web{{else}}not web{{/if}} {{#if isCliTool}}cli{{/if}}';
+      expect(renderTemplateString(template, context)).toBe('not web cli');
+    });
+
+    test('should treat empty arrays as false and support unless', () => {
+      const template = '{{#if list}}some{{else}}none{{/if}} {{#unless isWebApp}}no web{{/unless}}';
+      expect(renderTemplateString(template, { list: [], isWebApp: false })).toBe('none no web');
+    });
+
+    test('should remove lines that only hold block tags', () => {
+      const template = '# Rules\n{{#if isWebApp}}\n- Web rule\n{{/if}}\n{{#if isCliTool}}\n- CLI rule\n{{/if}}\nEnd\n';
+      expect(renderTemplateString(template, context)).toBe('# Rules\n- CLI rule\nEnd\n');
+    });
+  });
+
+  describe('loops', () => {
+    test('should iterate arrays with this and loop data', () => {
+      const template = '{{#each codingStandards.linting}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{/each}}';
+      expect(renderTemplateString(template, context)).toBe('0:ESLint, 1:Prettier');
+    });
+
+    test('should iterate objects with @key and look up outer values', () => {
+      const template = '{{#each technologyStack}}{{@key}}={{this}} ({{overview.projectName}});{{/each}}';
+      expect(renderTemplateString(template, context)).toBe('language=TypeScript (Sample);backend= (Sample);database=PostgreSQL (Sample);');
+    });
+
+    test('should render the else branch of an empty loop', () => {
+      expect(renderTemplateString('{{#each items}}x{{else}}empty{{/each}}', { items: [] })).toBe('empty');
+    });
+
+    test('should repeat object sections for non-empty entries with key and value', () => {
+      const template = '{{#technologyStack}}\n- **{{key}}**: {{value}}\n{{/technologyStack}}';
+      const formatKey = key => key.toUpperCase();
+      expect(renderTemplateString(template, context, { formatKey })).toBe('- **LANGUAGE**: TypeScript\n- **DATABASE**: PostgreSQL\n');
+    });
+  });
+
+  describe('partials', () => {
+    test('should render partials with the current context', () => {
+      const partials = { header: '# {{overview.projectName}}\n' };
+      expect(renderTemplateString('{{> header}}\nBody', context, { partials })).toBe('# Sample\nBody');
+    });
+
+    test('should resolve nested partials once each', async () => {
+      const sources = { a: 'A {{> b}}', b: 'B {{> c}} {{> a}}', c: 'C' };
+      const loaded = [];
+      const partials = await resolvePartials('{{> a}} {{> c}}', async name => {
+        loaded.push(name);
+        return sources[name] || null;
+      });
+
+      expect(findPartials('{{> a}} {{> c}} {{> a}}')).toEqual(['a', 'c']);
+      expect(loaded).toEqual(['a', 'c', 'b']);
+      expect(Object.keys(partials).sort()).toEqual(['a', 'b', 'c']);
+      expect(() => renderTemplateString('{{> a}}', {}, { partials })).toThrow('nested too deeply');
+    });
+
+    test('should fail on missing partials', async () => {
+      await expect(resolvePartials('{{> missing}}', async () => null)).rejects.toThrow('Template partial not found: missing');
+      await expect(loadPartials('{{> ../package}}')).rejects.toThrow('Template partial not found: ../package');
+    });
+  });
+
+  describe('errors', () => {
+    test('should report unbalanced blocks', () => {
+      expect(() => parseTemplate('{{#if a}}x')).toThrow('Unclosed {{#if}} block');
+      expect(() => parseTemplate('{{#if a}}x{{/each}}')).toThrow('Unexpected {{/each}} in template (expected {{/if}})');
+      expect(() => parseTemplate('x{{else}}')).toThrow('{{else}} outside of a block');
+      expect(() => parseTemplate('{{#if}}x{{/if}}')).toThrow('Missing value for {{#if}}');
+    });
+
+    test('should ignore comments', () => {
+      expect(renderTemplateString('a{{! note }}b', {})).toBe('ab');
+    });
+  });
+
+  describe('generator integration', () => {
+    test('should expose config paths, legacy keys and project type flags to templates', () => {
+      const template = '{{projectName}} {{overview.version}} {{#if isCliTool}}cli{{/if}}{{#if isWebApp}}web{{/if}}';
+      const config = { ...sampleConfig, overview: { ...sampleConfig.overview, projectType: ['CLI Tool'] } };
+      expect(replacePlaceholders(template, config)).toBe(`${sampleConfig.overview.projectName} ${sampleConfig.overview.version} cli`);
+    });
+
+    test('should adapt the bundled agent template to the project type', async () => {
+      const config = { ...sampleConfig, fileType: 'agent', overview: { ...sampleConfig.overview, projectType: ['CLI Tool'] } };
+      const result = await generateAgentFile(config, null, { useTemplate: true });
+
+      expect(result).toContain('### Project Type Guidelines');
+      expect(result).toContain('Keep existing commands, flags and output formats backwards compatible.');
+      expect(result).not.toContain('Keep pages accessible');
+      expect(result).not.toContain('{{');
+    });
+
+    test('should leave out the guidelines heading for project types without guidelines', async () => {
+      const config = { ...sampleConfig, fileType: 'agent', overview: { ...sampleConfig.overview, projectType: ['Other'] } };
+      const result = await generateAgentFile(config, null, { useTemplate: true });
+
+      expect(result).not.toContain('### Project Type Guidelines');
+    });
+  });
+});
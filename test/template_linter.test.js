@@ -0,0 +1,97 @@
+/**
+ * Test suite for template linting
+ * Tests unknown placeholders, malformed blocks, unused config fields and the pre-render check
+ */
+
+import { describe, test, expect } from 'bun:test';
+import { collectReferences, listConfigFields, lintTemplate } from '../lib/template_linter.js';
+import { generateOutputFiles, lintTemplateSource, loadTemplate } from '../lib/generator_lib.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+const context = {
+  overview: { projectName: 'Sample', version: '1.0.0' },
+  codingStandards: { linting: ['ESLint'] },
+  technologyStack: { language: 'TypeScript' },
+  projectName: 'Sample',
+  isCliTool: true
+};
+
+describe('Template Linter', () => {
+  describe('collectReferences function', () => {
+    test('should collect variables and block values, following partials', () => {
+      const { references, errors } = collectReferences('{{#if isCliTool}}{{> footer}}{{/if}}{{> missing}}', {
+        footer: '{{#each codingStandards.linting}}{{this}}{{/each}}'
+      });
+
+      expect(references).toEqual([
+        { path: 'isCliTool', scoped: false },
+        { path: 'codingStandards.linting', scoped: false },
+        { path: 'this', scoped: true }
+      ]);
+      expect(errors).toEqual(['Template partial not found: missing']);
+    });
+  });
+
+  describe('lintTemplate function', () => {
+    test('should report unknown placeholders once each', () => {
+      const report = lintTemplate('{{projectName}} {{projectTitle}} {{overview.owner}} {{projectTitle}}', context);
+      expect(report.unknown).toEqual(['projectTitle', 'overview.owner']);
+    });
+
+    test('should allow item fields inside loops and free-form open paths', () => {
+      const template = '{{#each items}}{{name}} {{@index}}{{/each}}{{#technologyStack}}{{key}}{{/technologyStack}} {{technologyStack.frontend}}';
+      const report = lintTemplate(template, context, { openPaths: ['technologyStack'] });
+      expect(report.unknown).toEqual(['items']);
+    });
+
+    test('should still check top-level values used inside loops', () => {
+      const report = lintTemplate('{{#each codingStandards.linting}}{{overview.owner}}{{/each}}', context);
+      expect(report.unknown).toEqual(['overview.owner']);
+    });
+
+    test('should report malformed blocks', () => {
+      expect(lintTemplate('{{#if isCliTool}}cli', context).errors).toEqual(['Unclosed {{#if}} block in template']);
+    });
+
+    test('should list config fields the template never uses', () => {
+      const fields = listConfigFields({ overview: { projectName: 'Sample', version: '1.0.0', owner: '' }, codingStandards: { linting: ['ESLint'] } }, ['overview', 'codingStandards']);
+      expect(fields).toEqual(['overview.projectName', 'overview.version', 'codingStandards.linting']);
+
+      const report = lintTemplate('{{name}} {{#codingStandards}}{{key}}{{/codingStandards}}', context, {
+        fields,
+        aliases: { name: 'overview.projectName' }
+      });
+      expect(report.unused).toEqual(['overview.version']);
+    });
+  });
+
+  describe('generator integration', () => {
+    test('should find no problems in the bundled agent template', async () => {
+      const report = await lintTemplateSource(await loadTemplate('agent-template'), sampleConfig);
+      expect(report).toEqual({ errors: [], unknown: [], unused: [] });
+    });
+
+    test('should fail non-interactive generation on unknown placeholders', async () => {
+      const config = { ...sampleConfig, fileType: 'agent' };
+      await expect(
+        generateOutputFiles(config, null, { template: 'test/fixtures/unknown-placeholder.md' })
+      ).rejects.toThrow('Template unknown-placeholder uses unknown placeholders: {{projectTitle}}');
+    });
+
+    test('should let the wizard fall back to the built-in layout', async () => {
+      const config = { ...sampleConfig, fileType: 'agent' };
+      const questions = [];
+      const inquirer = {
+        prompt: async ([question]) => {
+          questions.push(question.name);
+          return { renderAnyway: false };
+        }
+      };
+
+      const [file] = await generateOutputFiles(config, inquirer, { template: 'test/fixtures/unknown-placeholder.md' });
+
+      expect(questions).toEqual(['renderAnyway']);
+      expect(file.content).toContain(`# ${sampleConfig.overview.projectName} - AI Assistant Rules`);
+    });
+  });
+});
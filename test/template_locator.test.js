@@ -0,0 +1,157 @@
+/**
+ * Test suite for template discovery
+ * Tests lookup order, frontmatter, target matching, the picker and --template
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  getTemplateDirs,
+  parseTemplateFile,
+  findTemplate,
+  findTemplatesForTarget,
+  resolveTemplateOption
+} from '../lib/template_locator.js';
+import { generateOutputFiles, generateTargets } from '../lib/generator_lib.js';
+import { getTarget } from '../lib/output_targets.js';
+import { sampleConfig } from './fixtures/sample_config.js';
+
+describe('Template Locator', () => {
+  let projectRoot;
+  let homeDir;
+  let options;
+
+  const writeTemplate = async (root, name, content) => {
+    const filePath = path.join(root, '.agent-rules', 'templates', `${name}.md`);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  };
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-project-'));
+    homeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-home-'));
+    options = { projectRoot, homeDir };
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+    await fs.rm(homeDir, { recursive: true, force: true });
+  });
+
+  describe('lookup order', () => {
+    test('should search the project, then the user, then the bundled templates', () => {
+      const dirs = getTemplateDirs(options);
+
+      expect(dirs.map(({ source }) => source)).toEqual(['project', 'user', 'bundled']);
+      expect(dirs[0].dir).toBe(path.join(projectRoot, '.agent-rules', 'templates'));
+      expect(dirs[1].dir).toBe(path.join(homeDir, '.agent-rules', 'templates'));
+    });
+
+    test('should let project templates hide user and bundled ones', async () => {
+      await writeTemplate(homeDir, 'agent-template', '# User');
+      expect((await findTemplate('agent-template', options)).source).toBe('user');
+
+      await writeTemplate(projectRoot, 'agent-template', '# Project');
+      const template = await findTemplate('agent-template', options);
+      expect(template.source).toBe('project');
+      expect(template.body).toBe('# Project');
+    });
+
+    test('should fall back to the bundled templates and reject parent paths', async () => {
+      expect((await findTemplate('agent-template', options)).source).toBe('bundled');
+      expect(await findTemplate('../package', options)).toBeNull();
+      expect(await findTemplate('missing', options)).toBeNull();
+    });
+  });
+
+  describe('parseTemplateFile function', () => {
+    test('should split frontmatter from the body', () => {
+      const parsed = parseTemplateFile('---\ndescription: Short rules\ntargets: [agent]\n---\n\n# {{projectName}}\n');
+
+      expect(parsed.attributes).toEqual({ description: 'Short rules', targets: ['agent'] });
+      expect(parsed.body).toBe('# {{projectName}}\n');
+      expect(parseTemplateFile('# Plain').body).toBe('# Plain');
+    });
+
+    test('should report invalid frontmatter with the file name', async () => {
+      await writeTemplate(projectRoot, 'agent-broken', '---\ntargets: [agent\n---\n# Broken');
+      await expect(findTemplate('agent-broken', options)).rejects.toThrow('Invalid frontmatter in template');
+    });
+  });
+
+  describe('findTemplatesForTarget function', () => {
+    test('should match templates by name or frontmatter targets', async () => {
+      await writeTemplate(projectRoot, 'agent-minimal', '---\ndescription: Minimal rules\n---\n# Minimal');
+      await writeTemplate(homeDir, 'team', '---\ntargets: [agent, claude]\n---\n# Team');
+      await writeTemplate(homeDir, 'claude-notes', '---\ntargets: claude\n---\n# Notes');
+
+      const agent = await findTemplatesForTarget(getTarget('agent'), options);
+      expect(agent.map(({ name, source }) => `${name}:${source}`)).toEqual(['agent-minimal:project', 'team:user', 'agent-template:bundled']);
+      expect(agent[0].description).toBe('Minimal rules');
+
+      const claude = await findTemplatesForTarget(getTarget('claude'), options);
+      expect(claude.map(({ name }) => name)).toEqual(['claude-notes', 'team']);
+    });
+
+    test('should let a template hide a bundled one with the same name', async () => {
+      await writeTemplate(projectRoot, 'agent-template', '---\ntargets: [claude]\n---\n# Moved');
+
+      expect(await findTemplatesForTarget(getTarget('agent'), options)).toEqual([]);
+    });
+  });
+
+  describe('resolveTemplateOption function', () => {
+    test('should resolve names and paths', async () => {
+      await writeTemplate(homeDir, 'agent-minimal', '# Minimal');
+      await fs.writeFile(path.join(projectRoot, 'rules.md'), '# From path');
+
+      expect((await resolveTemplateOption('agent-minimal', options)).body).toBe('# Minimal');
+      expect((await resolveTemplateOption('rules.md', options)).body).toBe('# From path');
+      await expect(resolveTemplateOption('missing', options)).rejects.toThrow('Template not found: missing (searched');
+      await expect(resolveTemplateOption('missing.md', options)).rejects.toThrow('Template not found: missing.md');
+    });
+  });
+
+  describe('generator integration', () => {
+    const config = { ...sampleConfig, fileType: 'agent' };
+
+    test('should render the template passed with --template', async () => {
+      await writeTemplate(projectRoot, 'agent-minimal', '---\ndescription: Minimal\n---\n# {{projectName}} (minimal)\n');
+
+      const [file] = await generateOutputFiles(config, null, { template: 'agent-minimal', projectRoot });
+      expect(file.content).toBe(`# ${sampleConfig.overview.projectName} (minimal)\n`);
+    });
+
+    test('should offer a picker when several templates match', async () => {
+      await writeTemplate(projectRoot, 'agent-minimal', '---\ndescription: Minimal\n---\n# Minimal\n');
+      let question;
+      const inquirer = {
+        prompt: async ([asked]) => {
+          question = asked;
+          return { template: asked.choices[0].value };
+        }
+      };
+
+      const [file] = await generateOutputFiles(config, inquirer, { projectRoot });
+
+      expect(question.type).toBe('list');
+      expect(question.choices.map(choice => choice.name)).toEqual([
+        'agent-minimal (project) - Minimal',
+        'agent-template (bundled)',
+        'Built-in layout (no template)'
+      ]);
+      expect(file.content).toBe('# Minimal\n');
+    });
+
+    test('should reject --template with several targets or a multi-file target', async () => {
+      await expect(
+        generateTargets({ ...config, targets: ['agent', 'claude'] }, null, { template: 'agent-template' })
+      ).rejects.toThrow('A template can only be used with a single target');
+      await expect(
+        generateOutputFiles({ ...config, fileType: 'cursor' }, null, { template: 'agent-template' })
+      ).rejects.toThrow('cannot use a template');
+    });
+  });
+});
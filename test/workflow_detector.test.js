@@ -0,0 +1,149 @@
+/**
+ * Test suite for the workflow detector
+ * Tests commit style, branch naming and workflow inference from git history and commitlint configs
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import {
+  analyzeCommitSubjects,
+  describeBranchNaming,
+  inferGitWorkflow,
+  detectWorkflowGuidelines,
+  formatCommitExamples
+} from '../lib/workflow_detector.js';
+import { generateTargets } from '../lib/generator_lib.js';
+import { normalizeConfig } from '../lib/project_config.js';
+import { importRules } from '../lib/rules_importer.js';
+
+describe('Workflow Detector', () => {
+  let projectRoot;
+
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'commit.gpgsign=false', ...args], { cwd: projectRoot, stdio: 'pipe' });
+  const commit = subject => git('commit', '--allow-empty', '-q', '-m', subject);
+
+  beforeEach(async () => {
+    projectRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-rules-workflow-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(projectRoot, { recursive: true, force: true });
+  });
+
+  describe('analyzeCommitSubjects function', () => {
+    test('should recognize Conventional Commits and prefer examples of different types', () => {
+      const { style, examples } = analyzeCommitSubjects([
+        'feat(cli): add scan command',
+        'feat: support yaml answers',
+        'Merge pull request #4 from acme/fix/quotes',
+        'fix: keep quotes in imported rules',
+        'docs: describe templates',
+        'update readme'
+      ]);
+
+      expect(style).toBe('Conventional Commits');
+      expect(examples).toEqual(['feat(cli): add scan command', 'fix: keep quotes in imported rules', 'docs: describe templates']);
+    });
+
+    test('should report free-form history as Custom and ignore short histories', () => {
+      const subjects = ['Add scan command', 'Fix `quotes` in importer', 'feat: templates', 'Update readme', 'Bump version'];
+
+      expect(analyzeCommitSubjects(subjects)).toEqual({
+        style: 'Custom',
+        conventionalShare: 0.2,
+        examples: ['Add scan command', 'Fix quotes in importer', 'feat: templates']
+      });
+      expect(analyzeCommitSubjects(subjects.slice(0, 4)).style).toBeNull();
+    });
+  });
+
+  describe('branch analysis', () => {
+    test('should describe prefixes by use and skip bot branches', () => {
+      expect(describeBranchNaming([
+        'main', 'feature/login', 'feature/export', 'fix/typo', 'release/2.1', 'release/2.0', 'release/2.2', 'dependabot/npm_and_yarn/lodash'
+      ])).toBe('release/<version>, feature/description, fix/description');
+      expect(describeBranchNaming(['main'])).toBeNull();
+    });
+
+    test('should infer the workflow from long-lived branches and tags', () => {
+      expect(inferGitWorkflow(['main', 'develop'], ['v1.0.0'], [])).toBe('Git Flow');
+      expect(inferGitWorkflow(['main', 'develop'], [], [])).toBeNull();
+      expect(inferGitWorkflow(['main', 'production'], [], [])).toBe('GitLab Flow');
+      expect(inferGitWorkflow(['main'], [], ['Merge pull request #1 from acme/login'])).toBe('GitHub Flow');
+    });
+  });
+
+  describe('detectWorkflowGuidelines function', () => {
+    test('should read branches, tags and commits from the repository', async () => {
+      git('init', '-q', '-b', 'main');
+      ['chore: initial commit', 'feat: add login', 'fix: handle empty password', 'docs: add readme', 'feat(api): add tokens'].forEach(commit);
+      git('tag', 'v1.0.0');
+      git('branch', 'develop');
+      git('branch', 'feature/signup');
+      git('branch', 'hotfix/1.0.1');
+
+      expect(await detectWorkflowGuidelines(projectRoot)).toEqual({
+        values: {
+          gitWorkflow: 'Git Flow',
+          branchNaming: 'feature/description, hotfix/<version>',
+          commitStyle: 'Conventional Commits',
+          commitExamples: ['feat(api): add tokens', 'docs: add readme', 'fix: handle empty password']
+        },
+        sources: {
+          gitWorkflow: 'git branches and tags',
+          branchNaming: 'git branches',
+          commitStyle: 'git history',
+          commitExamples: 'git history'
+        }
+      });
+    });
+
+    test('should let commitlint decide the commit style', async () => {
+      git('init', '-q', '-b', 'main');
+      ['Add login', 'Fix password check', 'fix(auth): reject empty passwords', 'Update readme', 'Bump version'].forEach(commit);
+      await fs.writeFile(path.join(projectRoot, 'commitlint.config.js'), "module.exports = { extends: ['@commitlint/config-angular'] };\n");
+
+      const { values, sources } = await detectWorkflowGuidelines(projectRoot);
+
+      expect(values.commitStyle).toBe('Angular');
+      expect(sources.commitStyle).toBe('commitlint.config.js');
+      expect(values.commitExamples).toEqual(['fix(auth): reject empty passwords']);
+    });
+
+    test('should return nothing outside a git repository', async () => {
+      expect(await detectWorkflowGuidelines(projectRoot)).toEqual({ values: {}, sources: {} });
+    });
+  });
+
+  describe('commit examples in the rules', () => {
+    const config = normalizeConfig({
+      overview: { projectName: 'demo', description: 'Demo', projectType: ['CLI Tool'] },
+      workflowGuidelines: { commitExamples: ['feat(cli): add scan, list and help', 'fix: keep quotes'] }
+    });
+
+    test('should be emitted by every target', async () => {
+      const results = await generateTargets(config, null, {
+        targets: ['agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude'],
+        useTemplate: false,
+        managedRegions: false
+      });
+
+      results.forEach(({ target, files }) => {
+        const content = files.map(file => file.content).join('\n');
+        expect(`${target}: ${content.includes('  - Example: `fix: keep quotes`')}`).toBe(`${target}: true`);
+      });
+      expect(formatCommitExamples([])).toBe('');
+    });
+
+    test('should be rendered by the template and read back by the importer', async () => {
+      const [{ files: [rendered] }] = await generateTargets(config, null, { targets: ['agent'], useTemplate: true, managedRegions: false });
+      expect(rendered.content).toContain('- **Commit Style**: Conventional Commits\n  - Example: `feat(cli): add scan, list and help`\n');
+
+      const [{ files: [generated] }] = await generateTargets(config, null, { targets: ['windsurf'], useTemplate: false });
+      expect(importRules(generated.content).config.workflowGuidelines.commitExamples).toEqual(['feat(cli): add scan, list and help', 'fix: keep quotes']);
+    });
+  });
+});
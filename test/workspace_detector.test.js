@@ -0,0 +1,223 @@
+/**
+ * Test suite for the workspace detector
+ * Tests monorepo package discovery, package configs and the cross-linked root and package rules files
+ */
+
+import { describe, test, expect } from 'bun:test';
+import fs from 'fs/promises';
+import path from 'path';
+import {
+  expandWorkspacePatterns,
+  detectWorkspaces,
+  selectWorkspacePackages,
+  buildPackageConfig,
+  formatWorkspaceSection,
+  parseWorkspaceSection
+} from '../lib/workspace_detector.js';
+import { generateTargets } from '../lib/generator_lib.js';
+import { normalizeConfig, validateConfig } from '../lib/project_config.js';
+import { importRules } from '../lib/rules_importer.js';
+import { AgentRulesGenerator } from '../agent_rules_cli.js';
+import { useTempProject } from './fixtures/temp_project.js';
+
+const rootAnswers = {
+  overview: { projectName: 'acme', description: 'Acme monorepo', projectType: ['Web Application', 'API/Backend'] },
+  technologyStack: { language: 'TypeScript', frontend: 'React', backend: 'Express.js', packageManager: 'pnpm' },
+  codingStandards: { indentation: 'tabs' },
+  commands: { test: 'pnpm -r test' },
+  agentRules: '## Root only\n\nRecipe rules for the root.'
+};
+
+describe('Workspace Detector', () => {
+  const project = useTempProject('agent-rules-workspace-');
+  const { writeFiles } = project;
+
+  const writeMonorepo = () => writeFiles({
+    'package.json': { name: 'acme', private: true, workspaces: ['packages/*', 'apps/*'] },
+    'pnpm-workspace.yaml': 'packages:\n  - "packages/*"\n  - "apps/*"\n  - "!packages/legacy"\n',
+    'turbo.json': '{}',
+    'packages/api/package.json': { name: '@acme/api', description: 'REST API', version: '2.1.0', dependencies: { express: '^4.19.0' }, scripts: { test: 'vitest run' } },
+    'packages/legacy/package.json': { name: '@acme/legacy' },
+    'apps/web/package.json': { name: '@acme/web', private: true, dependencies: { react: '^18.2.0' } },
+    'apps/web/index.html': '<div id="root"></div>',
+    'apps/docs/README.md': 'No manifest here'
+  });
+
+  describe('detectWorkspaces function', () => {
+    test('should expand globs with exclusions and skip node_modules', async () => {
+      await writeFiles({
+        'packages/a/package.json': '{}',
+        'packages/b/package.json': '{}',
+        'packages/a/node_modules/dep/package.json': '{}',
+        'tools/scripts/nested/package.json': '{}'
+      });
+
+      expect(await expandWorkspacePatterns(project.root, ['packages/*', 'tools/**', '!packages/b'])).toEqual([
+        'packages/a',
+        'tools',
+        'tools/scripts',
+        'tools/scripts/nested'
+      ]);
+    });
+
+    test('should list pnpm workspace packages and name Turborepo', async () => {
+      await writeMonorepo();
+
+      const detection = await detectWorkspaces(project.root);
+
+      expect(detection.tools).toEqual(['pnpm workspaces', 'Turborepo']);
+      expect(detection.packageManager).toBe('pnpm');
+      expect(detection.packages).toEqual([
+        { name: '@acme/web', path: 'apps/web', description: '', version: '', source: 'apps/web/package.json' },
+        { name: '@acme/api', path: 'packages/api', description: 'REST API', version: '2.1.0', source: 'packages/api/package.json' }
+      ]);
+    });
+
+    test('should read Yarn workspaces, Lerna defaults and Nx projects', async () => {
+      await writeFiles({
+        'package.json': { workspaces: { packages: ['modules/*'] } },
+        'yarn.lock': '',
+        'modules/core/package.json': { name: 'core' }
+      });
+      const yarn = await detectWorkspaces(project.root);
+      expect(yarn.tools).toEqual(['Yarn workspaces']);
+      expect(yarn.packages.map(item => item.name)).toEqual(['core']);
+
+      await fs.rm(path.join(project.root, 'package.json'));
+      await writeFiles({ 'lerna.json': { version: '1.0.0' }, 'packages/util/package.json': { name: 'util' } });
+      expect((await detectWorkspaces(project.root)).packages.map(item => item.path)).toEqual(['packages/util']);
+
+      await fs.rm(path.join(project.root, 'lerna.json'));
+      await writeFiles({ 'nx.json': {}, 'apps/shop/api/project.json': { name: 'shop-api' } });
+      const nx = await detectWorkspaces(project.root);
+      expect(nx.tools).toEqual(['Nx']);
+      expect(nx.packages.map(item => item.name)).toEqual(['shop-api', 'util']);
+    });
+
+    test('should find nothing outside a monorepo and report broken workspace files', async () => {
+      await writeFiles({ 'package.json': { name: 'single' } });
+      expect((await detectWorkspaces(project.root)).packages).toEqual([]);
+
+      await writeFiles({ 'lerna.json': '{ "packages": ' });
+      await expect(detectWorkspaces(project.root)).rejects.toThrow('Cannot parse lerna.json');
+
+      await writeFiles({ 'lerna.json': '{}', 'packages/broken/package.json': '{ "name": ' });
+      const [broken] = (await detectWorkspaces(project.root)).packages;
+      expect(broken).toMatchObject({ name: 'broken', path: 'packages/broken' });
+      expect(broken.error).toContain('Cannot parse packages/broken/package.json');
+    });
+  });
+
+  describe('package configs', () => {
+    test('should select packages by path or name', () => {
+      const detection = { packages: [{ name: '@acme/web', path: 'apps/web' }, { name: '@acme/api', path: 'packages/api' }] };
+
+      expect(selectWorkspacePackages(detection)).toHaveLength(2);
+      expect(selectWorkspacePackages(detection, false)).toEqual([]);
+      expect(selectWorkspacePackages(detection, { packages: ['@acme/api'] }).map(item => item.path)).toEqual(['packages/api']);
+      expect(validateConfig(normalizeConfig({ ...rootAnswers, workspaces: { packages: 'apps/web, packages/api' } })).valid).toBe(true);
+      expect(validateConfig(normalizeConfig({ ...rootAnswers, workspaces: true })).errors)
+        .toContain('workspaces must be false or { packages } with a list of package paths or names');
+    });
+
+    test('should carry the package stack and inherit the root standards', async () => {
+      await writeMonorepo();
+      const detection = await detectWorkspaces(project.root);
+      const api = detection.packages.find(item => item.name === '@acme/api');
+
+      const config = await buildPackageConfig(project.root, normalizeConfig(rootAnswers), detection, api);
+
+      expect(config.overview).toMatchObject({ projectName: '@acme/api', description: 'REST API', version: '2.1.0', projectType: ['API/Backend'] });
+      expect(config.technologyStack.backend).toBe('Express 4.19.0');
+      expect(config.technologyStack.frontend).toBeUndefined();
+      expect(config.technologyStack.packageManager).toBe('pnpm');
+      expect(config.codingStandards.indentation).toBe('tabs');
+      expect(config.commands).toBeUndefined();
+      expect(config.agentRules).toBeUndefined();
+      expect(config.workspace).toEqual({ tools: ['pnpm workspaces', 'Turborepo'], rootName: 'acme', path: 'packages/api' });
+    });
+  });
+
+  describe('Workspace section', () => {
+    const packages = [{ name: '@acme/api', path: 'packages/api' }];
+    const rootConfig = normalizeConfig({ ...rootAnswers, workspace: { tools: ['pnpm workspaces'], packages } });
+    const packageConfig = normalizeConfig({ ...rootAnswers, workspace: { tools: ['pnpm workspaces'], rootName: 'acme', path: 'packages/api' } });
+
+    test('should link files relative to where each target writes them', () => {
+      expect(formatWorkspaceSection({ ...rootConfig, fileType: 'copilot' })).toBe([
+        '## Workspace',
+        '',
+        'This repository is a monorepo (pnpm workspaces). The rules in this file apply to every package. Each package also has a rules file with its own stack and commands:',
+        '- **@acme/api** (`packages/api`): [instructions/packages-api.instructions.md](instructions/packages-api.instructions.md)',
+        '',
+        ''
+      ].join('\n'));
+      expect(formatWorkspaceSection({ ...packageConfig, fileType: 'copilot' })).toContain('The shared rules are in [../copilot-instructions.md](../copilot-instructions.md)');
+      expect(formatWorkspaceSection({ ...packageConfig, fileType: 'agents' })).toContain('The shared rules are in [../../AGENTS.md](../../AGENTS.md)');
+      expect(formatWorkspaceSection({ ...packageConfig, fileType: 'cursor' })).toContain('[../../../../.cursor/rules](../../../../.cursor/rules)');
+      expect(formatWorkspaceSection(normalizeConfig(rootAnswers))).toBe('');
+    });
+
+    test('should be emitted by every target and dropped again by the importer', async () => {
+      const results = await generateTargets(packageConfig, null, {
+        targets: ['agent', 'windsurf', 'cursor', 'copilot', 'agents', 'claude'],
+        useTemplate: false,
+        managedRegions: false
+      });
+      results.forEach(({ target, files }) => {
+        const content = files.map(file => file.content).join('\n');
+        expect(`${target}: ${content.includes('This is the `packages/api` package of the acme monorepo')}`).toBe(`${target}: true`);
+      });
+
+      const [{ files: [rendered] }] = await generateTargets(rootConfig, null, { targets: ['agent'], useTemplate: true, managedRegions: false });
+      expect(rendered.content).toContain('## Workspace\nThis repository is a monorepo (pnpm workspaces).');
+
+      const copilot = results.find(({ target }) => target === 'copilot').files;
+      expect(copilot.map(file => file.filename)).toEqual([path.join('.github', 'instructions', 'packages-api.instructions.md')]);
+      expect(copilot[0].content.startsWith('---\napplyTo: "packages/api/**"\n---\n')).toBe(true);
+
+      const imported = importRules(results[1].files[0].content);
+      expect(imported.customRules).not.toContain('monorepo');
+      expect(parseWorkspaceSection('This repository is a monorepo.\n- **a** (`a`): [a/.agent.md](a/.agent.md)\n\nRun builds through Turborepo.')).toBe('Run builds through Turborepo.');
+    });
+  });
+
+  describe('generateWorkspaceTargets method', () => {
+    test('should write a root file and a file in every selected package', async () => {
+      await writeMonorepo();
+      const generator = new AgentRulesGenerator();
+      generator.projectRoot = project.root;
+
+      const results = await generator.generateWorkspaceTargets(normalizeConfig({ ...rootAnswers, targets: ['claude'], projectTree: false }), {
+        useTemplate: false,
+        managedRegions: false
+      });
+
+      expect(results.map(({ target, files }) => [target, files[0].filename])).toEqual([
+        ['claude', 'CLAUDE.md'],
+        ['claude (apps/web)', path.join('apps', 'web', 'CLAUDE.md')],
+        ['claude (packages/api)', path.join('packages', 'api', 'CLAUDE.md')]
+      ]);
+      const [root, web, api] = results.map(({ files }) => files[0].content);
+      expect(root).toContain('- **@acme/api** (`packages/api`): [packages/api/CLAUDE.md](packages/api/CLAUDE.md)');
+      expect(root).toContain('Recipe rules for the root.');
+      expect(web).toContain('@acme/web (Web Application)');
+      expect(api).toContain('pnpm test  # test');
+      expect(api).not.toContain('Recipe rules for the root.');
+
+      await writeFiles({ 'apps/web/package.json': '{ "name": ' });
+      const skipped = await generator.generateWorkspaceTargets(normalizeConfig({ ...rootAnswers, targets: ['claude'], projectTree: false }), {
+        useTemplate: false,
+        managedRegions: false
+      });
+      expect(skipped.map(({ target }) => target)).toEqual(['claude', 'claude (packages/api)']);
+      expect(skipped[0].files[0].content).not.toContain('apps/web');
+
+      const rootOnly = await generator.generateWorkspaceTargets(normalizeConfig({ ...rootAnswers, targets: ['claude'], workspaces: false }), {
+        useTemplate: false
+      });
+      expect(rootOnly).toHaveLength(1);
+      expect(rootOnly[0].files[0].content).not.toContain('## Workspace');
+    });
+  });
+});